@@ -2,52 +2,431 @@
 //DocMan Controls - used to manage the upload of documents
 //this section is the back end. there is a septarte class for the pages
 //////////////////////////////////////////////////////
-const GTDCTRLVer = "12.03";
+const GTDCTRLVer = "13.00";
     
-    const DocManVer = "14.03";
-    
-    function _UpdateDocCategory(DocCat, passedGUID) {
-            console.log("UpdateDocCategory: called ver=" + DocManVer);
-            const flowUrl = "/_api/cloudflow/v1.0/trigger/4c999c4e-3495-f011-b41b-002248c5d639";
-            const payload = {
-              ActionType: 'UpdateDocCat', // group upload: adds multiple files to one group
-              DocCategory: DocCat,
-              AccGUID: '',
-              DocManRowGuid: passedGUID
-            };
-
-            _GenericFlowHandler(flowUrl, payload)
-            .done(function (response) {
-              console.log("UpdateCat: Passed-GUID-"+  passedGUID+ " -response:" + response);
-            })
-            .fail(function (error) {
-              console.log("UpdateCat: Error-GUID-"+  passedGUID+ " -response:" + error);
-            })
-            .always(function () {  
-            });
+    const DocManVer = "15.00";
+
+//////////////////////////////////////////////////////
+//GTDLog - shared logging used by every section of this file
+//levels + namespaces (flow, docman, listmenu) + pluggable sinks (console, ring buffer, flow telemetry)
+//the level can be set with GTDLog.setLevel(), localStorage "gtdLogLevel" or data-gtd-log-level on <html>
+//////////////////////////////////////////////////////
+    const GTDLog = {
+      levels: { debug: 10, info: 20, warn: 30, error: 40, silent: 100 },
+      //production pages stay quiet apart from errors; raise it per page or per browser to troubleshoot
+      level: "error",
+      namespaceLevels: {},
+      sinks: [],
+
+      /**
+      * Sets the global level, or the level of one namespace when namespace is given.
+      * @param {string} level debug|info|warn|error|silent
+      * @param {string} namespace
+      */
+      setLevel: function (level, namespace) {
+        if (!GTDLog.levels[level]) {
+          throw new Error("Unknown log level: " + level);
+        }
+        if (namespace) {
+          GTDLog.namespaceLevels[namespace] = level;
+        } else {
+          GTDLog.level = level;
+        }
+      },
+
+      isEnabled: function (level, namespace) {
+        var threshold = GTDLog.namespaceLevels[namespace] || GTDLog.level;
+        return GTDLog.levels[level] >= GTDLog.levels[threshold] && threshold !== "silent";
+      },
+
+      /**
+      * @param {{write:function(entry)}} sink
+      * @returns {function} removes the sink again
+      */
+      addSink: function (sink) {
+        GTDLog.sinks.push(sink);
+        return function () {
+          GTDLog.removeSink(sink);
+        };
+      },
+
+      removeSink: function (sink) {
+        GTDLog.sinks = GTDLog.sinks.filter(function (s) { return s !== sink; });
+      },
+
+      //force writes the entry whatever the level, for callers with their own opt-in (an enhancer's debug option)
+      write: function (level, namespace, args, force) {
+        if (!force && !GTDLog.isEnabled(level, namespace)) return;
+
+        var hasMessage = args.length && typeof args[0] === "string";
+        var entry = {
+          time: new Date().toISOString(),
+          level: level,
+          namespace: namespace,
+          message: hasMessage ? _RedactForDiagnostics(args[0]) : "",
+          args: _RedactForDiagnostics(hasMessage ? args.slice(1) : args)
+        };
+
+        for (var i = 0; i < GTDLog.sinks.length; i++) {
+          try {
+            GTDLog.sinks[i].write(entry);
+          } catch (sinkError) {
+            //a broken sink must never break the caller
+          }
+        }
+      },
+
+      /**
+      * @param {string} namespace
+      * @returns {{debug:function, info:function, warn:function, error:function, namespace:string}}
+      */
+      create: function (namespace) {
+        function method(level) {
+          return function () {
+            GTDLog.write(level, namespace, Array.prototype.slice.call(arguments));
+          };
+        }
+
+        return {
+          namespace: namespace,
+          debug: method("debug"),
+          info: method("info"),
+          warn: method("warn"),
+          error: method("error")
+        };
+      }
+    };
+
+//////////////////////////////////////////////////////
+//GTDRedaction - applied to every log entry (and support bundles) before it leaves GTDLog
+//keys on the deny-list are replaced, string values are scrubbed with the patterns
+//////////////////////////////////////////////////////
+    const GTDRedaction = {
+      enabled: true,
+      keys: ["contactId", "tenant", "portalId", "sasToken", "sas", "sas_token", "SASToken", "sasUrl", "token", "password", "authorization", "__RequestVerificationToken", "email", "emailaddress1"],
+      //values under these keys are kept as is - support needs them to find the flow run
+      allowKeys: ["correlationId", "errorId", "flowTrackingId"],
+      patterns: [
+        { name: "sas-signature", pattern: /([?&]sig=)[^&\s"'<>]+/gi, replacement: "$1[REDACTED]" },
+        { name: "email", pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: "[EMAIL]" },
+        //keep the last 4 characters so two log lines about the same record can still be matched up
+        { name: "guid", pattern: /\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{8}([0-9a-fA-F]{4})\b/g, replacement: "[GUID..$1]" }
+      ],
+
+      /**
+      * Extends (or replaces with replace:true) the deny-list keys, allow-list keys and patterns.
+      * @param {{enabled?:boolean, replace?:boolean, keys?:string[], allowKeys?:string[], patterns?:Array<{name:string, pattern:RegExp, replacement:string}>}} options
+      */
+      configure: function (options) {
+        options = options || {};
+        if (typeof options.enabled === "boolean") GTDRedaction.enabled = options.enabled;
+
+        var lists = ["keys", "allowKeys", "patterns"];
+        for (var i = 0; i < lists.length; i++) {
+          var name = lists[i];
+          if (!Array.isArray(options[name])) continue;
+          GTDRedaction[name] = options.replace ? options[name].slice() : GTDRedaction[name].concat(options[name]);
+        }
+      }
+    };
+
+    /**
+    * SHARED FUNCTION: return a redacted copy of any value for diagnostic output.
+    * @param {any} value
+    * @returns {any}
+    */
+    function _RedactForDiagnostics(value) {
+      if (!GTDRedaction.enabled) return value;
+
+      var deniedKeys = GTDRedaction.keys.map(function (k) { return String(k).toLowerCase(); });
+      var allowedKeys = GTDRedaction.allowKeys.map(function (k) { return String(k).toLowerCase(); });
+      //objects on the path from the root to the current value; a shared (non-circular) reference is copied again
+      var ancestors = [];
+
+      function redactString(text) {
+        var result = text;
+        for (var i = 0; i < GTDRedaction.patterns.length; i++) {
+          var rule = GTDRedaction.patterns[i];
+          rule.pattern.lastIndex = 0;
+          result = result.replace(rule.pattern, rule.replacement);
+        }
+        return result;
+      }
+
+      function visit(v, depth) {
+        if (typeof v === "string") return redactString(v);
+        if (!v || typeof v !== "object") return v;
+        if (depth > 8) return "[Truncated]";
+        //DOM nodes, windows etc. are passed through untouched
+        if (typeof v.nodeType === "number" || v === v.window) return v;
+        if (ancestors.indexOf(v) !== -1) return "[Circular]";
+
+        var tag = Object.prototype.toString.call(v);
+        if (tag === "[object Date]") {
+          return isNaN(v.getTime()) ? "Invalid Date" : v.toISOString();
+        }
+        if (tag === "[object File]") {
+          return { name: redactString(v.name), size: v.size, type: v.type };
+        }
+        if (v instanceof Error || (typeof v.stack === "string" && typeof v.message === "string")) {
+          return { name: v.name, message: redactString(String(v.message || "")) };
+        }
+
+        ancestors.push(v);
+        var copy = visitChildren(v, depth);
+        ancestors.pop();
+        return copy;
+      }
+
+      function visitChildren(v, depth) {
+        if (Array.isArray(v)) {
+          return v.map(function (item) { return visit(item, depth + 1); });
+        }
+
+        var copy = {};
+        var keys = Object.keys(v);
+        for (var k = 0; k < keys.length; k++) {
+          var key = keys[k];
+          var lower = key.toLowerCase();
+          if (deniedKeys.indexOf(lower) !== -1 && v[key] !== "" && v[key] != null) {
+            copy[key] = "[REDACTED]";
+          } else if (allowedKeys.indexOf(lower) !== -1) {
+            copy[key] = v[key];
+          } else {
+            copy[key] = visit(v[key], depth + 1);
+          }
+        }
+        return copy;
+      }
+
+      return visit(value, 0);
+    }
+
+    /**
+    * SHARED FUNCTION: log sink writing to the browser console.
+    * @returns {{write:function}}
+    */
+    function _CreateConsoleSink() {
+      return {
+        write: function (entry) {
+          var method = entry.level === "debug" ? "log" : entry.level;
+          var args = ["[" + entry.namespace + "]"];
+          if (entry.message) args.push(entry.message);
+          console[method].apply(console, args.concat(entry.args));
+        }
+      };
+    }
+
+    /**
+    * SHARED FUNCTION: log sink keeping the last N entries in memory (support bundles, diagnostics).
+    * @param {number} size
+    * @returns {{write:function, entries:function, clear:function}}
+    */
+    function _CreateRingBufferSink(size) {
+      var capacity = size || 200;
+      var buffer = [];
+      return {
+        write: function (entry) {
+          buffer.push(entry);
+          if (buffer.length > capacity) buffer.shift();
+        },
+        entries: function () {
+          return buffer.slice();
+        },
+        clear: function () {
+          buffer = [];
+        }
+      };
+    }
+
+    /**
+    * SHARED FUNCTION: log sink posting error telemetry to a registered flow (see DocManFlows).
+    * Entries are batched, one batch is in flight at a time and the rest go out after it settles.
+    * When a batch fails, "flow" entries logged while it was sent are dropped so the flow's own
+    * failure logging cannot loop back into the sink.
+    * @param {{flowName:string, minLevel?:string, batchDelayMs?:number, maxBatch?:number, registry?:FlowRegistry}} options
+    * @returns {{write:function, flush:function}}
+    */
+    function _CreateFlowSink(options) {
+      options = options || {};
+      var minLevel = options.minLevel || "error";
+      var batchDelayMs = typeof options.batchDelayMs === "number" ? options.batchDelayMs : 5000;
+      var maxBatch = options.maxBatch || 20;
+      var pending = [];
+      var loggedWhileSending = [];
+      var timer = null;
+      var sending = false;
+
+      function schedule() {
+        if (!timer && pending.length) timer = setTimeout(flush, batchDelayMs);
+      }
+
+      function settle(sent) {
+        sending = false;
+        pending = pending.concat(sent ? loggedWhileSending : loggedWhileSending.filter(function (entry) {
+          return entry.namespace !== "flow";
+        }));
+        loggedWhileSending = [];
+        schedule();
+      }
+
+      function flush() {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        //the batch in flight reschedules the rest once it settles
+        if (sending) return Promise.resolve();
+
+        var registry = options.registry || DocManFlows;
+        if (!pending.length || !registry.has(options.flowName)) {
+          pending = [];
+          return Promise.resolve();
+        }
+
+        var batch = pending.splice(0, maxBatch);
+        sending = true;
+        return registry.invoke(options.flowName, {
+          PageUrl: typeof window !== "undefined" && window.location ? window.location.href : "",
+          Entries: JSON.stringify(batch)
+        }).then(function (result) {
+          settle(!!(result && result.ok));
+        }, function () {
+          settle(false);
+        });
+      }
+
+      return {
+        write: function (entry) {
+          if (GTDLog.levels[entry.level] < GTDLog.levels[minLevel]) return;
+          var item = { time: entry.time, level: entry.level, namespace: entry.namespace, message: entry.message, args: entry.args.map(function (arg) {
+            return arg instanceof Error ? arg.name + ": " + arg.message : arg;
+          }) };
+          if (sending) {
+            loggedWhileSending.push(item);
+            return;
+          }
+          pending.push(item);
+          schedule();
+        },
+        flush: flush
+      };
+    }
+
+    (function () {
+      GTDLog.addSink(_CreateConsoleSink());
+
+      var configuredLevel = null;
+      try {
+        configuredLevel = typeof localStorage !== "undefined" ? localStorage.getItem("gtdLogLevel") : null;
+      } catch (e) {
+        configuredLevel = null;
+      }
+      if (!configuredLevel && typeof document !== "undefined" && document.documentElement) {
+        configuredLevel = document.documentElement.getAttribute("data-gtd-log-level");
+      }
+      if (configuredLevel && GTDLog.levels[configuredLevel]) {
+        GTDLog.level = configuredLevel;
+      }
+    })();
 
-            // const requestObj = {
-            //   eventData: JSON.stringify(payload)
-            // };
+    const FlowLog = GTDLog.create("flow");
+    const DocManLog = GTDLog.create("docman");
+    const ListMenuLog = GTDLog.create("listmenu");
+
+//////////////////////////////////////////////////////
+//GTDDiagnostics - in-memory record of recent flow calls, preflight results and log entries
+//feeds FlowDiagnosticsPanel and the support bundle
+//////////////////////////////////////////////////////
+    const GTDDiagnostics = {
+      calls: [],
+      preflights: [],
+      maxCalls: 50,
+      maxPreflights: 10,
+      //trigger url of a dedicated no-op flow; preflight only posts a probe when this (or options.probeUrl) is set
+      probeFlowUrl: "",
+      listeners: [],
+      logBuffer: _CreateRingBufferSink(200),
+
+      recordCall: function (call) {
+        GTDDiagnostics.calls.push(Object.assign({ time: new Date().toISOString() }, call));
+        if (GTDDiagnostics.calls.length > GTDDiagnostics.maxCalls) GTDDiagnostics.calls.shift();
+        GTDDiagnostics.notify();
+      },
+
+      recordPreflight: function (preflight) {
+        GTDDiagnostics.preflights.push(preflight);
+        if (GTDDiagnostics.preflights.length > GTDDiagnostics.maxPreflights) GTDDiagnostics.preflights.shift();
+        GTDDiagnostics.notify();
+      },
+
+      clear: function () {
+        GTDDiagnostics.calls = [];
+        GTDDiagnostics.preflights = [];
+        GTDDiagnostics.logBuffer.clear();
+        GTDDiagnostics.notify();
+      },
+
+      /**
+      * @param {function} listener called whenever a call or preflight is recorded
+      * @returns {function} unsubscribe
+      */
+      subscribe: function (listener) {
+        GTDDiagnostics.listeners.push(listener);
+        return function () {
+          GTDDiagnostics.listeners = GTDDiagnostics.listeners.filter(function (l) { return l !== listener; });
+        };
+      },
+
+      notify: function () {
+        for (var i = 0; i < GTDDiagnostics.listeners.length; i++) {
+          try {
+            GTDDiagnostics.listeners[i]();
+          } catch (listenerError) {
+            //diagnostics must never break the page
+          }
+        }
+      },
 
-            // shell.ajaxSafePost({
-            //   type: "POST",
-            //   contentType: "application/json",
-            //   url: "/_api/cloudflow/v1.0/trigger/4c999c4e-3495-f011-b41b-002248c5d639",
-            //   data: JSON.stringify(requestObj),
-            //   processData: false,
-            //   global: false
-            // })
-            // .done(function (response) {
-            //   console.log("Flow response for DocMan row", passedGUID);
-            // })
-            // .fail(function (error) {
-            //   console.error("Flow response for DocMan row", passedGUID);
-            // })
-            // .always(function () {
+      /**
+      * Redacted snapshot for support tickets.
+      * @returns {object}
+      */
+      getSupportBundle: function () {
+        return _RedactForDiagnostics({
+          generatedAt: new Date().toISOString(),
+          versions: { gtdControls: GTDCTRLVer, docMan: DocManVer },
+          pageUrl: typeof window !== "undefined" && window.location ? window.location.href : "",
+          userAgent: typeof navigator !== "undefined" ? navigator.userAgent : "",
+          logLevel: GTDLog.level,
+          calls: GTDDiagnostics.calls,
+          preflights: GTDDiagnostics.preflights,
+          logs: GTDDiagnostics.logBuffer.entries()
+        });
+      }
+    };
 
-            // });
+    GTDLog.addSink(GTDDiagnostics.logBuffer);
 
+    //default DocMan trigger, environments override it through DocManFlows (FlowRegistry)
+    const DocManDefaultTriggerId = "4c999c4e-3495-f011-b41b-002248c5d639";
+    
+    function _UpdateDocCategory(DocCat, passedGUID, options) {
+            DocManLog.debug("UpdateDocCategory: called ver=" + DocManVer);
+
+            //legacy entry point: DocMan.updateCategory does the work (outbox included), this keeps the
+            //flow result shape and never rejects
+            return new DocMan().updateCategory(passedGUID, DocCat, options)
+            .then(function (updated) {
+              if (updated.queued) {
+                DocManLog.info("UpdateCat: Queued-GUID-"+  passedGUID);
+              } else {
+                DocManLog.info("UpdateCat: Passed-GUID-"+  passedGUID+ " -response:" + JSON.stringify(updated.result.data));
+              }
+              return Object.assign({}, updated.result, { queued: updated.queued });
+            }, function (error) {
+              var result = error && error.result ? error.result : { ok: false, status: null, data: null, correlationId: "", flowTrackingId: "", durationMs: 0, attempts: 0, error: { reason: "unknown", message: error && error.message ? error.message : String(error) } };
+              DocManLog.info("UpdateCat: Error-GUID-"+  passedGUID+ " -response:" + (result.error ? result.error.reason + " " + result.error.message : "") + " correlationId:" + result.correlationId);
+              return result;
+            });
     }
 
     /**
@@ -100,6 +479,45 @@ const GTDCTRLVer = "12.03";
     return '';
     }
 
+    /**
+    * SHARED FUNCTION: build a full blob SAS url from a flow response.
+    * Accepts a full SAS url, or a bare token plus a blobUrl/BlobUrl/url property.
+    * @param {any} flowResponse
+    * @returns {string}
+    */
+    function _BuildBlobSasUrl(flowResponse) {
+      var sas = extractSasToken(flowResponse);
+      if (!sas) return '';
+      if (/^https:\/\//i.test(sas)) return sas;
+
+      var response = flowResponse;
+      if (typeof response === 'string') {
+        try {
+          response = JSON.parse(response);
+        } catch (e) {
+          response = null;
+        }
+      }
+
+      var blobUrl = response && typeof response === 'object' ? (response.blobUrl || response.BlobUrl || response.blobURL || '') : '';
+      if (!blobUrl) return '';
+
+      var token = sas.charAt(0) === '?' ? sas.substring(1) : sas;
+      return String(blobUrl).split('?')[0] + '?' + token;
+    }
+
+    /**
+    * SHARED FUNCTION: read the expiry (se=) of a SAS url.
+    * @param {string} sasUrl
+    * @returns {number|null} epoch milliseconds, null when the url has no expiry
+    */
+    function _GetSasExpiry(sasUrl) {
+      var match = /[?&]se=([^&]+)/.exec(sasUrl || '');
+      if (!match) return null;
+      var expiry = Date.parse(decodeURIComponent(match[1]));
+      return isNaN(expiry) ? null : expiry;
+    }
+
     /**
     * SHARED FUNCTION: parse CorrelationId and Error ID from Power Pages HTML error page.
     * @param {string} responseText
@@ -167,16 +585,121 @@ const GTDCTRLVer = "12.03";
     };
     }
 
+    /**
+    * SHARED FUNCTION: validate a value against a small JSON-like schema.
+    * Supports type (object|array|string|number|integer|boolean), required, properties,
+    * additionalProperties:false, items, enum (array, or the name of a list in options.enums),
+    * format:'guid', allowEmpty, minimum and maxLength.
+    * @param {any} value
+    * @param {object} schema
+    * @param {{path?:string, enums?:object}} options
+    * @returns {{valid:boolean, errors:Array<{path:string, code:string, message:string}>}}
+    */
+    function _ValidateSchema(value, schema, options) {
+      options = options || {};
+      var errors = [];
+      var enums = options.enums || {};
+      var guidPattern = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+
+      function typeOf(v) {
+        if (v === null) return 'null';
+        if (Array.isArray(v)) return 'array';
+        if (typeof v === 'number' && Math.floor(v) === v) return 'integer';
+        return typeof v;
+      }
+
+      function push(path, code, message) {
+        errors.push({ path: path, code: code, message: message });
+      }
+
+      function visit(v, s, path) {
+        if (!s) return;
+
+        if (s.type) {
+          var actual = typeOf(v);
+          var matches = actual === s.type || (s.type === 'number' && actual === 'integer');
+          if (!matches) {
+            push(path, 'type', 'Expected ' + s.type + ' but got ' + actual);
+            return;
+          }
+        }
+
+        if (typeof v === 'string') {
+          if (v === '' && s.allowEmpty) return;
+          if (s.format === 'guid' && !guidPattern.test(v)) {
+            push(path, 'format', 'Expected a GUID but got "' + v + '"');
+          }
+          if (typeof s.maxLength === 'number' && v.length > s.maxLength) {
+            push(path, 'maxLength', 'Longer than ' + s.maxLength + ' characters');
+          }
+        }
+
+        if (typeof v === 'number' && typeof s.minimum === 'number' && v < s.minimum) {
+          push(path, 'minimum', 'Must be at least ' + s.minimum);
+        }
+
+        if (s.enum) {
+          var allowed = typeof s.enum === 'string' ? enums[s.enum] : s.enum;
+          //a named enum with no configured values is not enforced
+          if (Array.isArray(allowed) && allowed.length && allowed.indexOf(v) === -1) {
+            push(path, 'enum', 'Expected one of ' + allowed.join(', ') + ' but got "' + v + '"');
+          }
+        }
+
+        if (Array.isArray(v) && s.items) {
+          for (var a = 0; a < v.length; a++) {
+            visit(v[a], s.items, path + '[' + a + ']');
+          }
+        }
+
+        if (v && typeof v === 'object' && !Array.isArray(v)) {
+          var properties = s.properties || {};
+          var required = Array.isArray(s.required) ? s.required : [];
+
+          for (var r = 0; r < required.length; r++) {
+            var requiredValue = v[required[r]];
+            if (requiredValue === undefined || requiredValue === null || requiredValue === '') {
+              push(path + '.' + required[r], 'required', 'Required');
+            }
+          }
+
+          var keys = Object.keys(v);
+          var knownKeys = Object.keys(properties);
+          for (var k = 0; k < keys.length; k++) {
+            var key = keys[k];
+            if (properties[key]) {
+              if (v[key] !== undefined && v[key] !== null) {
+                visit(v[key], properties[key], path + '.' + key);
+              }
+            } else if (s.additionalProperties === false) {
+              var suggestion = '';
+              for (var n = 0; n < knownKeys.length; n++) {
+                if (knownKeys[n].toLowerCase() === key.toLowerCase()) {
+                  suggestion = knownKeys[n];
+                  break;
+                }
+              }
+              push(path + '.' + key, 'unknown', suggestion ? 'Unknown key, did you mean "' + suggestion + '"?' : 'Unknown key');
+            }
+          }
+        }
+      }
+
+      visit(value, schema, options.path || 'value');
+      return { valid: errors.length === 0, errors: errors };
+    }
+
     /**
       * SHARED FUNCTION: preflight diagnostics for cloud flow calls.
-      * Logs request context and common configuration checks before invoking the endpoint.
+      * Logs request context and the synchronous configuration checks. _RunPreflightChecks adds the network checks.
       * @param {string} flowUrl
       * @param {any} payload
       * @returns {object}
       */
     function _PreflightCloudFlowCheck(flowUrl, payload) {
-      var portal = window.Microsoft && window.Microsoft.Dynamic365 && window.Microsoft.Dynamic365.Portal
-        ? window.Microsoft.Dynamic365.Portal
+      var win = typeof window !== 'undefined' ? window : { location: {} };
+      var portal = win.Microsoft && win.Microsoft.Dynamic365 && win.Microsoft.Dynamic365.Portal
+        ? win.Microsoft.Dynamic365.Portal
         : null;
       var flowMatch = /^\/_api\/cloudflow\/v1\.0\/trigger\/([0-9a-fA-F-]{36})$/.exec(flowUrl || '');
       var triggerId = flowMatch ? flowMatch[1] : '';
@@ -187,8 +710,8 @@ const GTDCTRLVer = "12.03";
         flowUrl: flowUrl,
         triggerId: triggerId,
         isCloudFlowEndpointPattern: !!flowMatch,
-        pageUrl: window.location.href,
-        origin: window.location.origin,
+        pageUrl: win.location.href || '',
+        origin: win.location.origin || '',
         hasShellAjaxSafePost: typeof shell !== 'undefined' && shell && typeof shell.ajaxSafePost === 'function',
         hasJQuery: typeof $ !== 'undefined',
         payloadType: typeof payload,
@@ -202,59 +725,222 @@ const GTDCTRLVer = "12.03";
         contactId: portal && portal.User && portal.User.contactId ? portal.User.contactId : ''
       };
 
-      console.log('_PreflightCloudFlowCheck: summary', preflight);
+      preflight.checks = [
+        { id: 'endpointPattern', label: 'Flow URL matches /_api/cloudflow/v1.0/trigger/{guid}', status: preflight.isCloudFlowEndpointPattern ? 'pass' : 'fail' },
+        { id: 'shellAjaxSafePost', label: 'shell.ajaxSafePost available', status: preflight.hasShellAjaxSafePost ? 'pass' : 'fail' },
+        { id: 'portalContext', label: 'Microsoft.Dynamic365.Portal context on page', status: preflight.portalContextAvailable ? 'pass' : 'fail' },
+        { id: 'contact', label: 'Signed in contact in portal context', status: preflight.contactId ? 'pass' : 'fail' }
+      ];
+      GTDDiagnostics.recordPreflight(preflight);
+
+      FlowLog.info('_PreflightCloudFlowCheck: summary', preflight);
 
       if (!preflight.isCloudFlowEndpointPattern) {
-        console.error('_PreflightCloudFlowCheck: flowUrl format does not match /_api/cloudflow/v1.0/trigger/{guid}', { flowUrl: flowUrl });
+        FlowLog.error('_PreflightCloudFlowCheck: flowUrl format does not match /_api/cloudflow/v1.0/trigger/{guid}', { flowUrl: flowUrl });
       }
 
       if (!preflight.triggerId) {
-        console.error('_PreflightCloudFlowCheck: no triggerId detected in URL.');
+        FlowLog.error('_PreflightCloudFlowCheck: no triggerId detected in URL.');
       }
 
       if (!preflight.portalContextAvailable) {
-        console.error('_PreflightCloudFlowCheck: Microsoft.Dynamic365.Portal context not found on page.');
+        FlowLog.error('_PreflightCloudFlowCheck: Microsoft.Dynamic365.Portal context not found on page.');
       }
 
       if (!preflight.contactId) {
-        console.warn('_PreflightCloudFlowCheck: no contactId found in portal context. Authenticated user may be required by flow permissions.');
+        FlowLog.warn('_PreflightCloudFlowCheck: no contactId found in portal context. Authenticated user may be required by flow permissions.');
       }
 
-      console.log('_PreflightCloudFlowCheck: checklist', {
-        step1_enableCloudFlowIntegration: 'Verify Power Pages cloud flow integration is enabled in site settings',
-        step2_flowBinding: 'Verify this trigger ID belongs to current site/environment and is bound to this page context',
-        step3_permissions: 'Verify current user has permission to run the flow',
-        step4_triggerSchema: 'Verify trigger expects eventData with text/number in current stage',
-        step5_publishAndRetry: 'Republish flow and retry from same portal environment'
-      });
+      FlowLog.info('_PreflightCloudFlowCheck: checks', preflight.checks);
 
       return preflight;
     }
 
+    /**
+    * SHARED FUNCTION: classify a failed cloud flow response using the Power Pages error markers.
+    * @param {number|null} status
+    * @param {string} responseText
+    * @returns {string} ok | no-permission | integration-disabled | schema-mismatch | not-bound | network | unknown
+    */
+    function _ClassifyFlowFailure(status, responseText) {
+      var text = responseText || '';
+      var meta = _ParsePowerPagesErrorMetadata(text);
+
+      if (status >= 200 && status < 300) return 'ok';
+      if (!status && !text) return 'network';
+      if (status === 401 || status === 403 || /not\s+authori[sz]ed|forbidden|access\s+(is\s+)?denied|does\s+not\s+have\s+permission/i.test(text)) return 'no-permission';
+      if (/integration\s+is\s+(not\s+enabled|disabled)|cloud\s*flow[^.]*(not\s+enabled|disabled)/i.test(text)) return 'integration-disabled';
+      if (status === 400 || /schema|InvalidTemplate|TriggerInputSchemaMismatch|eventData/i.test(text)) return 'schema-mismatch';
+      //the PowerAutomate error view without any other hint is what an unbound / foreign trigger ID returns
+      if (status === 404 || meta.hasPowerAutomateErrorView) return 'not-bound';
+      return 'unknown';
+    }
+
+    /**
+    * SHARED FUNCTION: get the Power Pages anti-forgery token.
+    * Uses shell.getTokenDeferred when available, otherwise reads /_layout/tokenhtml.
+    * @returns {Promise<string>} empty string when no token could be obtained
+    */
+    function _GetAntiForgeryToken() {
+      if (typeof shell !== 'undefined' && shell && typeof shell.getTokenDeferred === 'function') {
+        return new Promise(function (resolve) {
+          shell.getTokenDeferred()
+            .done(function (token) { resolve(token || ''); })
+            .fail(function () { resolve(''); });
+        });
+      }
+
+      if (typeof fetch !== 'function') return Promise.resolve('');
+
+      return fetch('/_layout/tokenhtml?_=' + Date.now(), { credentials: 'same-origin' }).then(function (response) {
+        return response.ok ? response.text() : '';
+      }).then(function (html) {
+        var match = /name=["']__RequestVerificationToken["'][^>]*value=["']([^"']+)["']/i.exec(html)
+          || /value=["']([^"']+)["'][^>]*name=["']__RequestVerificationToken["']/i.exec(html);
+        return match ? match[1] : '';
+      }, function () {
+        return '';
+      });
+    }
+
+    /**
+    * SHARED FUNCTION: run the preflight checklist for a flow and report pass/fail/skip per item.
+    * The flow itself is never posted to. When a no-op probe flow is configured (options.probeUrl or
+    * GTDDiagnostics.probeFlowUrl) it is posted { ActionType: "Preflight" } to check the integration is reachable
+    * and the user may run flows; pass probe:false to skip it. options.failure {status, responseText} classifies
+    * an existing failure of flowUrl instead, without fetching another anti-forgery token.
+    * @param {string} flowUrl
+    * @param {{probe?:boolean, probeUrl?:string, probePayload?:object, timeoutMs?:number, failure?:{status:number, responseText:string}}} options
+    * @returns {Promise<object>} the preflight summary with checks[] and classification
+    */
+    function _RunPreflightChecks(flowUrl, options) {
+      options = options || {};
+      var preflight = _PreflightCloudFlowCheck(flowUrl, options.probePayload);
+      var byId = {};
+      for (var i = 0; i < preflight.checks.length; i++) {
+        byId[preflight.checks[i].id] = preflight.checks[i];
+      }
+
+      function addCheck(id, label, status, detail) {
+        var check = { id: id, label: label, status: status, detail: detail || '' };
+        byId[id] = check;
+        preflight.checks.push(check);
+        return check;
+      }
+
+      //FlowClient runs this once for a failed call, the token is only fetched for an explicit run
+      var tokenCheck = options.failure
+        ? Promise.resolve(addCheck('antiForgeryToken', 'Anti-forgery token can be obtained', 'skip', 'not fetched again for a failed call'))
+        : _GetAntiForgeryToken().then(function (token) {
+          addCheck('antiForgeryToken', 'Anti-forgery token can be obtained', token ? 'pass' : 'fail', token ? '' : 'shell.getTokenDeferred / _layout/tokenhtml returned no token');
+        });
+
+      var probeUrl = options.probeUrl || GTDDiagnostics.probeFlowUrl;
+      var probe;
+      if (options.failure) {
+        probe = Promise.resolve({ status: options.failure.status, responseText: options.failure.responseText || '', source: 'failed call' });
+      } else if (options.probe === false || !probeUrl || !preflight.hasShellAjaxSafePost) {
+        probe = Promise.resolve(null);
+      } else {
+        probe = new Promise(function (resolve) {
+          var timer = setTimeout(function () {
+            resolve({ status: null, responseText: '', source: 'probe timed out' });
+          }, options.timeoutMs || 15000);
+
+          shell.ajaxSafePost({
+            type: 'POST',
+            url: probeUrl,
+            data: { eventData: JSON.stringify({ ActionType: 'Preflight' }) }
+          }).done(function (data, textStatus, jqXHR) {
+            clearTimeout(timer);
+            resolve({ status: jqXHR && jqXHR.status ? jqXHR.status : 200, responseText: '', source: 'probe' });
+          }).fail(function (jqXHR) {
+            clearTimeout(timer);
+            resolve({ status: jqXHR && typeof jqXHR.status === 'number' ? jqXHR.status : null, responseText: jqXHR && jqXHR.responseText ? jqXHR.responseText : '', source: 'probe' });
+          });
+        });
+      }
+
+      var probeCheck = probe.then(function (response) {
+        var items = [
+          { id: 'integrationEnabled', label: 'Cloud flow integration is enabled for the site', category: 'integration-disabled', probed: true },
+          { id: 'flowBinding', label: 'Trigger ID is bound to this site/environment', category: 'not-bound' },
+          { id: 'permission', label: 'Current user may run the flow', category: 'no-permission', probed: true },
+          { id: 'triggerSchema', label: 'Trigger accepts the eventData payload', category: 'schema-mismatch' }
+        ];
+
+        if (!response) {
+          preflight.classification = '';
+          for (var s = 0; s < items.length; s++) {
+            addCheck(items[s].id, items[s].label, 'skip', probeUrl ? 'trigger was not probed' : 'no probe flow configured (GTDDiagnostics.probeFlowUrl)');
+          }
+          return;
+        }
+
+        var category = _ClassifyFlowFailure(response.status, response.responseText);
+        var meta = _ParsePowerPagesErrorMetadata(response.responseText);
+        preflight.classification = category;
+        preflight.probeStatus = response.status;
+        preflight.correlationId = meta.correlationId;
+
+        for (var c = 0; c < items.length; c++) {
+          var item = items[c];
+          //the probe flow tells reachability and permission, only a failed call can tell about this trigger
+          if (response.source !== 'failed call' && !item.probed) {
+            addCheck(item.id, item.label, 'skip', 'not determined by the probe flow');
+          } else if (category === 'ok') {
+            addCheck(item.id, item.label, 'pass', response.source + ' answered ' + response.status);
+          } else if (category === item.category) {
+            addCheck(item.id, item.label, 'fail', response.source + ' answered ' + (response.status || 'no response'));
+          } else {
+            addCheck(item.id, item.label, 'skip', 'not determined (' + category + ')');
+          }
+        }
+
+        //a flow that rejects an anonymous user looks like a binding problem from the outside
+        if (category !== 'ok' && byId.contact && byId.contact.status === 'fail' && byId.permission.status !== 'fail') {
+          byId.permission.status = 'fail';
+          byId.permission.detail = 'no signed in contact';
+        }
+      });
+
+      return Promise.all([tokenCheck, probeCheck]).then(function () {
+        var failed = preflight.checks.filter(function (check) { return check.status === 'fail'; });
+        if (failed.length) {
+          FlowLog.error('_RunPreflightChecks: ' + failed.length + ' check(s) failed', { classification: preflight.classification, checks: preflight.checks });
+        } else {
+          FlowLog.info('_RunPreflightChecks: all checks passed', preflight.checks);
+        }
+        GTDDiagnostics.notify();
+        return preflight;
+      });
+    }
+
      /**
       * SHARED FUNCTION: generic flow transport used to communicate with Power Automate.
-      * Shared functions must only use console logging and return status/results.
+      * Shared functions must only use GTDLog logging and return status/results.
       * @param flowUrl
       * @param payload
       * @returns
       */
 
-    function _GenericFlowHandler(flowUrl, payload) {
+    //options.runDiagnostics:false leaves the preflight to the caller (FlowClient runs it once after its last attempt)
+    function _GenericFlowHandler(flowUrl, payload, options) {
     //https://learn.microsoft.com/en-us/power-pages/configure/cloud-flow-integration
       var startedAt = Date.now();
       var handlerVersion = "DocManVer";
 
-      console.log("_GenericFlowHandler: ver", handlerVersion);
-      console.log("_GenericFlowHandler: flowUrl", flowUrl);
-      console.log("_GenericFlowHandler: payload (raw)", payload);
-      console.log("_GenericFlowHandler: payload typeof", typeof payload);
+      FlowLog.debug("_GenericFlowHandler: ver", handlerVersion);
+      FlowLog.debug("_GenericFlowHandler: flowUrl", flowUrl);
+      FlowLog.debug("_GenericFlowHandler: payload (raw)", payload);
+      FlowLog.debug("_GenericFlowHandler: payload typeof", typeof payload);
 
       var payloadString = "";
       try {
         payloadString = JSON.stringify(payload);
-        console.log("_GenericFlowHandler: payload stringify success", payloadString);
+        FlowLog.debug("_GenericFlowHandler: payload stringify success", payloadString);
       } catch (stringifyError) {
-        console.error("_GenericFlowHandler: payload stringify failed", stringifyError);
+        FlowLog.error("_GenericFlowHandler: payload stringify failed", stringifyError);
       }
 
       //here is the section where we acutally configure what is being sent to the flow
@@ -266,7 +952,7 @@ const GTDCTRLVer = "12.03";
         data: { "eventData": JSON.stringify(payload) },
       };
 
-      console.log("_GenericFlowHandler: requestConfig", {
+      FlowLog.debug("_GenericFlowHandler: requestConfig", {
         type: requestConfig.type,
         contentType: requestConfig.contentType,
         url: requestConfig.url,
@@ -279,7 +965,7 @@ const GTDCTRLVer = "12.03";
       var request = shell.ajaxSafePost(requestConfig);
 
       request.done(function(responseData, textStatus, jqXHR) {
-        console.log("_GenericFlowHandler: DONE", {
+        FlowLog.debug("_GenericFlowHandler: DONE", {
           durationMs: Date.now() - startedAt,
           textStatus: textStatus,
           status: jqXHR && typeof jqXHR.status === "number" ? jqXHR.status : null,
@@ -293,7 +979,7 @@ const GTDCTRLVer = "12.03";
         var errorMeta = _ParsePowerPagesErrorMetadata(responseText);
         var isPowerAutomateErrorView = errorMeta.hasPowerAutomateErrorView;
 
-        console.error("_GenericFlowHandler: FAIL", {
+        FlowLog.error("_GenericFlowHandler: FAIL", {
           durationMs: Date.now() - startedAt,
           textStatus: textStatus,
           errorThrown: errorThrown ? String(errorThrown) : "",
@@ -306,78 +992,4245 @@ const GTDCTRLVer = "12.03";
           flowTrackingId: errorMeta.flowTrackingId
         });
 
-        console.error("_GenericFlowHandler: FAIL response snippet", responseSnippet);
+        FlowLog.error("_GenericFlowHandler: FAIL response snippet", responseSnippet);
 
         if (isPowerAutomateErrorView) {
-          console.error("_GenericFlowHandler: The cloud flow trigger endpoint exists but failed server-side in Power Pages. Check site settings for Power Automate integration, flow binding/permissions, and whether the trigger ID belongs to the current site/environment.");
+          FlowLog.error("_GenericFlowHandler: The cloud flow trigger endpoint exists but failed server-side in Power Pages. Check site settings for Power Automate integration, flow binding/permissions, and whether the trigger ID belongs to the current site/environment.");
         }
         
-        // Run preflight becuase there was an error
-        console.error("_GenericFlowHandler: Running preflight diagnostics due to flow failure");
-        _PreflightCloudFlowCheck(flowUrl, payload);
+        if (options && options.runDiagnostics === false) return;
+
+        // Run preflight becuase there was an error - classify the failed response instead of probing again
+        FlowLog.error("_GenericFlowHandler: Running preflight diagnostics due to flow failure");
+        _RunPreflightChecks(flowUrl, { probePayload: payload, failure: { status: jqXHR && typeof jqXHR.status === "number" ? jqXHR.status : null, responseText: responseText } });
       });
 
-      console.log("_GenericFlowHandler: request sent");
+      FlowLog.debug("_GenericFlowHandler: request sent");
       return request;
     }
 
 ///////////////////////////////////////////////////////
-//PowerPagesListMenuEnhancer is a class used to add controls to the standard list
+//Flow transports - FlowClient sends through one of these
+//send({url, payload, signal}) resolves {ok, status, statusText, data, responseText, getHeader(name)} and never rejects
+//canAbort is true when aborting the signal really cancels the request (FlowClient only retries timeouts then)
+//ShellAjaxTransport (default, Power Pages), FetchTransport (fetch + anti-forgery token), MockTransport (tests / offline pages)
 ///////////////////////////////////////////////////////
-  class PowerPagesListMenuEnhancer {
-    constructor(options) {
-      options = options || {};
-      this.logPrefix = options.logPrefix || "[PowerPagesListMenuEnhancer]";
-      this.triggerSelector = options.triggerSelector || "[data-automation-key='ppNativeListContextualMenu']";
-      this.listKey = options.listKey || null;
-      this.listSelector = options.listSelector || (this.listKey ? "pages-grid[list-id='" + this.escapeCssAttrValue(this.listKey) + "']" : null);
-      this.guidSelector = options.guidSelector || null;
-      this.instanceKey = options.instanceKey || (this.logPrefix + (this.listSelector || "")).replace(/[^a-zA-Z0-9_-]/g, "_");
-      this.pendingRowContext = null;
-      this.menuObserver = null;
-      this.actions = [];
-      this.isAwaitingMenuForClick = false;
-      this.debug = !!options.debug;
-      this.nativeActionsConfig = options.nativeActionsConfig || {};
-      this.nativeActionLabelsToHide = Array.isArray(this.nativeActionsConfig.labelsToHide) ? this.nativeActionsConfig.labelsToHide : [];
-      this.icons = {
-        gear: '<path d="M8 4.754a3.246 3.246 0 1 0 0 6.492 3.246 3.246 0 0 0 0-6.492zM5.754 8a2.246 2.246 0 1 1 4.492 0 2.246 2.246 0 0 1-4.492 0z"/>' +
-          '<path d="M9.796 1.343c-.527-1.79-3.065-1.79-3.592 0l-.094.319a1.873 1.873 0 0 1-2.292 1.226l-.314-.093c-1.79-.527-3.065 1.748-1.933 3.165l.2.25a1.873 1.873 0 0 1 0 2.58l-.2.25c-1.132 1.417.143 3.692 1.933 3.165l.314-.093a1.873 1.873 0 0 1 2.292 1.226l.094.319c.527 1.79 3.065 1.79 3.592 0l.094-.319a1.873 1.873 0 0 1 2.292-1.226l.314.093c1.79.527 3.065-1.748 1.933-3.165l-.2-.25a1.873 1.873 0 0 1 0-2.58l.2-.25c1.132-1.417-.143-3.692-1.933-3.165l-.314.093a1.873 1.873 0 0 1-2.292-1.226l-.094-.319z"/>',
-        pencil: '<path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708L5.207 14.5H2v-3.207z"/><path fill-rule="evenodd" d="M1 13.5V16h2.5l8.793-8.793-2.5-2.5z"/>'
-      };
-      this.ensureStylesInjected();
+  class ShellAjaxTransport {
+    constructor() {
+      //shell.ajaxSafePost cannot be cancelled, so FlowClient never retries a timed out call through it
+      this.canAbort = false;
     }
 
-    log() {
-      var args = Array.prototype.slice.call(arguments);
-      args.unshift(this.logPrefix);
-      console.log.apply(console, args);
+    send(request) {
+      return new Promise(function (resolve) {
+        var jqRequest;
+        try {
+          jqRequest = _GenericFlowHandler(request.url, request.payload, { runDiagnostics: false });
+        } catch (sendError) {
+          resolve({ ok: false, status: null, statusText: sendError && sendError.message ? sendError.message : String(sendError), data: null, responseText: "", getHeader: function () { return null; } });
+          return;
+        }
+
+        //shell.ajaxSafePost returns a deferred without abort(), abort() is only used when present
+        function onAbort() {
+          jqRequest.abort();
+        }
+
+        function stopListening() {
+          if (request.signal) request.signal.removeEventListener("abort", onAbort);
+        }
+
+        if (request.signal && typeof jqRequest.abort === "function") {
+          request.signal.addEventListener("abort", onAbort, { once: true });
+        }
+
+        jqRequest.done(function (responseData, textStatus, jqXHR) {
+          stopListening();
+          resolve({
+            ok: true,
+            status: jqXHR && typeof jqXHR.status === "number" ? jqXHR.status : 200,
+            statusText: textStatus || "",
+            data: responseData,
+            responseText: jqXHR && typeof jqXHR.responseText === "string" ? jqXHR.responseText : "",
+            getHeader: function (name) {
+              return jqXHR && typeof jqXHR.getResponseHeader === "function" ? jqXHR.getResponseHeader(name) : null;
+            }
+          });
+        });
+
+        jqRequest.fail(function (jqXHR, textStatus, errorThrown) {
+          stopListening();
+          var responseText = jqXHR && typeof jqXHR.responseText === "string" ? jqXHR.responseText : "";
+          resolve({
+            ok: false,
+            status: jqXHR && typeof jqXHR.status === "number" && jqXHR.status ? jqXHR.status : null,
+            statusText: errorThrown ? String(errorThrown) : (textStatus || ""),
+            data: responseText,
+            responseText: responseText,
+            getHeader: function (name) {
+              return jqXHR && typeof jqXHR.getResponseHeader === "function" ? jqXHR.getResponseHeader(name) : null;
+            }
+          });
+        });
+      });
     }
+  }
 
-    debugLog() {
-      if (!this.debug) return;
-      var args = Array.prototype.slice.call(arguments);
-      args.unshift(this.logPrefix);
-      args.unshift("[debug]");
-      console.log.apply(console, args);
+  class FetchTransport {
+    constructor(options) {
+      options = options || {};
+      this.baseUrl = options.baseUrl || "";
+      this.getToken = typeof options.getToken === "function" ? options.getToken : _GetAntiForgeryToken;
+      this.fetchImpl = options.fetch || (typeof fetch === "function" ? fetch.bind(typeof window !== "undefined" ? window : null) : null);
+      this.tokenPromise = null;
+      this.canAbort = true;
     }
 
-    normalizeText(value) {
-      return String(value || "").replace(/\s+/g, " ").trim().toLowerCase();
+    send(request) {
+      var self = this;
+      if (!this.fetchImpl) {
+        return Promise.resolve({ ok: false, status: null, statusText: "fetch is not available", data: null, responseText: "", getHeader: function () { return null; } });
+      }
+
+      if (!this.tokenPromise) {
+        this.tokenPromise = this.getToken();
+      }
+
+      return this.tokenPromise.then(function (token) {
+        var headers = { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8", "X-Requested-With": "XMLHttpRequest" };
+        if (token) headers.__RequestVerificationToken = token;
+
+        FlowLog.debug("FetchTransport: POST", request.url, request.payload);
+
+        return self.fetchImpl(self.baseUrl + request.url, {
+          method: "POST",
+          credentials: "same-origin",
+          headers: headers,
+          body: "eventData=" + encodeURIComponent(JSON.stringify(request.payload)),
+          signal: request.signal || undefined
+        });
+      }).then(function (response) {
+        return response.text().then(function (text) {
+          if (!response.ok) {
+            //a stale token is the usual cause of a 403, fetch a new one for the next call
+            if (response.status === 403) self.tokenPromise = null;
+            FlowLog.error("FetchTransport: FAIL", { url: request.url, status: response.status, responseText: text.substring(0, 700) });
+          }
+
+          return {
+            ok: response.ok,
+            status: response.status,
+            statusText: response.statusText || "",
+            data: text,
+            responseText: text,
+            getHeader: function (name) {
+              return response.headers ? response.headers.get(name) : null;
+            }
+          };
+        });
+      }).catch(function (error) {
+        return { ok: false, status: null, statusText: error && error.message ? error.message : String(error), data: null, responseText: "", getHeader: function () { return null; } };
+      });
     }
+  }
 
-    decodeUriSafe(value) {
-      if (value == null) return "";
-      var text = String(value);
-      try {
-        return decodeURIComponent(text);
-      } catch (e) {
-        return text;
+  class MockTransport {
+    constructor(routes) {
+      this.canAbort = true;
+      this.routes = [];
+      this.requests = [];
+      this.fallback = { status: 404, data: "No mock response for this request" };
+      if (Array.isArray(routes)) {
+        for (var i = 0; i < routes.length; i++) {
+          this.respond(routes[i].match, routes[i].response, routes[i]);
+        }
       }
     }
 
-    formatCompactGuid(compact) {
-      var normalized = String(compact || "").replace(/[^0-9a-fA-F]/g, "");
+    /**
+    * Scripts a response. match is a flow url, RegExp, or function(request) returning true.
+    * response is {status, data, headers, delayMs} or function(request) returning one.
+    * With options.times the route is used that many times and then removed.
+    * @returns {MockTransport}
+    */
+    respond(match, response, options) {
+      options = options || {};
+      this.routes.push({ match: match, response: response, times: typeof options.times === "number" ? options.times : Infinity });
+      return this;
+    }
+
+    respondOnce(match, response) {
+      return this.respond(match, response, { times: 1 });
+    }
+
+    matches(route, request) {
+      if (route.match == null) return true;
+      if (typeof route.match === "function") return !!route.match(request);
+      if (route.match instanceof RegExp) return route.match.test(request.url);
+      return route.match === request.url;
+    }
+
+    reset() {
+      this.routes = [];
+      this.requests = [];
+      return this;
+    }
+
+    send(request) {
+      var route = null;
+      for (var i = 0; i < this.routes.length; i++) {
+        if (this.matches(this.routes[i], request)) {
+          route = this.routes[i];
+          break;
+        }
+      }
+
+      this.requests.push({ url: request.url, payload: request.payload, time: Date.now() });
+
+      if (route) {
+        route.times--;
+        if (route.times <= 0) this.routes.splice(this.routes.indexOf(route), 1);
+      }
+
+      var scripted = route ? (typeof route.response === "function" ? route.response(request) : route.response) : this.fallback;
+      scripted = scripted || {};
+      var status = typeof scripted.status === "number" ? scripted.status : 200;
+      var data = scripted.data === undefined ? null : scripted.data;
+      var responseText = typeof data === "string" ? data : (data == null ? "" : JSON.stringify(data));
+      var headers = scripted.headers || {};
+      var result = {
+        ok: status >= 200 && status < 300,
+        status: status || null,
+        statusText: scripted.statusText || "",
+        data: data,
+        responseText: responseText,
+        getHeader: function (name) {
+          var keys = Object.keys(headers);
+          for (var h = 0; h < keys.length; h++) {
+            if (keys[h].toLowerCase() === String(name).toLowerCase()) return headers[keys[h]];
+          }
+          return null;
+        }
+      };
+
+      return new Promise(function (resolve) {
+        if (!scripted.delayMs) {
+          resolve(result);
+          return;
+        }
+
+        var timer = setTimeout(function () {
+          resolve(result);
+        }, scripted.delayMs);
+
+        if (request.signal) {
+          request.signal.addEventListener("abort", function () {
+            clearTimeout(timer);
+            resolve({ ok: false, status: null, statusText: "aborted", data: null, responseText: "", getHeader: function () { return null; } });
+          });
+        }
+      });
+    }
+  }
+
+///////////////////////////////////////////////////////
+//FlowClient wraps a flow transport (shell.ajaxSafePost by default) in native Promises
+//adds timeout, retry with backoff for idempotent actions and AbortSignal cancellation
+///////////////////////////////////////////////////////
+  class FlowClient {
+    constructor(options) {
+      options = options || {};
+      this.timeoutMs = typeof options.timeoutMs === "number" ? options.timeoutMs : 30000;
+      this.retries = typeof options.retries === "number" ? options.retries : 3;
+      this.retryDelayMs = typeof options.retryDelayMs === "number" ? options.retryDelayMs : 500;
+      this.maxRetryDelayMs = typeof options.maxRetryDelayMs === "number" ? options.maxRetryDelayMs : 8000;
+      this.retryStatuses = Array.isArray(options.retryStatuses) ? options.retryStatuses : [408, 429, 500, 502, 503, 504];
+      this.transport = options.transport || new ShellAjaxTransport();
+      this.runDiagnostics = options.runDiagnostics !== false;
+    }
+
+    /**
+    * Calls a cloud flow. The promise never rejects for flow failures: check result.ok.
+    * A call that still fails after its last attempt runs the preflight checks once (runDiagnostics:false turns that off).
+    * @param {string} flowUrl
+    * @param {any} payload
+    * @param {{idempotent?:boolean, retries?:number, timeoutMs?:number, signal?:AbortSignal, flowName?:string}} options
+    * @returns {Promise<{ok:boolean, status:number|null, data:any, correlationId:string, flowTrackingId:string, durationMs:number, attempts:number, error:{reason:string, message:string}|null}>}
+    */
+    invoke(flowUrl, payload, options) {
+      options = options || {};
+      var self = this;
+      var startedAt = Date.now();
+      var retries = typeof options.retries === "number" ? options.retries : this.retries;
+      var maxAttempts = options.idempotent ? retries + 1 : 1;
+      var timeoutMs = typeof options.timeoutMs === "number" ? options.timeoutMs : this.timeoutMs;
+      var signal = options.signal || null;
+      var attempt = 0;
+
+      var lastResponseText = "";
+
+      function run() {
+        attempt++;
+        return self.send(flowUrl, payload, timeoutMs, signal).then(function (outcome) {
+          lastResponseText = outcome.responseText || "";
+          if (outcome.ok || attempt >= maxAttempts || !self.isRetryable(outcome)) {
+            return self.finalizeResult(outcome, startedAt, attempt);
+          }
+
+          var delay = self.getRetryDelay(attempt, outcome);
+          FlowLog.warn("FlowClient: retrying", { flowUrl: flowUrl, attempt: attempt, status: outcome.status, reason: outcome.error ? outcome.error.reason : "", delayMs: delay });
+
+          return self.wait(delay, signal).then(run, function () {
+            return self.finalizeResult(self.createAbortOutcome(), startedAt, attempt);
+          });
+        });
+      }
+
+      return run().then(function (result) {
+        if (self.runDiagnostics && typeof window !== "undefined" && result.error && (result.error.reason === "http" || result.error.reason === "network")) {
+          FlowLog.error("FlowClient: Running preflight diagnostics due to flow failure", { flowUrl: flowUrl, attempts: result.attempts });
+          _RunPreflightChecks(flowUrl, { probePayload: payload, failure: { status: result.status, responseText: lastResponseText } });
+        }
+        GTDDiagnostics.recordCall({
+          flowName: options.flowName || "",
+          flowUrl: flowUrl,
+          ok: result.ok,
+          status: result.status,
+          reason: result.error ? result.error.reason : "",
+          durationMs: result.durationMs,
+          attempts: result.attempts,
+          correlationId: result.correlationId,
+          flowTrackingId: result.flowTrackingId
+        });
+        return result;
+      });
+    }
+
+    send(flowUrl, payload, timeoutMs, signal) {
+      var self = this;
+
+      if (signal && signal.aborted) {
+        return Promise.resolve(this.createAbortOutcome());
+      }
+
+      return new Promise(function (resolve) {
+        var settled = false;
+        var timer = null;
+        var controller = typeof AbortController === "function" ? new AbortController() : null;
+
+        function settle(outcome) {
+          if (settled) return;
+          settled = true;
+          if (timer) clearTimeout(timer);
+          if (signal) signal.removeEventListener("abort", onAbort);
+          resolve(outcome);
+        }
+
+        //transports that cannot abort (shell.ajaxSafePost) are only abandoned here
+        function abandon(outcome) {
+          settle(outcome);
+          if (controller) controller.abort();
+        }
+
+        function onAbort() {
+          abandon(self.createAbortOutcome());
+        }
+
+        if (signal) signal.addEventListener("abort", onAbort);
+
+        if (timeoutMs > 0) {
+          timer = setTimeout(function () {
+            abandon({ ok: false, status: null, data: null, correlationId: "", flowTrackingId: "", retryAfterMs: 0, error: { reason: "timeout", message: "Flow call timed out after " + timeoutMs + "ms" } });
+          }, timeoutMs);
+        }
+
+        var sending;
+        try {
+          sending = self.transport.send({ url: flowUrl, payload: payload, signal: controller ? controller.signal : null });
+        } catch (sendError) {
+          settle({ ok: false, status: null, data: null, correlationId: "", flowTrackingId: "", retryAfterMs: 0, error: { reason: "network", message: sendError && sendError.message ? sendError.message : String(sendError) } });
+          return;
+        }
+
+        sending.then(function (response) {
+          var responseText = typeof response.responseText === "string" ? response.responseText : "";
+          var meta = _ParsePowerPagesErrorMetadata(responseText);
+
+          if (response.ok) {
+            settle({
+              ok: true,
+              status: response.status || 200,
+              data: self.parseResponseData(response.data),
+              correlationId: meta.correlationId,
+              flowTrackingId: meta.flowTrackingId,
+              retryAfterMs: 0,
+              error: null
+            });
+            return;
+          }
+
+          settle({
+            ok: false,
+            status: response.status || null,
+            data: self.parseResponseData(responseText),
+            correlationId: meta.correlationId,
+            flowTrackingId: meta.flowTrackingId,
+            retryAfterMs: self.getRetryAfterMs(response),
+            responseText: responseText,
+            error: {
+              reason: response.status ? "http" : "network",
+              message: response.statusText || "Flow call failed"
+            }
+          });
+        }, function (transportError) {
+          settle({ ok: false, status: null, data: null, correlationId: "", flowTrackingId: "", retryAfterMs: 0, error: { reason: "network", message: transportError && transportError.message ? transportError.message : String(transportError) } });
+        });
+      });
+    }
+
+    parseResponseData(responseData) {
+      if (typeof responseData !== "string") return responseData == null ? null : responseData;
+
+      var text = responseData.trim();
+      if (text.charAt(0) !== "{" && text.charAt(0) !== "[") return responseData;
+
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return responseData;
+      }
+    }
+
+    getRetryAfterMs(response) {
+      if (!response || typeof response.getHeader !== "function") return 0;
+
+      var header = response.getHeader("Retry-After");
+      if (!header) return 0;
+
+      var seconds = Number(header);
+      if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+      var date = Date.parse(header);
+      return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+    }
+
+    /**
+    * A timed out call is only retried when the transport can cancel it (canAbort), otherwise the first
+    * flow run may still be in flight and a retry would start a second one.
+    */
+    isRetryable(outcome) {
+      if (!outcome || outcome.ok || !outcome.error) return false;
+      if (outcome.error.reason === "timeout") return this.transport.canAbort === true;
+      if (outcome.error.reason === "network") return true;
+      return outcome.error.reason === "http" && this.retryStatuses.indexOf(outcome.status) !== -1;
+    }
+
+    getRetryDelay(attempt, outcome) {
+      var backoff = Math.min(this.maxRetryDelayMs, this.retryDelayMs * Math.pow(2, attempt - 1));
+      var jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+      return Math.max(jittered, outcome && outcome.retryAfterMs ? outcome.retryAfterMs : 0);
+    }
+
+    wait(delayMs, signal) {
+      return new Promise(function (resolve, reject) {
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+
+        var timer = setTimeout(function () {
+          if (signal) signal.removeEventListener("abort", onAbort);
+          resolve();
+        }, delayMs);
+
+        function onAbort() {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }
+
+        if (signal) signal.addEventListener("abort", onAbort);
+      });
+    }
+
+    createAbortOutcome() {
+      return { ok: false, status: null, data: null, correlationId: "", flowTrackingId: "", retryAfterMs: 0, error: { reason: "aborted", message: "Flow call was cancelled" } };
+    }
+
+    finalizeResult(outcome, startedAt, attempts) {
+      return {
+        ok: !!outcome.ok,
+        status: outcome.status,
+        data: outcome.data,
+        correlationId: outcome.correlationId || "",
+        flowTrackingId: outcome.flowTrackingId || "",
+        durationMs: Date.now() - startedAt,
+        attempts: attempts,
+        error: outcome.error || null
+      };
+    }
+  }
+
+  const DocManFlowClient = new FlowClient();
+
+///////////////////////////////////////////////////////
+//FlowRegistry maps logical flow names (UpdateDocCat etc) to trigger IDs per environment
+//config comes from configure(json) or a data-gtd-flows attribute / json script block on the page
+///////////////////////////////////////////////////////
+  class FlowRegistry {
+    constructor(options) {
+      options = options || {};
+      this.flowClient = options.flowClient || DocManFlowClient;
+      this.environment = options.environment || null;
+      this.flows = {};
+      this.enums = {};
+      this.pageConfigLoaded = !!options.skipPageConfig;
+    }
+
+    /**
+    * Registers (or overrides) a named flow.
+    * @param {string} name
+    * @param {string|{triggerId:string, actionType?:string, idempotent?:boolean, payloadSchema?:object, responseSchema?:object}} config
+    * @returns {FlowRegistry}
+    */
+    register(name, config) {
+      if (!name) {
+        throw new Error("Flow registration must include a name");
+      }
+
+      if (typeof config === "string") {
+        config = { triggerId: config };
+      }
+      config = config || {};
+
+      var existing = this.flows[name] || {};
+      var entry = Object.assign({}, existing, config, { name: name });
+
+      if (!entry.triggerId || !/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(entry.triggerId)) {
+        throw new Error("Flow '" + name + "' must include a triggerId GUID");
+      }
+
+      this.flows[name] = entry;
+      return this;
+    }
+
+    registerAll(map) {
+      var names = Object.keys(map || {});
+      for (var i = 0; i < names.length; i++) {
+        this.register(names[i], map[names[i]]);
+      }
+      return this;
+    }
+
+    /**
+    * Applies a JSON config. Environment specific flows override the base flows.
+    * {"environment":"dev", "flows":{...}, "enums":{"DocCategory":[...]}, "environments":{"dev":{"flows":{...}}, "contoso.powerappsportals.com":{"flows":{...}}}}
+    * Without an explicit environment the page hostname is used to pick the environment block.
+    * @param {object|string} config
+    * @returns {FlowRegistry}
+    */
+    configure(config) {
+      if (typeof config === "string") {
+        config = JSON.parse(config);
+      }
+      if (!config || typeof config !== "object") return this;
+
+      if (config.environment) {
+        this.environment = config.environment;
+      }
+
+      //a bare {"UpdateDocCat":"guid"} map is accepted as well as {"flows":{...}}
+      var hasSections = config.flows || config.environments || config.environment || config.enums;
+      this.registerAll(hasSections ? config.flows : config);
+      this.setEnums(config.enums);
+
+      var environments = config.environments || {};
+      var environmentName = this.getEnvironmentName();
+      if (environmentName && environments[environmentName]) {
+        var environmentConfig = environments[environmentName];
+        this.registerAll(environmentConfig.flows || (environmentConfig.enums ? null : environmentConfig));
+        this.setEnums(environmentConfig.enums);
+      }
+
+      return this;
+    }
+
+    /**
+    * Sets named enum lists referenced by schemas, e.g. {"DocCategory":["Invoice","Contract"]}.
+    * @param {object} enums
+    * @returns {FlowRegistry}
+    */
+    setEnums(enums) {
+      var names = Object.keys(enums || {});
+      for (var i = 0; i < names.length; i++) {
+        if (Array.isArray(enums[names[i]])) {
+          this.enums[names[i]] = enums[names[i]].slice();
+        }
+      }
+      return this;
+    }
+
+    getEnvironmentName() {
+      if (this.environment) return this.environment;
+      return typeof window !== "undefined" && window.location ? window.location.hostname : "";
+    }
+
+    configureFromPage(root) {
+      this.pageConfigLoaded = true;
+      if (typeof document === "undefined") return this;
+
+      root = root || document;
+      var environmentHost = root.querySelector ? root.querySelector("[data-gtd-environment]") : null;
+      if (environmentHost && !this.environment) {
+        this.environment = environmentHost.getAttribute("data-gtd-environment");
+      }
+
+      var sources = root.querySelectorAll ? root.querySelectorAll("[data-gtd-flows]") : [];
+      for (var i = 0; i < sources.length; i++) {
+        var source = sources[i];
+        var raw = source.tagName === "SCRIPT" ? source.textContent : source.getAttribute("data-gtd-flows");
+        if (!raw) continue;
+
+        try {
+          this.configure(raw);
+        } catch (configError) {
+          FlowLog.error("FlowRegistry: invalid data-gtd-flows config", configError);
+        }
+      }
+
+      return this;
+    }
+
+    ensurePageConfig() {
+      if (!this.pageConfigLoaded) {
+        this.configureFromPage();
+      }
+    }
+
+    has(name) {
+      this.ensurePageConfig();
+      return !!this.flows[name];
+    }
+
+    get(name) {
+      this.ensurePageConfig();
+      var entry = this.flows[name];
+      if (!entry) {
+        throw new Error("Flow '" + name + "' is not registered");
+      }
+      return entry;
+    }
+
+    getFlowUrl(name) {
+      return "/_api/cloudflow/v1.0/trigger/" + this.get(name).triggerId;
+    }
+
+    buildPayload(name, payload) {
+      var entry = this.get(name);
+      var body = Object.assign({}, payload || {});
+      if (entry.actionType && body.ActionType === undefined) {
+        body.ActionType = entry.actionType;
+      }
+      return body;
+    }
+
+    validatePayload(name, payload) {
+      return _ValidateSchema(payload, this.get(name).payloadSchema, { path: "payload", enums: this.enums });
+    }
+
+    validateResponse(name, data) {
+      return _ValidateSchema(data, this.get(name).responseSchema, { path: "response", enums: this.enums });
+    }
+
+    /**
+    * Invokes a registered flow by name. Resolves like FlowClient.invoke; an invalid payload
+    * resolves with ok:false and error.reason 'invalid-payload' without sending anything.
+    * @param {string} name
+    * @param {object} payload
+    * @param {object} options FlowClient.invoke options
+    * @returns {Promise<object>}
+    */
+    invoke(name, payload, options) {
+      var entry;
+      try {
+        entry = this.get(name);
+      } catch (lookupError) {
+        return Promise.resolve(this.createErrorResult("not-registered", lookupError.message, []));
+      }
+
+      var body = this.buildPayload(name, payload);
+      var payloadCheck = this.validatePayload(name, body);
+      if (!payloadCheck.valid) {
+        FlowLog.error("FlowRegistry: payload rejected for " + name, payloadCheck.errors);
+        GTDDiagnostics.recordCall({ flowName: name, flowUrl: this.getFlowUrl(name), ok: false, status: null, reason: "invalid-payload", durationMs: 0, attempts: 0, correlationId: "", flowTrackingId: "" });
+        return Promise.resolve(this.createErrorResult("invalid-payload", "Payload for '" + name + "' failed validation", payloadCheck.errors));
+      }
+
+      var self = this;
+      var invokeOptions = Object.assign({ idempotent: !!entry.idempotent, flowName: name }, options);
+
+      return this.flowClient.invoke(this.getFlowUrl(name), body, invokeOptions).then(function (result) {
+        if (!result.ok) return result;
+
+        var responseCheck = self.validateResponse(name, result.data);
+        if (responseCheck.valid) return result;
+
+        FlowLog.error("FlowRegistry: unexpected response from " + name, responseCheck.errors);
+        return Object.assign({}, result, {
+          ok: false,
+          error: { reason: "invalid-response", message: "Response from '" + name + "' did not match the expected shape", errors: responseCheck.errors }
+        });
+      });
+    }
+
+    createErrorResult(reason, message, errors) {
+      return { ok: false, status: null, data: null, correlationId: "", flowTrackingId: "", durationMs: 0, attempts: 0, error: { reason: reason, message: message, errors: errors } };
+    }
+  }
+
+  //defaults point at the DocMan flow, override per environment with configure() or data-gtd-flows
+  const DocManFlows = new FlowRegistry().registerAll({
+    UpdateDocCat: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "UpdateDocCat",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "DocCategory", "DocManRowGuid"],
+        properties: {
+          ActionType: { type: "string", enum: ["UpdateDocCat"] },
+          DocCategory: { type: "string", enum: "DocCategory" },
+          AccGUID: { type: "string", format: "guid", allowEmpty: true },
+          DocManRowGuid: { type: "string", format: "guid" }
+        }
+      }
+    },
+    GetUploadSas: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "GetUploadSas",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "FileName", "FileSize"],
+        properties: {
+          ActionType: { type: "string", enum: ["GetUploadSas"] },
+          FileName: { type: "string" },
+          FileSize: { type: "integer", minimum: 0 },
+          ContentType: { type: "string" },
+          DocCategory: { type: "string", enum: "DocCategory", allowEmpty: true },
+          AccGUID: { type: "string", format: "guid", allowEmpty: true },
+          GroupGuid: { type: "string", format: "guid", allowEmpty: true },
+          BlobUrl: { type: "string" }
+        }
+      }
+    },
+    CreateDocGroup: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "CreateDocGroup",
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "FileCount"],
+        properties: {
+          ActionType: { type: "string", enum: ["CreateDocGroup"] },
+          DocCategory: { type: "string", enum: "DocCategory", allowEmpty: true },
+          AccGUID: { type: "string", format: "guid", allowEmpty: true },
+          FileCount: { type: "integer", minimum: 1 }
+        }
+      },
+      responseSchema: {
+        type: "object",
+        required: ["GroupGuid"],
+        properties: {
+          GroupGuid: { type: "string", format: "guid" }
+        }
+      }
+    },
+    CreateDocRow: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "CreateDocRow",
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "FileName", "BlobUrl"],
+        properties: {
+          ActionType: { type: "string", enum: ["CreateDocRow"] },
+          FileName: { type: "string" },
+          FileSize: { type: "integer", minimum: 0 },
+          ContentType: { type: "string" },
+          BlobUrl: { type: "string" },
+          DocCategory: { type: "string", enum: "DocCategory", allowEmpty: true },
+          AccGUID: { type: "string", format: "guid", allowEmpty: true },
+          GroupGuid: { type: "string", format: "guid", allowEmpty: true }
+        }
+      },
+      responseSchema: { type: "object" }
+    },
+    GetDocument: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "GetDocument",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "DocManRowGuid"],
+        properties: {
+          ActionType: { type: "string", enum: ["GetDocument"] },
+          DocManRowGuid: { type: "string", format: "guid" }
+        }
+      },
+      responseSchema: { type: "object" }
+    },
+    RenameDoc: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "RenameDoc",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "DocManRowGuid", "FileName"],
+        properties: {
+          ActionType: { type: "string", enum: ["RenameDoc"] },
+          DocManRowGuid: { type: "string", format: "guid" },
+          FileName: { type: "string", maxLength: 255 }
+        }
+      }
+    },
+    MoveDoc: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "MoveDoc",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "DocManRowGuid", "AccGUID"],
+        properties: {
+          ActionType: { type: "string", enum: ["MoveDoc"] },
+          DocManRowGuid: { type: "string", format: "guid" },
+          AccGUID: { type: "string", format: "guid" }
+        }
+      }
+    },
+    SoftDeleteDoc: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "SoftDeleteDoc",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "DocManRowGuid"],
+        properties: {
+          ActionType: { type: "string", enum: ["SoftDeleteDoc"] },
+          DocManRowGuid: { type: "string", format: "guid" }
+        }
+      }
+    },
+    RestoreDoc: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "RestoreDoc",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "DocManRowGuid"],
+        properties: {
+          ActionType: { type: "string", enum: ["RestoreDoc"] },
+          DocManRowGuid: { type: "string", format: "guid" }
+        }
+      }
+    },
+    ListDocsByAccount: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "ListDocsByAccount",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "AccGUID"],
+        properties: {
+          ActionType: { type: "string", enum: ["ListDocsByAccount"] },
+          AccGUID: { type: "string", format: "guid" },
+          DocCategory: { type: "string", enum: "DocCategory", allowEmpty: true },
+          IncludeDeleted: { type: "boolean" }
+        }
+      }
+    },
+    GetReadSas: {
+      triggerId: DocManDefaultTriggerId,
+      actionType: "GetReadSas",
+      idempotent: true,
+      payloadSchema: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ActionType", "DocManRowGuid"],
+        properties: {
+          ActionType: { type: "string", enum: ["GetReadSas"] },
+          DocManRowGuid: { type: "string", format: "guid" },
+          Disposition: { type: "string", enum: ["inline", "attachment"] }
+        }
+      }
+    }
+  });
+
+///////////////////////////////////////////////////////
+//FlowOutbox keeps flow actions that could not be sent (offline / network failure)
+//pending payloads are stored in IndexedDB and replayed in order when the browser is back online,
+//or with a backoff timer when the connection is up but the flow timed out / could not be reached.
+//IndexedDB is only opened once something is queued or a marker in localStorage says work is pending.
+///////////////////////////////////////////////////////
+  class FlowOutbox {
+    constructor(options) {
+      options = options || {};
+      this.flows = options.flows || DocManFlows;
+      this.dbName = options.dbName || "gtdFlowOutbox";
+      this.storeName = options.storeName || "outbox";
+      this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== "undefined" ? localStorage : null);
+      this.retryDelayMs = typeof options.retryDelayMs === "number" ? options.retryDelayMs : 5000;
+      this.maxRetryDelayMs = typeof options.maxRetryDelayMs === "number" ? options.maxRetryDelayMs : 5 * 60 * 1000;
+      this.retryCount = 0;
+      this.retryTimer = null;
+      this.dbPromise = null;
+      this.memoryItems = null;
+      this.memorySequence = 0;
+      this.items = [];
+      this.listeners = [];
+      this.isReplaying = false;
+      this.started = false;
+      this.onOnline = this.onBackOnline.bind(this);
+      if (options.autoStart !== false) {
+        this.start();
+      }
+    }
+
+    start() {
+      if (this.started || typeof window === "undefined" || typeof window.addEventListener !== "function") return this;
+      this.started = true;
+
+      var self = this;
+      window.addEventListener("online", this.onOnline);
+      if (!this.hasStoredItems()) return this;
+
+      this.refresh().then(function () {
+        if (self.items.length && self.isOnline()) {
+          self.replay();
+        }
+      });
+      return this;
+    }
+
+    onBackOnline() {
+      if (!this.dbPromise && !this.hasStoredItems()) return;
+      this.retryCount = 0;
+      this.replay();
+    }
+
+    //marker written by refresh() so a page load does not open IndexedDB just to find an empty queue
+    hasStoredItems() {
+      if (!this.storage) return true;
+      try {
+        return this.storage.getItem(this.dbName + ":pending") === "1";
+      } catch (e) {
+        return true;
+      }
+    }
+
+    setStoredItemsMarker(hasItems) {
+      if (!this.storage) return;
+      try {
+        if (hasItems) {
+          this.storage.setItem(this.dbName + ":pending", "1");
+        } else {
+          this.storage.removeItem(this.dbName + ":pending");
+        }
+      } catch (e) {
+        FlowLog.debug("FlowOutbox: could not update the pending marker", e);
+      }
+    }
+
+    scheduleRetry() {
+      if (this.retryTimer) return;
+
+      var self = this;
+      var delay = Math.min(this.maxRetryDelayMs, this.retryDelayMs * Math.pow(2, this.retryCount));
+      this.retryCount++;
+      FlowLog.info("FlowOutbox: retrying pending actions", { delayMs: delay, attempt: this.retryCount });
+      this.retryTimer = setTimeout(function () {
+        self.retryTimer = null;
+        self.replay();
+      }, delay);
+    }
+
+    cancelRetry() {
+      if (this.retryTimer) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+      }
+    }
+
+    isOnline() {
+      return typeof navigator === "undefined" || navigator.onLine !== false;
+    }
+
+    /**
+    * True when a failed flow result is worth queueing (connection problem rather than a flow error).
+    * @param {object} result FlowClient / FlowRegistry result
+    * @returns {boolean}
+    */
+    isQueueable(result) {
+      if (!result || result.ok || !result.error) return false;
+      return result.error.reason === "network" || result.error.reason === "timeout" || !this.isOnline();
+    }
+
+    openDb() {
+      if (this.dbPromise) return this.dbPromise;
+
+      var self = this;
+      if (typeof indexedDB === "undefined") {
+        FlowLog.warn("FlowOutbox: IndexedDB not available, pending actions are kept in memory only");
+        this.memoryItems = [];
+        this.dbPromise = Promise.resolve(null);
+        return this.dbPromise;
+      }
+
+      this.dbPromise = new Promise(function (resolve) {
+        var request;
+        try {
+          request = indexedDB.open(self.dbName, 1);
+        } catch (openError) {
+          FlowLog.error("FlowOutbox: could not open IndexedDB, using memory", openError);
+          self.memoryItems = [];
+          resolve(null);
+          return;
+        }
+        request.onupgradeneeded = function () {
+          request.result.createObjectStore(self.storeName, { keyPath: "id", autoIncrement: true });
+        };
+        request.onsuccess = function () {
+          resolve(request.result);
+        };
+        request.onerror = function () {
+          FlowLog.error("FlowOutbox: could not open IndexedDB, using memory", request.error);
+          self.memoryItems = [];
+          resolve(null);
+        };
+      });
+
+      return this.dbPromise;
+    }
+
+    withStore(mode, work) {
+      var self = this;
+      return this.openDb().then(function (db) {
+        if (!db) {
+          return work(null);
+        }
+
+        return new Promise(function (resolve, reject) {
+          var tx = db.transaction(self.storeName, mode);
+          var result = work(tx.objectStore(self.storeName));
+          tx.oncomplete = function () {
+            resolve(result && result.readyState ? result.result : result);
+          };
+          tx.onerror = function () {
+            reject(tx.error);
+          };
+        });
+      });
+    }
+
+    readAll() {
+      var self = this;
+      return this.withStore("readonly", function (store) {
+        if (!store) return self.memoryItems.slice();
+        return store.getAll();
+      }).then(function (items) {
+        return (items || []).sort(function (a, b) { return a.id - b.id; });
+      });
+    }
+
+    put(item) {
+      var self = this;
+      return this.withStore("readwrite", function (store) {
+        if (!store) {
+          if (!item.id) {
+            item.id = ++self.memorySequence;
+            self.memoryItems.push(item);
+          } else {
+            for (var i = 0; i < self.memoryItems.length; i++) {
+              if (self.memoryItems[i].id === item.id) self.memoryItems[i] = item;
+            }
+          }
+          return item.id;
+        }
+        if (!item.id) delete item.id;
+        return store.put(item);
+      });
+    }
+
+    remove(id) {
+      var self = this;
+      return this.withStore("readwrite", function (store) {
+        if (!store) {
+          self.memoryItems = self.memoryItems.filter(function (item) { return item.id !== id; });
+          return;
+        }
+        store.delete(id);
+      });
+    }
+
+    /**
+    * Removes or rewrites an entry after a replay attempt, but only while the stored entry is still the
+    * version that was sent. An enqueue() that replaced the payload in the meantime wins and stays pending.
+    * @param {object} item the entry as it was sent
+    * @param {boolean} removeIt
+    * @returns {Promise}
+    */
+    settle(item, removeIt) {
+      var self = this;
+      return this.withStore("readwrite", function (store) {
+        if (!store) {
+          var current = null;
+          for (var i = 0; i < self.memoryItems.length; i++) {
+            if (self.memoryItems[i].id === item.id) current = self.memoryItems[i];
+          }
+          if (!current || current.version !== item.version) return;
+          if (removeIt) {
+            self.memoryItems = self.memoryItems.filter(function (stored) { return stored.id !== item.id; });
+          } else {
+            self.memoryItems[self.memoryItems.indexOf(current)] = item;
+          }
+          return;
+        }
+
+        var request = store.get(item.id);
+        request.onsuccess = function () {
+          if (!request.result || request.result.version !== item.version) return;
+          if (removeIt) {
+            store.delete(item.id);
+          } else {
+            store.put(item);
+          }
+        };
+      });
+    }
+
+    /**
+    * Queues a named flow action. A pending action with the same name and dedupeKey is replaced
+    * in place, so only the latest update per DocMan row is replayed.
+    * @param {string} name FlowRegistry name
+    * @param {object} payload
+    * @param {{dedupeKey?:string}} options
+    * @returns {Promise<object>} the stored entry
+    */
+    enqueue(name, payload, options) {
+      options = options || {};
+      var self = this;
+      var dedupeKey = options.dedupeKey || "";
+
+      return this.readAll().then(function (items) {
+        var entry = null;
+        if (dedupeKey) {
+          for (var i = 0; i < items.length; i++) {
+            if (items[i].name === name && items[i].dedupeKey === dedupeKey) {
+              entry = items[i];
+              break;
+            }
+          }
+        }
+
+        if (entry) {
+          entry.payload = payload;
+          entry.version = (entry.version || 0) + 1;
+          entry.updatedAt = new Date().toISOString();
+          entry.status = "pending";
+          entry.lastError = null;
+        } else {
+          entry = { name: name, payload: payload, dedupeKey: dedupeKey, status: "pending", version: 1, attempts: 0, lastError: null, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+        }
+
+        return self.put(entry).then(function (id) {
+          entry.id = id;
+          FlowLog.info("FlowOutbox: queued", { name: name, dedupeKey: dedupeKey, id: id });
+          return self.refresh();
+        }).then(function () {
+          return entry;
+        });
+      });
+    }
+
+    /**
+    * Sends pending actions in order. Stops at the first connection failure and retries later with
+    * a backoff; actions the flow rejects are marked failed and kept so the UI can show them.
+    * @returns {Promise<{sent:number, failed:number, pending:number}>}
+    */
+    replay() {
+      if (this.isReplaying) return Promise.resolve(this.getState());
+
+      var self = this;
+      var sent = 0;
+      var failed = 0;
+      var stalled = false;
+      this.cancelRetry();
+      this.isReplaying = true;
+      this.notify();
+
+      return this.readAll().then(function (items) {
+        var queue = items.filter(function (item) { return item.status === "pending"; });
+
+        function next() {
+          if (!queue.length || !self.isOnline()) return Promise.resolve();
+
+          var item = queue.shift();
+          item.attempts++;
+
+          return self.flows.invoke(item.name, item.payload).then(function (result) {
+            if (result.ok) {
+              sent++;
+              self.retryCount = 0;
+              return self.settle(item, true).then(next);
+            }
+
+            item.lastError = result.error;
+            if (self.isQueueable(result)) {
+              stalled = true;
+              return self.settle(item, false);
+            }
+
+            failed++;
+            item.status = "failed";
+            FlowLog.error("FlowOutbox: replay rejected by flow", { name: item.name, id: item.id, error: result.error });
+            return self.settle(item, false).then(next);
+          });
+        }
+
+        return next();
+      }).then(function () {
+        self.isReplaying = false;
+        return self.refresh();
+      }, function (error) {
+        self.isReplaying = false;
+        stalled = true;
+        FlowLog.error("FlowOutbox: replay failed", error);
+        return self.refresh();
+      }).then(function (state) {
+        if (sent || failed) {
+          FlowLog.info("FlowOutbox: replay finished", { sent: sent, failed: failed, pending: state.pending });
+        }
+        //offline waits for the online event; a timeout or unreachable flow while online retries on a timer,
+        //and entries replaced by enqueue() during the replay go out straight away
+        if (state.pending && self.isOnline()) {
+          if (stalled) {
+            self.scheduleRetry();
+          } else if (sent) {
+            return self.replay().then(function (rerun) {
+              return { sent: sent + rerun.sent, failed: failed + rerun.failed, pending: rerun.pending };
+            });
+          }
+        }
+        return { sent: sent, failed: failed, pending: state.pending };
+      });
+    }
+
+    discard(id) {
+      var self = this;
+      return this.remove(id).then(function () {
+        return self.refresh();
+      });
+    }
+
+    refresh() {
+      var self = this;
+      return this.readAll().then(function (items) {
+        self.items = items;
+        self.setStoredItemsMarker(items.length > 0);
+        self.notify();
+        return self.getState();
+      });
+    }
+
+    /**
+    * @returns {{pending:number, failed:number, replaying:boolean, online:boolean, items:Array<object>}}
+    */
+    getState() {
+      var pending = 0;
+      var failed = 0;
+      for (var i = 0; i < this.items.length; i++) {
+        if (this.items[i].status === "failed") {
+          failed++;
+        } else {
+          pending++;
+        }
+      }
+
+      return { pending: pending, failed: failed, replaying: this.isReplaying, online: this.isOnline(), items: this.items.slice() };
+    }
+
+    /**
+    * @param {function} listener called with getState() whenever the queue changes
+    * @returns {function} unsubscribe
+    */
+    subscribe(listener) {
+      var self = this;
+      this.listeners.push(listener);
+      listener(this.getState());
+      return function () {
+        self.listeners = self.listeners.filter(function (l) { return l !== listener; });
+      };
+    }
+
+    notify() {
+      var state = this.getState();
+      for (var i = 0; i < this.listeners.length; i++) {
+        try {
+          this.listeners[i](state);
+        } catch (listenerError) {
+          FlowLog.error("FlowOutbox: listener failed", listenerError);
+        }
+      }
+    }
+  }
+
+  const DocManOutbox = new FlowOutbox();
+
+///////////////////////////////////////////////////////
+//DocManBlobUploader uploads a file straight to Azure Blob Storage with Put Block / Put Block List
+//the SAS url comes from the DocMan flow, the DocMan row is created by the flow once the blob is committed
+///////////////////////////////////////////////////////
+  class DocManBlobUploader {
+    constructor(options) {
+      options = options || {};
+      this.flows = options.flows || DocManFlows;
+      this.blockSize = options.blockSize || 4 * 1024 * 1024;
+      this.concurrency = options.concurrency || 4;
+      this.blockRetries = typeof options.blockRetries === "number" ? options.blockRetries : 3;
+      this.retryDelayMs = typeof options.retryDelayMs === "number" ? options.retryDelayMs : 1000;
+      this.maxBlocks = 50000;
+      this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== "undefined" ? localStorage : null);
+      this.storagePrefix = options.storagePrefix || "gtdDocManUpload:";
+      this.onProgress = typeof options.onProgress === "function" ? options.onProgress : null;
+    }
+
+    /**
+    * Uploads one file and creates its DocMan row. The promise never rejects: check result.ok.
+    * Choosing the same file again after a page reload resumes from the last uploaded block.
+    * @param {File|Blob} file
+    * @param {{category?:string, accountGuid?:string, groupGuid?:string, fileName?:string, signal?:AbortSignal, onProgress?:function}} options
+    * @returns {Promise<{ok:boolean, fileName:string, blobUrl:string, docManRowGuid:string, resumed:boolean, error:{phase:string, reason:string, message:string}|null}>}
+    */
+    upload(file, options) {
+      options = options || {};
+      var self = this;
+      var signal = options.signal || null;
+      var onProgress = typeof options.onProgress === "function" ? options.onProgress : this.onProgress;
+      var fileName = options.fileName || (file && file.name ? file.name : "document");
+      var totalBytes = file ? file.size : 0;
+      var state = null;
+      var resumed = false;
+      var phase = "sas";
+
+      function report(loadedBytes) {
+        if (!onProgress) return;
+        onProgress({
+          file: file,
+          fileName: fileName,
+          phase: phase,
+          loadedBytes: loadedBytes,
+          totalBytes: totalBytes,
+          percent: totalBytes ? Math.min(100, Math.round(loadedBytes / totalBytes * 100)) : (phase === "done" ? 100 : 0)
+        });
+      }
+
+      function fail(reason, message) {
+        DocManLog.error("DocManBlobUploader: upload failed", { fileName: fileName, phase: phase, reason: reason, message: message });
+        return { ok: false, fileName: fileName, blobUrl: state ? state.blobUrl : "", docManRowGuid: "", resumed: resumed, error: { phase: phase, reason: reason, message: message } };
+      }
+
+      if (!file || typeof file.slice !== "function") {
+        return Promise.resolve(fail("invalid-file", "upload expects a File or Blob"));
+      }
+
+      var savedState = this.loadResumeState(file);
+      report(0);
+
+      //the SAS is never stored, a resumed upload asks the flow for a fresh one on the same blob
+      var ready = this.requestUploadSas(file, options, savedState ? savedState.blobUrl : "").then(function (sasResult) {
+        if (!sasResult.ok) return sasResult;
+
+        var blobUrl = self.getBlobUrl(sasResult.sasUrl);
+        if (savedState && savedState.blobUrl === blobUrl) {
+          state = Object.assign({}, savedState, { sasUrl: sasResult.sasUrl });
+          resumed = true;
+        } else {
+          if (savedState) {
+            DocManLog.warn("DocManBlobUploader: flow issued a SAS for a different blob, starting over", { fileName: fileName });
+          }
+          state = {
+            sasUrl: sasResult.sasUrl,
+            blobUrl: blobUrl,
+            fingerprint: self.getFileFingerprint(file),
+            blockSize: self.getBlockSize(totalBytes),
+            uploadedBlocks: [],
+            startedAt: new Date().toISOString()
+          };
+        }
+        self.saveResumeState(file, state);
+        return state;
+      });
+
+      return ready.then(function (readyState) {
+        if (readyState && readyState.ok === false) {
+          return fail(readyState.reason, readyState.message);
+        }
+
+        phase = "uploading";
+        if (resumed) {
+          DocManLog.info("DocManBlobUploader: resuming upload", { fileName: fileName, uploadedBlocks: state.uploadedBlocks.length });
+        }
+
+        return self.uploadBlocks(file, state, signal, report).then(function () {
+          phase = "committing";
+          report(totalBytes);
+          return self.commitBlockList(file, state, signal);
+        }).then(function () {
+          phase = "creating";
+          report(totalBytes);
+          return self.createDocManRow(file, state, options);
+        }).then(function (rowResult) {
+          if (!rowResult.ok) {
+            return fail(rowResult.error ? rowResult.error.reason : "flow", rowResult.error ? rowResult.error.message : "DocMan row was not created");
+          }
+
+          self.clearResumeState(file);
+          phase = "done";
+          report(totalBytes);
+          DocManLog.info("DocManBlobUploader: upload complete", { fileName: fileName, docManRowGuid: rowResult.docManRowGuid });
+
+          return { ok: true, fileName: fileName, blobUrl: state.blobUrl, docManRowGuid: rowResult.docManRowGuid, resumed: resumed, error: null };
+        }, function (error) {
+          return fail(error && error.reason ? error.reason : "network", error && error.message ? error.message : String(error));
+        });
+      });
+    }
+
+    requestUploadSas(file, options, resumeBlobUrl) {
+      var payload = {
+        FileName: options.fileName || file.name || "document",
+        FileSize: file.size,
+        ContentType: file.type || "application/octet-stream",
+        DocCategory: options.category || "",
+        AccGUID: options.accountGuid || "",
+        GroupGuid: options.groupGuid || ""
+      };
+      if (resumeBlobUrl) {
+        payload.BlobUrl = resumeBlobUrl;
+      }
+
+      return this.flows.invoke("GetUploadSas", payload, { signal: options.signal }).then(function (result) {
+        if (!result.ok) {
+          return { ok: false, reason: result.error ? result.error.reason : "flow", message: result.error ? result.error.message : "SAS request failed" };
+        }
+
+        var sasUrl = _BuildBlobSasUrl(result.data);
+        if (!sasUrl) {
+          return { ok: false, reason: "no-sas", message: "Flow response did not contain a SAS url" };
+        }
+
+        return { ok: true, sasUrl: sasUrl };
+      });
+    }
+
+    getBlockSize(totalBytes) {
+      var blockSize = this.blockSize;
+      while (Math.ceil(totalBytes / blockSize) > this.maxBlocks) {
+        blockSize *= 2;
+      }
+      return blockSize;
+    }
+
+    getBlockId(index) {
+      //block ids must be base64 and all the same length within a blob
+      return btoa("block-" + String(index).padStart(6, "0"));
+    }
+
+    //the first failed block aborts the blocks still in flight; settles once every worker has stopped
+    uploadBlocks(file, state, signal, report) {
+      var self = this;
+      var blockCount = Math.max(1, Math.ceil(file.size / state.blockSize));
+      var pending = [];
+      var inFlight = {};
+      var completedBytes = 0;
+      var failure = null;
+      var controller = new AbortController();
+
+      function onAbort() {
+        controller.abort();
+      }
+
+      if (signal) {
+        if (signal.aborted) controller.abort();
+        else signal.addEventListener("abort", onAbort, { once: true });
+      }
+
+      for (var i = 0; i < blockCount; i++) {
+        if (state.uploadedBlocks.indexOf(i) === -1) {
+          pending.push(i);
+        } else {
+          completedBytes += Math.min(state.blockSize, file.size - i * state.blockSize);
+        }
+      }
+
+      function reportBytes() {
+        var loaded = completedBytes;
+        var keys = Object.keys(inFlight);
+        for (var k = 0; k < keys.length; k++) {
+          loaded += inFlight[keys[k]];
+        }
+        report(loaded);
+      }
+
+      function next() {
+        if (failure || !pending.length) return Promise.resolve();
+
+        var index = pending.shift();
+        var start = index * state.blockSize;
+        var chunk = file.slice(start, Math.min(start + state.blockSize, file.size));
+        inFlight[index] = 0;
+
+        return self.putBlockWithRetry(state.sasUrl, self.getBlockId(index), chunk, controller.signal, function (loaded) {
+          inFlight[index] = loaded;
+          reportBytes();
+        }).then(function () {
+          delete inFlight[index];
+          completedBytes += chunk.size;
+          state.uploadedBlocks.push(index);
+          self.saveResumeState(file, state);
+          reportBytes();
+          return next();
+        }, function (error) {
+          delete inFlight[index];
+          if (!failure) {
+            failure = error;
+            controller.abort();
+          }
+        });
+      }
+
+      var workers = [];
+      var workerCount = Math.min(this.concurrency, pending.length);
+      for (var w = 0; w < workerCount; w++) {
+        workers.push(next());
+      }
+
+      return Promise.all(workers).then(function () {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        if (failure) throw failure;
+      });
+    }
+
+    putBlockWithRetry(sasUrl, blockId, chunk, signal, onChunkProgress) {
+      var self = this;
+      var attempt = 0;
+
+      function run() {
+        attempt++;
+        var url = self.appendQuery(sasUrl, "comp=block&blockid=" + encodeURIComponent(blockId));
+        return self.sendBlobRequest("PUT", url, chunk, {}, signal, onChunkProgress).catch(function (error) {
+          if (error.reason === "aborted" || attempt > self.blockRetries || (error.status && error.status < 500 && error.status !== 408 && error.status !== 429)) {
+            throw error;
+          }
+
+          DocManLog.warn("DocManBlobUploader: retrying block", { blockId: blockId, attempt: attempt, status: error.status });
+          onChunkProgress(0);
+          return new Promise(function (resolve) {
+            setTimeout(resolve, self.retryDelayMs * Math.pow(2, attempt - 1));
+          }).then(run);
+        });
+      }
+
+      return run();
+    }
+
+    commitBlockList(file, state, signal) {
+      var blockCount = Math.max(1, Math.ceil(file.size / state.blockSize));
+      var xml = '<?xml version="1.0" encoding="utf-8"?><BlockList>';
+      for (var i = 0; i < blockCount; i++) {
+        xml += "<Latest>" + this.getBlockId(i) + "</Latest>";
+      }
+      xml += "</BlockList>";
+
+      return this.sendBlobRequest("PUT", this.appendQuery(state.sasUrl, "comp=blocklist"), xml, {
+        "Content-Type": "application/xml",
+        "x-ms-blob-content-type": file.type || "application/octet-stream"
+      }, signal, null);
+    }
+
+    createDocManRow(file, state, options) {
+      var payload = {
+        FileName: options.fileName || file.name || "document",
+        FileSize: file.size,
+        ContentType: file.type || "application/octet-stream",
+        BlobUrl: state.blobUrl,
+        DocCategory: options.category || "",
+        AccGUID: options.accountGuid || "",
+        GroupGuid: options.groupGuid || ""
+      };
+
+      return this.flows.invoke("CreateDocRow", payload, { signal: options.signal }).then(function (result) {
+        var data = result.data && typeof result.data === "object" ? result.data : {};
+        var rowGuid = data.DocManRowGuid || data.docManRowGuid || data.guid || data.id || "";
+        return Object.assign({}, result, { docManRowGuid: String(rowGuid) });
+      });
+    }
+
+    sendBlobRequest(method, url, body, headers, signal, onChunkProgress) {
+      return new Promise(function (resolve, reject) {
+        if (signal && signal.aborted) {
+          reject({ reason: "aborted", status: null, message: "Upload was cancelled" });
+          return;
+        }
+
+        var xhr = new XMLHttpRequest();
+        xhr.open(method, url, true);
+
+        var headerNames = Object.keys(headers || {});
+        for (var i = 0; i < headerNames.length; i++) {
+          xhr.setRequestHeader(headerNames[i], headers[headerNames[i]]);
+        }
+
+        function onAbort() {
+          xhr.abort();
+        }
+
+        function cleanup() {
+          if (signal) signal.removeEventListener("abort", onAbort);
+        }
+
+        if (onChunkProgress && xhr.upload) {
+          xhr.upload.onprogress = function (e) {
+            if (e.lengthComputable) onChunkProgress(e.loaded);
+          };
+        }
+
+        xhr.onload = function () {
+          cleanup();
+          if (xhr.status >= 200 && xhr.status < 300) {
+            resolve(xhr.status);
+          } else {
+            reject({ reason: "http", status: xhr.status, message: "Blob storage responded " + xhr.status + " " + (xhr.statusText || "") });
+          }
+        };
+        xhr.onerror = function () {
+          cleanup();
+          reject({ reason: "network", status: null, message: "Network error talking to blob storage" });
+        };
+        xhr.onabort = function () {
+          cleanup();
+          reject({ reason: "aborted", status: null, message: "Upload was cancelled" });
+        };
+
+        if (signal) signal.addEventListener("abort", onAbort);
+        xhr.send(body);
+      });
+    }
+
+    appendQuery(url, query) {
+      return url + (url.indexOf("?") === -1 ? "?" : "&") + query;
+    }
+
+    getBlobUrl(sasUrl) {
+      return String(sasUrl || "").split("?")[0];
+    }
+
+    getFileFingerprint(file) {
+      return [file.name || "", file.size, file.lastModified || 0, file.type || ""].join(":");
+    }
+
+    getResumeKey(file) {
+      return this.storagePrefix + [file.name || "", file.size, file.lastModified || 0].join(":");
+    }
+
+    loadResumeState(file) {
+      if (!this.storage) return null;
+
+      var raw = null;
+      try {
+        raw = this.storage.getItem(this.getResumeKey(file));
+      } catch (e) {
+        return null;
+      }
+      if (!raw) return null;
+
+      var state = null;
+      try {
+        state = JSON.parse(raw);
+      } catch (parseError) {
+        state = null;
+      }
+
+      //blob storage discards uncommitted blocks after a week; entries from older versions still carry a SAS url
+      var startedAt = state ? Date.parse(state.startedAt) : NaN;
+      if (!state || state.sasUrl || !state.blobUrl || state.fingerprint !== this.getFileFingerprint(file) ||
+        !Array.isArray(state.uploadedBlocks) || isNaN(startedAt) || Date.now() - startedAt > 6 * 24 * 60 * 60 * 1000) {
+        this.clearResumeState(file);
+        return null;
+      }
+
+      return state;
+    }
+
+    //only the blob path, block size, uploaded block indexes and file fingerprint are persisted, never the SAS
+    saveResumeState(file, state) {
+      if (!this.storage) return;
+      try {
+        this.storage.setItem(this.getResumeKey(file), JSON.stringify({
+          blobUrl: state.blobUrl,
+          fingerprint: state.fingerprint,
+          blockSize: state.blockSize,
+          uploadedBlocks: state.uploadedBlocks,
+          startedAt: state.startedAt
+        }));
+      } catch (e) {
+        DocManLog.warn("DocManBlobUploader: could not persist resume state", e);
+      }
+    }
+
+    clearResumeState(file) {
+      if (!this.storage) return;
+      try {
+        this.storage.removeItem(this.getResumeKey(file));
+      } catch (e) {
+        DocManLog.warn("DocManBlobUploader: could not clear resume state", e);
+      }
+    }
+  }
+
+///////////////////////////////////////////////////////
+//DocManFilePolicy checks files before upload: type by magic bytes, size, count,
+//filename sanitisation and duplicate detection by SHA-256 content hash
+///////////////////////////////////////////////////////
+  class DocManFilePolicy {
+    constructor(options) {
+      options = options || {};
+      this.allowedTypes = Array.isArray(options.allowedTypes) ? options.allowedTypes : ["pdf", "png", "jpg", "gif", "tiff", "docx", "xlsx", "doc", "xls", "txt", "csv"];
+      this.maxFileSize = typeof options.maxFileSize === "number" ? options.maxFileSize : 50 * 1024 * 1024;
+      this.maxFilesPerGroup = typeof options.maxFilesPerGroup === "number" ? options.maxFilesPerGroup : 50;
+      this.sanitizeFileNames = options.sanitizeFileNames !== false;
+      this.detectDuplicates = options.detectDuplicates !== false;
+      //hashes of documents already stored, e.g. from DocMan.listByAccount, count as duplicates too
+      this.knownHashes = Array.isArray(options.knownHashes) ? options.knownHashes.slice() : [];
+      this.fileTypes = {
+        pdf: { extensions: ["pdf"], mimeTypes: ["application/pdf"], signatures: [{ bytes: [0x25, 0x50, 0x44, 0x46] }] },
+        png: { extensions: ["png"], mimeTypes: ["image/png"], signatures: [{ bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }] },
+        jpg: { extensions: ["jpg", "jpeg"], mimeTypes: ["image/jpeg"], signatures: [{ bytes: [0xFF, 0xD8, 0xFF] }] },
+        gif: { extensions: ["gif"], mimeTypes: ["image/gif"], signatures: [{ bytes: [0x47, 0x49, 0x46, 0x38] }] },
+        tiff: { extensions: ["tif", "tiff"], mimeTypes: ["image/tiff"], signatures: [{ bytes: [0x49, 0x49, 0x2A, 0x00] }, { bytes: [0x4D, 0x4D, 0x00, 0x2A] }] },
+        docx: { extensions: ["docx"], mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"], signatures: [{ bytes: [0x50, 0x4B, 0x03, 0x04] }] },
+        xlsx: { extensions: ["xlsx"], mimeTypes: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"], signatures: [{ bytes: [0x50, 0x4B, 0x03, 0x04] }] },
+        doc: { extensions: ["doc"], mimeTypes: ["application/msword"], signatures: [{ bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }] },
+        xls: { extensions: ["xls"], mimeTypes: ["application/vnd.ms-excel"], signatures: [{ bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }] },
+        txt: { extensions: ["txt"], mimeTypes: ["text/plain"], text: true },
+        csv: { extensions: ["csv"], mimeTypes: ["text/csv", "application/vnd.ms-excel", "text/plain"], text: true }
+      };
+      //recognised only so the error can say what the file really is
+      this.blockedSignatures = [
+        { name: "executable", bytes: [0x4D, 0x5A] },
+        { name: "video", offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+        { name: "video", bytes: [0x1A, 0x45, 0xDF, 0xA3] }
+      ];
+      if (options.fileTypes) {
+        Object.assign(this.fileTypes, options.fileTypes);
+      }
+    }
+
+    getExtension(fileName) {
+      var match = /\.([^.]+)$/.exec(String(fileName || ""));
+      return match ? match[1].toLowerCase() : "";
+    }
+
+    /**
+    * Strips paths, control and reserved characters, reserved device names and trailing dots/spaces.
+    * @param {string} fileName
+    * @returns {string}
+    */
+    sanitizeFileName(fileName) {
+      var name = String(fileName || "").split(/[\\/]/).pop();
+      name = name.replace(/[\u0000-\u001f\u007f<>:"|?*]/g, "_").replace(/\s+/g, " ").trim();
+      name = name.replace(/^[.\s]+/, "").replace(/[.\s]+$/, "");
+
+      var extension = this.getExtension(name);
+      var base = extension ? name.slice(0, -(extension.length + 1)) : name;
+      if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i.test(base)) base = "_" + base;
+      if (!base) base = "document";
+
+      var maxBase = 255 - (extension ? extension.length + 1 : 0);
+      return base.slice(0, maxBase) + (extension ? "." + extension : "");
+    }
+
+    readHeader(file, length) {
+      var blob = file.slice(0, length);
+      if (typeof blob.arrayBuffer === "function") {
+        return blob.arrayBuffer().then(function (buffer) {
+          return new Uint8Array(buffer);
+        });
+      }
+
+      return new Promise(function (resolve, reject) {
+        var reader = new FileReader();
+        reader.onload = function () {
+          resolve(new Uint8Array(reader.result));
+        };
+        reader.onerror = function () {
+          reject(reader.error);
+        };
+        reader.readAsArrayBuffer(blob);
+      });
+    }
+
+    matchesSignature(bytes, signature) {
+      var offset = signature.offset || 0;
+      if (bytes.length < offset + signature.bytes.length) return false;
+      for (var i = 0; i < signature.bytes.length; i++) {
+        if (bytes[offset + i] !== signature.bytes[i]) return false;
+      }
+      return true;
+    }
+
+    looksLikeText(bytes) {
+      for (var i = 0; i < bytes.length; i++) {
+        if (bytes[i] === 0) return false;
+      }
+      return true;
+    }
+
+    /**
+    * Works out which allowed type the content really is.
+    * @returns {string} type key from fileTypes, or "" when the content matches none of them
+    */
+    sniffType(bytes, extension) {
+      var candidates = [];
+      for (var i = 0; i < this.allowedTypes.length; i++) {
+        var key = this.allowedTypes[i];
+        var type = this.fileTypes[key];
+        if (!type) continue;
+
+        var matched = type.text ? this.looksLikeText(bytes) : (type.signatures || []).some(function (signature) {
+          return this.matchesSignature(bytes, signature);
+        }, this);
+        if (matched) candidates.push(key);
+      }
+
+      //docx/xlsx and doc/xls share signatures, the extension decides between them
+      for (var c = 0; c < candidates.length; c++) {
+        if (this.fileTypes[candidates[c]].extensions.indexOf(extension) !== -1) return candidates[c];
+      }
+      return candidates.length && !this.fileTypes[candidates[0]].text ? candidates[0] : "";
+    }
+
+    describeBlocked(bytes) {
+      for (var i = 0; i < this.blockedSignatures.length; i++) {
+        if (this.matchesSignature(bytes, this.blockedSignatures[i])) return this.blockedSignatures[i].name;
+      }
+      return "";
+    }
+
+    hashFile(file) {
+      if (typeof crypto === "undefined" || !crypto.subtle) {
+        return Promise.reject(new Error("Web Crypto is not available"));
+      }
+
+      var read = typeof file.arrayBuffer === "function" ? file.arrayBuffer() : new Promise(function (resolve, reject) {
+        var reader = new FileReader();
+        reader.onload = function () { resolve(reader.result); };
+        reader.onerror = function () { reject(reader.error); };
+        reader.readAsArrayBuffer(file);
+      });
+
+      return read.then(function (buffer) {
+        return crypto.subtle.digest("SHA-256", buffer);
+      }).then(function (digest) {
+        return Array.prototype.map.call(new Uint8Array(digest), function (b) {
+          return ("0" + b.toString(16)).slice(-2);
+        }).join("");
+      });
+    }
+
+    checkFile(file) {
+      var self = this;
+      var errors = [];
+      var fileName = this.sanitizeFileNames ? this.sanitizeFileName(file.name) : String(file.name || "");
+      var extension = this.getExtension(fileName);
+      var check = { file: file, fileName: fileName, ok: false, detectedType: "", hash: "", errors: errors };
+
+      if (!file.size) {
+        errors.push({ code: "empty", message: "File is empty" });
+        return Promise.resolve(check);
+      }
+      if (file.size > this.maxFileSize) {
+        errors.push({ code: "too-large", message: "File is " + Math.ceil(file.size / 1048576) + " MB, the limit is " + Math.floor(this.maxFileSize / 1048576) + " MB" });
+      }
+
+      var allowedByExtension = this.allowedTypes.some(function (key) {
+        return self.fileTypes[key] && self.fileTypes[key].extensions.indexOf(extension) !== -1;
+      });
+      if (!allowedByExtension) {
+        errors.push({ code: "type-not-allowed", message: "." + (extension || "(none)") + " files are not allowed" });
+      }
+      if (errors.length) return Promise.resolve(check);
+
+      return this.readHeader(file, 512).then(function (bytes) {
+        var detected = self.sniffType(bytes, extension);
+        check.detectedType = detected;
+
+        if (!detected) {
+          var blocked = self.describeBlocked(bytes);
+          errors.push({ code: "type-mismatch", message: "Content does not match ." + extension + (blocked ? " (looks like " + blocked + ")" : "") });
+        } else if (self.fileTypes[detected].extensions.indexOf(extension) === -1) {
+          errors.push({ code: "type-mismatch", message: "Content is " + detected + " but the file is named ." + extension });
+        } else if (file.type && self.fileTypes[detected].mimeTypes.indexOf(file.type) === -1) {
+          errors.push({ code: "type-mismatch", message: "Browser reports " + file.type + " for a ." + extension + " file" });
+        }
+
+        if (errors.length || !self.detectDuplicates) return check;
+
+        return self.hashFile(file).then(function (hash) {
+          check.hash = hash;
+          return check;
+        }, function (hashError) {
+          //no Web Crypto (non-secure context) or an unreadable buffer only costs the duplicate check
+          DocManLog.warn("DocManFilePolicy: duplicate detection skipped, could not hash file", { fileName: fileName, error: hashError && hashError.message ? hashError.message : String(hashError) });
+          return check;
+        });
+      }, function (readError) {
+        errors.push({ code: "unreadable", message: "Could not read file: " + (readError && readError.message ? readError.message : readError) });
+        return check;
+      });
+    }
+
+    /**
+    * Checks every file. Never rejects; files come back in input order.
+    * @param {FileList|File[]} files
+    * @returns {Promise<{ok:boolean, files:Array<{file:File, fileName:string, ok:boolean, detectedType:string, hash:string, errors:Array<{code:string, message:string}>}>, accepted:Array<object>, rejected:Array<object>}>}
+    */
+    validate(files) {
+      var self = this;
+      var list = files ? Array.prototype.slice.call(files) : [];
+      var checks = [];
+
+      //files are read one at a time so a big drop does not load everything into memory at once
+      var chain = Promise.resolve();
+      list.forEach(function (file) {
+        chain = chain.then(function () {
+          return self.checkFile(file).then(function (check) {
+            checks.push(check);
+          });
+        });
+      });
+
+      return chain.then(function () {
+        var seen = {};
+        for (var k = 0; k < self.knownHashes.length; k++) {
+          seen[self.knownHashes[k]] = "an existing document";
+        }
+
+        var accepted = 0;
+        for (var i = 0; i < checks.length; i++) {
+          var check = checks[i];
+          if (check.hash) {
+            if (seen[check.hash]) {
+              check.errors.push({ code: "duplicate", message: "Same content as " + seen[check.hash] });
+            } else {
+              seen[check.hash] = check.fileName;
+            }
+          }
+
+          if (!check.errors.length) {
+            accepted++;
+            if (accepted > self.maxFilesPerGroup) {
+              check.errors.push({ code: "too-many-files", message: "Only " + self.maxFilesPerGroup + " files can be uploaded at once" });
+            }
+          }
+          check.ok = check.errors.length === 0;
+        }
+
+        var report = {
+          ok: checks.every(function (check) { return check.ok; }),
+          files: checks,
+          accepted: checks.filter(function (check) { return check.ok; }),
+          rejected: checks.filter(function (check) { return !check.ok; })
+        };
+
+        if (report.rejected.length) {
+          DocManLog.warn("DocManFilePolicy: files rejected", report.rejected.map(function (check) {
+            return { fileName: check.fileName, errors: check.errors };
+          }));
+        }
+        return report;
+      });
+    }
+  }
+
+///////////////////////////////////////////////////////
+//DocManError is the rejection type of the DocMan record methods
+///////////////////////////////////////////////////////
+  class DocManError extends Error {
+    constructor(action, result) {
+      var error = result && result.error ? result.error : {};
+      super(action + ": " + (error.message || "DocMan action failed"));
+      this.name = "DocManError";
+      this.action = action;
+      this.code = error.reason || "unknown";
+      this.status = result ? result.status : null;
+      this.correlationId = result ? result.correlationId || "" : "";
+      this.flowTrackingId = result ? result.flowTrackingId || "" : "";
+      this.errors = Array.isArray(error.errors) ? error.errors : [];
+      this.result = result || null;
+    }
+  }
+
+///////////////////////////////////////////////////////
+//DocMan is the promise based back end API used by the pages
+///////////////////////////////////////////////////////
+  class DocMan {
+    constructor(options) {
+      options = options || {};
+      this.flows = options.flows || DocManFlows;
+      this.outbox = options.outbox !== undefined ? options.outbox : DocManOutbox;
+      this.uploader = options.uploader || new DocManBlobUploader({ flows: this.flows });
+      this.fileConcurrency = options.fileConcurrency || 3;
+      this.policy = options.policy !== undefined ? options.policy : new DocManFilePolicy();
+    }
+
+    static uploadGroup(files, options) {
+      return new DocMan(options).uploadGroup(files, options);
+    }
+
+    /**
+    * Creates one DocMan group and uploads every file into it. The promise never rejects.
+    * Files are checked against the DocManFilePolicy first: duplicates are skipped, violations rejected.
+    * onProgress receives one aggregate event per change across all files.
+    * @param {FileList|File[]} files
+    * @param {{category?:string, accountGuid?:string, policy?:DocManFilePolicy|null, signal?:AbortSignal, signalForFile?:function(number, File):AbortSignal, onProgress?:function}} options
+    * @returns {Promise<{ok:boolean, groupGuid:string, results:Array<{file:File, fileName:string, hash:string, status:string, docManRowGuid:string, error:object|null}>, error:object|null}>}
+    */
+    uploadGroup(files, options) {
+      options = options || {};
+      var self = this;
+      var list = files ? Array.prototype.slice.call(files) : [];
+      var policy = options.policy !== undefined ? options.policy : this.policy;
+
+      return (policy ? policy.validate(list) : Promise.resolve(null)).then(function (report) {
+        var results = [];
+        for (var i = 0; i < list.length; i++) {
+          var check = report ? report.files[i] : null;
+          var status = "pending";
+          var error = null;
+
+          if (check && !check.ok) {
+            var onlyDuplicate = check.errors.length === 1 && check.errors[0].code === "duplicate";
+            status = onlyDuplicate ? "skipped" : "rejected";
+            error = { reason: onlyDuplicate ? "duplicate" : "policy", message: check.errors[0].message, errors: check.errors };
+          }
+
+          results.push({
+            file: list[i],
+            fileName: check ? check.fileName : list[i].name,
+            hash: check ? check.hash : "",
+            status: status,
+            docManRowGuid: "",
+            error: error
+          });
+        }
+
+        return self.uploadResults(results, options);
+      });
+    }
+
+    uploadResults(results, options) {
+      var self = this;
+      var onProgress = typeof options.onProgress === "function" ? options.onProgress : null;
+      var loadedByIndex = [];
+      var totalBytes = 0;
+      var groupGuid = "";
+
+      for (var i = 0; i < results.length; i++) {
+        loadedByIndex.push(0);
+        if (results[i].status === "pending") totalBytes += results[i].file.size;
+      }
+
+      function emit(index) {
+        if (!onProgress) return;
+
+        var counts = { success: 0, failed: 0, skipped: 0, rejected: 0, pending: 0, uploading: 0 };
+        var loadedBytes = 0;
+        for (var r = 0; r < results.length; r++) {
+          counts[results[r].status]++;
+          loadedBytes += loadedByIndex[r];
+        }
+
+        onProgress({
+          groupGuid: groupGuid,
+          fileIndex: index,
+          fileName: index != null ? results[index].fileName : "",
+          fileStatus: index != null ? results[index].status : "",
+          fileLoadedBytes: index != null ? loadedByIndex[index] : 0,
+          fileTotalBytes: index != null ? results[index].file.size : 0,
+          totalFiles: results.length,
+          completedFiles: counts.success,
+          failedFiles: counts.failed,
+          skippedFiles: counts.skipped,
+          rejectedFiles: counts.rejected,
+          loadedBytes: loadedBytes,
+          totalBytes: totalBytes,
+          percent: totalBytes ? Math.min(100, Math.round(loadedBytes / totalBytes * 100)) : 100
+        });
+      }
+
+      function finish(error) {
+        var failed = results.filter(function (item) { return item.status === "failed" || item.status === "rejected"; }).length;
+        var ok = !error && failed === 0;
+        DocManLog.info("DocMan.uploadGroup: finished", { groupGuid: groupGuid, files: results.length, failed: failed, ok: ok });
+        return { ok: ok, groupGuid: groupGuid, results: results, error: error || null };
+      }
+
+      var toUpload = [];
+      for (var u = 0; u < results.length; u++) {
+        if (results[u].status === "pending") toUpload.push(u);
+      }
+
+      if (!toUpload.length) {
+        emit(null);
+        return Promise.resolve(finish(null));
+      }
+
+      return this.createGroup(options, toUpload.length).then(function (groupResult) {
+        if (!groupResult.ok) {
+          //cancelling during validation or group creation keeps the abort reason so callers can tell it apart
+          var aborted = (groupResult.error && groupResult.error.reason === "aborted") || (options.signal && options.signal.aborted);
+          var groupError = aborted
+            ? { reason: "aborted", message: "Upload was cancelled" }
+            : { reason: "group", message: "DocMan group could not be created" };
+          for (var f = 0; f < toUpload.length; f++) {
+            results[toUpload[f]].status = "failed";
+            results[toUpload[f]].error = groupError;
+          }
+          emit(null);
+          return finish(aborted ? groupError : groupResult.error || groupError);
+        }
+
+        groupGuid = groupResult.groupGuid;
+        emit(null);
+
+        function next() {
+          if (!toUpload.length) return Promise.resolve();
+
+          var index = toUpload.shift();
+          var item = results[index];
+          item.status = "uploading";
+          emit(index);
+
+          return self.uploader.upload(item.file, {
+            fileName: item.fileName,
+            category: options.category,
+            accountGuid: options.accountGuid,
+            groupGuid: groupGuid,
+            signal: (typeof options.signalForFile === "function" && options.signalForFile(index, item.file)) || options.signal,
+            onProgress: function (progress) {
+              loadedByIndex[index] = progress.loadedBytes;
+              emit(index);
+            }
+          }).then(function (uploadResult) {
+            item.status = uploadResult.ok ? "success" : "failed";
+            item.docManRowGuid = uploadResult.docManRowGuid || "";
+            item.error = uploadResult.error;
+            if (uploadResult.ok) loadedByIndex[index] = item.file.size;
+            emit(index);
+            return next();
+          });
+        }
+
+        var workers = [];
+        var workerCount = Math.min(self.fileConcurrency, toUpload.length);
+        for (var w = 0; w < workerCount; w++) {
+          workers.push(next());
+        }
+
+        return Promise.all(workers).then(function () {
+          return finish(null);
+        });
+      });
+    }
+
+    createGroup(options, fileCount) {
+      var payload = {
+        DocCategory: options.category || "",
+        AccGUID: options.accountGuid || "",
+        FileCount: fileCount
+      };
+
+      return this.flows.invoke("CreateDocGroup", payload, { signal: options.signal }).then(function (result) {
+        var data = result.data && typeof result.data === "object" ? result.data : {};
+        //the CreateDocGroup responseSchema makes GroupGuid the only accepted key
+        var groupGuid = data.GroupGuid || "";
+        if (result.ok && !groupGuid) {
+          return Object.assign({}, result, { ok: false, groupGuid: "", error: { reason: "no-group", message: "Flow response did not contain a GroupGuid" } });
+        }
+        return Object.assign({}, result, { groupGuid: String(groupGuid) });
+      });
+    }
+
+    /**
+    * Invokes a DocMan flow. Resolves with the flow result, rejects with DocManError.
+    * @param {string} name FlowRegistry name
+    * @param {object} payload
+    * @param {object} options FlowClient.invoke options
+    * @returns {Promise<object>}
+    */
+    call(name, payload, options) {
+      return this.flows.invoke(name, payload, options).then(function (result) {
+        if (!result.ok) {
+          throw new DocManError(name, result);
+        }
+        return result;
+      });
+    }
+
+    /**
+    * Maps a flow response row onto the DocMan document shape used by the pages.
+    * @param {object} data
+    * @returns {{guid:string, fileName:string, category:string, accountGuid:string, groupGuid:string, contentType:string, size:number|null, blobUrl:string, createdOn:Date|null, modifiedOn:Date|null, isDeleted:boolean}}
+    */
+    toDocument(data) {
+      data = data && typeof data === "object" ? data : {};
+
+      function pick() {
+        for (var i = 0; i < arguments.length; i++) {
+          var value = data[arguments[i]];
+          if (value !== undefined && value !== null && value !== "") return value;
+        }
+        return null;
+      }
+
+      function toDate(value) {
+        if (!value) return null;
+        var date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+      }
+
+      var size = pick("FileSize", "fileSize", "size");
+      var deleted = pick("IsDeleted", "isDeleted");
+
+      return {
+        guid: String(pick("DocManRowGuid", "docManRowGuid", "guid", "id") || "").toLowerCase(),
+        fileName: String(pick("FileName", "fileName", "name") || ""),
+        category: String(pick("DocCategory", "docCategory", "category") || ""),
+        accountGuid: String(pick("AccGUID", "accountGuid") || "").toLowerCase(),
+        groupGuid: String(pick("GroupGuid", "groupGuid") || "").toLowerCase(),
+        contentType: String(pick("ContentType", "contentType") || ""),
+        size: size === null || isNaN(Number(size)) ? null : Number(size),
+        blobUrl: String(pick("BlobUrl", "blobUrl") || ""),
+        createdOn: toDate(pick("CreatedOn", "createdOn", "createdon")),
+        modifiedOn: toDate(pick("ModifiedOn", "modifiedOn", "modifiedon")),
+        isDeleted: deleted === true || deleted === "true" || deleted === 1
+      };
+    }
+
+    /**
+    * @param {string} guid DocMan row GUID
+    * @returns {Promise<object>} see toDocument
+    */
+    getDocument(guid, options) {
+      var self = this;
+      return this.call("GetDocument", { DocManRowGuid: guid }, options).then(function (result) {
+        var doc = self.toDocument(result.data);
+        if (!doc.guid) doc.guid = String(guid).toLowerCase();
+        return doc;
+      });
+    }
+
+    /**
+    * Offline, or a connection failure, queues the update in the outbox; the result then has queued:true.
+    * If the outbox cannot store it (private mode, quota) the original failure is thrown as DocManError.
+    * @returns {Promise<{guid:string, category:string, queued:boolean, result:object}>} result is the flow result
+    */
+    updateCategory(guid, category, options) {
+      var self = this;
+      var payload = { DocCategory: category, AccGUID: "", DocManRowGuid: guid };
+
+      function queue(result) {
+        return self.outbox.enqueue("UpdateDocCat", payload, { dedupeKey: guid }).then(function () {
+          return { guid: guid, category: category, queued: true, result: result };
+        }, function (queueError) {
+          DocManLog.warn("DocMan: could not queue the category update", { guid: guid, error: queueError });
+          throw new DocManError("UpdateDocCat", result);
+        });
+      }
+
+      if (this.outbox && !this.outbox.isOnline()) {
+        return queue({ ok: false, status: null, data: null, correlationId: "", flowTrackingId: "", durationMs: 0, attempts: 0, error: { reason: "offline", message: "Browser is offline" } });
+      }
+
+      return this.flows.invoke("UpdateDocCat", payload, options).then(function (result) {
+        if (result.ok) {
+          return { guid: guid, category: category, queued: false, result: result };
+        }
+        if (self.outbox && self.outbox.isQueueable(result)) {
+          return queue(result);
+        }
+        throw new DocManError("UpdateDocCat", result);
+      });
+    }
+
+    /**
+    * @returns {Promise<{guid:string, fileName:string}>}
+    */
+    rename(guid, fileName, options) {
+      return this.call("RenameDoc", { DocManRowGuid: guid, FileName: String(fileName || "").trim() }, options).then(function () {
+        return { guid: guid, fileName: String(fileName || "").trim() };
+      });
+    }
+
+    /**
+    * @returns {Promise<{guid:string, accountGuid:string}>}
+    */
+    moveToAccount(guid, accountGuid, options) {
+      return this.call("MoveDoc", { DocManRowGuid: guid, AccGUID: accountGuid }, options).then(function () {
+        return { guid: guid, accountGuid: accountGuid };
+      });
+    }
+
+    /**
+    * @returns {Promise<{guid:string, isDeleted:boolean}>}
+    */
+    softDelete(guid, options) {
+      return this.call("SoftDeleteDoc", { DocManRowGuid: guid }, options).then(function () {
+        return { guid: guid, isDeleted: true };
+      });
+    }
+
+    /**
+    * @returns {Promise<{guid:string, isDeleted:boolean}>}
+    */
+    restore(guid, options) {
+      return this.call("RestoreDoc", { DocManRowGuid: guid }, options).then(function () {
+        return { guid: guid, isDeleted: false };
+      });
+    }
+
+    /**
+    * @param {string} accountGuid
+    * @param {{category?:string, includeDeleted?:boolean}} options also accepts FlowClient.invoke options
+    * @returns {Promise<Array<object>>} documents, see toDocument
+    */
+    listByAccount(accountGuid, options) {
+      options = options || {};
+      var self = this;
+      var payload = { AccGUID: accountGuid, DocCategory: options.category || "", IncludeDeleted: !!options.includeDeleted };
+
+      return this.call("ListDocsByAccount", payload, { signal: options.signal }).then(function (result) {
+        var data = result.data;
+        var rows = Array.isArray(data) ? data : (data && (data.documents || data.Documents || data.value)) || [];
+        return rows.map(function (row) {
+          return self.toDocument(row);
+        });
+      });
+    }
+
+    /**
+    * Asks the flow for a short-lived read-only SAS link.
+    * @param {string} guid DocMan row GUID
+    * @param {{disposition?:string, fileName?:string}} options disposition inline | attachment
+    * @returns {Promise<{url:string, expiresAt:number|null, fileName:string, contentType:string}>}
+    */
+    getReadLink(guid, options) {
+      options = options || {};
+      var payload = { DocManRowGuid: guid, Disposition: options.disposition || "inline" };
+
+      return this.call("GetReadSas", payload, { signal: options.signal }).then(function (result) {
+        var url = _BuildBlobSasUrl(result.data);
+        if (!url) {
+          throw new DocManError("GetReadSas", Object.assign({}, result, { ok: false, error: { reason: "no-sas", message: "Flow response did not contain a SAS url" } }));
+        }
+
+        var data = result.data && typeof result.data === "object" ? result.data : {};
+        return {
+          url: url,
+          expiresAt: _GetSasExpiry(url),
+          fileName: String(data.FileName || data.fileName || options.fileName || ""),
+          contentType: String(data.ContentType || data.contentType || "")
+        };
+      });
+    }
+  }
+
+///////////////////////////////////////////////////////
+//DocManViewer previews (PDF / images in a modal) and downloads DocMan documents
+//through short-lived read-only SAS links that are refreshed before they expire
+///////////////////////////////////////////////////////
+  class DocManViewer {
+    constructor(options) {
+      options = options || {};
+      this.docMan = options.docMan || new DocMan();
+      this.refreshMarginMs = typeof options.refreshMarginMs === "number" ? options.refreshMarginMs : 60000;
+      this.links = {};
+      this.modal = null;
+      this.current = null;
+      this.refreshTimer = null;
+      this.returnFocusTo = null;
+      this.onKeyDown = this.handleKeyDown.bind(this);
+      this.ensureStylesInjected();
+    }
+
+    ensureStylesInjected() {
+      var styleId = "gtd-docman-viewer-styles";
+      if (document.getElementById(styleId)) return;
+
+      var viewerStyles = document.createElement("style");
+      viewerStyles.id = styleId;
+      viewerStyles.textContent =
+        ".gtd-viewer-backdrop { position: fixed; inset: 0; z-index: 10050; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.6); }" +
+        ".gtd-viewer { display: flex; flex-direction: column; width: min(1100px, 94vw); height: 90vh; background: #fff; border-radius: 6px; overflow: hidden; }" +
+        ".gtd-viewer-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #ddd; }" +
+        ".gtd-viewer-header h2 { flex: 1; margin: 0; font-size: 16px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }" +
+        ".gtd-viewer-body { flex: 1; display: flex; align-items: center; justify-content: center; background: #f3f3f3; overflow: auto; }" +
+        ".gtd-viewer-body iframe { width: 100%; height: 100%; border: 0; background: #fff; }" +
+        ".gtd-viewer-body img { max-width: 100%; max-height: 100%; object-fit: contain; }";
+
+      document.head.appendChild(viewerStyles);
+    }
+
+    isPreviewable(contentType, fileName) {
+      var type = String(contentType || "").toLowerCase();
+      var name = String(fileName || "").toLowerCase();
+      if (type === "application/pdf" || /\.pdf$/.test(name)) return "pdf";
+      if (type.indexOf("image/") === 0 || /\.(png|jpe?g|gif|bmp|webp|svg)$/.test(name)) return "image";
+      return "";
+    }
+
+    /**
+    * Returns a cached read link while it is still valid, otherwise asks the flow for a new one.
+    * @param {string} guid
+    * @param {{disposition?:string, fileName?:string, force?:boolean}} options
+    * @returns {Promise<{url:string, expiresAt:number|null, fileName:string, contentType:string}>}
+    */
+    getLink(guid, options) {
+      options = options || {};
+      var self = this;
+      var disposition = options.disposition || "inline";
+      var key = String(guid).toLowerCase() + "|" + disposition;
+      var cached = this.links[key];
+
+      if (!options.force && cached && (!cached.expiresAt || cached.expiresAt - Date.now() > this.refreshMarginMs)) {
+        return Promise.resolve(cached);
+      }
+
+      return this.docMan.getReadLink(guid, { disposition: disposition, fileName: options.fileName }).then(function (link) {
+        self.links[key] = link;
+        return link;
+      });
+    }
+
+    /**
+    * Opens PDFs and images in the modal viewer; anything else is downloaded.
+    * Focus goes back to options.returnFocusTo (default: the element focused when preview was called) on close.
+    * @param {string} guid
+    * @param {{fileName?:string, contentType?:string, returnFocusTo?:Element}} options
+    * @returns {Promise<void>}
+    */
+    preview(guid, options) {
+      options = options || {};
+      var self = this;
+      var returnFocusTo = options.returnFocusTo || document.activeElement;
+
+      return this.getLink(guid, { fileName: options.fileName }).then(function (link) {
+        var fileName = options.fileName || link.fileName || "document";
+        var kind = self.isPreviewable(options.contentType || link.contentType, link.fileName || fileName);
+        if (!kind) {
+          DocManLog.info("DocManViewer: no inline preview for this type, downloading", { fileName: fileName });
+          return self.download(guid, { fileName: fileName });
+        }
+
+        self.current = { guid: guid, fileName: fileName, kind: kind, link: link };
+        self.openModal(returnFocusTo);
+        self.scheduleRefresh();
+      });
+    }
+
+    /**
+    * Downloads the document with its original filename.
+    * @param {string} guid
+    * @param {{fileName?:string}} options
+    * @returns {Promise<void>}
+    */
+    download(guid, options) {
+      options = options || {};
+      return this.getLink(guid, { disposition: "attachment", fileName: options.fileName }).then(function (link) {
+        var anchor = document.createElement("a");
+        anchor.href = link.url;
+        //the flow sets the blob content-disposition (rscd) on attachment links, download is a fallback for same-origin urls
+        anchor.download = options.fileName || link.fileName || "";
+        anchor.rel = "noopener";
+        anchor.style.display = "none";
+        document.body.appendChild(anchor);
+        anchor.click();
+        document.body.removeChild(anchor);
+      });
+    }
+
+    scheduleRefresh() {
+      var self = this;
+      if (this.refreshTimer) clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+      if (!this.current || !this.current.link.expiresAt) return;
+
+      //never faster than every 5s, even if the flow hands out links shorter than the margin
+      var delay = Math.max(5000, this.current.link.expiresAt - Date.now() - this.refreshMarginMs);
+      this.refreshTimer = setTimeout(function () {
+        self.refreshCurrent();
+      }, delay);
+    }
+
+    refreshCurrent() {
+      var self = this;
+      if (!this.current) return Promise.resolve();
+      var current = this.current;
+
+      return this.getLink(current.guid, { fileName: current.fileName, force: true }).then(function (link) {
+        if (self.current !== current) return;
+        current.link = link;
+        //an open PDF is already loaded; images are swapped so a later reload does not hit an expired link
+        if (current.kind === "image" && self.modal) {
+          var img = self.modal.querySelector("img");
+          if (img) img.src = link.url;
+        }
+        self.scheduleRefresh();
+      }, function (error) {
+        DocManLog.warn("DocManViewer: could not refresh read link", error);
+      });
+    }
+
+    //Escape closes, Tab and Shift+Tab cycle through the dialog's controls instead of leaving it
+    handleKeyDown(e) {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+        return;
+      }
+      if (e.key !== "Tab" || !this.modal) return;
+
+      var focusable = this.modal.querySelectorAll("button:not([disabled]), [href], iframe, [tabindex]:not([tabindex='-1'])");
+      if (!focusable.length) return;
+      var first = focusable[0];
+      var last = focusable[focusable.length - 1];
+      var inside = this.modal.contains(document.activeElement);
+
+      if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    openModal(returnFocusTo) {
+      var self = this;
+      this.removeModal();
+      this.returnFocusTo = returnFocusTo || document.activeElement;
+
+      var backdrop = document.createElement("div");
+      backdrop.className = "gtd-viewer-backdrop";
+      backdrop.addEventListener("click", function (e) {
+        if (e.target === backdrop) self.close();
+      });
+
+      var dialog = document.createElement("div");
+      dialog.className = "gtd-viewer";
+      dialog.setAttribute("role", "dialog");
+      dialog.setAttribute("aria-modal", "true");
+      dialog.setAttribute("aria-label", this.current.fileName);
+
+      var header = document.createElement("div");
+      header.className = "gtd-viewer-header";
+      var title = document.createElement("h2");
+      title.textContent = this.current.fileName;
+      header.appendChild(title);
+
+      var downloadButton = document.createElement("button");
+      downloadButton.type = "button";
+      downloadButton.className = "btn btn-default btn-sm";
+      downloadButton.textContent = "Download";
+      downloadButton.addEventListener("click", function () {
+        self.download(self.current.guid, { fileName: self.current.fileName });
+      });
+      header.appendChild(downloadButton);
+
+      var closeButton = document.createElement("button");
+      closeButton.type = "button";
+      closeButton.className = "btn btn-default btn-sm";
+      closeButton.textContent = "Close";
+      closeButton.addEventListener("click", function () {
+        self.close();
+      });
+      header.appendChild(closeButton);
+
+      var body = document.createElement("div");
+      body.className = "gtd-viewer-body";
+      if (this.current.kind === "pdf") {
+        var frame = document.createElement("iframe");
+        frame.title = this.current.fileName;
+        frame.src = this.current.link.url;
+        body.appendChild(frame);
+      } else {
+        var img = document.createElement("img");
+        img.alt = this.current.fileName;
+        img.src = this.current.link.url;
+        img.addEventListener("error", function () {
+          //most likely the link expired (laptop asleep etc), get a new one once
+          if (img.getAttribute("data-refreshed")) return;
+          img.setAttribute("data-refreshed", "true");
+          self.refreshCurrent();
+        });
+        body.appendChild(img);
+      }
+
+      dialog.appendChild(header);
+      dialog.appendChild(body);
+      backdrop.appendChild(dialog);
+      document.body.appendChild(backdrop);
+      document.addEventListener("keydown", this.onKeyDown, true);
+      this.modal = backdrop;
+      closeButton.focus();
+    }
+
+    removeModal() {
+      if (this.refreshTimer) clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+      document.removeEventListener("keydown", this.onKeyDown, true);
+
+      if (this.modal && this.modal.parentNode) {
+        this.modal.parentNode.removeChild(this.modal);
+      }
+      this.modal = null;
+    }
+
+    close() {
+      var returnFocusTo = this.returnFocusTo;
+      this.removeModal();
+      this.returnFocusTo = null;
+
+      if (returnFocusTo && returnFocusTo.isConnected && typeof returnFocusTo.focus === "function") {
+        returnFocusTo.focus();
+      }
+    }
+
+    /**
+    * Action config for PowerPagesListMenuEnhancer.addAction.
+    * @param {{id?:string, label?:string, icon?:Element}} options
+    * @returns {object}
+    */
+    createPreviewAction(options) {
+      options = options || {};
+      var self = this;
+      return {
+        id: options.id || "docman-preview",
+        label: options.label || "Preview",
+        icon: options.icon || null,
+        onClick: function (context) {
+          if (!context || !context.guid) {
+            DocManLog.warn("DocManViewer: preview clicked without a row GUID");
+            return;
+          }
+          //the row label is whatever the list shows first, the file name comes from the DocMan record
+          self.docMan.getDocument(context.guid).then(function (doc) {
+            return self.preview(context.guid, { fileName: doc.fileName, contentType: doc.contentType, returnFocusTo: context.trigger || context.sourceElement });
+          }).catch(function (error) {
+            DocManLog.error("DocManViewer: preview failed", error);
+          });
+        }
+      };
+    }
+  }
+
+///////////////////////////////////////////////////////
+//DocManUploadWidget is the page side upload form: drop zone, file picker, category,
+//per-file progress with cancel/retry and a summary. Uploads go through DocMan.uploadGroup
+///////////////////////////////////////////////////////
+  class DocManUploadWidget {
+    constructor(options) {
+      options = options || {};
+      this.logPrefix = options.logPrefix || "[DocManUploadWidget]";
+      this.container = typeof options.container === "string" ? document.querySelector(options.container) : (options.container || null);
+      this.docMan = options.docMan || new DocMan();
+      this.categories = Array.isArray(options.categories) ? options.categories : [];
+      this.defaultCategory = options.defaultCategory || "";
+      this.accountGuid = options.accountGuid || "";
+      this.accept = options.accept || "";
+      this.onComplete = typeof options.onComplete === "function" ? options.onComplete : null;
+      this.labels = Object.assign({
+        dropHint: "Drag files here or",
+        browse: "choose files",
+        category: "Document category",
+        chooseCategory: "Select a category",
+        upload: "Upload",
+        cancel: "Cancel",
+        cancelAll: "Cancel all",
+        retry: "Retry",
+        remove: "Remove"
+      }, options.labels || {});
+      this.items = [];
+      this.groupGuid = "";
+      this.isUploading = false;
+      this.batchController = null;
+      this.root = null;
+      this.ensureStylesInjected();
+    }
+
+    ensureStylesInjected() {
+      var styleId = "gtd-upload-widget-styles";
+      if (document.getElementById(styleId)) return;
+
+      var widgetStyles = document.createElement("style");
+      widgetStyles.id = styleId;
+      widgetStyles.textContent =
+        ".gtd-upload { display: flex; flex-direction: column; gap: 12px; }" +
+        ".gtd-upload-drop { padding: 24px; border: 2px dashed #8a8886; border-radius: 6px; text-align: center; cursor: pointer; }" +
+        ".gtd-upload-drop.is-dragover, .gtd-upload-drop:focus-visible { border-color: #0078d4; background: rgba(0, 120, 212, 0.06); }" +
+        ".gtd-upload-link { padding: 0; border: 0; background: none; color: #0078d4; text-decoration: underline; cursor: pointer; }" +
+        ".gtd-upload-controls { display: flex; align-items: center; gap: 8px; flex-wrap: wrap; }" +
+        ".gtd-upload-files { list-style: none; margin: 0; padding: 0; }" +
+        ".gtd-upload-file { display: grid; grid-template-columns: minmax(0, 1fr) 160px auto; align-items: center; gap: 8px; padding: 4px 0; border-bottom: 1px solid #edebe9; }" +
+        ".gtd-upload-file-name { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }" +
+        ".gtd-upload-file-status { grid-column: 1 / -1; font-size: 12px; color: #605e5c; }" +
+        ".gtd-upload-file.is-success .gtd-upload-file-status { color: #107c10; }" +
+        ".gtd-upload-file.is-failed .gtd-upload-file-status, .gtd-upload-file.is-rejected .gtd-upload-file-status { color: #a80000; }" +
+        ".gtd-upload-file progress { width: 100%; }" +
+        ".gtd-upload-summary:empty { display: none; }";
+
+      document.head.appendChild(widgetStyles);
+    }
+
+    createButton(label, className, onClick) {
+      var button = document.createElement("button");
+      button.type = "button";
+      button.className = className;
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      return button;
+    }
+
+    render() {
+      var self = this;
+      var root = document.createElement("div");
+      root.className = "gtd-upload";
+
+      var drop = document.createElement("div");
+      drop.className = "gtd-upload-drop";
+      drop.setAttribute("tabindex", "0");
+      drop.setAttribute("role", "button");
+      drop.setAttribute("aria-label", this.labels.dropHint + " " + this.labels.browse);
+
+      var input = document.createElement("input");
+      input.type = "file";
+      input.multiple = true;
+      input.hidden = true;
+      if (this.accept) input.accept = this.accept;
+      input.addEventListener("change", function () {
+        self.addFiles(input.files);
+        input.value = "";
+      });
+
+      var hint = document.createElement("span");
+      hint.textContent = this.labels.dropHint + " ";
+      drop.appendChild(hint);
+      drop.appendChild(this.createButton(this.labels.browse, "gtd-upload-link", function (e) {
+        e.stopPropagation();
+        input.click();
+      }));
+      drop.appendChild(input);
+
+      drop.addEventListener("click", function () {
+        input.click();
+      });
+      drop.addEventListener("keydown", function (e) {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          input.click();
+        }
+      });
+      drop.addEventListener("dragover", function (e) {
+        e.preventDefault();
+        drop.classList.add("is-dragover");
+      });
+      drop.addEventListener("dragleave", function () {
+        drop.classList.remove("is-dragover");
+      });
+      drop.addEventListener("drop", function (e) {
+        e.preventDefault();
+        drop.classList.remove("is-dragover");
+        if (e.dataTransfer && e.dataTransfer.files) self.addFiles(e.dataTransfer.files);
+      });
+
+      var controls = document.createElement("div");
+      controls.className = "gtd-upload-controls";
+
+      var selectId = "gtd-upload-category-" + Math.random().toString(36).slice(2, 8);
+      var selectLabel = document.createElement("label");
+      selectLabel.setAttribute("for", selectId);
+      selectLabel.textContent = this.labels.category;
+
+      var select = document.createElement("select");
+      select.id = selectId;
+      select.className = "form-control form-select";
+      var placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = this.labels.chooseCategory;
+      select.appendChild(placeholder);
+      for (var i = 0; i < this.categories.length; i++) {
+        var category = this.categories[i];
+        var option = document.createElement("option");
+        option.value = typeof category === "object" ? category.value : category;
+        option.textContent = typeof category === "object" ? (category.label || category.value) : category;
+        select.appendChild(option);
+      }
+      select.value = this.defaultCategory;
+      select.addEventListener("change", function () {
+        self.updateControls();
+      });
+
+      var uploadButton = this.createButton(this.labels.upload, "btn btn-primary", function () {
+        self.upload();
+      });
+      var cancelAllButton = this.createButton(this.labels.cancelAll, "btn btn-default", function () {
+        self.cancelAll();
+      });
+
+      controls.appendChild(selectLabel);
+      controls.appendChild(select);
+      controls.appendChild(uploadButton);
+      controls.appendChild(cancelAllButton);
+
+      var list = document.createElement("ul");
+      list.className = "gtd-upload-files";
+
+      var summary = document.createElement("div");
+      summary.className = "gtd-upload-summary";
+      summary.setAttribute("role", "status");
+      summary.setAttribute("aria-live", "polite");
+
+      root.appendChild(drop);
+      root.appendChild(controls);
+      root.appendChild(list);
+      root.appendChild(summary);
+
+      this.root = root;
+      this.elements = { drop: drop, input: input, select: select, uploadButton: uploadButton, cancelAllButton: cancelAllButton, list: list, summary: summary };
+      return root;
+    }
+
+    addFiles(fileList) {
+      if (this.isUploading) return;
+
+      //a new drop after a finished batch starts a new group
+      if (this.groupGuid) {
+        this.items = [];
+        this.groupGuid = "";
+      }
+
+      var files = Array.prototype.slice.call(fileList || []);
+      for (var i = 0; i < files.length; i++) {
+        this.items.push({ file: files[i], fileName: files[i].name, status: "queued", percent: 0, message: "", controller: null, element: null });
+      }
+
+      this.elements.summary.textContent = "";
+      this.renderItems();
+    }
+
+    removeItem(item) {
+      this.items = this.items.filter(function (i) { return i !== item; });
+      this.renderItems();
+    }
+
+    statusText(item) {
+      switch (item.status) {
+        case "queued": return "Ready to upload";
+        case "uploading": return "Uploading " + item.percent + "%";
+        case "success": return "Uploaded";
+        case "skipped": return "Skipped: " + item.message;
+        case "rejected": return "Not allowed: " + item.message;
+        case "cancelled": return "Cancelled";
+        case "failed": return "Failed: " + item.message;
+        default: return item.status;
+      }
+    }
+
+    renderItems() {
+      var self = this;
+      var list = this.elements.list;
+      list.innerHTML = "";
+
+      this.items.forEach(function (item) {
+        var row = document.createElement("li");
+        row.className = "gtd-upload-file is-" + item.status;
+
+        var name = document.createElement("span");
+        name.className = "gtd-upload-file-name";
+        name.textContent = item.fileName;
+        name.title = item.fileName;
+
+        var progress = document.createElement("progress");
+        progress.max = 100;
+        progress.value = item.percent;
+        progress.setAttribute("aria-label", item.fileName);
+
+        var actions = document.createElement("span");
+        if (item.status === "queued") {
+          actions.appendChild(self.createButton(self.labels.remove, "btn btn-link btn-sm", function () {
+            self.removeItem(item);
+          }));
+        } else if (item.status === "uploading") {
+          actions.appendChild(self.createButton(self.labels.cancel, "btn btn-link btn-sm", function () {
+            if (item.controller) item.controller.abort();
+          }));
+        } else if ((item.status === "failed" || item.status === "cancelled") && !self.isUploading) {
+          actions.appendChild(self.createButton(self.labels.retry, "btn btn-link btn-sm", function () {
+            self.retry(item);
+          }));
+        }
+
+        var status = document.createElement("span");
+        status.className = "gtd-upload-file-status";
+        status.textContent = self.statusText(item);
+
+        row.appendChild(name);
+        row.appendChild(progress);
+        row.appendChild(actions);
+        row.appendChild(status);
+        item.element = row;
+        list.appendChild(row);
+      });
+
+      this.updateControls();
+    }
+
+    updateItem(item) {
+      if (!item.element) return;
+      item.element.className = "gtd-upload-file is-" + item.status;
+      item.element.querySelector("progress").value = item.percent;
+      item.element.querySelector(".gtd-upload-file-status").textContent = this.statusText(item);
+    }
+
+    updateControls() {
+      if (!this.elements) return;
+      var hasQueued = this.items.some(function (item) { return item.status === "queued"; });
+      this.elements.uploadButton.disabled = this.isUploading || !hasQueued || !this.elements.select.value;
+      this.elements.cancelAllButton.disabled = !this.isUploading;
+      this.elements.select.disabled = this.isUploading;
+    }
+
+    applyResult(item, result) {
+      var cancelled = (result.error && result.error.reason === "aborted") ||
+        (this.batchController && this.batchController.signal.aborted) || (item.controller && item.controller.signal.aborted);
+      item.status = result.status === "failed" && cancelled ? "cancelled" : result.status;
+      item.message = result.error ? result.error.message : "";
+      item.fileName = result.fileName || item.fileName;
+      if (item.status === "success") item.percent = 100;
+    }
+
+    upload() {
+      var self = this;
+      var queued = this.items.filter(function (item) { return item.status === "queued"; });
+      var category = this.elements.select.value;
+      if (this.isUploading || !queued.length || !category) return Promise.resolve(null);
+
+      this.isUploading = true;
+      this.batchController = typeof AbortController === "function" ? new AbortController() : null;
+      queued.forEach(function (item) {
+        item.controller = typeof AbortController === "function" ? new AbortController() : null;
+      });
+      this.renderItems();
+
+      return this.docMan.uploadGroup(queued.map(function (item) { return item.file; }), {
+        category: category,
+        accountGuid: this.accountGuid,
+        signal: this.batchController ? this.batchController.signal : undefined,
+        signalForFile: function (index) {
+          return queued[index].controller ? queued[index].controller.signal : null;
+        },
+        onProgress: function (progress) {
+          if (progress.fileIndex == null) return;
+          var item = queued[progress.fileIndex];
+          if (progress.fileStatus === "uploading") {
+            item.status = "uploading";
+            item.percent = progress.fileTotalBytes ? Math.min(99, Math.round(progress.fileLoadedBytes / progress.fileTotalBytes * 100)) : 0;
+            if (!item.element || item.element.className.indexOf("is-uploading") === -1) {
+              self.renderItems();
+            } else {
+              self.updateItem(item);
+            }
+          }
+        }
+      }).then(function (result) {
+        self.groupGuid = result.groupGuid;
+        for (var i = 0; i < result.results.length; i++) {
+          self.applyResult(queued[i], result.results[i]);
+        }
+        self.finishBatch(result);
+        return result;
+      });
+    }
+
+    retry(item) {
+      var self = this;
+      if (this.isUploading) return Promise.resolve(null);
+
+      //without a group (group creation failed or was cancelled) the whole batch is sent again
+      if (!this.groupGuid) {
+        this.items.forEach(function (i) {
+          if (i.status === "failed" || i.status === "cancelled") {
+            i.status = "queued";
+            i.percent = 0;
+          }
+        });
+        return this.upload();
+      }
+
+      this.isUploading = true;
+      item.status = "uploading";
+      item.percent = 0;
+      item.controller = typeof AbortController === "function" ? new AbortController() : null;
+      this.renderItems();
+
+      return this.docMan.uploader.upload(item.file, {
+        fileName: item.fileName,
+        category: this.elements.select.value,
+        accountGuid: this.accountGuid,
+        groupGuid: this.groupGuid,
+        signal: item.controller ? item.controller.signal : undefined,
+        onProgress: function (progress) {
+          item.percent = Math.min(99, progress.percent);
+          self.updateItem(item);
+        }
+      }).then(function (uploadResult) {
+        self.applyResult(item, {
+          status: uploadResult.ok ? "success" : "failed",
+          fileName: item.fileName,
+          error: uploadResult.error
+        });
+        var summary = self.getSummary();
+        self.finishBatch({ ok: summary.failed === 0, groupGuid: self.groupGuid, results: summary.results, error: null });
+        return uploadResult;
+      });
+    }
+
+    cancelAll() {
+      if (this.batchController) this.batchController.abort();
+      this.items.forEach(function (item) {
+        if (item.controller) item.controller.abort();
+      });
+    }
+
+    getSummary() {
+      var counts = { success: 0, skipped: 0, rejected: 0, failed: 0 };
+      var results = [];
+      this.items.forEach(function (item) {
+        var key = item.status === "cancelled" ? "failed" : item.status;
+        if (counts[key] !== undefined) counts[key]++;
+        results.push({ file: item.file, fileName: item.fileName, status: item.status, error: item.message ? { message: item.message } : null });
+      });
+      counts.results = results;
+      return counts;
+    }
+
+    finishBatch(result) {
+      this.isUploading = false;
+      this.batchController = null;
+
+      var summary = this.getSummary();
+      var parts = [summary.success + " uploaded"];
+      if (summary.skipped) parts.push(summary.skipped + " skipped (duplicate)");
+      if (summary.rejected) parts.push(summary.rejected + " not allowed");
+      if (summary.failed) parts.push(summary.failed + " failed");
+      this.elements.summary.textContent = parts.join(", ");
+      this.renderItems();
+
+      DocManLog.info(this.logPrefix, "upload finished", { groupGuid: this.groupGuid, uploaded: summary.success, failed: summary.failed });
+
+      if (this.onComplete) {
+        try {
+          this.onComplete(result, this);
+        } catch (callbackError) {
+          DocManLog.error(this.logPrefix, "onComplete failed", callbackError);
+        }
+      }
+    }
+
+    init() {
+      if (!this.container) {
+        throw new Error("DocManUploadWidget needs a container element or selector");
+      }
+      if (this.root) return this;
+
+      this.container.appendChild(this.render());
+      this.updateControls();
+      return this;
+    }
+  }
+
+///////////////////////////////////////////////////////
+//FlowDiagnosticsPanel is an optional on-page panel listing recent flow calls and preflight results
+//opt in with <html data-gtd-diagnostics="on"> (then Ctrl+Alt+D toggles it) or open it with ?gtdDiagnostics=1
+///////////////////////////////////////////////////////
+  class FlowDiagnosticsPanel {
+    constructor(options) {
+      options = options || {};
+      this.queryParam = options.queryParam || "gtdDiagnostics";
+      this.shortcutKey = (options.shortcutKey || "d").toLowerCase();
+      this.panel = null;
+      this.unsubscribe = null;
+      this.onKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    ensureStylesInjected() {
+      var styleId = "gtd-diagnostics-styles";
+      if (document.getElementById(styleId)) return;
+
+      var diagnosticsStyles = document.createElement("style");
+      diagnosticsStyles.id = styleId;
+      diagnosticsStyles.textContent =
+        ".gtd-diagnostics { position: fixed; right: 16px; bottom: 16px; z-index: 10000; width: 640px; max-width: calc(100vw - 32px);" +
+        " max-height: 70vh; overflow: auto; background: #fff; color: #222; border: 1px solid #999; border-radius: 6px;" +
+        " box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25); font: 12px/1.4 Consolas, monospace; }" +
+        ".gtd-diagnostics-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: #f3f3f3; border-bottom: 1px solid #ddd; position: sticky; top: 0; }" +
+        ".gtd-diagnostics-header h2 { flex: 1; margin: 0; font-size: 13px; }" +
+        ".gtd-diagnostics section { padding: 8px 12px; }" +
+        ".gtd-diagnostics h3 { margin: 0 0 6px; font-size: 12px; }" +
+        ".gtd-diagnostics table { width: 100%; border-collapse: collapse; }" +
+        ".gtd-diagnostics th, .gtd-diagnostics td { text-align: left; padding: 2px 4px; border-bottom: 1px solid #eee; vertical-align: top; }" +
+        ".gtd-diagnostics .gtd-ok { color: #107c10; }" +
+        ".gtd-diagnostics .gtd-fail { color: #a80000; }" +
+        ".gtd-diagnostics .gtd-skip { color: #777; }";
+
+      document.head.appendChild(diagnosticsStyles);
+    }
+
+    handleKeyDown(e) {
+      if (e.ctrlKey && e.altKey && String(e.key).toLowerCase() === this.shortcutKey) {
+        e.preventDefault();
+        this.toggle();
+      }
+    }
+
+    isOpen() {
+      return !!this.panel;
+    }
+
+    toggle() {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+      return this;
+    }
+
+    open() {
+      if (this.panel) return this;
+
+      this.ensureStylesInjected();
+      this.panel = document.createElement("div");
+      this.panel.className = "gtd-diagnostics";
+      this.panel.setAttribute("role", "dialog");
+      this.panel.setAttribute("aria-label", "Cloud flow diagnostics");
+      document.body.appendChild(this.panel);
+
+      this.unsubscribe = GTDDiagnostics.subscribe(this.render.bind(this));
+      this.render();
+      return this;
+    }
+
+    close() {
+      if (this.unsubscribe) this.unsubscribe();
+      this.unsubscribe = null;
+      if (this.panel && this.panel.parentNode) this.panel.parentNode.removeChild(this.panel);
+      this.panel = null;
+      return this;
+    }
+
+    createButton(label, onClick) {
+      var button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn btn-sm btn-default";
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      return button;
+    }
+
+    createTable(headers, rows) {
+      var table = document.createElement("table");
+      var head = table.createTHead().insertRow();
+      for (var h = 0; h < headers.length; h++) {
+        var th = document.createElement("th");
+        th.textContent = headers[h];
+        head.appendChild(th);
+      }
+
+      var body = table.createTBody();
+      for (var r = 0; r < rows.length; r++) {
+        var tr = body.insertRow();
+        for (var c = 0; c < rows[r].length; c++) {
+          var cell = rows[r][c];
+          var td = tr.insertCell();
+          td.textContent = cell && typeof cell === "object" ? cell.text : String(cell == null ? "" : cell);
+          if (cell && typeof cell === "object" && cell.className) td.className = cell.className;
+        }
+      }
+
+      return table;
+    }
+
+    statusCell(status) {
+      if (status === "pass" || status === true) return { text: "pass", className: "gtd-ok" };
+      if (status === "skip") return { text: "skip", className: "gtd-skip" };
+      return { text: "fail", className: "gtd-fail" };
+    }
+
+    copySupportBundle(button) {
+      var text = JSON.stringify(GTDDiagnostics.getSupportBundle(), null, 2);
+
+      function done(label) {
+        button.textContent = label;
+        setTimeout(function () {
+          button.textContent = "Copy support bundle";
+        }, 2000);
+      }
+
+      if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
+        navigator.clipboard.writeText(text).then(function () {
+          done("Copied");
+        }, function () {
+          done("Copy failed");
+        });
+        return;
+      }
+
+      var area = document.createElement("textarea");
+      area.value = text;
+      document.body.appendChild(area);
+      area.select();
+      try {
+        done(document.execCommand("copy") ? "Copied" : "Copy failed");
+      } catch (e) {
+        done("Copy failed");
+      }
+      document.body.removeChild(area);
+    }
+
+    render() {
+      if (!this.panel) return;
+      var self = this;
+      var bundle = GTDDiagnostics.getSupportBundle();
+      this.panel.innerHTML = "";
+
+      var header = document.createElement("div");
+      header.className = "gtd-diagnostics-header";
+      var title = document.createElement("h2");
+      title.textContent = "Cloud flow diagnostics (v" + DocManVer + ")";
+      header.appendChild(title);
+
+      var copyButton = this.createButton("Copy support bundle", function () {
+        self.copySupportBundle(copyButton);
+      });
+      header.appendChild(copyButton);
+      header.appendChild(this.createButton("Clear", function () {
+        GTDDiagnostics.clear();
+      }));
+      header.appendChild(this.createButton("Close", function () {
+        self.close();
+      }));
+      this.panel.appendChild(header);
+
+      var callsSection = document.createElement("section");
+      var callsTitle = document.createElement("h3");
+      callsTitle.textContent = "Recent flow calls (" + bundle.calls.length + ")";
+      callsSection.appendChild(callsTitle);
+      callsSection.appendChild(this.createTable(
+        ["Time", "Flow", "Status", "ms", "Tries", "Correlation ID", "Tracking ID"],
+        bundle.calls.slice().reverse().map(function (call) {
+          return [
+            call.time.substring(11, 19),
+            call.flowName || call.flowUrl,
+            { text: call.ok ? String(call.status || "ok") : (call.status || call.reason || "fail"), className: call.ok ? "gtd-ok" : "gtd-fail" },
+            call.durationMs,
+            call.attempts,
+            call.correlationId,
+            call.flowTrackingId
+          ];
+        })
+      ));
+      this.panel.appendChild(callsSection);
+
+      var latestPreflight = bundle.preflights[bundle.preflights.length - 1];
+      var preflightSection = document.createElement("section");
+      var preflightTitle = document.createElement("h3");
+      preflightTitle.textContent = latestPreflight
+        ? "Preflight " + latestPreflight.timestamp + (latestPreflight.classification ? " - " + latestPreflight.classification : "")
+        : "Preflight: not run yet";
+      preflightSection.appendChild(preflightTitle);
+
+      var lastCall = bundle.calls.length ? GTDDiagnostics.calls[GTDDiagnostics.calls.length - 1] : null;
+      var preflightUrl = latestPreflight ? GTDDiagnostics.preflights[GTDDiagnostics.preflights.length - 1].flowUrl : (lastCall ? lastCall.flowUrl : "");
+      if (preflightUrl) {
+        preflightSection.appendChild(this.createButton("Run preflight", function () {
+          _RunPreflightChecks(preflightUrl);
+        }));
+      }
+      if (latestPreflight && Array.isArray(latestPreflight.checks)) {
+        preflightSection.appendChild(this.createTable(
+          ["Check", "Result", "Detail"],
+          latestPreflight.checks.map(function (check) {
+            return [check.label, self.statusCell(check.status), check.detail || ""];
+          })
+        ));
+      }
+      this.panel.appendChild(preflightSection);
+    }
+
+    init() {
+      document.addEventListener("keydown", this.onKeyDown);
+
+      var self = this;
+      var search = window.location && window.location.search ? window.location.search : "";
+      if (new RegExp("[?&]" + this.queryParam + "=(1|true)(&|$)", "i").test(search)) {
+        if (document.body) {
+          this.open();
+        } else {
+          document.addEventListener("DOMContentLoaded", function () {
+            self.open();
+          });
+        }
+      }
+      return this;
+    }
+  }
+
+///////////////////////////////////////////////////////
+//GTDListActions: named action handlers and the declarative bootstrap for list actions.
+//Content authors describe actions in <script type="application/json" data-gtd-list-actions> blocks or
+//data-gtd-* attributes on a list container, and each action points at a built-in handler by name:
+//  { "listKey": "...", "nativeActionsConfig": { "labelsToHide": ["Delete"] },
+//    "actions": [{ "id": "approve", "label": "Approve", "handler": "callFlow",
+//                  "params": { "flow": "ApproveDoc", "payload": { "DocManRowGuid": "{guid}" } },
+//                  "visibleWhen": { "column": "Status", "equals": "Pending" } }] }
+//The same handlers are available to code as factories: GTDListActions.callFlow / navigate / openModalForm(params)
+//all take confirm, successMessage, errorMessage and refresh on top of their own params
+///////////////////////////////////////////////////////
+  const GTDListActions = {
+    handlers: {},
+    instances: [],
+    //handlers that act on one row at a time (open a page or a form), refused for bulkActions
+    singleRowHandlers: ["navigate", "openModalForm"],
+
+    register: function (name, factory) {
+      if (!name || typeof factory !== "function") {
+        throw new Error("GTDListActions.register expects a name and a factory(params)");
+      }
+      this.handlers[name] = factory;
+      return this;
+    },
+
+    //returns the onClick(context) for a named handler
+    create: function (name, params) {
+      var factory = this.handlers[name];
+      if (!factory) {
+        throw new Error("Unknown list action handler: " + name);
+      }
+      return factory(params || {});
+    },
+
+    //urls come from author-edited JSON / attributes, so handlers only open same-origin http(s) pages:
+    //a javascript: or data: url would otherwise run script on the site
+    toSafeUrl: function (url) {
+      var resolved;
+      try {
+        resolved = new URL(String(url), window.location.href);
+      } catch (e) {
+        throw new Error("Invalid url: " + url);
+      }
+      if ((resolved.protocol !== "http:" && resolved.protocol !== "https:") || resolved.origin !== window.location.origin) {
+        throw new Error("Only same-origin http(s) urls are allowed: " + url);
+      }
+      return resolved.href;
+    },
+
+    /**
+     * Resolves a template path against the row context: "guid", "values.Status", "values.Document Category.id".
+     * Keys may contain dots or spaces, so each step tries the longest matching key first.
+     */
+    resolvePath: function (scope, path) {
+      var segments = String(path).split(".");
+      var current = scope;
+
+      while (segments.length) {
+        if (current == null || typeof current !== "object") return undefined;
+        var matched = false;
+        for (var take = segments.length; take > 0; take--) {
+          var key = segments.slice(0, take).join(".").trim();
+          if (Object.prototype.hasOwnProperty.call(current, key)) {
+            current = current[key];
+            segments = segments.slice(take);
+            matched = true;
+            break;
+          }
+        }
+        if (!matched) return undefined;
+      }
+      return current;
+    },
+
+    templateValueToString: function (value) {
+      if (value == null) return "";
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === "object" && value.name !== undefined) return String(value.name);
+      if (typeof value === "object") return JSON.stringify(value);
+      return String(value);
+    },
+
+    //{guid}, {label}, {listKey}, {values.Column} (and anything in extra, e.g. {error}) are filled from the row context;
+    //values are URI encoded when encode is true. A placeholder that does not resolve (a typo, a column the list does
+    //not show) throws when strict is true - urls and payloads - and is logged and left empty in messages
+    fillTemplate: function (template, context, encode, extra, strict) {
+      if (typeof template !== "string") return template;
+      var self = this;
+      var scope = Object.assign({}, context || {}, extra || {});
+      return template.replace(/\{([^{}]+)\}/g, function (match, path) {
+        var resolved = self.resolvePath(scope, path);
+        if (resolved === undefined) {
+          if (strict) throw new Error("The placeholder " + match + " could not be filled from the row");
+          ListMenuLog.warn("[GTDListActions] The placeholder " + match + " could not be filled from the row");
+        }
+        var value = self.templateValueToString(resolved);
+        return encode ? encodeURIComponent(value) : value;
+      });
+    },
+
+    fillPayload: function (payload, context) {
+      var self = this;
+      if (Array.isArray(payload)) {
+        return payload.map(function (item) {
+          return self.fillPayload(item, context);
+        });
+      }
+      if (payload && typeof payload === "object") {
+        var filled = {};
+        Object.keys(payload).forEach(function (key) {
+          filled[key] = self.fillPayload(payload[key], context);
+        });
+        return filled;
+      }
+      //a value that is exactly one placeholder keeps numbers and booleans typed
+      var single = typeof payload === "string" ? payload.match(/^\{([^{}]+)\}$/) : null;
+      if (single) {
+        var value = this.resolvePath(context || {}, single[1]);
+        if (typeof value === "number" || typeof value === "boolean") return value;
+      }
+      return this.fillTemplate(payload, context, false, null, true);
+    },
+
+    /**
+     * Turns a declarative condition into a predicate for visible / enabled. A condition reads one column
+     * from context.values ({ column, equals | notEquals | in | notIn | empty }); an array means all must match.
+     * Lookups compare by name, comparisons ignore case and surrounding whitespace.
+     */
+    compileCondition: function (condition) {
+      var self = this;
+      if (Array.isArray(condition)) {
+        var predicates = condition.map(function (item) {
+          return self.compileCondition(item);
+        });
+        return function (context) {
+          return predicates.every(function (predicate) {
+            return predicate(context);
+          });
+        };
+      }
+      if (!condition || !condition.column) {
+        throw new Error("A list action condition needs a column");
+      }
+
+      function normalize(value) {
+        if (value && typeof value === "object" && value.name !== undefined) value = value.name;
+        if (value instanceof Date) value = value.toISOString();
+        return String(value == null ? "" : value).replace(/\s+/g, " ").trim().toLowerCase();
+      }
+
+      return function (context) {
+        var values = context && context.values ? context.values : {};
+        var actual = normalize(values[condition.column]);
+
+        if (condition.empty !== undefined && (actual === "") !== !!condition.empty) return false;
+        if (condition.equals !== undefined && actual !== normalize(condition.equals)) return false;
+        if (condition.notEquals !== undefined && actual === normalize(condition.notEquals)) return false;
+        if (Array.isArray(condition.in) && condition.in.map(normalize).indexOf(actual) === -1) return false;
+        if (Array.isArray(condition.notIn) && condition.notIn.map(normalize).indexOf(actual) !== -1) return false;
+        return true;
+      };
+    },
+
+    ensureStylesInjected: function () {
+      var styleId = "gtd-list-actions-styles";
+      if (document.getElementById(styleId)) return;
+
+      var listActionStyles = document.createElement("style");
+      listActionStyles.id = styleId;
+      listActionStyles.textContent =
+        ".gtd-form-backdrop { position: fixed; inset: 0; z-index: 10050; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.5); }" +
+        ".gtd-form-modal { display: flex; flex-direction: column; width: min(900px, 94vw); height: 85vh; background: #fff; border-radius: 6px; overflow: hidden; }" +
+        ".gtd-form-modal-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #edebe9; }" +
+        ".gtd-form-modal-header h2 { flex: 1; margin: 0; font-size: 16px; }" +
+        ".gtd-form-modal iframe { flex: 1; width: 100%; border: 0; }" +
+        ".gtd-confirm { width: min(440px, 92vw); padding: 20px; background: #fff; border-radius: 6px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25); }" +
+        ".gtd-confirm h2 { margin: 0 0 8px; font-size: 18px; }" +
+        ".gtd-confirm-buttons { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }" +
+        ".gtd-toasts { position: fixed; right: 16px; bottom: 16px; z-index: 10060; display: flex; flex-direction: column; gap: 8px; max-width: min(380px, 92vw); }" +
+        ".gtd-toast { display: flex; align-items: flex-start; gap: 8px; padding: 10px 12px; border-radius: 4px; color: #fff; background: #107c10; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2); }" +
+        ".gtd-toast.is-error { background: #a80000; }" +
+        ".gtd-toast span { flex: 1; }" +
+        ".gtd-toast button { border: 0; background: none; color: inherit; cursor: pointer; }" +
+        ".is-loading { cursor: progress !important; }" +
+        ".gtd-action-spinner { display: inline-block; width: 12px; height: 12px; margin-left: auto; border: 2px solid currentColor; border-right-color: transparent; border-radius: 50%; animation: gtd-spin 0.8s linear infinite; }" +
+        "@keyframes gtd-spin { to { transform: rotate(360deg); } }";
+
+      document.head.appendChild(listActionStyles);
+    },
+
+    /**
+     * Modal with the page hosting a basic form in an iframe; resolves { submitted } when it closes.
+     * A postback alone proves nothing (validation errors and links reload the frame too), so the form counts as
+     * submitted only on its own signal: a { type: "gtd:form-submitted" } postMessage from the frame, the success
+     * message (options.successSelector, default ".alert-success") or a redirect to options.successUrl.
+     * options.closeOnSubmit closes the modal as soon as that happens.
+     */
+    openFormModal: function (url, title, options) {
+      var safeUrl = this.toSafeUrl(url);
+      options = options || {};
+      var settings = {
+        closeOnSubmit: options.closeOnSubmit !== false,
+        successSelector: options.successSelector || ".alert-success",
+        successUrl: options.successUrl || ""
+      };
+      this.ensureStylesInjected();
+
+      return new Promise(function (resolve) {
+        var returnFocusTo = document.activeElement;
+        var backdrop = document.createElement("div");
+        backdrop.className = "gtd-form-backdrop";
+
+        var dialog = document.createElement("div");
+        dialog.className = "gtd-form-modal";
+        dialog.setAttribute("role", "dialog");
+        dialog.setAttribute("aria-modal", "true");
+        dialog.setAttribute("aria-label", title);
+
+        var header = document.createElement("div");
+        header.className = "gtd-form-modal-header";
+        var heading = document.createElement("h2");
+        heading.textContent = title;
+        var closeButton = document.createElement("button");
+        closeButton.type = "button";
+        closeButton.className = "btn btn-default btn-sm";
+        closeButton.textContent = "Close";
+        header.appendChild(heading);
+        header.appendChild(closeButton);
+
+        var frame = document.createElement("iframe");
+        frame.title = title;
+        var loads = 0;
+        var submitted = false;
+
+        function markSubmitted() {
+          submitted = true;
+          if (settings.closeOnSubmit) close();
+        }
+
+        //the form pages are same-origin, so the frame's location and document can be read after each load
+        frame.addEventListener("load", function () {
+          loads++;
+          if (loads < 2) return;
+          var frameLocation = "";
+          var frameDocument = null;
+          try {
+            frameLocation = frame.contentWindow.location.href;
+            frameDocument = frame.contentDocument;
+          } catch (e) {
+            return;
+          }
+          var redirected = settings.successUrl && frameLocation.indexOf(settings.successUrl) !== -1;
+          var successMessage = settings.successSelector && frameDocument && frameDocument.querySelector(settings.successSelector);
+          if (redirected || successMessage) markSubmitted();
+        });
+
+        function onMessage(e) {
+          if (e.source !== frame.contentWindow || e.origin !== window.location.origin) return;
+          if (e.data && e.data.type === "gtd:form-submitted") markSubmitted();
+        }
+
+        frame.src = safeUrl;
+
+        function close() {
+          document.removeEventListener("keydown", onKeyDown);
+          window.removeEventListener("message", onMessage);
+          if (backdrop.parentNode) backdrop.parentNode.removeChild(backdrop);
+          if (returnFocusTo && typeof returnFocusTo.focus === "function") returnFocusTo.focus();
+          resolve({ closed: true, submitted: submitted, frame: frame });
+        }
+
+        function onKeyDown(e) {
+          if (e.key === "Escape") {
+            e.preventDefault();
+            close();
+          }
+        }
+
+        closeButton.addEventListener("click", close);
+        backdrop.addEventListener("click", function (e) {
+          if (e.target === backdrop) close();
+        });
+        document.addEventListener("keydown", onKeyDown);
+        window.addEventListener("message", onMessage);
+
+        dialog.appendChild(header);
+        dialog.appendChild(frame);
+        backdrop.appendChild(dialog);
+        document.body.appendChild(backdrop);
+        closeButton.focus();
+      });
+    },
+
+    /**
+     * Accessible confirmation dialog. options: string message or { title, message, confirmLabel, cancelLabel }.
+     * Resolves true when confirmed, false on cancel, Escape or a click outside.
+     */
+    confirm: function (options) {
+      this.ensureStylesInjected();
+      var settings = typeof options === "string" ? { message: options } : (options || {});
+
+      return new Promise(function (resolve) {
+        var returnFocusTo = document.activeElement;
+        var backdrop = document.createElement("div");
+        backdrop.className = "gtd-form-backdrop";
+
+        var dialog = document.createElement("div");
+        dialog.className = "gtd-confirm";
+        dialog.setAttribute("role", "alertdialog");
+        dialog.setAttribute("aria-modal", "true");
+
+        var heading = document.createElement("h2");
+        heading.id = "gtd-confirm-title-" + Date.now();
+        heading.textContent = settings.title || "Please confirm";
+        var message = document.createElement("p");
+        message.id = heading.id + "-message";
+        message.textContent = settings.message || "Are you sure?";
+        dialog.setAttribute("aria-labelledby", heading.id);
+        dialog.setAttribute("aria-describedby", message.id);
+
+        var buttons = document.createElement("div");
+        buttons.className = "gtd-confirm-buttons";
+        var cancelButton = document.createElement("button");
+        cancelButton.type = "button";
+        cancelButton.className = "btn btn-default";
+        cancelButton.textContent = settings.cancelLabel || "Cancel";
+        var confirmButton = document.createElement("button");
+        confirmButton.type = "button";
+        confirmButton.className = "btn btn-primary";
+        confirmButton.textContent = settings.confirmLabel || "OK";
+        buttons.appendChild(cancelButton);
+        buttons.appendChild(confirmButton);
+
+        function finish(confirmed) {
+          document.removeEventListener("keydown", onKeyDown, true);
+          if (backdrop.parentNode) backdrop.parentNode.removeChild(backdrop);
+          if (returnFocusTo && typeof returnFocusTo.focus === "function" && returnFocusTo.isConnected) returnFocusTo.focus();
+          resolve(confirmed);
+        }
+
+        //keeps Tab inside the dialog and Escape from reaching the menu underneath
+        function onKeyDown(e) {
+          if (e.key === "Escape") {
+            e.preventDefault();
+            e.stopPropagation();
+            finish(false);
+          } else if (e.key === "Tab") {
+            e.preventDefault();
+            (document.activeElement === confirmButton ? cancelButton : confirmButton).focus();
+          }
+        }
+
+        cancelButton.addEventListener("click", function () {
+          finish(false);
+        });
+        confirmButton.addEventListener("click", function () {
+          finish(true);
+        });
+        backdrop.addEventListener("click", function (e) {
+          if (e.target === backdrop) finish(false);
+        });
+        document.addEventListener("keydown", onKeyDown, true);
+
+        dialog.appendChild(heading);
+        dialog.appendChild(message);
+        dialog.appendChild(buttons);
+        backdrop.appendChild(dialog);
+        document.body.appendChild(backdrop);
+        confirmButton.focus();
+      });
+    },
+
+    //type "success" (polite status) or "error" (alert); errors stay up a little longer
+    toast: function (message, type, durationMs) {
+      if (!message) return null;
+      this.ensureStylesInjected();
+
+      var container = document.getElementById("gtd-toasts");
+      if (!container) {
+        container = document.createElement("div");
+        container.id = "gtd-toasts";
+        container.className = "gtd-toasts";
+        document.body.appendChild(container);
+      }
+
+      var isError = type === "error";
+      var toast = document.createElement("div");
+      toast.className = "gtd-toast" + (isError ? " is-error" : "");
+      toast.setAttribute("role", isError ? "alert" : "status");
+      var text = document.createElement("span");
+      text.textContent = String(message);
+      var dismiss = document.createElement("button");
+      dismiss.type = "button";
+      dismiss.setAttribute("aria-label", "Dismiss");
+      dismiss.textContent = "×";
+      toast.appendChild(text);
+      toast.appendChild(dismiss);
+
+      function remove() {
+        clearTimeout(timer);
+        if (toast.parentNode) toast.parentNode.removeChild(toast);
+      }
+      var timer = setTimeout(remove, durationMs || (isError ? 8000 : 5000));
+      dismiss.addEventListener("click", remove);
+
+      container.appendChild(toast);
+      return toast;
+    },
+
+    //busy state on the menu item / button that started the action; aria-disabled also blocks a second click
+    setLoading: function (element, loading) {
+      if (!element) return;
+
+      if (loading) {
+        element.setAttribute("data-gtd-was-disabled", element.getAttribute("aria-disabled") || "");
+        element.setAttribute("aria-busy", "true");
+        element.setAttribute("aria-disabled", "true");
+        element.classList.add("is-loading");
+        var spinner = document.createElement("span");
+        spinner.className = "gtd-action-spinner";
+        spinner.setAttribute("aria-hidden", "true");
+        element.appendChild(spinner);
+        return;
+      }
+
+      var wasDisabled = element.getAttribute("data-gtd-was-disabled");
+      element.removeAttribute("data-gtd-was-disabled");
+      element.removeAttribute("aria-busy");
+      if (wasDisabled) {
+        element.setAttribute("aria-disabled", wasDisabled);
+      } else {
+        element.removeAttribute("aria-disabled");
+      }
+      element.classList.remove("is-loading");
+      var spinners = element.querySelectorAll(".gtd-action-spinner");
+      for (var i = 0; i < spinners.length; i++) {
+        spinners[i].parentNode.removeChild(spinners[i]);
+      }
+    },
+
+    /**
+     * Refreshes the list the row belongs to. refresh may be a function(context); otherwise a cancelable
+     * "gtd:list-refresh" event is fired on the list (call preventDefault when the page handled it), then classic
+     * entity lists get jQuery's trigger("refresh") and a pages-grid its own refresh() when it has one.
+     * The page is reloaded only when asked for with refresh: "reload".
+     */
+    refreshList: function (context, refresh) {
+      if (typeof refresh === "function") return refresh(context);
+
+      var listRoot = context && context.listRoot ? context.listRoot : null;
+      var target = listRoot || document;
+      var event = new CustomEvent("gtd:list-refresh", { bubbles: true, cancelable: true, detail: { context: context } });
+      if (!target.dispatchEvent(event)) return;
+
+      var classicGrid = listRoot && typeof listRoot.closest === "function"
+        ? (listRoot.closest(".entity-grid") || listRoot.querySelector(".entity-grid"))
+        : document.querySelector(".entity-grid");
+      if (classicGrid && typeof window.jQuery === "function") {
+        window.jQuery(classicGrid).trigger("refresh");
+        return;
+      }
+
+      var pagesGrid = listRoot && typeof listRoot.closest === "function"
+        ? (listRoot.closest("pages-grid") || listRoot.querySelector("pages-grid"))
+        : document.querySelector("pages-grid");
+      if (pagesGrid && typeof pagesGrid.refresh === "function") {
+        pagesGrid.refresh();
+        return;
+      }
+
+      if (refresh === "reload") {
+        window.location.reload();
+        return;
+      }
+      ListMenuLog.warn("[GTDListActions] The list could not be refreshed in place; handle gtd:list-refresh or set refresh: \"reload\"");
+    },
+
+    /**
+     * Wraps run(context) with the shared handler behaviour: optional confirm, loading state on the element that
+     * was clicked (context.sourceElement), success / error toasts and a list refresh on success.
+     * run may resolve { skipped: true } to finish quietly (e.g. a form modal closed without saving).
+     * The returned onClick resolves { cancelled: true } when the user declines the confirmation.
+     */
+    wrapHandler: function (run, params, defaults) {
+      var self = this;
+      var settings = Object.assign({ successMessage: "", errorMessage: "{error}", refresh: false }, defaults || {}, params || {});
+
+      var handler = function (context) {
+        var element = context ? context.sourceElement : null;
+        var confirmation = settings.confirm
+          ? self.confirm(typeof settings.confirm === "string"
+            ? { message: self.fillTemplate(settings.confirm, context, false) }
+            : {
+              title: self.fillTemplate(settings.confirm.title, context, false),
+              message: self.fillTemplate(settings.confirm.message, context, false),
+              confirmLabel: settings.confirm.confirmLabel,
+              cancelLabel: settings.confirm.cancelLabel
+            })
+          : Promise.resolve(true);
+
+        return confirmation.then(function (confirmed) {
+          if (!confirmed) return { cancelled: true };
+
+          self.setLoading(element, true);
+          return Promise.resolve()
+            .then(function () {
+              return run(context);
+            })
+            .then(function (result) {
+              self.setLoading(element, false);
+              if (result && result.skipped) return result;
+
+              self.toast(self.fillTemplate(settings.successMessage, context, false), "success");
+              if (settings.refresh) {
+                self.refreshList(context, settings.refresh);
+              }
+              return result;
+            }, function (error) {
+              self.setLoading(element, false);
+              var message = error && error.message ? error.message : String(error);
+              self.toast(self.fillTemplate(settings.errorMessage, context, false, { error: message }), "error");
+              throw error;
+            });
+        });
+      };
+
+      //the menu stays open (showing the loading state) until the handler settles
+      handler.keepMenuOpen = true;
+      return handler;
+    },
+
+    //params: { flow, registry, payload } for a registered flow, or { url | triggerId, payload } through _GenericFlowHandler.
+    //payload defaults to { RowGuid: "{guid}" }; refreshes the list on success unless refresh:false (refresh:"reload" reloads the page).
+    //A payload that uses {guid} is never sent without one
+    callFlow: function (params) {
+      var self = this;
+      params = params || {};
+      var payloadTemplate = params.payload || { RowGuid: "{guid}" };
+      var needsGuid = JSON.stringify(payloadTemplate).indexOf("{guid}") !== -1;
+
+      return this.wrapHandler(function (context) {
+        if (needsGuid && !(context && context.guid)) {
+          throw new Error("The row GUID could not be read, so the flow was not called");
+        }
+        var payload = self.fillPayload(payloadTemplate, context);
+        var registry = params.registry || DocManFlows;
+
+        if (params.flow && registry.has(params.flow)) {
+          return registry.invoke(params.flow, payload).then(function (result) {
+            if (!result.ok) {
+              throw new Error(result.error && result.error.message ? result.error.message : "Flow " + params.flow + " failed");
+            }
+            return result;
+          });
+        }
+
+        var flowUrl = params.url || (params.triggerId ? "/_api/cloudflow/v1.0/trigger/" + params.triggerId : "");
+        if (!flowUrl) {
+          throw new Error("callFlow needs a registered flow, url or triggerId");
+        }
+        return new Promise(function (resolve, reject) {
+          _GenericFlowHandler(flowUrl, payload).then(resolve, function (jqXHR) {
+            reject(new Error("Flow request failed" + (jqXHR && jqXHR.status ? " (" + jqXHR.status + ")" : "")));
+          });
+        });
+      }, params, { successMessage: "Done", refresh: true });
+    },
+
+    //params: { url: "/document/?id={guid}", newTab }
+    navigate: function (params) {
+      var self = this;
+      params = params || {};
+      if (!params.url) {
+        throw new Error("navigate needs a url");
+      }
+
+      return this.wrapHandler(function (context) {
+        var url = self.toSafeUrl(self.fillTemplate(params.url, context, true, null, true));
+        if (params.newTab) {
+          window.open(url, "_blank", "noopener");
+        } else {
+          window.location.assign(url);
+        }
+      }, params, { errorMessage: "Could not open the page: {error}" });
+    },
+
+    //params: { url: "/edit-document/?id={guid}", title, closeOnSubmit, successSelector, successUrl } - the page hosting
+    //the basic form; refreshes the list once the form signalled success (see openFormModal)
+    openModalForm: function (params) {
+      var self = this;
+      params = params || {};
+      if (!params.url) {
+        throw new Error("openModalForm needs a url");
+      }
+
+      return this.wrapHandler(function (context) {
+        var url = self.toSafeUrl(self.fillTemplate(params.url, context, true, null, true));
+        var title = self.fillTemplate(params.title || (context && context.label) || "Form", context, false);
+        return self.openFormModal(url, title, {
+          closeOnSubmit: params.closeOnSubmit !== false,
+          successSelector: params.successSelector,
+          successUrl: params.successUrl
+        }).then(function (result) {
+          return result.submitted ? result : Object.assign({ skipped: true }, result);
+        });
+      }, params, { successMessage: "Saved", refresh: true });
+    },
+
+    toActionConfig: function (definition, enhancer) {
+      var self = this;
+      var config = {
+        id: definition.id,
+        label: definition.label,
+        ariaLabel: definition.ariaLabel,
+        icon: definition.icon ? enhancer.createIcon(definition.icon) : null,
+        group: definition.group,
+        order: definition.order,
+        position: definition.position,
+        placements: definition.placements,
+        separatorBefore: definition.separatorBefore,
+        separatorAfter: definition.separatorAfter,
+        requiresRow: definition.requiresRow,
+        disabledReason: definition.disabledReason,
+        visible: definition.visibleWhen ? this.compileCondition(definition.visibleWhen) : null,
+        enabled: definition.enabledWhen ? this.compileCondition(definition.enabledWhen) : null
+      };
+
+      if (Array.isArray(definition.children)) {
+        config.children = definition.children.map(function (child) {
+          return self.toActionConfig(child, enhancer);
+        });
+      } else {
+        config.onClick = this.create(definition.handler, definition.params);
+      }
+      return config;
+    },
+
+    createEnhancer: function (entry, source) {
+      var self = this;
+      (entry.bulkActions || []).forEach(function (definition) {
+        if (self.singleRowHandlers.indexOf(definition.handler) !== -1) {
+          throw new Error("The " + definition.handler + " handler opens one row and cannot be a bulk action (" + definition.id + ")");
+        }
+      });
+      var nativeActionsConfig = entry.nativeActionsConfig || (entry.labelsToHide ? { labelsToHide: entry.labelsToHide } : {});
+      var enhancer = new PowerPagesListMenuEnhancer({
+        listKey: entry.listKey,
+        listSelector: entry.listSelector,
+        guidSelector: entry.guidSelector,
+        nativeActionsConfig: nativeActionsConfig,
+        columnTypes: entry.columnTypes,
+        locale: entry.locale,
+        bulk: entry.bulk || (Array.isArray(entry.bulkActions) && entry.bulkActions.length ? true : undefined),
+        debug: entry.debug,
+        logPrefix: entry.logPrefix || "[PowerPagesListMenuEnhancer:" + (entry.listKey || source) + "]"
+      });
+
+      enhancer.addActions((entry.actions || []).map(function (definition) {
+        return self.toActionConfig(definition, enhancer);
+      }));
+      //per row the handler runs quietly; the toolbar shows the summary and the list refreshes once at the end
+      enhancer.addBulkActions((entry.bulkActions || []).map(function (definition) {
+        var params = definition.params || {};
+        return {
+          id: definition.id,
+          label: definition.label,
+          icon: definition.icon ? enhancer.createIcon(definition.icon) : null,
+          onRow: self.create(definition.handler, Object.assign({}, params, { confirm: null, successMessage: "", errorMessage: "", refresh: false })),
+          onComplete: function (summary) {
+            if (!summary.succeeded || params.refresh === false) return;
+            self.refreshList({ listRoot: summary.results[0].context.listRoot }, params.refresh);
+          }
+        };
+      }));
+
+      return enhancer.init();
+    },
+
+    readAttributeEntry: function (container) {
+      var listKey = container.getAttribute("data-gtd-list-key") || container.getAttribute("list-id");
+      if (!listKey) {
+        var grid = container.querySelector("pages-grid[list-id]");
+        listKey = grid ? grid.getAttribute("list-id") : null;
+      }
+
+      var hideNative = container.getAttribute("data-gtd-hide-native");
+      var bulkActions = container.getAttribute("data-gtd-bulk-actions");
+      return {
+        listKey: listKey,
+        labelsToHide: hideNative ? hideNative.split(",").map(function (label) { return label.trim(); }).filter(Boolean) : [],
+        actions: JSON.parse(container.getAttribute("data-gtd-actions") || "[]"),
+        bulkActions: bulkActions ? JSON.parse(bulkActions) : []
+      };
+    },
+
+    /**
+     * Scans root (default document) for declared list actions and creates one enhancer per entry.
+     * Each block / container is only processed once; a bad entry is logged and skipped so one typo
+     * does not take the other lists down with it. Returns the enhancers created by this call.
+     */
+    bootstrap: function (root) {
+      var self = this;
+      var scope = root || document;
+      var created = [];
+
+      function add(entry, source) {
+        try {
+          var enhancer = self.createEnhancer(entry, source);
+          created.push(enhancer);
+          self.instances.push(enhancer);
+        } catch (e) {
+          ListMenuLog.error("[GTDListActions] Could not set up list actions from", source, e);
+        }
+      }
+
+      var blocks = scope.querySelectorAll("script[type='application/json'][data-gtd-list-actions]");
+      Array.prototype.forEach.call(blocks, function (block) {
+        if (block.getAttribute("data-gtd-bootstrapped") === "true") return;
+        block.setAttribute("data-gtd-bootstrapped", "true");
+
+        var parsed;
+        try {
+          parsed = JSON.parse(block.textContent || "null");
+        } catch (e) {
+          ListMenuLog.error("[GTDListActions] Invalid JSON in data-gtd-list-actions block", e);
+          return;
+        }
+        (Array.isArray(parsed) ? parsed : [parsed]).forEach(function (entry) {
+          if (entry) add(entry, "script block");
+        });
+      });
+
+      var containers = scope.querySelectorAll("[data-gtd-actions]");
+      Array.prototype.forEach.call(containers, function (container) {
+        if (container.getAttribute("data-gtd-bootstrapped") === "true") return;
+        container.setAttribute("data-gtd-bootstrapped", "true");
+
+        var entry;
+        try {
+          entry = self.readAttributeEntry(container);
+        } catch (e) {
+          ListMenuLog.error("[GTDListActions] Invalid data-gtd-* attributes on list container", e);
+          return;
+        }
+        add(entry, "data-gtd-actions");
+      });
+
+      if (created.length) {
+        ListMenuLog.info("[GTDListActions] Bootstrapped", created.length, "list enhancer(s).");
+      }
+      return created;
+    }
+  };
+
+  GTDListActions
+    .register("callFlow", function (params) {
+      return GTDListActions.callFlow(params);
+    })
+    .register("navigate", function (params) {
+      return GTDListActions.navigate(params);
+    })
+    .register("openModalForm", function (params) {
+      return GTDListActions.openModalForm(params);
+    });
+
+///////////////////////////////////////////////////////
+//ListMenuHub: one document click listener and one body MutationObserver shared by every
+//PowerPagesListMenuEnhancer on the page; instances attach on init() and detach on destroy().
+//The observer only runs while some instance renders into lists (checkboxes, inline buttons, toolbars);
+//menu detection uses its own short lived observer per trigger click
+///////////////////////////////////////////////////////
+  const ListMenuHub = {
+    instances: [],
+    observer: null,
+
+    attach: function (instance) {
+      if (this.instances.indexOf(instance) !== -1) return;
+      this.instances.push(instance);
+      if (this.instances.length === 1) {
+        //capture phase so instances see the click before the native handler opens the menu
+        document.addEventListener("click", this.onClick, true);
+        ListMenuLog.info("[ListMenuHub] Click dispatcher started.");
+      }
+      this.updateObserver();
+    },
+
+    detach: function (instance) {
+      var index = this.instances.indexOf(instance);
+      if (index === -1) return;
+      this.instances.splice(index, 1);
+      if (!this.instances.length) {
+        document.removeEventListener("click", this.onClick, true);
+        ListMenuLog.info("[ListMenuHub] Click dispatcher stopped.");
+      }
+      this.updateObserver();
+    },
+
+    updateObserver: function () {
+      var needed = this.instances.some(function (instance) {
+        return instance.hasListDecorations();
+      });
+
+      if (needed && !this.observer) {
+        this.observer = new MutationObserver(this.onMutations);
+        this.observer.observe(document.body, { childList: true, subtree: true });
+        ListMenuLog.info("[ListMenuHub] List observer started.");
+      } else if (!needed && this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+        ListMenuLog.info("[ListMenuHub] List observer stopped.");
+      }
+    },
+
+    //handlers are called through ListMenuHub (not this) so they can be passed around as plain listeners
+    onClick: function (e) {
+      ListMenuHub.instances.slice().forEach(function (instance) {
+        instance.handleDocumentClick(e);
+      });
+    },
+
+    onMutations: function (mutations) {
+      ListMenuHub.instances.slice().forEach(function (instance) {
+        instance.handleMutations(mutations);
+      });
+    }
+  };
+
+///////////////////////////////////////////////////////
+//PowerPagesListMenuEnhancer is a class used to add controls to the standard list
+///////////////////////////////////////////////////////
+  class PowerPagesListMenuEnhancer {
+    constructor(options) {
+      options = options || {};
+      this.logPrefix = options.logPrefix || "[PowerPagesListMenuEnhancer]";
+      this.triggerSelector = options.triggerSelector || "[data-automation-key='ppNativeListContextualMenu']";
+      this.listKey = options.listKey || null;
+      this.listSelector = options.listSelector || (this.listKey ? "pages-grid[list-id='" + this.escapeCssAttrValue(this.listKey) + "']" : null);
+      this.guidSelector = options.guidSelector || null;
+      //used inside attribute selectors, so a configured key is sanitised like the default one
+      this.instanceKey = String(options.instanceKey || (this.logPrefix + (this.listSelector || ""))).replace(/[^a-zA-Z0-9_-]/g, "_");
+      this.pendingRowContext = null;
+      this.menuWatcher = null;
+      this.menuWaitTimer = null;
+      this.menuWaitTimeoutMs = options.menuWaitTimeoutMs || 2000;
+      this.isInitialized = false;
+      this.actions = [];
+      this.isAwaitingMenuForClick = false;
+      this.isClosingMenu = false;
+      this.debug = !!options.debug;
+      this.nativeActionsConfig = options.nativeActionsConfig || {};
+      this.nativeActionLabelsToHide = Array.isArray(this.nativeActionsConfig.labelsToHide) ? this.nativeActionsConfig.labelsToHide : [];
+      //columnTypes sets the parser per column (display or logical name): "text", "number", "date", "boolean" or "lookup";
+      //without it (or a data-type on the cell) values stay text so codes like "01234" keep their leading zeros
+      this.columnTypes = options.columnTypes || {};
+      //numbers and dates are read in the portal's language (<html lang>), not the viewer's browser locale
+      this.locale = options.locale || null;
+      this.parseColumnValues = options.parseColumnValues !== false;
+      //bulk: true or { concurrency, itemName, itemNamePlural } adds row checkboxes and a bulk toolbar to scoped lists;
+      //concurrency is how many rows onRow runs for at once (default 3), numeric strings like "4" are accepted
+      this.bulkOptions = Object.assign({ concurrency: 3, itemName: "item", itemNamePlural: "items" }, options.bulk && typeof options.bulk === "object" ? options.bulk : {});
+      var bulkConcurrency = Math.floor(Number(this.bulkOptions.concurrency));
+      if (!(bulkConcurrency >= 1)) {
+        ListMenuLog.warn(this.logPrefix, "bulk.concurrency must be a number of 1 or more, using 3:", this.bulkOptions.concurrency);
+        bulkConcurrency = 3;
+      }
+      this.bulkOptions.concurrency = bulkConcurrency;
+      this.bulkEnabled = !!options.bulk;
+      this.bulkActions = [];
+      this.bulkSelection = {};
+      this.bulkToolbars = [];
+      this.listToolbars = [];
+      this.listDecorateTimer = null;
+      this.closeMenuOnAction = options.closeMenuOnAction !== false;
+      this.typeAheadBuffer = "";
+      this.typeAheadTimer = null;
+      this.isBulkRunning = false;
+      this.bulkLastSummary = null;
+      this.icons = {
+        gear: '<path d="M8 4.754a3.246 3.246 0 1 0 0 6.492 3.246 3.246 0 0 0 0-6.492zM5.754 8a2.246 2.246 0 1 1 4.492 0 2.246 2.246 0 0 1-4.492 0z"/>' +
+          '<path d="M9.796 1.343c-.527-1.79-3.065-1.79-3.592 0l-.094.319a1.873 1.873 0 0 1-2.292 1.226l-.314-.093c-1.79-.527-3.065 1.748-1.933 3.165l.2.25a1.873 1.873 0 0 1 0 2.58l-.2.25c-1.132 1.417.143 3.692 1.933 3.165l.314-.093a1.873 1.873 0 0 1 2.292 1.226l.094.319c.527 1.79 3.065 1.79 3.592 0l.094-.319a1.873 1.873 0 0 1 2.292-1.226l.314.093c1.79.527 3.065-1.748 1.933-3.165l-.2-.25a1.873 1.873 0 0 1 0-2.58l.2-.25c1.132-1.417-.143-3.692-1.933-3.165l-.314.093a1.873 1.873 0 0 1-2.292-1.226l-.094-.319z"/>',
+        pencil: '<path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708L5.207 14.5H2v-3.207z"/><path fill-rule="evenodd" d="M1 13.5V16h2.5l8.793-8.793-2.5-2.5z"/>',
+        eye: '<path d="M16 8s-3-5.5-8-5.5S0 8 0 8s3 5.5 8 5.5S16 8 16 8zM1.173 8a13.133 13.133 0 0 1 1.66-2.043C4.12 4.668 5.88 3.5 8 3.5c2.12 0 3.879 1.168 5.168 2.457A13.133 13.133 0 0 1 14.828 8c-.058.087-.122.183-.195.288-.335.48-.83 1.12-1.465 1.755C11.879 11.332 10.119 12.5 8 12.5c-2.12 0-3.879-1.168-5.168-2.457A13.134 13.134 0 0 1 1.172 8z"/><path d="M8 5.5a2.5 2.5 0 1 0 0 5 2.5 2.5 0 0 0 0-5zM4.5 8a3.5 3.5 0 1 1 7 0 3.5 3.5 0 0 1-7 0z"/>'
+      };
+      this.ensureStylesInjected();
+    }
+
+    log() {
+      var args = Array.prototype.slice.call(arguments);
+      args.unshift(this.logPrefix);
+      ListMenuLog.info.apply(null, args);
+    }
+
+    //debug:true shows this instance's debug output without changing the shared listmenu level
+    debugLog() {
+      if (!this.debug) return;
+      var args = Array.prototype.slice.call(arguments);
+      args.unshift(this.logPrefix);
+      GTDLog.write("debug", ListMenuLog.namespace, args, true);
+    }
+
+    normalizeText(value) {
+      return String(value || "").replace(/\s+/g, " ").trim().toLowerCase();
+    }
+
+    decodeUriSafe(value) {
+      if (value == null) return "";
+      var text = String(value);
+      try {
+        return decodeURIComponent(text);
+      } catch (e) {
+        return text;
+      }
+    }
+
+    formatCompactGuid(compact) {
+      var normalized = String(compact || "").replace(/[^0-9a-fA-F]/g, "");
       if (normalized.length !== 32) return null;
       return (
         normalized.slice(0, 8) + "-" +
@@ -555,7 +5408,31 @@ const GTDCTRLVer = "12.03";
         ".custom-menu-action:hover, .custom-menu-action:focus-visible {" +
         " background-color: var(--bs-dropdown-link-hover-bg, rgba(0, 0, 0, 0.05));" +
         " color: var(--bs-dropdown-link-hover-color, inherit);" +
-        "}";
+        "}" +
+        ".custom-menu-action[aria-disabled='true'] { opacity: 0.5; }" +
+        ".custom-menu-action[aria-disabled='true']:hover { background-color: transparent; }" +
+        ".custom-menu-separator { margin: 4px 0; border-top: 1px solid var(--bs-dropdown-divider-bg, rgba(0, 0, 0, 0.15)); }" +
+        ".custom-menu-submenu { position: relative; }" +
+        ".custom-menu-submenu-chevron { margin-left: auto; padding-left: 12px; }" +
+        ".custom-menu-submenu-list { position: absolute; top: 0; left: 100%; min-width: 180px; z-index: 1070; }" +
+        ".custom-menu-submenu-list:not([hidden]) { display: block; }" +
+        ".custom-menu-submenu.is-flipped > .custom-menu-submenu-list { left: auto; right: 100%; }" +
+        ".gtd-sr-only { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }" +
+        ".gtd-inline-actions { white-space: nowrap; }" +
+        ".gtd-inline-action { display: inline-flex; align-items: center; gap: 4px; padding: 2px 6px; border: 0; background: none; color: inherit; cursor: pointer; }" +
+        ".gtd-inline-action:hover, .gtd-inline-action:focus-visible { background-color: rgba(0, 0, 0, 0.05); }" +
+        ".gtd-list-toolbar { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }" +
+        ".gtd-list-toolbar[hidden] { display: none; }" +
+        ".gtd-list-toolbar-action { display: inline-flex; align-items: center; gap: 6px; padding: 4px 10px; border: 1px solid #c8c6c4; border-radius: 4px; background: #fff; cursor: pointer; }" +
+        ".gtd-inline-action[aria-disabled='true'], .gtd-list-toolbar-action[aria-disabled='true'] { opacity: 0.5; cursor: not-allowed; }" +
+        ".gtd-current-row { outline: 2px solid rgba(0, 120, 212, 0.4); outline-offset: -2px; }" +
+        ".gtd-bulk-select { margin-right: 8px; vertical-align: middle; cursor: pointer; }" +
+        ".gtd-bulk-toolbar { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 8px 12px; margin-bottom: 8px; border: 1px solid #c8c6c4; border-radius: 4px; background: #f3f2f1; }" +
+        ".gtd-bulk-toolbar[hidden] { display: none; }" +
+        ".gtd-bulk-count { font-weight: 600; margin-right: 8px; }" +
+        ".gtd-bulk-toolbar progress { flex: 1 1 160px; }" +
+        ".gtd-bulk-summary { flex-basis: 100%; font-size: 13px; }" +
+        ".gtd-bulk-summary ul { margin: 4px 0 0; padding-left: 18px; color: #a80000; }";
 
       document.head.appendChild(customActionStyles);
     }
@@ -581,57 +5458,327 @@ const GTDCTRLVer = "12.03";
       return this.createSvgIcon(svgPaths, color);
     }
 
-    collectMatchesDeep(root, selector) {
-      var results = [];
-      if (!root || !selector) return results;
+    collectMatchesDeep(root, selector) {
+      var results = [];
+      if (!root || !selector) return results;
+
+      function visit(node) {
+        if (!node) return;
+
+        if (node.nodeType === 1 && typeof node.matches === "function" && node.matches(selector)) {
+          results.push(node);
+        }
+
+        var children = node.children || [];
+        for (var i = 0; i < children.length; i++) {
+          visit(children[i]);
+        }
+
+        if (node.shadowRoot) {
+          visit(node.shadowRoot);
+        }
+      }
+
+      visit(root);
+      return results;
+    }
+
+    findFirstDeep(root, selector) {
+      var matches = this.collectMatchesDeep(root, selector);
+      return matches.length ? matches[0] : null;
+    }
+
+    findScopedHostFromTrigger(trigger) {
+      if (!trigger) return null;
+
+      if (this.listSelector) {
+        var selectorMatch = trigger.closest(this.listSelector);
+        if (selectorMatch) return selectorMatch;
+      }
+
+      if (this.listKey) {
+        var keySelector = "pages-grid[list-id='" + this.escapeCssAttrValue(this.listKey) + "']";
+        var containers = document.querySelectorAll("pages-native-container");
+
+        for (var i = 0; i < containers.length; i++) {
+          var container = containers[i];
+          if (container.querySelector(keySelector) && container.contains(trigger)) {
+            return container;
+          }
+        }
+      }
+
+      return null;
+    }
+
+    getRowCellTexts(row) {
+      var texts = [];
+      if (!row) return texts;
+
+      var cells = row.querySelectorAll("[role='gridcell']:not(.gtd-inline-actions), td:not(.gtd-inline-actions)");
+      for (var i = 0; i < cells.length; i++) {
+        texts.push(String(cells[i].innerText || cells[i].textContent || "").replace(/\s+/g, " ").trim());
+      }
+      return texts;
+    }
+
+    getColumnLogicalName(element) {
+      if (!element) return "";
+
+      var attributesToCheck = ["data-logical-name", "data-attribute", "data-item-key", "data-sort-name", "data-column-name", "data-automation-key"];
+      for (var i = 0; i < attributesToCheck.length; i++) {
+        var value = element.getAttribute(attributesToCheck[i]);
+        if (value && value !== "ppNativeListContextualMenu") return value;
+      }
+
+      var sortLink = element.querySelector ? element.querySelector("[data-sort-name]") : null;
+      return sortLink ? sortLink.getAttribute("data-sort-name") || "" : "";
+    }
+
+    getColumnHeaders(row, listRoot) {
+      var gridRoot = listRoot || (row ? row.closest("pages-grid, [role='grid'], table") : null);
+      if (!gridRoot) return [];
+
+      var headerCells = this.collectMatchesDeep(gridRoot, "[role='columnheader']:not(.gtd-inline-actions), th:not(.gtd-inline-actions)");
+      var headers = [];
+
+      for (var i = 0; i < headerCells.length; i++) {
+        var header = headerCells[i];
+        var nameElement = header.querySelector("[class*='cellName']") || header;
+        var displayName = String(nameElement.innerText || nameElement.textContent || header.getAttribute("aria-label") || "").replace(/\s+/g, " ").trim();
+
+        headers.push({
+          index: headers.length,
+          colIndex: header.getAttribute("aria-colindex"),
+          displayName: displayName,
+          logicalName: this.getColumnLogicalName(header)
+        });
+      }
+
+      return headers;
+    }
+
+    getPortalLocale() {
+      if (this.locale) return this.locale;
+
+      var lang = typeof document !== "undefined" && document.documentElement ? document.documentElement.getAttribute("lang") : "";
+      try {
+        this.locale = lang && Intl.DateTimeFormat.supportedLocalesOf([lang]).length ? lang : "en-US";
+      } catch (e) {
+        this.locale = "en-US";
+      }
+      return this.locale;
+    }
+
+    getLocaleNumberSeparators() {
+      if (this.numberSeparators) return this.numberSeparators;
+
+      var decimal = ".";
+      try {
+        decimal = (1.1).toLocaleString(this.getPortalLocale()).charAt(1) || ".";
+      } catch (e) {
+        decimal = ".";
+      }
+      this.numberSeparators = { decimal: decimal, group: decimal === "," ? "." : "," };
+      return this.numberSeparators;
+    }
+
+    parseCellNumber(text) {
+      var raw = String(text || "").replace(/[\s\u00a0\u202f]/g, "");
+      var match = raw.match(/^(\(?)([^\w\-+(]{0,3})([-+]?)([\d.,]+)(%?)([^\w)]{0,3})(\)?)$/);
+      if (!match || (match[1] && !match[7])) return null;
+
+      var separators = this.getLocaleNumberSeparators();
+      var digits = match[4];
+      var escapedGroup = "\\" + separators.group;
+      var escapedDecimal = "\\" + separators.decimal;
+      var shape = new RegExp("^(\\d{1,3}(" + escapedGroup + "\\d{3})+|\\d+)(" + escapedDecimal + "\\d+)?$");
+      if (!shape.test(digits)) return null;
+
+      var value = parseFloat(digits.split(separators.group).join("").replace(separators.decimal, "."));
+      if (match[5]) value = value / 100;
+      return match[1] || match[3] === "-" ? -value : value;
+    }
+
+    getLocaleDateOrder() {
+      if (this.dateOrder) return this.dateOrder;
 
-      function visit(node) {
-        if (!node) return;
+      var order = "mdy";
+      try {
+        var parts = new Intl.DateTimeFormat(this.getPortalLocale()).formatToParts(new Date(2001, 10, 22));
+        order = parts
+          .filter(function (part) { return part.type === "day" || part.type === "month" || part.type === "year"; })
+          .map(function (part) { return part.type.charAt(0); })
+          .join("");
+      } catch (e) {
+        order = "mdy";
+      }
+      this.dateOrder = order;
+      return order;
+    }
 
-        if (node.nodeType === 1 && typeof node.matches === "function" && node.matches(selector)) {
-          results.push(node);
-        }
+    parseCellDate(text) {
+      var raw = String(text || "").trim();
+      if (!raw) return null;
 
-        var children = node.children || [];
-        for (var i = 0; i < children.length; i++) {
-          visit(children[i]);
-        }
+      if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(raw)) {
+        var isoDate = new Date(raw.length === 10 ? raw + "T00:00:00" : raw.replace(" ", "T"));
+        return isNaN(isoDate.getTime()) ? null : isoDate;
+      }
 
-        if (node.shadowRoot) {
-          visit(node.shadowRoot);
-        }
+      var match = raw.match(/^(\d{1,4})[\/.\-](\d{1,2})[\/.\-](\d{1,4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/);
+      if (!match) return null;
+
+      var order = this.getLocaleDateOrder();
+      var first = parseInt(match[1], 10);
+      var second = parseInt(match[2], 10);
+      var third = parseInt(match[3], 10);
+      var year, month, day;
+
+      if (match[1].length === 4) {
+        year = first; month = second; day = third;
+      } else if (order.indexOf("d") < order.indexOf("m")) {
+        day = first; month = second; year = third;
+      } else {
+        month = first; day = second; year = third;
+      }
+      if (year < 100) year += 2000;
+
+      var hours = match[4] ? parseInt(match[4], 10) : 0;
+      var minutes = match[5] ? parseInt(match[5], 10) : 0;
+      var seconds = match[6] ? parseInt(match[6], 10) : 0;
+      if (match[7]) {
+        var pm = match[7].toLowerCase() === "pm";
+        if (pm && hours < 12) hours += 12;
+        if (!pm && hours === 12) hours = 0;
       }
 
-      visit(root);
-      return results;
+      var date = new Date(year, month - 1, day, hours, minutes, seconds);
+      if (isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+      return date;
     }
 
-    findFirstDeep(root, selector) {
-      var matches = this.collectMatchesDeep(root, selector);
-      return matches.length ? matches[0] : null;
+    getCellLookup(cell) {
+      var links = cell.querySelectorAll("a[href], [data-entity-reference]");
+      for (var i = 0; i < links.length; i++) {
+        var link = links[i];
+        var id = this.extractGuidFromElement(link);
+        if (!id) continue;
+
+        var href = link.getAttribute("href") || "";
+        var entityMatch = href.match(/[?&](?:logicalname|entity|etn)=([^&#]+)/i);
+        return {
+          id: id,
+          name: String(link.innerText || link.textContent || "").replace(/\s+/g, " ").trim(),
+          entityName: entityMatch ? this.decodeUriSafe(entityMatch[1]) : (link.getAttribute("data-entity-name") || null)
+        };
+      }
+      return null;
     }
 
-    findScopedHostFromTrigger(trigger) {
-      if (!trigger) return null;
+    //classic entity lists render data-type / data-value on each cell, so those win over parsing the display text.
+    //Text is only parsed as a number, date or boolean when columnTypes or data-type asks for it; lookup links
+    //and <time datetime> are read from the markup
+    parseCellValue(cell, forcedType) {
+      var text = String(cell.innerText || cell.textContent || "").replace(/\s+/g, " ").trim();
+      var dataType = String(cell.getAttribute("data-type") || "");
+      var dataValue = cell.getAttribute("data-value");
+      var type = forcedType || "";
+
+      if (!type) {
+        if (/EntityReference/i.test(dataType)) type = "lookup";
+        else if (/DateTime/i.test(dataType)) type = "date";
+        else if (/Int|Decimal|Double|Money/i.test(dataType)) type = "number";
+        else if (/Boolean/i.test(dataType)) type = "boolean";
+      }
 
-      if (this.listSelector) {
-        var selectorMatch = trigger.closest(this.listSelector);
-        if (selectorMatch) return selectorMatch;
+      if (type === "lookup" || (!type && dataValue == null)) {
+        var lookup = null;
+        if (dataValue && /EntityReference/i.test(dataType)) {
+          try {
+            var reference = JSON.parse(dataValue);
+            lookup = { id: this.extractGuid(reference.Id || reference.id), name: reference.Name || reference.name || text, entityName: reference.LogicalName || reference.logicalName || null };
+          } catch (e) {
+            lookup = null;
+          }
+        }
+        lookup = lookup || this.getCellLookup(cell);
+        if (lookup) return { type: "lookup", text: text, value: lookup };
+        if (type === "lookup") return { type: "lookup", text: text, value: text ? { id: null, name: text, entityName: null } : null };
       }
 
-      if (this.listKey) {
-        var keySelector = "pages-grid[list-id='" + this.escapeCssAttrValue(this.listKey) + "']";
-        var containers = document.querySelectorAll("pages-native-container");
+      var source = dataValue != null && dataValue !== "" ? dataValue : text;
+      if (!source) return { type: type || "text", text: text, value: null };
 
-        for (var i = 0; i < containers.length; i++) {
-          var container = containers[i];
-          if (container.querySelector(keySelector) && container.contains(trigger)) {
-            return container;
-          }
+      if (!type) {
+        var timeElement = cell.querySelector("time[datetime]");
+        if (timeElement) {
+          source = timeElement.getAttribute("datetime");
+          type = "date";
         }
       }
 
-      return null;
+      if (type === "date") {
+        var date = this.parseCellDate(source);
+        return { type: "date", text: text, value: date };
+      }
+
+      if (type === "number") {
+        var number = this.parseCellNumber(source);
+        return { type: "number", text: text, value: number };
+      }
+
+      if (type === "boolean") {
+        var normalized = this.normalizeText(source);
+        return { type: "boolean", text: text, value: normalized === "true" || normalized === "yes" || normalized === "1" };
+      }
+
+      return { type: "text", text: text, value: text };
+    }
+
+    /**
+     * Reads the grid's column headers (shadow roots included) and returns the row's cells as
+     * { values, columns }; values is keyed by both display name and logical name.
+     */
+    getRowValues(row, listRoot) {
+      var result = { values: {}, columns: [] };
+      if (!row || !this.parseColumnValues) return result;
+
+      var headers = this.getColumnHeaders(row, listRoot);
+      var cells = row.querySelectorAll("[role='gridcell']:not(.gtd-inline-actions), [role='rowheader'], td:not(.gtd-inline-actions)");
+      var headersByColIndex = {};
+      for (var h = 0; h < headers.length; h++) {
+        if (headers[h].colIndex) headersByColIndex[headers[h].colIndex] = headers[h];
+      }
+
+      for (var i = 0; i < cells.length; i++) {
+        var cell = cells[i];
+        if (cell.querySelector(this.triggerSelector) || cell.querySelector("input[type='checkbox']:not(.gtd-bulk-select)")) continue;
+
+        var colIndex = cell.getAttribute("aria-colindex");
+        var header = (colIndex && headersByColIndex[colIndex]) || (!colIndex && headers.length === cells.length ? headers[i] : null);
+        var displayName = header ? header.displayName : "";
+        var logicalName = this.getColumnLogicalName(cell) || (header ? header.logicalName : "");
+        if (!displayName && !logicalName) continue;
+
+        var forcedType = this.columnTypes[displayName] || this.columnTypes[logicalName] || null;
+        var parsed = this.parseCellValue(cell, forcedType);
+        var column = {
+          index: i,
+          displayName: displayName || logicalName,
+          logicalName: logicalName || null,
+          type: parsed.type,
+          text: parsed.text,
+          value: parsed.value,
+          cell: cell
+        };
+
+        result.columns.push(column);
+        if (displayName) result.values[displayName] = parsed.value;
+        if (logicalName && !(logicalName in result.values)) result.values[logicalName] = parsed.value;
+      }
+
+      return result;
     }
 
     getRowContextFromTrigger(trigger) {
@@ -642,8 +5789,9 @@ const GTDCTRLVer = "12.03";
       var label = firstCell ? (firstCell.innerText || "").trim() : "Row";
       var listRoot = this.findScopedHostFromTrigger(trigger);
       var guid = this.getGuidFromRow(row);
+      var rowValues = this.getRowValues(row, listRoot);
 
-      return { row: row, label: label, guid: guid, trigger: trigger, listRoot: listRoot, listKey: this.listKey || null };
+      return { row: row, label: label, guid: guid, cells: this.getRowCellTexts(row), values: rowValues.values, columns: rowValues.columns, trigger: trigger, listRoot: listRoot, listKey: this.listKey || null };
     }
 
     getRowContextFromRow(row, listRoot) {
@@ -652,8 +5800,9 @@ const GTDCTRLVer = "12.03";
       var firstCell = row.querySelector("[role='gridcell'], td");
       var label = firstCell ? (firstCell.innerText || "").trim() : "Row";
       var guid = this.getGuidFromRow(row);
+      var rowValues = this.getRowValues(row, listRoot);
 
-      return { row: row, label: label, guid: guid, listRoot: listRoot || null, listKey: this.listKey || null };
+      return { row: row, label: label, guid: guid, cells: this.getRowCellTexts(row), values: rowValues.values, columns: rowValues.columns, listRoot: listRoot || null, listKey: this.listKey || null };
     }
 
     isTriggerInScope(trigger) {
@@ -661,17 +5810,94 @@ const GTDCTRLVer = "12.03";
       return !!this.findScopedHostFromTrigger(trigger);
     }
 
-    findOpenMenuRoot() {
-      var menus = Array.from(document.querySelectorAll("[role='menu']"));
-      if (!menus.length) return null;
+    isMenuVisible(menu) {
+      if (!menu || !menu.isConnected || menu.hidden || menu.closest("[hidden]")) return false;
+      var style = window.getComputedStyle(menu);
+      return style.display !== "none" && style.visibility !== "hidden";
+    }
+
+    //top level menus only: our submenus (and any native ones) are menus nested inside a menu
+    getVisibleMenus() {
+      var self = this;
+      return Array.prototype.filter.call(document.querySelectorAll("[role='menu']"), function (menu) {
+        return !(menu.parentElement && menu.parentElement.closest("[role='menu']")) && self.isMenuVisible(menu);
+      });
+    }
+
+    getMenuFromElement(element) {
+      if (!element) return null;
+      var menu = element.matches("[role='menu']") ? element : element.querySelector("[role='menu']");
+      return this.isMenuVisible(menu) ? menu : null;
+    }
+
+    //the menu anchored nearest to the trigger among menus that were not already open when it was clicked
+    findAnchoredMenu(trigger, ignoredMenus) {
+      var triggerRect = trigger.getBoundingClientRect();
+      var best = null;
+      var bestDistance = Infinity;
+
+      this.getVisibleMenus().forEach(function (menu) {
+        if (ignoredMenus && ignoredMenus.indexOf(menu) !== -1) return;
+        var rect = menu.getBoundingClientRect();
+        var dx = Math.max(0, rect.left - triggerRect.right, triggerRect.left - rect.right);
+        var dy = Math.max(0, rect.top - triggerRect.bottom, triggerRect.top - rect.bottom);
+        var distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < bestDistance) {
+          best = menu;
+          bestDistance = distance;
+        }
+      });
+
+      return best;
+    }
+
+    /**
+     * Finds the menu opened by this trigger: aria-controls / aria-owns first, then a menu labelled by the trigger,
+     * then a menu in the trigger's own dropdown container, and only then the nearest newly opened menu.
+     */
+    findMenuForTrigger(trigger, ignoredMenus, allowAnchored) {
+      if (!trigger || !trigger.isConnected) return null;
+
+      var rootNode = typeof trigger.getRootNode === "function" ? trigger.getRootNode() : document;
+      var lookup = rootNode && typeof rootNode.getElementById === "function" ? rootNode : document;
+      var ids = [trigger.getAttribute("aria-controls"), trigger.getAttribute("aria-owns")].join(" ").split(/\s+/);
+
+      for (var i = 0; i < ids.length; i++) {
+        if (!ids[i]) continue;
+        var menu = this.getMenuFromElement(lookup.getElementById(ids[i]) || document.getElementById(ids[i]));
+        if (menu) return menu;
+      }
 
-      for (var i = menus.length - 1; i >= 0; i--) {
-        var menu = menus[i];
-        var style = window.getComputedStyle(menu);
-        if (style.display !== "none" && style.visibility !== "hidden") return menu;
+      if (trigger.id) {
+        var labelled = this.getVisibleMenus().filter(function (candidate) {
+          return (" " + (candidate.getAttribute("aria-labelledby") || "") + " ").indexOf(" " + trigger.id + " ") !== -1;
+        });
+        if (labelled.length) return labelled[0];
       }
 
-      return null;
+      var container = trigger.closest(".dropdown, .btn-group, .dropup, .dropstart, .dropend");
+      if (container) {
+        var containerMenu = this.getMenuFromElement(container.querySelector("[role='menu']"));
+        if (containerMenu) return containerMenu;
+      }
+
+      return allowAnchored ? this.findAnchoredMenu(trigger, ignoredMenus) : null;
+    }
+
+    mutationsTouchMenu(mutations) {
+      for (var i = 0; i < mutations.length; i++) {
+        var mutation = mutations[i];
+        var target = mutation.target;
+        if (target.nodeType === 1 && target.closest("[role='menu']")) return true;
+        if (target.nodeType === 1 && mutation.type === "attributes" && target.querySelector("[role='menu']")) return true;
+
+        var added = mutation.addedNodes || [];
+        for (var j = 0; j < added.length; j++) {
+          var node = added[j];
+          if (node.nodeType === 1 && (node.matches("[role='menu']") || node.querySelector("[role='menu']"))) return true;
+        }
+      }
+      return false;
     }
 
     getScopedListRoots() {
@@ -692,95 +5918,669 @@ const GTDCTRLVer = "12.03";
       return !!this.findFirstDeep(listRoot, this.triggerSelector);
     }
 
-    addAction(config) {
-      if (!config || !config.id || !config.label || typeof config.onClick !== "function") {
-        throw new Error("Action must include: id, label, onClick(context)");
+    normalizeAction(config, index) {
+      var hasChildren = !!(config && Array.isArray(config.children) && config.children.length);
+      if (!config || !config.id || !config.label || (!hasChildren && typeof config.onClick !== "function")) {
+        throw new Error("Action must include: id, label, onClick(context) (or children for a submenu)");
+      }
+      if (config.visible != null && typeof config.visible !== "function") {
+        throw new Error("Action visible must be a function(context)");
+      }
+      if (config.enabled != null && typeof config.enabled !== "function") {
+        throw new Error("Action enabled must be a function(context)");
+      }
+      var placements = config.placements == null ? ["menu"] : (Array.isArray(config.placements) ? config.placements : [config.placements]);
+      for (var p = 0; p < placements.length; p++) {
+        if (placements[p] !== "menu" && placements[p] !== "inline" && placements[p] !== "toolbar") {
+          throw new Error("Action placements must be \"menu\", \"inline\" and/or \"toolbar\"");
+        }
+      }
+      if (config.position != null && typeof config.position !== "string" && typeof config.position !== "object") {
+        throw new Error("Action position must be \"start\", \"end\", { before: label } or { after: label }");
       }
 
-      this.actions.push({
+      var self = this;
+      return {
         id: config.id,
         label: config.label,
         ariaLabel: config.ariaLabel || config.label,
         icon: config.icon || null,
-        onClick: config.onClick
-      });
+        onClick: typeof config.onClick === "function" ? config.onClick : null,
+        visible: config.visible || null,
+        enabled: config.enabled || null,
+        disabledReason: config.disabledReason || null,
+        group: config.group != null ? String(config.group) : "",
+        order: typeof config.order === "number" ? config.order : 0,
+        index: index,
+        position: config.position || "end",
+        separatorBefore: !!config.separatorBefore,
+        separatorAfter: !!config.separatorAfter,
+        placements: placements,
+        requiresRow: config.requiresRow !== false,
+        source: config,
+        children: hasChildren
+          ? config.children.map(function (child, childIndex) {
+            return self.normalizeAction(child, childIndex);
+          })
+          : null
+      };
+    }
 
+    /**
+     * Registers a custom menu action.
+     * visible(context) / enabled(context) are optional predicates evaluated against the row context each time the
+     * menu opens; disabledReason (string or function(context)) becomes the tooltip of a disabled item.
+     * group / order sort the actions (a separator is drawn between groups), position places them relative to the
+     * native items ("start", "end", { before: "Delete" } or { after: "Edit" }) and children turns the action into a submenu.
+     * placements chooses where it renders: "menu" (default), "inline" (icon button in an action column on each row)
+     * and/or "toolbar" (button above the list, acting on the current row; requiresRow:false enables it without one).
+     */
+    addAction(config) {
+      var nextIndex = this.actions.length ? this.actions[this.actions.length - 1].index + 1 : 0;
+      this.actions.push(this.normalizeAction(config, nextIndex));
+      this.refresh();
+      return this;
+    }
+
+    removeAction(id) {
+      var before = this.actions.length;
+      this.actions = this.actions.filter(function (action) {
+        return action.id !== id;
+      });
+      if (this.actions.length !== before) {
+        this.refresh();
+      }
       return this;
     }
 
+    //patch is merged over the config the action was registered with and validated again
+    updateAction(id, patch) {
+      for (var i = 0; i < this.actions.length; i++) {
+        if (this.actions[i].id !== id) continue;
+        this.actions[i] = this.normalizeAction(Object.assign({}, this.actions[i].source, patch || {}, { id: id }), this.actions[i].index);
+        this.refresh();
+        return this;
+      }
+      throw new Error("Unknown action: " + id);
+    }
+
     addActions(configs) {
       if (!Array.isArray(configs)) {
         throw new Error("addActions expects an array of action configs");
       }
 
-      for (var i = 0; i < configs.length; i++) {
-        this.addAction(configs[i]);
+      for (var i = 0; i < configs.length; i++) {
+        this.addAction(configs[i]);
+      }
+
+      return this;
+    }
+
+    //evaluates the visible / enabled predicates; a predicate that throws hides (or disables) the action rather than breaking the menu
+    getActionState(action, context) {
+      var state = { visible: true, enabled: true, reason: "" };
+      var rowContext = context || {};
+
+      if (action.visible) {
+        try {
+          state.visible = !!action.visible(rowContext);
+        } catch (e) {
+          ListMenuLog.warn(this.logPrefix, "visible() failed for action", action.id, e);
+          state.visible = false;
+        }
+      }
+      if (!state.visible) return state;
+
+      if (action.enabled) {
+        try {
+          state.enabled = !!action.enabled(rowContext);
+        } catch (e) {
+          ListMenuLog.warn(this.logPrefix, "enabled() failed for action", action.id, e);
+          state.enabled = false;
+        }
+      }
+
+      if (!state.enabled && action.disabledReason) {
+        try {
+          state.reason = typeof action.disabledReason === "function"
+            ? String(action.disabledReason(rowContext) || "")
+            : String(action.disabledReason);
+        } catch (e) {
+          state.reason = "";
+        }
+      }
+
+      return state;
+    }
+
+    /**
+     * Registers an action for the bulk toolbar. label may contain {count} / {items} or be a function(count, contexts).
+     * Provide onRow(context) to run once per selected row (with bulk.concurrency), or onClick(contexts, report) to
+     * handle the whole selection and call report(context, result) as rows finish. Results are true/false or
+     * { ok, message }; a rejected promise counts as a failure for that row. onClick may instead resolve with an array
+     * of results in selection order; rows it never reports count as failed. onComplete(summary) runs once at the end.
+     */
+    addBulkAction(config) {
+      if (!config || !config.id || !config.label || (typeof config.onRow !== "function" && typeof config.onClick !== "function")) {
+        throw new Error("Bulk action must include: id, label, onRow(context) or onClick(contexts, report)");
+      }
+
+      this.bulkActions.push({
+        id: config.id,
+        label: config.label,
+        icon: config.icon || null,
+        onRow: typeof config.onRow === "function" ? config.onRow : null,
+        onClick: typeof config.onClick === "function" ? config.onClick : null,
+        onComplete: typeof config.onComplete === "function" ? config.onComplete : null
+      });
+      this.bulkEnabled = true;
+      this.refresh();
+
+      return this;
+    }
+
+    addBulkActions(configs) {
+      if (!Array.isArray(configs)) {
+        throw new Error("addBulkActions expects an array of bulk action configs");
+      }
+
+      for (var i = 0; i < configs.length; i++) {
+        this.addBulkAction(configs[i]);
+      }
+
+      return this;
+    }
+
+    createMenuItem(action, context, state, domId) {
+      var disabled = !!(state && !state.enabled);
+      var item = document.createElement("button");
+      item.type = "button";
+      item.setAttribute("role", "menuitem");
+      item.className = "dropdown-item custom-menu-action custom-menu-action-" + action.id;
+      item.setAttribute("data-custom-action-id", domId || (this.instanceKey + "__" + action.id));
+      item.setAttribute("aria-label", action.ariaLabel);
+      //tabindex -1 keeps items out of the tab order (roving focus), data-is-focusable lets Fluent's FocusZone see them
+      item.setAttribute("tabindex", "-1");
+      item.setAttribute("data-is-focusable", "true");
+
+      item.style.display = "flex";
+      item.style.alignItems = "center";
+      item.style.gap = "8px";
+      item.style.width = "100%";
+      item.style.textAlign = "left";
+      item.style.padding = "8px 12px";
+      item.style.cursor = disabled ? "not-allowed" : "pointer";
+
+      //aria-disabled rather than the disabled attribute so the item stays focusable and its tooltip still shows
+      if (disabled) {
+        item.setAttribute("aria-disabled", "true");
+        if (state.reason) {
+          item.title = state.reason;
+        }
+      }
+
+      if (action.icon) {
+        item.appendChild(action.icon.cloneNode(true));
+      }
+
+      var text = document.createElement("span");
+      text.textContent = action.label;
+      item.appendChild(text);
+
+      var self = this;
+      item.addEventListener("click", function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (item.getAttribute("aria-disabled") === "true" || !action.onClick) return;
+        self.runMenuAction(action, context || {}, item);
+      });
+
+      return item;
+    }
+
+    //runs the handler for any placement; async results are announced through the live region
+    executeAction(action, context) {
+      var self = this;
+      var outcome;
+      try {
+        outcome = action.onClick(context);
+      } catch (e) {
+        ListMenuLog.error(this.logPrefix, "Action failed:", action.id, e);
+        this.announce(action.label + " failed" + (e && e.message ? ": " + e.message : ""));
+        return outcome;
+      }
+
+      if (!outcome || typeof outcome.then !== "function") {
+        if (!(outcome && (outcome.cancelled || outcome.skipped))) this.announce(action.label + " completed");
+      } else {
+        outcome.then(function (result) {
+          if (result && (result.cancelled || result.skipped)) return;
+          self.announce(action.label + " completed");
+        }, function (error) {
+          ListMenuLog.error(self.logPrefix, "Action failed:", action.id, error);
+          self.announce(action.label + " failed" + (error && error.message ? ": " + error.message : ""));
+        });
+      }
+
+      return outcome;
+    }
+
+    //runs the handler, closes the native menu and puts focus back on the row's trigger
+    runMenuAction(action, context, item) {
+      var menuRoot = item ? item.closest("[role='menu']") : null;
+      while (menuRoot && menuRoot.parentElement && menuRoot.parentElement.closest("[role='menu']")) {
+        menuRoot = menuRoot.parentElement.closest("[role='menu']");
+      }
+
+      var self = this;
+      var outcome = this.executeAction(action, Object.assign({}, context, { sourceElement: item }));
+      if (!this.closeMenuOnAction) return outcome;
+
+      //handlers built with GTDListActions keep the menu open so their loading state is visible
+      if (action.onClick.keepMenuOpen && outcome && typeof outcome.then === "function") {
+        var close = function () {
+          self.closeMenu(menuRoot, context.trigger);
+        };
+        outcome.then(close, close);
+      } else {
+        this.closeMenu(menuRoot, context.trigger);
+      }
+      return outcome;
+    }
+
+    //native menus (Fluent and Bootstrap) both close on Escape, so that is how an injected action dismisses them
+    //the Escape listener from enableMenuKeyboard ignores this synthetic Escape, focus is restored once here
+    closeMenu(menuRoot, trigger) {
+      if (menuRoot && menuRoot.isConnected) {
+        this.isClosingMenu = true;
+        try {
+          menuRoot.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", code: "Escape", keyCode: 27, which: 27, bubbles: true, cancelable: true }));
+        } finally {
+          this.isClosingMenu = false;
+        }
+      }
+      this.restoreFocus(trigger);
+    }
+
+    restoreFocus(trigger) {
+      if (!trigger) return;
+      setTimeout(function () {
+        if (trigger.isConnected && typeof trigger.focus === "function") {
+          trigger.focus();
+        }
+      }, 0);
+    }
+
+    //one shared polite live region for every enhancer on the page
+    announce(message) {
+      if (!message) return;
+
+      var regionId = "gtd-listmenu-announcer";
+      var region = document.getElementById(regionId);
+      if (!region) {
+        region = document.createElement("div");
+        region.id = regionId;
+        region.className = "gtd-sr-only";
+        region.setAttribute("role", "status");
+        region.setAttribute("aria-live", "polite");
+        region.setAttribute("aria-atomic", "true");
+        document.body.appendChild(region);
+      }
+
+      //clearing first makes screen readers repeat an identical message
+      region.textContent = "";
+      setTimeout(function () {
+        region.textContent = String(message);
+      }, 50);
+    }
+
+    isMenuItemNavigable(menuItem) {
+      return menuItem.getAttribute("aria-hidden") !== "true" &&
+        menuItem.style.display !== "none" &&
+        !menuItem.closest("[hidden]");
+    }
+
+    //the items of one menu level: nested submenu items belong to their own level
+    getMenuLevelItems(menu) {
+      var self = this;
+      return Array.prototype.filter.call(menu.querySelectorAll("[role='menuitem']"), function (menuItem) {
+        return menuItem.closest("[role='menu']") === menu && self.isMenuItemNavigable(menuItem);
+      });
+    }
+
+    focusMenuItem(items, index) {
+      if (!items.length) return;
+      var target = items[(index + items.length) % items.length];
+      target.focus();
+    }
+
+    /**
+     * WAI-ARIA menu keyboard support covering native and injected items alike: ArrowUp/ArrowDown wrap,
+     * Home/End, type-ahead on printable keys, and focus back to the trigger when Escape closes the menu.
+     * Handled in the capture phase so the native roving focus (which skips injected items) never sees these keys.
+     */
+    enableMenuKeyboard(menuRoot, context) {
+      if (!menuRoot || menuRoot.getAttribute("data-gtd-keyboard") === "true") return;
+      menuRoot.setAttribute("data-gtd-keyboard", "true");
+
+      var self = this;
+      var trigger = context ? context.trigger : null;
+
+      menuRoot.addEventListener("keydown", function (e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+        var menu = e.target.closest ? e.target.closest("[role='menu']") : null;
+        if (!menu || !menuRoot.contains(menu)) return;
+
+        var items = self.getMenuLevelItems(menu);
+        var current = items.indexOf(e.target.closest("[role='menuitem']"));
+
+        if (e.key === "ArrowDown" || e.key === "ArrowUp" || e.key === "Home" || e.key === "End") {
+          e.preventDefault();
+          e.stopPropagation();
+          if (e.key === "ArrowDown") self.focusMenuItem(items, current + 1);
+          if (e.key === "ArrowUp") self.focusMenuItem(items, current < 0 ? -1 : current - 1);
+          if (e.key === "Home") self.focusMenuItem(items, 0);
+          if (e.key === "End") self.focusMenuItem(items, -1);
+          return;
+        }
+
+        if (e.key && e.key.length === 1 && /\S/.test(e.key)) {
+          clearTimeout(self.typeAheadTimer);
+          self.typeAheadBuffer += e.key.toLowerCase();
+          self.typeAheadTimer = setTimeout(function () {
+            self.typeAheadBuffer = "";
+          }, 500);
+
+          //a repeated single letter cycles through items starting with it
+          var search = self.typeAheadBuffer;
+          var cycling = search.length > 1 && search.split("").every(function (ch) { return ch === search[0]; });
+          if (cycling) search = search[0];
+
+          var start = cycling || search.length === 1 ? current + 1 : Math.max(current, 0);
+          for (var i = 0; i < items.length; i++) {
+            var candidate = items[(start + i) % items.length];
+            if (self.normalizeText(candidate.textContent).indexOf(search) === 0) {
+              e.preventDefault();
+              e.stopPropagation();
+              candidate.focus();
+              break;
+            }
+          }
+        }
+      }, true);
+
+      menuRoot.addEventListener("keydown", function (e) {
+        if (e.key !== "Escape" && e.key !== "Tab") return;
+        //Escape inside an open submenu only closes the submenu (handled there)
+        if (e.defaultPrevented || self.isClosingMenu) return;
+        self.restoreFocus(e.key === "Escape" ? trigger : null);
+      });
+    }
+
+    createSeparator(domId) {
+      var separator = document.createElement("div");
+      separator.setAttribute("role", "separator");
+      separator.className = "dropdown-divider custom-menu-separator";
+      separator.setAttribute("data-custom-action-id", domId);
+      return separator;
+    }
+
+    //sorts by group (groups ordered by their lowest order value), then order, then registration order
+    sortActions(actions) {
+      var groupRank = {};
+      actions.forEach(function (action) {
+        var rank = groupRank[action.group];
+        if (rank === undefined || action.order < rank.order || (action.order === rank.order && action.index < rank.index)) {
+          groupRank[action.group] = { order: action.order, index: action.index };
+        }
+      });
+
+      return actions.slice().sort(function (a, b) {
+        if (a.group !== b.group) {
+          var rankA = groupRank[a.group];
+          var rankB = groupRank[b.group];
+          return rankA.order - rankB.order || rankA.index - rankB.index;
+        }
+        return a.order - b.order || a.index - b.index;
+      });
+    }
+
+    /**
+     * Evaluates and sorts actions for a row and builds their menu nodes, with separators between groups.
+     * Returns [] when nothing is visible; submenus whose children are all hidden are dropped too.
+     */
+    buildActionNodes(actions, context, domPrefix) {
+      var self = this;
+      var nodes = [];
+      var previousGroup = null;
+      var separatorCount = 0;
+
+      this.sortActions(actions).forEach(function (action) {
+        var state = self.getActionState(action, context);
+        if (!state.visible) {
+          self.debugLog("Action hidden for row:", action.id);
+          return;
+        }
+
+        var domId = domPrefix + action.id;
+        var node = action.children
+          ? self.createSubmenuItem(action, context, state, domId)
+          : self.createMenuItem(action, context, state, domId);
+        if (!node) return;
+
+        //a separatorAfter right before a new group already separates them
+        var lastIsSeparator = nodes.length && nodes[nodes.length - 1].getAttribute("role") === "separator";
+        if (nodes.length && !lastIsSeparator && (action.separatorBefore || action.group !== previousGroup)) {
+          nodes.push(self.createSeparator(domPrefix + "separator-" + (separatorCount++)));
+        }
+        nodes.push(node);
+        if (action.separatorAfter) {
+          nodes.push(self.createSeparator(domPrefix + "separator-" + (separatorCount++)));
+        }
+        previousGroup = action.group;
+      });
+
+      //a trailing separatorAfter has nothing to separate
+      while (nodes.length && nodes[nodes.length - 1].getAttribute("role") === "separator") {
+        nodes.pop();
+      }
+
+      return nodes;
+    }
+
+    createSubmenuItem(action, context, state, domId) {
+      var self = this;
+      var childNodes = this.buildActionNodes(action.children, context, domId + "__");
+      if (!childNodes.length) return null;
+
+      var wrapper = document.createElement("div");
+      wrapper.className = "custom-menu-submenu";
+      wrapper.setAttribute("role", "none");
+
+      var trigger = this.createMenuItem(action, context, state, domId);
+      trigger.setAttribute("aria-haspopup", "menu");
+      trigger.setAttribute("aria-expanded", "false");
+      var chevron = document.createElement("span");
+      chevron.className = "custom-menu-submenu-chevron";
+      chevron.setAttribute("aria-hidden", "true");
+      chevron.textContent = "▸";
+      trigger.appendChild(chevron);
+
+      var submenu = document.createElement("div");
+      submenu.setAttribute("role", "menu");
+      submenu.setAttribute("aria-label", action.label);
+      submenu.className = "dropdown-menu custom-menu-submenu-list";
+      submenu.hidden = true;
+      childNodes.forEach(function (node) {
+        submenu.appendChild(node);
+      });
+
+      wrapper.appendChild(trigger);
+      wrapper.appendChild(submenu);
+
+      var closeTimer = null;
+      var disabled = trigger.getAttribute("aria-disabled") === "true";
+
+      function open(focusFirst) {
+        if (disabled) return;
+        clearTimeout(closeTimer);
+        submenu.hidden = false;
+        submenu.classList.add("show");
+        trigger.setAttribute("aria-expanded", "true");
+        wrapper.classList.remove("is-flipped");
+        var rect = submenu.getBoundingClientRect();
+        if (rect.right > (window.innerWidth || document.documentElement.clientWidth)) {
+          wrapper.classList.add("is-flipped");
+        }
+        if (focusFirst) {
+          var first = submenu.querySelector("[role='menuitem']");
+          if (first) first.focus();
+        }
+      }
+
+      function close(focusTrigger) {
+        clearTimeout(closeTimer);
+        submenu.hidden = true;
+        submenu.classList.remove("show");
+        trigger.setAttribute("aria-expanded", "false");
+        if (focusTrigger) trigger.focus();
       }
 
-      return this;
-    }
+      trigger.addEventListener("click", function () {
+        if (submenu.hidden) {
+          open(true);
+        } else {
+          close(false);
+        }
+      });
+      trigger.addEventListener("keydown", function (e) {
+        if (e.key === "ArrowRight" || e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          e.stopPropagation();
+          open(true);
+        }
+      });
+      submenu.addEventListener("keydown", function (e) {
+        if (e.key === "ArrowLeft" || e.key === "Escape") {
+          e.preventDefault();
+          e.stopPropagation();
+          close(true);
+        }
+      });
+      wrapper.addEventListener("mouseenter", function () {
+        open(false);
+      });
+      wrapper.addEventListener("mouseleave", function () {
+        closeTimer = setTimeout(function () {
+          close(false);
+        }, 200);
+      });
 
-    createMenuItem(action, context) {
-      var item = document.createElement("button");
-      item.type = "button";
-      item.setAttribute("role", "menuitem");
-      item.className = "dropdown-item custom-menu-action custom-menu-action-" + action.id;
-      item.setAttribute("data-custom-action-id", this.instanceKey + "__" + action.id);
-      item.setAttribute("aria-label", action.ariaLabel);
+      return wrapper;
+    }
 
-      item.style.display = "flex";
-      item.style.alignItems = "center";
-      item.style.gap = "8px";
-      item.style.width = "100%";
-      item.style.textAlign = "left";
-      item.style.padding = "8px 12px";
-      item.style.cursor = "pointer";
+    //position "start" / "end" or { before: label } / { after: label } matched against the native items like labelsToHide
+    findPositionAnchor(nativeItems, position) {
+      var where = "end";
+      var label = "";
+
+      if (position === "start") {
+        where = "start";
+      } else if (position && typeof position === "object") {
+        if (position.before) {
+          where = "before";
+          label = position.before;
+        } else if (position.after) {
+          where = "after";
+          label = position.after;
+        }
+      }
 
-      if (action.icon) {
-        item.appendChild(action.icon.cloneNode(true));
+      if (where === "before" || where === "after") {
+        for (var i = 0; i < nativeItems.length; i++) {
+          if (this.matchesNativeActionLabel(nativeItems[i], [label])) {
+            return { node: nativeItems[i], before: where === "before" };
+          }
+        }
+        this.debugLog("Native item not found for position, appending instead:", label);
+        where = "end";
       }
 
-      var text = document.createElement("span");
-      text.textContent = action.label;
-      item.appendChild(text);
+      if (!nativeItems.length) return null;
+      if (where === "start") return { node: nativeItems[0], before: true };
 
-      item.addEventListener("click", function (e) {
-        e.preventDefault();
-        e.stopPropagation();
-        action.onClick(context || {});
-      });
+      for (var j = nativeItems.length - 1; j >= 0; j--) {
+        if (nativeItems[j].style.display !== "none") return { node: nativeItems[j], before: false };
+      }
+      return { node: nativeItems[nativeItems.length - 1], before: false };
+    }
 
-      return item;
+    getPositionKey(position) {
+      if (position && typeof position === "object") {
+        return position.before ? "before:" + this.normalizeText(position.before) : "after:" + this.normalizeText(position.after);
+      }
+      return position === "start" ? "start" : "end";
     }
 
     injectIntoMenu(menuRoot, context) {
       if (!menuRoot || !this.actions.length) return false;
 
-      var resolvedContext = this.resolveContextGuid(context, menuRoot);
+      if (menuRoot.querySelector("[data-custom-action-id^='" + this.instanceKey + "__']")) {
+        this.debugLog("Custom actions already present in this menu.");
+        return true;
+      }
+
+      var self = this;
+      var resolvedContext = Object.assign(this.resolveContextGuid(context, menuRoot), { placement: "menu" });
 
       this.applyNativeActionVisibility(menuRoot);
 
-      var existingMenuItems = menuRoot.querySelectorAll("[role='menuitem']");
-      var container = existingMenuItems.length
-        ? (existingMenuItems[existingMenuItems.length - 1].parentElement || menuRoot)
-        : menuRoot;
+      var nativeItems = Array.prototype.filter.call(menuRoot.querySelectorAll("[role='menuitem']"), function (menuItem) {
+        return !menuItem.hasAttribute("data-custom-action-id");
+      });
+
+      //actions sharing a position are injected together so their groups, order and separators line up
+      var placements = {};
+      var placementKeys = [];
+      this.actions.forEach(function (action) {
+        if (action.placements.indexOf("menu") === -1) return;
+        var key = self.getPositionKey(action.position);
+        if (!placements[key]) {
+          placements[key] = { position: action.position, actions: [] };
+          placementKeys.push(key);
+        }
+        placements[key].actions.push(action);
+      });
+
       var injectedCount = 0;
+      placementKeys.forEach(function (key) {
+        var placement = placements[key];
+        var nodes = self.buildActionNodes(placement.actions, resolvedContext, self.instanceKey + "__");
+        if (!nodes.length) return;
+
+        var anchor = self.findPositionAnchor(nativeItems, placement.position);
+        var fragment = document.createDocumentFragment();
+        nodes.forEach(function (node) {
+          fragment.appendChild(node);
+          if (node.getAttribute("role") !== "separator") injectedCount++;
+        });
 
-      for (var i = 0; i < this.actions.length; i++) {
-        var action = this.actions[i];
-        var actionDomId = this.instanceKey + "__" + action.id;
-        if (menuRoot.querySelector("[data-custom-action-id='" + actionDomId + "']")) {
-          continue;
+        if (!anchor) {
+          menuRoot.appendChild(fragment);
+        } else {
+          var parent = anchor.node.parentNode || menuRoot;
+          parent.insertBefore(fragment, anchor.before ? anchor.node : anchor.node.nextSibling);
         }
-        container.appendChild(this.createMenuItem(action, resolvedContext));
-        injectedCount++;
-      }
+      });
 
       if (injectedCount > 0) {
         this.log("Injected", injectedCount, "custom action(s) into dropdown menu.");
       }
+      this.enableMenuKeyboard(menuRoot, resolvedContext);
 
-      return injectedCount > 0;
+      //a menu where every action was hidden by its visible() predicate still counts as handled
+      return true;
     }
 
     isCustomMenuItem(menuItem) {
@@ -789,8 +6589,9 @@ const GTDCTRLVer = "12.03";
       return customActionId.indexOf(this.instanceKey + "__") === 0;
     }
 
-    matchesNativeActionLabel(menuItem) {
-      if (!menuItem || !this.nativeActionLabelsToHide.length) return false;
+    matchesNativeActionLabel(menuItem, labels) {
+      labels = labels || this.nativeActionLabelsToHide;
+      if (!menuItem || !labels.length) return false;
       var candidates = [
         this.normalizeText(menuItem.textContent),
         this.normalizeText(menuItem.getAttribute("aria-label")),
@@ -808,8 +6609,8 @@ const GTDCTRLVer = "12.03";
 
       if (!hasCandidate) return false;
 
-      for (var i = 0; i < this.nativeActionLabelsToHide.length; i++) {
-        var label = this.nativeActionLabelsToHide[i];
+      for (var i = 0; i < labels.length; i++) {
+        var label = labels[i];
         if (!label || typeof label !== "string") continue;
 
         var normalizedLabel = this.normalizeText(label);
@@ -867,63 +6668,803 @@ const GTDCTRLVer = "12.03";
       }
     }
 
-    tryInjectAfterOpen() {
-      if (!this.isAwaitingMenuForClick) return;
-
-      var attempts = 0;
-      var maxAttempts = 20;
+    /**
+     * Waits for the menu this trigger opens and injects into it. A MutationObserver watches the page only until
+     * that menu shows up (or menuWaitTimeoutMs passes) and is then disconnected.
+     */
+    awaitMenuForTrigger(trigger) {
       var self = this;
+      var ignoredMenus = this.getVisibleMenus();
 
-      var timer = setInterval(function () {
-        attempts++;
-        var menu = self.findOpenMenuRoot();
+      this.stopAwaitingMenu();
+      this.isAwaitingMenuForClick = true;
+
+      function check(mutations) {
+        if (!self.isAwaitingMenuForClick) return true;
+        var allowAnchored = !mutations || self.mutationsTouchMenu(mutations);
+        var menu = self.findMenuForTrigger(trigger, ignoredMenus, allowAnchored);
         if (menu && self.injectIntoMenu(menu, self.pendingRowContext)) {
-          clearInterval(timer);
-          self.isAwaitingMenuForClick = false;
-        } else if (attempts >= maxAttempts) {
-          clearInterval(timer);
-          self.isAwaitingMenuForClick = false;
-          self.log("No open menu detected for injection.");
+          self.stopAwaitingMenu();
+          return true;
+        }
+        return false;
+      }
+
+      this.menuWatcher = new MutationObserver(check);
+      var observeOptions = { childList: true, subtree: true, attributes: true, attributeFilter: ["class", "style", "hidden", "aria-hidden", "aria-expanded"] };
+      this.menuWatcher.observe(document.body, observeOptions);
+      var rootNode = typeof trigger.getRootNode === "function" ? trigger.getRootNode() : null;
+      if (rootNode && rootNode !== document && rootNode.nodeType === 11) {
+        this.menuWatcher.observe(rootNode, observeOptions);
+      }
+
+      this.menuWaitTimer = setTimeout(function () {
+        if (!check(null)) {
+          self.stopAwaitingMenu();
+          self.log("No menu detected for the clicked trigger.");
+        }
+      }, this.menuWaitTimeoutMs);
+
+      //native handlers run after this capture-phase click, so look once they had their turn
+      setTimeout(function () {
+        check(null);
+      }, 0);
+    }
+
+    stopAwaitingMenu() {
+      if (this.menuWatcher) {
+        this.menuWatcher.disconnect();
+        this.menuWatcher = null;
+      }
+      clearTimeout(this.menuWaitTimer);
+      this.menuWaitTimer = null;
+      this.isAwaitingMenuForClick = false;
+    }
+
+    getDataRows(listRoot) {
+      return this.collectMatchesDeep(listRoot, "[role='row'], tr").filter(function (row) {
+        return !!row.querySelector("[role='gridcell'], td");
+      });
+    }
+
+    getSelectedContexts() {
+      var selection = this.bulkSelection;
+      return Object.keys(selection).map(function (guid) {
+        return selection[guid];
+      });
+    }
+
+    getBulkItemsText(count) {
+      return count + " " + (count === 1 ? this.bulkOptions.itemName : this.bulkOptions.itemNamePlural);
+    }
+
+    getBulkActionLabel(action, contexts) {
+      if (typeof action.label === "function") {
+        return String(action.label(contexts.length, contexts));
+      }
+      return String(action.label)
+        .replace(/\{count\}/g, String(contexts.length))
+        .replace(/\{items\}/g, this.getBulkItemsText(contexts.length));
+    }
+
+    //rows are matched by GUID so a selection survives paging, sorting and the grid re-rendering its rows
+    setRowSelected(context, selected) {
+      if (!context || !context.guid) return;
+
+      if (selected) {
+        this.bulkSelection[context.guid] = context;
+      } else {
+        delete this.bulkSelection[context.guid];
+      }
+    }
+
+    createRowCheckbox(row, listRoot) {
+      var self = this;
+      var context = this.getRowContextFromRow(row, listRoot);
+      var checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "gtd-bulk-select";
+      checkbox.setAttribute("data-gtd-instance", this.instanceKey);
+      checkbox.setAttribute("aria-label", "Select " + (context && context.label ? context.label : "row"));
+
+      if (!context || !context.guid) {
+        checkbox.disabled = true;
+        checkbox.title = "No record id found for this row";
+        return checkbox;
+      }
+
+      checkbox.setAttribute("data-gtd-bulk-guid", context.guid);
+      checkbox.checked = !!this.bulkSelection[context.guid];
+      checkbox.addEventListener("click", function (e) {
+        e.stopPropagation();
+      });
+      checkbox.addEventListener("change", function () {
+        self.setRowSelected(self.getRowContextFromRow(row, listRoot) || context, checkbox.checked);
+        self.syncBulkCheckboxes();
+        self.renderBulkToolbars();
+      });
+
+      return checkbox;
+    }
+
+    createSelectAllCheckbox(listRoot) {
+      var self = this;
+      var checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "gtd-bulk-select gtd-bulk-select-all";
+      checkbox.setAttribute("data-gtd-instance", this.instanceKey);
+      checkbox.setAttribute("aria-label", "Select all rows on this page");
+      checkbox.addEventListener("click", function (e) {
+        e.stopPropagation();
+      });
+      checkbox.addEventListener("change", function () {
+        var rows = self.getDataRows(listRoot);
+        for (var i = 0; i < rows.length; i++) {
+          var context = self.getRowContextFromRow(rows[i], listRoot);
+          self.setRowSelected(context, checkbox.checked);
+        }
+        self.syncBulkCheckboxes();
+        self.renderBulkToolbars();
+      });
+      return checkbox;
+    }
+
+    decorateBulkRows() {
+      if (!this.bulkEnabled) return;
+
+      var listRoots = this.getScopedListRoots();
+      for (var i = 0; i < listRoots.length; i++) {
+        var listRoot = listRoots[i];
+        var headerCell = this.findFirstDeep(listRoot, "[role='columnheader'], th");
+        if (headerCell && !headerCell.querySelector(this.instanceSelector(".gtd-bulk-select-all"))) {
+          headerCell.insertBefore(this.createSelectAllCheckbox(listRoot), headerCell.firstChild);
+        }
+
+        var rows = this.getDataRows(listRoot);
+        for (var j = 0; j < rows.length; j++) {
+          var firstCell = rows[j].querySelector("[role='gridcell'], td");
+          if (!firstCell || firstCell.querySelector(this.instanceSelector(".gtd-bulk-select"))) continue;
+          firstCell.insertBefore(this.createRowCheckbox(rows[j], listRoot), firstCell.firstChild);
+        }
+
+        this.ensureBulkToolbar(listRoot);
+      }
+
+      this.syncBulkCheckboxes();
+      this.renderBulkToolbars();
+    }
+
+    syncBulkCheckboxes() {
+      var listRoots = this.getScopedListRoots();
+      for (var i = 0; i < listRoots.length; i++) {
+        var rowBoxes = this.collectMatchesDeep(listRoots[i], this.instanceSelector("input.gtd-bulk-select[data-gtd-bulk-guid]"));
+        var checkedCount = 0;
+        for (var j = 0; j < rowBoxes.length; j++) {
+          rowBoxes[j].checked = !!this.bulkSelection[rowBoxes[j].getAttribute("data-gtd-bulk-guid")];
+          if (rowBoxes[j].checked) checkedCount++;
+        }
+
+        var selectAll = this.findFirstDeep(listRoots[i], this.instanceSelector(".gtd-bulk-select-all"));
+        if (selectAll) {
+          selectAll.checked = rowBoxes.length > 0 && checkedCount === rowBoxes.length;
+          selectAll.indeterminate = checkedCount > 0 && checkedCount < rowBoxes.length;
+        }
+      }
+    }
+
+    ensureBulkToolbar(listRoot) {
+      for (var i = 0; i < this.bulkToolbars.length; i++) {
+        if (this.bulkToolbars[i].listRoot === listRoot && this.bulkToolbars[i].root.isConnected) return this.bulkToolbars[i];
+      }
+      if (!listRoot.parentNode) return null;
+
+      var root = document.createElement("div");
+      root.className = "gtd-bulk-toolbar";
+      root.setAttribute("data-gtd-instance", this.instanceKey);
+      root.setAttribute("role", "toolbar");
+      root.setAttribute("aria-label", "Bulk actions");
+      root.hidden = true;
+
+      var toolbar = {
+        listRoot: listRoot,
+        root: root,
+        count: document.createElement("span"),
+        actions: document.createElement("span"),
+        progress: document.createElement("progress"),
+        summary: document.createElement("div")
+      };
+      toolbar.count.className = "gtd-bulk-count";
+      toolbar.progress.max = 100;
+      toolbar.progress.hidden = true;
+      toolbar.summary.className = "gtd-bulk-summary";
+      toolbar.summary.setAttribute("role", "status");
+      toolbar.summary.setAttribute("aria-live", "polite");
+
+      root.appendChild(toolbar.count);
+      root.appendChild(toolbar.actions);
+      root.appendChild(toolbar.progress);
+      root.appendChild(toolbar.summary);
+      listRoot.parentNode.insertBefore(root, listRoot);
+
+      this.bulkToolbars.push(toolbar);
+      return toolbar;
+    }
+
+    renderBulkToolbars() {
+      var self = this;
+      var contexts = this.getSelectedContexts();
+
+      this.bulkToolbars = this.bulkToolbars.filter(function (toolbar) {
+        return toolbar.root.isConnected;
+      });
+
+      this.bulkToolbars.forEach(function (toolbar) {
+        toolbar.root.hidden = !contexts.length && !self.isBulkRunning && !self.bulkLastSummary;
+        toolbar.count.textContent = contexts.length ? self.getBulkItemsText(contexts.length) + " selected" : "";
+        toolbar.actions.innerHTML = "";
+
+        if (contexts.length) {
+          self.bulkActions.forEach(function (action) {
+            var button = document.createElement("button");
+            button.type = "button";
+            button.className = "btn btn-primary btn-sm gtd-bulk-action-" + action.id;
+            button.disabled = self.isBulkRunning;
+            if (action.icon) button.appendChild(action.icon.cloneNode(true));
+            button.appendChild(document.createTextNode(self.getBulkActionLabel(action, contexts)));
+            button.addEventListener("click", function () {
+              self.runBulkAction(action.id);
+            });
+            toolbar.actions.appendChild(button);
+          });
+
+          var clear = document.createElement("button");
+          clear.type = "button";
+          clear.className = "btn btn-link btn-sm";
+          clear.textContent = "Clear selection";
+          clear.disabled = self.isBulkRunning;
+          clear.addEventListener("click", function () {
+            self.clearSelection();
+          });
+          toolbar.actions.appendChild(clear);
+        }
+      });
+    }
+
+    renderBulkProgress(done, total) {
+      this.bulkToolbars.forEach(function (toolbar) {
+        toolbar.progress.hidden = false;
+        toolbar.progress.value = total ? Math.round((done / total) * 100) : 100;
+        toolbar.summary.textContent = "Processing " + done + " of " + total + "…";
+      });
+    }
+
+    renderBulkSummary(summary) {
+      var self = this;
+      this.bulkToolbars.forEach(function (toolbar) {
+        toolbar.progress.hidden = true;
+        toolbar.summary.innerHTML = "";
+        if (!summary) return;
+
+        var text = document.createElement("span");
+        text.textContent = summary.label + ": " + summary.succeeded + " succeeded" + (summary.failed ? ", " + summary.failed + " failed" : "") + ".";
+        toolbar.summary.appendChild(text);
+
+        if (summary.failed) {
+          var list = document.createElement("ul");
+          summary.results.forEach(function (result) {
+            if (result.ok) return;
+            var item = document.createElement("li");
+            item.textContent = (result.context.label || result.context.guid) + ": " + (result.message || "Failed");
+            list.appendChild(item);
+          });
+          toolbar.summary.appendChild(list);
         }
-      }, 100);
+
+        var dismiss = document.createElement("button");
+        dismiss.type = "button";
+        dismiss.className = "btn btn-link btn-sm";
+        dismiss.textContent = "Dismiss";
+        dismiss.addEventListener("click", function () {
+          self.bulkLastSummary = null;
+          self.renderBulkSummary(null);
+          self.renderBulkToolbars();
+        });
+        toolbar.summary.appendChild(dismiss);
+      });
+    }
+
+    normalizeBulkResult(context, value) {
+      if (value && typeof value === "object" && "ok" in value) {
+        var message = value.message || (value.error && value.error.message) || "";
+        return { guid: context.guid, context: context, ok: !!value.ok, message: message, result: value };
+      }
+      return { guid: context.guid, context: context, ok: value !== false, message: "", result: value };
     }
 
-    startMenuObserver() {
-      if (this.menuObserver) return;
+    clearSelection() {
+      this.bulkSelection = {};
+      this.syncBulkCheckboxes();
+      this.renderBulkToolbars();
+      return this;
+    }
 
+    /**
+     * Runs a bulk action over the current selection. Resolves (never rejects) with
+     * { action, label, total, succeeded, failed, results:[{ guid, context, ok, message, result }] };
+     * rows that succeeded are deselected so a retry only picks up the failures.
+     */
+    runBulkAction(actionId) {
       var self = this;
-      this.menuObserver = new MutationObserver(function () {
-        if (!self.isAwaitingMenuForClick) return;
-        var menu = self.findOpenMenuRoot();
-        if (menu) {
-          var injected = self.injectIntoMenu(menu, self.pendingRowContext);
-          if (injected) {
-            self.isAwaitingMenuForClick = false;
+      var action = null;
+      for (var i = 0; i < this.bulkActions.length; i++) {
+        if (this.bulkActions[i].id === actionId) action = this.bulkActions[i];
+      }
+      var contexts = this.getSelectedContexts();
+
+      if (!action || !contexts.length || this.isBulkRunning) {
+        return Promise.resolve({ action: actionId, label: "", total: 0, succeeded: 0, failed: 0, results: [] });
+      }
+
+      var label = this.getBulkActionLabel(action, contexts);
+      var resultsByGuid = {};
+      var done = 0;
+
+      this.isBulkRunning = true;
+      this.bulkLastSummary = null;
+      this.renderBulkToolbars();
+      this.renderBulkProgress(0, contexts.length);
+      this.log("Running bulk action", action.id, "for", contexts.length, "row(s).");
+
+      function report(context, value) {
+        if (!context || !context.guid || resultsByGuid[context.guid]) return;
+        resultsByGuid[context.guid] = self.normalizeBulkResult(context, value);
+        done++;
+        self.renderBulkProgress(done, contexts.length);
+      }
+
+      var run;
+      if (action.onRow) {
+        var queue = contexts.slice();
+        var workers = [];
+        var concurrency = Math.max(1, Math.min(this.bulkOptions.concurrency, queue.length));
+
+        var next = function () {
+          var context = queue.shift();
+          if (!context) return Promise.resolve();
+          return Promise.resolve()
+            .then(function () {
+              return action.onRow(context);
+            })
+            .then(function (value) {
+              report(context, value);
+            }, function (error) {
+              report(context, { ok: false, message: error && error.message ? error.message : String(error) });
+            })
+            .then(next);
+        };
+
+        for (var w = 0; w < concurrency; w++) {
+          workers.push(next());
+        }
+        run = Promise.all(workers);
+      } else {
+        run = Promise.resolve()
+          .then(function () {
+            return action.onClick(contexts, report);
+          })
+          .then(function (values) {
+            if (Array.isArray(values)) {
+              contexts.forEach(function (context, index) {
+                if (values[index] !== undefined) report(context, values[index]);
+              });
+            }
+          });
+      }
+
+      return run
+        .catch(function (error) {
+          ListMenuLog.error(self.logPrefix, "Bulk action failed:", action.id, error);
+          contexts.forEach(function (context) {
+            report(context, { ok: false, message: error && error.message ? error.message : String(error) });
+          });
+        })
+        .then(function () {
+          //a row the onClick handler never reported cannot be assumed done
+          contexts.forEach(function (context) {
+            report(context, { ok: false, message: "No result was reported for this row" });
+          });
+
+          var results = contexts.map(function (context) {
+            return resultsByGuid[context.guid];
+          });
+          var summary = {
+            action: action.id,
+            label: label,
+            total: results.length,
+            succeeded: results.filter(function (result) { return result.ok; }).length,
+            failed: results.filter(function (result) { return !result.ok; }).length,
+            results: results
+          };
+
+          results.forEach(function (result) {
+            if (result.ok) self.setRowSelected(result.context, false);
+          });
+
+          self.isBulkRunning = false;
+          self.bulkLastSummary = summary;
+          self.syncBulkCheckboxes();
+          self.renderBulkToolbars();
+          self.renderBulkSummary(summary);
+          self.log("Bulk action", action.id, "finished:", summary.succeeded, "succeeded,", summary.failed, "failed.");
+          if (action.onComplete) {
+            try {
+              action.onComplete(summary);
+            } catch (e) {
+              ListMenuLog.error(self.logPrefix, "Bulk onComplete failed:", action.id, e);
+            }
           }
+          return summary;
+        });
+    }
+
+    hasPlacement(placement) {
+      return this.actions.some(function (action) {
+        return action.placements.indexOf(placement) !== -1 && !action.children;
+      });
+    }
+
+    getPlacementActions(placement) {
+      return this.sortActions(this.actions.filter(function (action) {
+        if (action.placements.indexOf(placement) === -1) return false;
+        //submenus only exist inside the contextual menu
+        return !action.children;
+      }));
+    }
+
+    //getContext is called on click so the handler sees the row as it is now, not as it was when the button rendered
+    createActionButton(action, getContext, state, className) {
+      var self = this;
+      var disabled = !state.enabled;
+      var button = document.createElement("button");
+      button.type = "button";
+      button.className = className + " " + className + "-" + action.id;
+      button.setAttribute("data-gtd-action-id", this.instanceKey + "__" + action.id);
+      button.setAttribute("aria-label", action.ariaLabel);
+      button.title = disabled && state.reason ? state.reason : action.label;
+
+      if (disabled) {
+        button.setAttribute("aria-disabled", "true");
+      }
+
+      if (action.icon) {
+        button.appendChild(action.icon.cloneNode(true));
+      }
+      if (!action.icon || className === "gtd-list-toolbar-action") {
+        var text = document.createElement("span");
+        text.textContent = action.label;
+        button.appendChild(text);
+      }
+
+      button.addEventListener("click", function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (button.getAttribute("aria-disabled") === "true") return;
+        self.executeAction(action, Object.assign(getContext(), { sourceElement: button }));
+      });
+
+      return button;
+    }
+
+    //inline buttons go in a new action column, ahead of the native "..." cell when the row has one
+    decorateInlineActions(listRoot) {
+      var self = this;
+      var actions = this.getPlacementActions("inline");
+      if (!actions.length) return;
+
+      var firstHeader = this.findFirstDeep(listRoot, "[role='columnheader'], th");
+      var headerRow = firstHeader ? firstHeader.closest("[role='row'], tr") : null;
+      if (headerRow && !headerRow.querySelector(this.instanceSelector(".gtd-inline-actions"))) {
+        var sampleHeader = headerRow.querySelector("[role='columnheader'], th");
+        var headerCell = document.createElement(sampleHeader && sampleHeader.tagName === "TH" ? "th" : "div");
+        headerCell.className = ((sampleHeader && sampleHeader.className ? sampleHeader.className + " " : "") + "gtd-inline-actions");
+        headerCell.setAttribute("role", "columnheader");
+        headerCell.setAttribute("data-gtd-instance", this.instanceKey);
+        var headerText = document.createElement("span");
+        headerText.className = "gtd-sr-only";
+        headerText.textContent = "Actions";
+        headerCell.appendChild(headerText);
+        var nativeHeader = headerRow.querySelector("[role='columnheader']:last-child, th:last-child");
+        if (nativeHeader && !(nativeHeader.textContent || "").trim() && this.findFirstDeep(listRoot, this.triggerSelector)) {
+          headerRow.insertBefore(headerCell, nativeHeader);
+        } else {
+          headerRow.appendChild(headerCell);
+        }
+      }
+
+      this.getDataRows(listRoot).forEach(function (row) {
+        if (row.querySelector(self.instanceSelector(".gtd-inline-actions"))) return;
+
+        var sampleCell = row.querySelector("[role='gridcell'], td");
+        var cell = document.createElement(sampleCell && sampleCell.tagName === "TD" ? "td" : "div");
+        cell.className = ((sampleCell && sampleCell.className ? sampleCell.className + " " : "") + "gtd-inline-actions");
+        cell.setAttribute("role", "gridcell");
+        cell.setAttribute("data-gtd-instance", self.instanceKey);
+
+        var getContext = function () {
+          return Object.assign(self.getRowContextFromRow(row, listRoot) || {}, { placement: "inline" });
+        };
+        var context = getContext();
+        actions.forEach(function (action) {
+          var state = self.getActionState(action, context);
+          if (!state.visible) return;
+          cell.appendChild(self.createActionButton(action, getContext, state, "gtd-inline-action"));
+        });
+
+        var triggerCell = null;
+        var nativeTrigger = row.querySelector(self.triggerSelector);
+        if (nativeTrigger) {
+          triggerCell = nativeTrigger.closest("[role='gridcell'], td");
+        }
+        if (triggerCell && triggerCell.parentNode === row) {
+          row.insertBefore(cell, triggerCell);
+        } else {
+          row.appendChild(cell);
         }
       });
+    }
+
+    getListToolbar(listRoot) {
+      for (var i = 0; i < this.listToolbars.length; i++) {
+        if (this.listToolbars[i].listRoot === listRoot && this.listToolbars[i].root.isConnected) return this.listToolbars[i];
+      }
+      return null;
+    }
 
-      this.menuObserver.observe(document.body, { childList: true, subtree: true });
-      this.log("Menu observer started.");
+    getToolbarContext(toolbar) {
+      var context = toolbar.currentRow && toolbar.currentRow.isConnected
+        ? this.getRowContextFromRow(toolbar.currentRow, toolbar.listRoot)
+        : { row: null, label: "", guid: null, cells: [], values: {}, columns: [], listRoot: toolbar.listRoot, listKey: this.listKey || null };
+      return Object.assign(context, { placement: "toolbar", selection: this.getSelectedContexts() });
     }
 
-    init() {
+    //the toolbar acts on the row the user last clicked or focused in the list
+    trackCurrentRow(toolbar) {
+      var self = this;
+      var listRoot = toolbar.listRoot;
+
+      function onRowEvent(e) {
+        var origin = typeof e.composedPath === "function" && e.composedPath().length ? e.composedPath()[0] : e.target;
+        var row = origin && origin.closest ? origin.closest("[role='row'], tr") : null;
+        if (!row || !row.querySelector("[role='gridcell'], td") || row === toolbar.currentRow) return;
+
+        if (toolbar.currentRow) toolbar.currentRow.classList.remove("gtd-current-row");
+        toolbar.currentRow = row;
+        row.classList.add("gtd-current-row");
+        self.renderListToolbar(toolbar);
+      }
+
+      listRoot.addEventListener("click", onRowEvent);
+      listRoot.addEventListener("focusin", onRowEvent);
+      toolbar.onRowEvent = onRowEvent;
+    }
+
+    renderListToolbar(toolbar) {
       var self = this;
+      var context = this.getToolbarContext(toolbar);
+      toolbar.root.innerHTML = "";
+
+      this.getPlacementActions("toolbar").forEach(function (action) {
+        var state = self.getActionState(action, context);
+        if (!state.visible) return;
+        if (action.requiresRow && !context.guid) {
+          state = { visible: true, enabled: false, reason: "Select a row first" };
+        }
+        toolbar.root.appendChild(self.createActionButton(action, function () {
+          return self.getToolbarContext(toolbar);
+        }, state, "gtd-list-toolbar-action"));
+      });
+
+      toolbar.root.hidden = !toolbar.root.children.length;
+    }
+
+    decorateListToolbar(listRoot) {
+      if (!this.hasPlacement("toolbar") || !listRoot.parentNode) return;
+
+      var toolbar = this.getListToolbar(listRoot);
+      if (!toolbar) {
+        var root = document.createElement("div");
+        root.className = "gtd-list-toolbar";
+        root.setAttribute("data-gtd-instance", this.instanceKey);
+        root.setAttribute("role", "toolbar");
+        root.setAttribute("aria-label", "List actions");
+        listRoot.parentNode.insertBefore(root, listRoot);
+
+        toolbar = { listRoot: listRoot, root: root, currentRow: null };
+        this.listToolbars.push(toolbar);
+        this.trackCurrentRow(toolbar);
+      }
+
+      this.renderListToolbar(toolbar);
+    }
+
+    decorateLists() {
+      var hasInline = this.hasPlacement("inline");
+      var hasToolbar = this.hasPlacement("toolbar");
+
+      if (hasInline || hasToolbar) {
+        var listRoots = this.getScopedListRoots();
+        for (var i = 0; i < listRoots.length; i++) {
+          if (hasInline) this.decorateInlineActions(listRoots[i]);
+          if (hasToolbar) this.decorateListToolbar(listRoots[i]);
+        }
+      }
+
+      if (this.bulkEnabled) {
+        this.decorateBulkRows();
+      }
+    }
+
+    hasListDecorations() {
+      return this.bulkEnabled || this.hasPlacement("inline") || this.hasPlacement("toolbar");
+    }
+
+    instanceSelector(selector) {
+      return selector + "[data-gtd-instance='" + this.instanceKey + "']";
+    }
+
+    //removes everything this instance rendered into lists; the menus themselves are transient and left alone
+    removeListDecorations() {
+      this.listToolbars.forEach(function (toolbar) {
+        toolbar.listRoot.removeEventListener("click", toolbar.onRowEvent);
+        toolbar.listRoot.removeEventListener("focusin", toolbar.onRowEvent);
+        if (toolbar.currentRow) toolbar.currentRow.classList.remove("gtd-current-row");
+      });
+      this.listToolbars = [];
+      this.bulkToolbars = [];
 
-      document.addEventListener("click", function (e) {
-        var trigger = e.target.closest(self.triggerSelector);
-        if (!trigger) return;
-        if (!self.isTriggerInScope(trigger)) return;
+      var decorations = this.collectMatchesDeep(document, "[data-gtd-instance='" + this.instanceKey + "']");
+      for (var i = 0; i < decorations.length; i++) {
+        if (decorations[i].parentNode) decorations[i].parentNode.removeChild(decorations[i]);
+      }
+    }
+
+    //re-renders inline buttons, toolbars and checkboxes after the actions changed
+    refresh() {
+      if (!this.isInitialized) return this;
+      ListMenuHub.updateObserver();
+      this.removeListDecorations();
+      this.decorateLists();
+      return this;
+    }
+
+    handleDocumentClick(e) {
+      //composedPath reaches triggers rendered inside the grid's shadow roots
+      var path = typeof e.composedPath === "function" ? e.composedPath() : [e.target];
+      var trigger = null;
+      for (var i = 0; i < path.length && !trigger; i++) {
+        if (path[i] && path[i].nodeType === 1 && path[i].matches(this.triggerSelector)) trigger = path[i];
+      }
+      if (!trigger) return;
+      if (!this.isTriggerInScope(trigger)) return;
+
+      this.pendingRowContext = this.getRowContextFromTrigger(trigger);
+      this.log("Context menu trigger clicked for row:", this.pendingRowContext ? this.pendingRowContext.label : "(unknown)");
+      this.awaitMenuForTrigger(trigger);
+    }
+
+    //the grid re-renders rows on paging / sorting, so new rows get their checkboxes and inline buttons once mutations settle
+    handleMutations(mutations) {
+      if (!this.hasListDecorations()) return;
 
-        self.pendingRowContext = self.getRowContextFromTrigger(trigger);
-        self.isAwaitingMenuForClick = true;
-        self.log("Context menu trigger clicked for row:", self.pendingRowContext ? self.pendingRowContext.label : "(unknown)");
-        self.tryInjectAfterOpen();
+      var relevant = mutations.some(function (mutation) {
+        return !mutation.target.closest || !mutation.target.closest(".gtd-bulk-toolbar, .gtd-list-toolbar, .gtd-inline-actions");
       });
+      if (!relevant) return;
+
+      var self = this;
+      clearTimeout(this.listDecorateTimer);
+      this.listDecorateTimer = setTimeout(function () {
+        self.decorateLists();
+      }, 50);
+    }
+
+    //safe to call more than once; a destroyed instance can be initialised again
+    init() {
+      if (this.isInitialized) return this;
+      this.isInitialized = true;
+
+      ListMenuHub.attach(this);
+      if (this.hasListDecorations()) {
+        this.decorateLists();
+      }
+      return this;
+    }
+
+    destroy() {
+      if (!this.isInitialized) return this;
+      this.isInitialized = false;
+
+      ListMenuHub.detach(this);
+      this.stopAwaitingMenu();
+      clearTimeout(this.listDecorateTimer);
+      clearTimeout(this.typeAheadTimer);
+      this.listDecorateTimer = null;
+      this.pendingRowContext = null;
+      this.bulkSelection = {};
+      this.bulkLastSummary = null;
+      this.removeListDecorations();
+
+      var menuItems = this.collectMatchesDeep(document, "[data-custom-action-id^='" + this.instanceKey + "__']");
+      for (var i = 0; i < menuItems.length; i++) {
+        var node = menuItems[i].closest(".custom-menu-submenu") || menuItems[i];
+        if (node.parentNode) node.parentNode.removeChild(node);
+      }
+
+      this.log("Destroyed.");
+      return this;
+    }
+  }
 
-      self.startMenuObserver();
-      return self;
+  //the diagnostics panel is opt-in: <html data-gtd-diagnostics="on"> or ?gtdDiagnostics=1 on the url
+  const GTDDiagnosticsPanel = typeof document !== "undefined" && document.documentElement &&
+    (document.documentElement.getAttribute("data-gtd-diagnostics") === "on" ||
+      /[?&]gtdDiagnostics=(1|true)(&|$)/i.test(typeof window !== "undefined" && window.location ? window.location.search || "" : ""))
+    ? new FlowDiagnosticsPanel().init()
+    : null;
+
+  //declared list actions are wired up once the DOM is ready unless switched off with <html data-gtd-list-actions="off">
+  if (typeof document !== "undefined" && document.documentElement && document.documentElement.getAttribute("data-gtd-list-actions") !== "off") {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", function () {
+        GTDListActions.bootstrap();
+      });
+    } else {
+      GTDListActions.bootstrap();
     }
   }
 
-  
\ No newline at end of file
+  //CommonJS export so the library can be required from Node / jsdom tests, browsers use the globals above
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+      GTDCTRLVer: GTDCTRLVer,
+      DocManVer: DocManVer,
+      DocManDefaultTriggerId: DocManDefaultTriggerId,
+      GTDLog: GTDLog,
+      GTDRedaction: GTDRedaction,
+      GTDDiagnostics: GTDDiagnostics,
+      _UpdateDocCategory: _UpdateDocCategory,
+      extractSasToken: extractSasToken,
+      _BuildBlobSasUrl: _BuildBlobSasUrl,
+      _GetSasExpiry: _GetSasExpiry,
+      _ParsePowerPagesErrorMetadata: _ParsePowerPagesErrorMetadata,
+      _ValidateSchema: _ValidateSchema,
+      _PreflightCloudFlowCheck: _PreflightCloudFlowCheck,
+      _ClassifyFlowFailure: _ClassifyFlowFailure,
+      _GetAntiForgeryToken: _GetAntiForgeryToken,
+      _RunPreflightChecks: _RunPreflightChecks,
+      _GenericFlowHandler: _GenericFlowHandler,
+      _RedactForDiagnostics: _RedactForDiagnostics,
+      _CreateConsoleSink: _CreateConsoleSink,
+      _CreateRingBufferSink: _CreateRingBufferSink,
+      _CreateFlowSink: _CreateFlowSink,
+      ShellAjaxTransport: ShellAjaxTransport,
+      FetchTransport: FetchTransport,
+      MockTransport: MockTransport,
+      FlowClient: FlowClient,
+      DocManFlowClient: DocManFlowClient,
+      FlowRegistry: FlowRegistry,
+      DocManFlows: DocManFlows,
+      FlowOutbox: FlowOutbox,
+      DocManOutbox: DocManOutbox,
+      DocManBlobUploader: DocManBlobUploader,
+      DocManFilePolicy: DocManFilePolicy,
+      DocManError: DocManError,
+      DocMan: DocMan,
+      DocManViewer: DocManViewer,
+      DocManUploadWidget: DocManUploadWidget,
+      FlowDiagnosticsPanel: FlowDiagnosticsPanel,
+      GTDListActions: GTDListActions,
+      ListMenuHub: ListMenuHub,
+      PowerPagesListMenuEnhancer: PowerPagesListMenuEnhancer
+    };
+  }
@@ -1 +1 @@
-const GTDCTRLVer="12.03",DocManVer="14.03";function _UpdateDocCategory(e,t){console.log("UpdateDocCategory: called ver=14.03");_GenericFlowHandler("/_api/cloudflow/v1.0/trigger/4c999c4e-3495-f011-b41b-002248c5d639",{ActionType:"UpdateDocCat",DocCategory:e,AccGUID:"",DocManRowGuid:t}).done((function(e){console.log("UpdateCat: Passed-GUID-"+t+" -response:"+e)})).fail((function(e){console.log("UpdateCat: Error-GUID-"+t+" -response:"+e)})).always((function(){}))}function extractSasToken(e){var t=e;if("string"==typeof t)try{t=JSON.parse(t)}catch(e){return-1!==t.indexOf("sig=")||-1!==t.indexOf("?sv=")?t:""}if(!t||"object"!=typeof t)return"";for(var r=[t.sasToken,t.sas,t.token,t.sas_token,t.SASToken,t.url,t.sasUrl],i=0;i<r.length;i++)if("string"==typeof r[i]&&r[i])return r[i];for(var n=Object.keys(t),o=0;o<n.length;o++){var a=t[n[o]];if("string"==typeof a&&(-1!==a.indexOf("sig=")||-1!==a.indexOf("?sv=")))return a}return""}function _ParsePowerPagesErrorMetadata(e){var t=e||"",r="",i="",n="",o=null;if(t&&("{"===t.charAt(0)||"["===t.charAt(0)))try{o=JSON.parse(t)}catch(e){o=null}if(o&&"object"==typeof o){var a="";"string"==typeof o.Message?a=o.Message:"string"==typeof o.message&&(a=o.message);var l=/tracking\s+id\s+is\s+["'\u0027]*([0-9a-fA-F-]{36})/i.exec(a);l&&l[1]&&(n=l[1])}var s=/correlationId:\s*'([0-9a-fA-F-]{36})'/i.exec(t)||/Error\s*ID\s*#\s*\[([0-9a-fA-F-]{36})\]/i.exec(t)||/CorrelationId\s*:\s*([0-9a-fA-F-]{36})/i.exec(t);s&&s[1]&&(r=s[1]);var c=/Error\s*ID\s*#\s*\[([^\]]+)\]/i.exec(t);if(c&&c[1]&&(i=c[1]),!n){var u=/tracking\s+id\s+is\s+["'\u0027]*([0-9a-fA-F-]{36})/i.exec(t);u&&u[1]&&(n=u[1])}return!i&&r&&(i=r),{correlationId:r,errorId:i,flowTrackingId:n,hasPowerAutomateErrorView:-1!==t.indexOf("~/Areas/PowerAutomate/Views/PowerAutomate/Error")}}function _PreflightCloudFlowCheck(e,t){var r=window.Microsoft&&window.Microsoft.Dynamic365&&window.Microsoft.Dynamic365.Portal?window.Microsoft.Dynamic365.Portal:null,i=/^\/_api\/cloudflow\/v1\.0\/trigger\/([0-9a-fA-F-]{36})$/.exec(e||""),n=i?i[1]:"",o=t&&"object"==typeof t?Object.keys(t):[],a={timestamp:(new Date).toISOString(),flowUrl:e,triggerId:n,isCloudFlowEndpointPattern:!!i,pageUrl:window.location.href,origin:window.location.origin,hasShellAjaxSafePost:"undefined"!=typeof shell&&shell&&"function"==typeof shell.ajaxSafePost,hasJQuery:"undefined"!=typeof $,payloadType:typeof t,payloadKeys:o,portalContextAvailable:!!r,portalId:r&&r.id?r.id:"",portalType:r&&r.type?r.type:"",portalVersion:r&&r.version?r.version:"",tenant:r&&r.tenant?r.tenant:"",geo:r&&r.geo?r.geo:"",contactId:r&&r.User&&r.User.contactId?r.User.contactId:""};return console.log("_PreflightCloudFlowCheck: summary",a),a.isCloudFlowEndpointPattern||console.error("_PreflightCloudFlowCheck: flowUrl format does not match /_api/cloudflow/v1.0/trigger/{guid}",{flowUrl:e}),a.triggerId||console.error("_PreflightCloudFlowCheck: no triggerId detected in URL."),a.portalContextAvailable||console.error("_PreflightCloudFlowCheck: Microsoft.Dynamic365.Portal context not found on page."),a.contactId||console.warn("_PreflightCloudFlowCheck: no contactId found in portal context. Authenticated user may be required by flow permissions."),console.log("_PreflightCloudFlowCheck: checklist",{step1_enableCloudFlowIntegration:"Verify Power Pages cloud flow integration is enabled in site settings",step2_flowBinding:"Verify this trigger ID belongs to current site/environment and is bound to this page context",step3_permissions:"Verify current user has permission to run the flow",step4_triggerSchema:"Verify trigger expects eventData with text/number in current stage",step5_publishAndRetry:"Republish flow and retry from same portal environment"}),a}function _GenericFlowHandler(e,t){var r=Date.now();console.log("_GenericFlowHandler: ver","DocManVer"),console.log("_GenericFlowHandler: flowUrl",e),console.log("_GenericFlowHandler: payload (raw)",t),console.log("_GenericFlowHandler: payload typeof",typeof t);var i="";try{i=JSON.stringify(t),console.log("_GenericFlowHandler: payload stringify success",i)}catch(e){console.error("_GenericFlowHandler: payload stringify failed",e)}var n={type:"POST",url:e,data:{eventData:JSON.stringify(t)}};console.log("_GenericFlowHandler: requestConfig",{type:n.type,contentType:n.contentType,url:n.url,processData:n.processData,global:n.global,dataPreview:n.data});var o=shell.ajaxSafePost(n);return o.done((function(e,t,i){console.log("_GenericFlowHandler: DONE",{durationMs:Date.now()-r,textStatus:t,status:i&&"number"==typeof i.status?i.status:null,responseData:e})})),o.fail((function(i,n,o){var a=i&&i.responseText?i.responseText:"",l=a?a.substring(0,700):"",s=_ParsePowerPagesErrorMetadata(a),c=s.hasPowerAutomateErrorView;console.error("_GenericFlowHandler: FAIL",{durationMs:Date.now()-r,textStatus:n,errorThrown:o?String(o):"",status:i&&"number"==typeof i.status?i.status:null,statusText:i&&i.statusText?i.statusText:"",responseText:a,isPowerAutomateErrorView:c,correlationId:s.correlationId,errorId:s.errorId,flowTrackingId:s.flowTrackingId}),console.error("_GenericFlowHandler: FAIL response snippet",l),c&&console.error("_GenericFlowHandler: The cloud flow trigger endpoint exists but failed server-side in Power Pages. Check site settings for Power Automate integration, flow binding/permissions, and whether the trigger ID belongs to the current site/environment."),console.error("_GenericFlowHandler: Running preflight diagnostics due to flow failure"),_PreflightCloudFlowCheck(e,t)})),console.log("_GenericFlowHandler: request sent"),o}class PowerPagesListMenuEnhancer{constructor(e){e=e||{},this.logPrefix=e.logPrefix||"[PowerPagesListMenuEnhancer]",this.triggerSelector=e.triggerSelector||"[data-automation-key='ppNativeListContextualMenu']",this.listKey=e.listKey||null,this.listSelector=e.listSelector||(this.listKey?"pages-grid[list-id='"+this.escapeCssAttrValue(this.listKey)+"']":null),this.guidSelector=e.guidSelector||null,this.instanceKey=e.instanceKey||(this.logPrefix+(this.listSelector||"")).replace(/[^a-zA-Z0-9_-]/g,"_"),this.pendingRowContext=null,this.menuObserver=null,this.actions=[],this.isAwaitingMenuForClick=!1,this.debug=!!e.debug,this.nativeActionsConfig=e.nativeActionsConfig||{},this.nativeActionLabelsToHide=Array.isArray(this.nativeActionsConfig.labelsToHide)?this.nativeActionsConfig.labelsToHide:[],this.icons={gear:'<path d="M8 4.754a3.246 3.246 0 1 0 0 6.492 3.246 3.246 0 0 0 0-6.492zM5.754 8a2.246 2.246 0 1 1 4.492 0 2.246 2.246 0 0 1-4.492 0z"/><path d="M9.796 1.343c-.527-1.79-3.065-1.79-3.592 0l-.094.319a1.873 1.873 0 0 1-2.292 1.226l-.314-.093c-1.79-.527-3.065 1.748-1.933 3.165l.2.25a1.873 1.873 0 0 1 0 2.58l-.2.25c-1.132 1.417.143 3.692 1.933 3.165l.314-.093a1.873 1.873 0 0 1 2.292 1.226l.094.319c.527 1.79 3.065 1.79 3.592 0l.094-.319a1.873 1.873 0 0 1 2.292-1.226l.314.093c1.79.527 3.065-1.748 1.933-3.165l-.2-.25a1.873 1.873 0 0 1 0-2.58l.2-.25c1.132-1.417-.143-3.692-1.933-3.165l-.314.093a1.873 1.873 0 0 1-2.292-1.226l-.094-.319z"/>',pencil:'<path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708L5.207 14.5H2v-3.207z"/><path fill-rule="evenodd" d="M1 13.5V16h2.5l8.793-8.793-2.5-2.5z"/>'},this.ensureStylesInjected()}log(){var e=Array.prototype.slice.call(arguments);e.unshift(this.logPrefix),console.log.apply(console,e)}debugLog(){if(this.debug){var e=Array.prototype.slice.call(arguments);e.unshift(this.logPrefix),e.unshift("[debug]"),console.log.apply(console,e)}}normalizeText(e){return String(e||"").replace(/\s+/g," ").trim().toLowerCase()}decodeUriSafe(e){if(null==e)return"";var t=String(e);try{return decodeURIComponent(t)}catch(e){return t}}formatCompactGuid(e){var t=String(e||"").replace(/[^0-9a-fA-F]/g,"");return 32!==t.length?null:(t.slice(0,8)+"-"+t.slice(8,12)+"-"+t.slice(12,16)+"-"+t.slice(16,20)+"-"+t.slice(20)).toLowerCase()}extractGuid(e){for(var t=String(e||""),r=[t,this.decodeUriSafe(t)],i=0;i<r.length;i++){var n=r[i];if(n){var o=n.match(/[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/);if(o)return o[0].toLowerCase();var a=n.match(/\b[0-9a-fA-F]{32}\b/);if(a)return this.formatCompactGuid(a[0])}}return null}extractGuidFromElement(e){if(!e)return null;for(var t=["data-guid","data-id","data-record-id","data-entityid","data-row-id","value","id","href","onclick","aria-label","name"],r=0;r<t.length;r++){var i=e.getAttribute(t[r]),n=this.extractGuid(i);if(n)return n}if(e.attributes&&e.attributes.length)for(var o=0;o<e.attributes.length;o++){var a=e.attributes[o];if(a){var l=this.extractGuid(a.value);if(l)return l}}if("string"==typeof e.value){var s=this.extractGuid(e.value);if(s)return s}var c=this.extractGuid(e.textContent);return c||this.extractGuid(e.innerHTML)}getGuidFromRow(e){if(!e)return null;var t=null;if(this.guidSelector){var r=null;if(r="function"==typeof e.matches&&e.matches(this.guidSelector)?e:e.querySelector(this.guidSelector),t=this.extractGuidFromElement(r))return t}if(t=this.extractGuidFromElement(e))return t;for(var i=e.querySelectorAll("input[type='hidden']"),n=0;n<i.length;n++)if(t=this.extractGuidFromElement(i[n]))return t;for(var o=e.querySelectorAll("[role='gridcell'], td"),a=0;a<o.length;a++)if(t=this.extractGuidFromElement(o[a]))return t;return null}getGuidFromTrigger(e){if(!e)return null;for(var t=e;t&&t!==document.body;){var r=this.extractGuidFromElement(t);if(r)return r;t=t.parentElement}var i=this.extractGuid(e.outerHTML);return i||null}getGuidFromMenuRoot(e){if(!e)return null;var t=e.querySelectorAll("*"),r=this.extractGuidFromElement(e);if(r)return r;for(var i=0;i<t.length;i++){var n=t[i],o=this.extractGuidFromElement(n);if(o)return o;var a=this.extractGuid(n.getAttribute("href"));if(a)return a;var l=this.extractGuid(n.getAttribute("onclick"));if(l)return l}return this.extractGuid(e.outerHTML)}resolveContextGuid(e,t){var r=e||{};if(r.guid)return r;var i=null,n=null;return r.row&&(i=this.getGuidFromRow(r.row))&&(n="row"),!i&&r.trigger&&(i=this.getGuidFromTrigger(r.trigger))&&(n="trigger"),i||(i=this.getGuidFromMenuRoot(t))&&(n="native-menu"),i?(this.log("Resolved GUID from",n+":",i),Object.assign({},r,{guid:i,guidSource:n})):r}escapeCssAttrValue(e){return String(e).replace(/\\/g,"\\\\").replace(/'/g,"\\'")}ensureStylesInjected(){var e="pp-custom-actions-styles";if(!document.getElementById(e)){var t=document.createElement("style");t.id=e,t.textContent=".custom-menu-action { justify-content: flex-start; }.custom-menu-action:hover, .custom-menu-action:focus-visible { background-color: var(--bs-dropdown-link-hover-bg, rgba(0, 0, 0, 0.05)); color: var(--bs-dropdown-link-hover-color, inherit);}",document.head.appendChild(t)}}createSvgIcon(e,t){var r=document.createElementNS("http://www.w3.org/2000/svg","svg");return r.setAttribute("xmlns","http://www.w3.org/2000/svg"),r.setAttribute("width","16"),r.setAttribute("height","16"),r.setAttribute("fill","currentColor"),r.setAttribute("viewBox","0 0 16 16"),r.setAttribute("aria-hidden","true"),r.innerHTML=e,t&&(r.style.color=t),r}createIcon(e,t){var r=this.icons[e];return r?this.createSvgIcon(r,t):null}collectMatchesDeep(e,t){var r=[];if(!e||!t)return r;return function e(i){if(i){1===i.nodeType&&"function"==typeof i.matches&&i.matches(t)&&r.push(i);for(var n=i.children||[],o=0;o<n.length;o++)e(n[o]);i.shadowRoot&&e(i.shadowRoot)}}(e),r}findFirstDeep(e,t){var r=this.collectMatchesDeep(e,t);return r.length?r[0]:null}findScopedHostFromTrigger(e){if(!e)return null;if(this.listSelector){var t=e.closest(this.listSelector);if(t)return t}if(this.listKey)for(var r="pages-grid[list-id='"+this.escapeCssAttrValue(this.listKey)+"']",i=document.querySelectorAll("pages-native-container"),n=0;n<i.length;n++){var o=i[n];if(o.querySelector(r)&&o.contains(e))return o}return null}getRowContextFromTrigger(e){var t=e.closest("[role='row'], tr");if(!t)return null;var r=t.querySelector("[role='gridcell'], td"),i=r?(r.innerText||"").trim():"Row",n=this.findScopedHostFromTrigger(e);return{row:t,label:i,guid:this.getGuidFromRow(t),trigger:e,listRoot:n,listKey:this.listKey||null}}getRowContextFromRow(e,t){if(!e)return null;var r=e.querySelector("[role='gridcell'], td");return{row:e,label:r?(r.innerText||"").trim():"Row",guid:this.getGuidFromRow(e),listRoot:t||null,listKey:this.listKey||null}}isTriggerInScope(e){return!this.listSelector&&!this.listKey||!!this.findScopedHostFromTrigger(e)}findOpenMenuRoot(){var e=Array.from(document.querySelectorAll("[role='menu']"));if(!e.length)return null;for(var t=e.length-1;t>=0;t--){var r=e[t],i=window.getComputedStyle(r);if("none"!==i.display&&"hidden"!==i.visibility)return r}return null}getScopedListRoots(){if(this.listSelector)return this.collectMatchesDeep(document,this.listSelector);if(this.listKey){var e="pages-grid[list-id='"+this.escapeCssAttrValue(this.listKey)+"']";return this.collectMatchesDeep(document,e)}return this.collectMatchesDeep(document,"pages-grid")}listHasNativeActions(e){return!!e&&!!this.findFirstDeep(e,this.triggerSelector)}addAction(e){if(!e||!e.id||!e.label||"function"!=typeof e.onClick)throw new Error("Action must include: id, label, onClick(context)");return this.actions.push({id:e.id,label:e.label,ariaLabel:e.ariaLabel||e.label,icon:e.icon||null,onClick:e.onClick}),this}addActions(e){if(!Array.isArray(e))throw new Error("addActions expects an array of action configs");for(var t=0;t<e.length;t++)this.addAction(e[t]);return this}createMenuItem(e,t){var r=document.createElement("button");r.type="button",r.setAttribute("role","menuitem"),r.className="dropdown-item custom-menu-action custom-menu-action-"+e.id,r.setAttribute("data-custom-action-id",this.instanceKey+"__"+e.id),r.setAttribute("aria-label",e.ariaLabel),r.style.display="flex",r.style.alignItems="center",r.style.gap="8px",r.style.width="100%",r.style.textAlign="left",r.style.padding="8px 12px",r.style.cursor="pointer",e.icon&&r.appendChild(e.icon.cloneNode(!0));var i=document.createElement("span");return i.textContent=e.label,r.appendChild(i),r.addEventListener("click",(function(r){r.preventDefault(),r.stopPropagation(),e.onClick(t||{})})),r}injectIntoMenu(e,t){if(!e||!this.actions.length)return!1;var r=this.resolveContextGuid(t,e);this.applyNativeActionVisibility(e);for(var i=e.querySelectorAll("[role='menuitem']"),n=i.length&&i[i.length-1].parentElement||e,o=0,a=0;a<this.actions.length;a++){var l=this.actions[a],s=this.instanceKey+"__"+l.id;e.querySelector("[data-custom-action-id='"+s+"']")||(n.appendChild(this.createMenuItem(l,r)),o++)}return o>0&&this.log("Injected",o,"custom action(s) into dropdown menu."),o>0}isCustomMenuItem(e){return!!e&&0===(e.getAttribute("data-custom-action-id")||"").indexOf(this.instanceKey+"__")}matchesNativeActionLabel(e){if(!e||!this.nativeActionLabelsToHide.length)return!1;for(var t=[this.normalizeText(e.textContent),this.normalizeText(e.getAttribute("aria-label")),this.normalizeText(e.getAttribute("title")),this.normalizeText(e.getAttribute("data-original-title"))],r=!1,i=0;i<t.length;i++)if(t[i]){r=!0;break}if(!r)return!1;for(var n=0;n<this.nativeActionLabelsToHide.length;n++){var o=this.nativeActionLabelsToHide[n];if(o&&"string"==typeof o)for(var a=this.normalizeText(o),l=0;l<t.length;l++){var s=t[l];if(s&&(s===a||0===s.indexOf(a)))return!0}}return!1}shouldHideNativeAction(e){return this.matchesNativeActionLabel(e)}applyNativeActionVisibility(e){if(e&&this.nativeActionLabelsToHide.length){var t=e.querySelectorAll("[role='menuitem']"),r=0;this.debugLog("Scanning menu items:",t.length);for(var i=0;i<t.length;i++){var n=t[i];if(!this.isCustomMenuItem(n)){var o=this.shouldHideNativeAction(n);this.debugLog("Native menu item",i,{text:this.normalizeText(n.textContent),ariaLabel:this.normalizeText(n.getAttribute("aria-label")),title:this.normalizeText(n.getAttribute("title")),matched:o}),o&&(n.style.display="none",n.setAttribute("aria-hidden","true"),r++)}}r>0?this.log("Native action(s) hidden:",r):this.debugLog("No native actions matched hide rules.")}}tryInjectAfterOpen(){if(this.isAwaitingMenuForClick)var e=0,t=this,r=setInterval((function(){e++;var i=t.findOpenMenuRoot();i&&t.injectIntoMenu(i,t.pendingRowContext)?(clearInterval(r),t.isAwaitingMenuForClick=!1):e>=20&&(clearInterval(r),t.isAwaitingMenuForClick=!1,t.log("No open menu detected for injection."))}),100)}startMenuObserver(){if(!this.menuObserver){var e=this;this.menuObserver=new MutationObserver((function(){if(e.isAwaitingMenuForClick){var t=e.findOpenMenuRoot();if(t)e.injectIntoMenu(t,e.pendingRowContext)&&(e.isAwaitingMenuForClick=!1)}})),this.menuObserver.observe(document.body,{childList:!0,subtree:!0}),this.log("Menu observer started.")}}init(){var e=this;return document.addEventListener("click",(function(t){var r=t.target.closest(e.triggerSelector);r&&e.isTriggerInScope(r)&&(e.pendingRowContext=e.getRowContextFromTrigger(r),e.isAwaitingMenuForClick=!0,e.log("Context menu trigger clicked for row:",e.pendingRowContext?e.pendingRowContext.label:"(unknown)"),e.tryInjectAfterOpen())})),e.startMenuObserver(),e}}
\ No newline at end of file
+const GTDCTRLVer="13.00",DocManVer="15.00",GTDLog={levels:{debug:10,info:20,warn:30,error:40,silent:100},level:"error",namespaceLevels:{},sinks:[],setLevel:function(e,t){if(!GTDLog.levels[e])throw new Error("Unknown log level: "+e);t?GTDLog.namespaceLevels[t]=e:GTDLog.level=e},isEnabled:function(e,t){var r=GTDLog.namespaceLevels[t]||GTDLog.level;return GTDLog.levels[e]>=GTDLog.levels[r]&&"silent"!==r},addSink:function(e){return GTDLog.sinks.push(e),function(){GTDLog.removeSink(e)}},removeSink:function(e){GTDLog.sinks=GTDLog.sinks.filter((function(t){return t!==e}))},write:function(e,t,r,n){if(n||GTDLog.isEnabled(e,t))for(var o=r.length&&"string"==typeof r[0],i={time:(new Date).toISOString(),level:e,namespace:t,message:o?_RedactForDiagnostics(r[0]):"",args:_RedactForDiagnostics(o?r.slice(1):r)},a=0;a<GTDLog.sinks.length;a++)try{GTDLog.sinks[a].write(i)}catch(e){}},create:function(e){function t(t){return function(){GTDLog.write(t,e,Array.prototype.slice.call(arguments))}}return{namespace:e,debug:t("debug"),info:t("info"),warn:t("warn"),error:t("error")}}},GTDRedaction={enabled:!0,keys:["contactId","tenant","portalId","sasToken","sas","sas_token","SASToken","sasUrl","token","password","authorization","__RequestVerificationToken","email","emailaddress1"],allowKeys:["correlationId","errorId","flowTrackingId"],patterns:[{name:"sas-signature",pattern:/([?&]sig=)[^&\s"'<>]+/gi,replacement:"$1[REDACTED]"},{name:"email",pattern:/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,replacement:"[EMAIL]"},{name:"guid",pattern:/\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{8}([0-9a-fA-F]{4})\b/g,replacement:"[GUID..$1]"}],configure:function(e){"boolean"==typeof(e=e||{}).enabled&&(GTDRedaction.enabled=e.enabled);for(var t=["keys","allowKeys","patterns"],r=0;r<t.length;r++){var n=t[r];Array.isArray(e[n])&&(GTDRedaction[n]=e.replace?e[n].slice():GTDRedaction[n].concat(e[n]))}}};function _RedactForDiagnostics(e){if(!GTDRedaction.enabled)return e;var t=GTDRedaction.keys.map((function(e){return String(e).toLowerCase()})),r=GTDRedaction.allowKeys.map((function(e){return String(e).toLowerCase()})),n=[];function o(e){for(var t=e,r=0;r<GTDRedaction.patterns.length;r++){var n=GTDRedaction.patterns[r];n.pattern.lastIndex=0,t=t.replace(n.pattern,n.replacement)}return t}function i(e,a){if("string"==typeof e)return o(e);if(!e||"object"!=typeof e)return e;if(a>8)return"[Truncated]";if("number"==typeof e.nodeType||e===e.window)return e;if(-1!==n.indexOf(e))return"[Circular]";var s=Object.prototype.toString.call(e);if("[object Date]"===s)return isNaN(e.getTime())?"Invalid Date":e.toISOString();if("[object File]"===s)return{name:o(e.name),size:e.size,type:e.type};if(e instanceof Error||"string"==typeof e.stack&&"string"==typeof e.message)return{name:e.name,message:o(String(e.message||""))};n.push(e);var l=function(e,n){if(Array.isArray(e))return e.map((function(e){return i(e,n+1)}));for(var o={},a=Object.keys(e),s=0;s<a.length;s++){var l=a[s],u=l.toLowerCase();-1!==t.indexOf(u)&&""!==e[l]&&null!=e[l]?o[l]="[REDACTED]":-1!==r.indexOf(u)?o[l]=e[l]:o[l]=i(e[l],n+1)}return o}(e,a);return n.pop(),l}return i(e,0)}function _CreateConsoleSink(){return{write:function(e){var t="debug"===e.level?"log":e.level,r=["["+e.namespace+"]"];e.message&&r.push(e.message),console[t].apply(console,r.concat(e.args))}}}function _CreateRingBufferSink(e){var t=e||200,r=[];return{write:function(e){r.push(e),r.length>t&&r.shift()},entries:function(){return r.slice()},clear:function(){r=[]}}}function _CreateFlowSink(e){var t=(e=e||{}).minLevel||"error",r="number"==typeof e.batchDelayMs?e.batchDelayMs:5e3,n=e.maxBatch||20,o=[],i=[],a=null,s=!1;function l(){!a&&o.length&&(a=setTimeout(c,r))}function u(e){s=!1,o=o.concat(e?i:i.filter((function(e){return"flow"!==e.namespace}))),i=[],l()}function c(){if(a&&clearTimeout(a),a=null,s)return Promise.resolve();var t=e.registry||DocManFlows;if(!o.length||!t.has(e.flowName))return o=[],Promise.resolve();var r=o.splice(0,n);return s=!0,t.invoke(e.flowName,{PageUrl:"undefined"!=typeof window&&window.location?window.location.href:"",Entries:JSON.stringify(r)}).then((function(e){u(!(!e||!e.ok))}),(function(){u(!1)}))}return{write:function(e){if(!(GTDLog.levels[e.level]<GTDLog.levels[t])){var r={time:e.time,level:e.level,namespace:e.namespace,message:e.message,args:e.args.map((function(e){return e instanceof Error?e.name+": "+e.message:e}))};s?i.push(r):(o.push(r),l())}},flush:c}}!function(){GTDLog.addSink(_CreateConsoleSink());var e=null;try{e="undefined"!=typeof localStorage?localStorage.getItem("gtdLogLevel"):null}catch(t){e=null}!e&&"undefined"!=typeof document&&document.documentElement&&(e=document.documentElement.getAttribute("data-gtd-log-level")),e&&GTDLog.levels[e]&&(GTDLog.level=e)}();const FlowLog=GTDLog.create("flow"),DocManLog=GTDLog.create("docman"),ListMenuLog=GTDLog.create("listmenu"),GTDDiagnostics={calls:[],preflights:[],maxCalls:50,maxPreflights:10,probeFlowUrl:"",listeners:[],logBuffer:_CreateRingBufferSink(200),recordCall:function(e){GTDDiagnostics.calls.push(Object.assign({time:(new Date).toISOString()},e)),GTDDiagnostics.calls.length>GTDDiagnostics.maxCalls&&GTDDiagnostics.calls.shift(),GTDDiagnostics.notify()},recordPreflight:function(e){GTDDiagnostics.preflights.push(e),GTDDiagnostics.preflights.length>GTDDiagnostics.maxPreflights&&GTDDiagnostics.preflights.shift(),GTDDiagnostics.notify()},clear:function(){GTDDiagnostics.calls=[],GTDDiagnostics.preflights=[],GTDDiagnostics.logBuffer.clear(),GTDDiagnostics.notify()},subscribe:function(e){return GTDDiagnostics.listeners.push(e),function(){GTDDiagnostics.listeners=GTDDiagnostics.listeners.filter((function(t){return t!==e}))}},notify:function(){for(var e=0;e<GTDDiagnostics.listeners.length;e++)try{GTDDiagnostics.listeners[e]()}catch(e){}},getSupportBundle:function(){return _RedactForDiagnostics({generatedAt:(new Date).toISOString(),versions:{gtdControls:"13.00",docMan:"15.00"},pageUrl:"undefined"!=typeof window&&window.location?window.location.href:"",userAgent:"undefined"!=typeof navigator?navigator.userAgent:"",logLevel:GTDLog.level,calls:GTDDiagnostics.calls,preflights:GTDDiagnostics.preflights,logs:GTDDiagnostics.logBuffer.entries()})}};GTDLog.addSink(GTDDiagnostics.logBuffer);const DocManDefaultTriggerId="4c999c4e-3495-f011-b41b-002248c5d639";function _UpdateDocCategory(e,t,r){return DocManLog.debug("UpdateDocCategory: called ver=15.00"),(new DocMan).updateCategory(t,e,r).then((function(e){return e.queued?DocManLog.info("UpdateCat: Queued-GUID-"+t):DocManLog.info("UpdateCat: Passed-GUID-"+t+" -response:"+JSON.stringify(e.result.data)),Object.assign({},e.result,{queued:e.queued})}),(function(e){var r=e&&e.result?e.result:{ok:!1,status:null,data:null,correlationId:"",flowTrackingId:"",durationMs:0,attempts:0,error:{reason:"unknown",message:e&&e.message?e.message:String(e)}};return DocManLog.info("UpdateCat: Error-GUID-"+t+" -response:"+(r.error?r.error.reason+" "+r.error.message:"")+" correlationId:"+r.correlationId),r}))}function extractSasToken(e){var t=e;if("string"==typeof t)try{t=JSON.parse(t)}catch(e){return-1!==t.indexOf("sig=")||-1!==t.indexOf("?sv=")?t:""}if(!t||"object"!=typeof t)return"";for(var r=[t.sasToken,t.sas,t.token,t.sas_token,t.SASToken,t.url,t.sasUrl],n=0;n<r.length;n++)if("string"==typeof r[n]&&r[n])return r[n];for(var o=Object.keys(t),i=0;i<o.length;i++){var a=t[o[i]];if("string"==typeof a&&(-1!==a.indexOf("sig=")||-1!==a.indexOf("?sv=")))return a}return""}function _BuildBlobSasUrl(e){var t=extractSasToken(e);if(!t)return"";if(/^https:\/\//i.test(t))return t;var r=e;if("string"==typeof r)try{r=JSON.parse(r)}catch(e){r=null}var n=r&&"object"==typeof r&&(r.blobUrl||r.BlobUrl||r.blobURL)||"";if(!n)return"";var o="?"===t.charAt(0)?t.substring(1):t;return String(n).split("?")[0]+"?"+o}function _GetSasExpiry(e){var t=/[?&]se=([^&]+)/.exec(e||"");if(!t)return null;var r=Date.parse(decodeURIComponent(t[1]));return isNaN(r)?null:r}function _ParsePowerPagesErrorMetadata(e){var t=e||"",r="",n="",o="",i=null;if(t&&("{"===t.charAt(0)||"["===t.charAt(0)))try{i=JSON.parse(t)}catch(e){i=null}if(i&&"object"==typeof i){var a="";"string"==typeof i.Message?a=i.Message:"string"==typeof i.message&&(a=i.message);var s=/tracking\s+id\s+is\s+["'\u0027]*([0-9a-fA-F-]{36})/i.exec(a);s&&s[1]&&(o=s[1])}var l=/correlationId:\s*'([0-9a-fA-F-]{36})'/i.exec(t)||/Error\s*ID\s*#\s*\[([0-9a-fA-F-]{36})\]/i.exec(t)||/CorrelationId\s*:\s*([0-9a-fA-F-]{36})/i.exec(t);l&&l[1]&&(r=l[1]);var u=/Error\s*ID\s*#\s*\[([^\]]+)\]/i.exec(t);if(u&&u[1]&&(n=u[1]),!o){var c=/tracking\s+id\s+is\s+["'\u0027]*([0-9a-fA-F-]{36})/i.exec(t);c&&c[1]&&(o=c[1])}return!n&&r&&(n=r),{correlationId:r,errorId:n,flowTrackingId:o,hasPowerAutomateErrorView:-1!==t.indexOf("~/Areas/PowerAutomate/Views/PowerAutomate/Error")}}function _ValidateSchema(e,t,r){var n=[],o=(r=r||{}).enums||{},i=/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;function a(e,t,r){n.push({path:e,code:t,message:r})}return function e(t,r,n){if(r){if(r.type){var s=function(e){return null===e?"null":Array.isArray(e)?"array":"number"==typeof e&&Math.floor(e)===e?"integer":typeof e}(t);if(!(s===r.type||"number"===r.type&&"integer"===s))return void a(n,"type","Expected "+r.type+" but got "+s)}if("string"==typeof t){if(""===t&&r.allowEmpty)return;"guid"!==r.format||i.test(t)||a(n,"format",'Expected a GUID but got "'+t+'"'),"number"==typeof r.maxLength&&t.length>r.maxLength&&a(n,"maxLength","Longer than "+r.maxLength+" characters")}if("number"==typeof t&&"number"==typeof r.minimum&&t<r.minimum&&a(n,"minimum","Must be at least "+r.minimum),r.enum){var l="string"==typeof r.enum?o[r.enum]:r.enum;Array.isArray(l)&&l.length&&-1===l.indexOf(t)&&a(n,"enum","Expected one of "+l.join(", ")+' but got "'+t+'"')}if(Array.isArray(t)&&r.items)for(var u=0;u<t.length;u++)e(t[u],r.items,n+"["+u+"]");if(t&&"object"==typeof t&&!Array.isArray(t)){for(var c=r.properties||{},d=Array.isArray(r.required)?r.required:[],f=0;f<d.length;f++){var p=t[d[f]];null!=p&&""!==p||a(n+"."+d[f],"required","Required")}for(var g=Object.keys(t),h=Object.keys(c),m=0;m<g.length;m++){var b=g[m];if(c[b])void 0!==t[b]&&null!==t[b]&&e(t[b],c[b],n+"."+b);else if(!1===r.additionalProperties){for(var y="",v=0;v<h.length;v++)if(h[v].toLowerCase()===b.toLowerCase()){y=h[v];break}a(n+"."+b,"unknown",y?'Unknown key, did you mean "'+y+'"?':"Unknown key")}}}}}(e,t,r.path||"value"),{valid:0===n.length,errors:n}}function _PreflightCloudFlowCheck(e,t){var r="undefined"!=typeof window?window:{location:{}},n=r.Microsoft&&r.Microsoft.Dynamic365&&r.Microsoft.Dynamic365.Portal?r.Microsoft.Dynamic365.Portal:null,o=/^\/_api\/cloudflow\/v1\.0\/trigger\/([0-9a-fA-F-]{36})$/.exec(e||""),i=o?o[1]:"",a=t&&"object"==typeof t?Object.keys(t):[],s={timestamp:(new Date).toISOString(),flowUrl:e,triggerId:i,isCloudFlowEndpointPattern:!!o,pageUrl:r.location.href||"",origin:r.location.origin||"",hasShellAjaxSafePost:"undefined"!=typeof shell&&shell&&"function"==typeof shell.ajaxSafePost,hasJQuery:"undefined"!=typeof $,payloadType:typeof t,payloadKeys:a,portalContextAvailable:!!n,portalId:n&&n.id?n.id:"",portalType:n&&n.type?n.type:"",portalVersion:n&&n.version?n.version:"",tenant:n&&n.tenant?n.tenant:"",geo:n&&n.geo?n.geo:"",contactId:n&&n.User&&n.User.contactId?n.User.contactId:""};return s.checks=[{id:"endpointPattern",label:"Flow URL matches /_api/cloudflow/v1.0/trigger/{guid}",status:s.isCloudFlowEndpointPattern?"pass":"fail"},{id:"shellAjaxSafePost",label:"shell.ajaxSafePost available",status:s.hasShellAjaxSafePost?"pass":"fail"},{id:"portalContext",label:"Microsoft.Dynamic365.Portal context on page",status:s.portalContextAvailable?"pass":"fail"},{id:"contact",label:"Signed in contact in portal context",status:s.contactId?"pass":"fail"}],GTDDiagnostics.recordPreflight(s),FlowLog.info("_PreflightCloudFlowCheck: summary",s),s.isCloudFlowEndpointPattern||FlowLog.error("_PreflightCloudFlowCheck: flowUrl format does not match /_api/cloudflow/v1.0/trigger/{guid}",{flowUrl:e}),s.triggerId||FlowLog.error("_PreflightCloudFlowCheck: no triggerId detected in URL."),s.portalContextAvailable||FlowLog.error("_PreflightCloudFlowCheck: Microsoft.Dynamic365.Portal context not found on page."),s.contactId||FlowLog.warn("_PreflightCloudFlowCheck: no contactId found in portal context. Authenticated user may be required by flow permissions."),FlowLog.info("_PreflightCloudFlowCheck: checks",s.checks),s}function _ClassifyFlowFailure(e,t){var r=t||"",n=_ParsePowerPagesErrorMetadata(r);return e>=200&&e<300?"ok":e||r?401===e||403===e||/not\s+authori[sz]ed|forbidden|access\s+(is\s+)?denied|does\s+not\s+have\s+permission/i.test(r)?"no-permission":/integration\s+is\s+(not\s+enabled|disabled)|cloud\s*flow[^.]*(not\s+enabled|disabled)/i.test(r)?"integration-disabled":400===e||/schema|InvalidTemplate|TriggerInputSchemaMismatch|eventData/i.test(r)?"schema-mismatch":404===e||n.hasPowerAutomateErrorView?"not-bound":"unknown":"network"}function _GetAntiForgeryToken(){return"undefined"!=typeof shell&&shell&&"function"==typeof shell.getTokenDeferred?new Promise((function(e){shell.getTokenDeferred().done((function(t){e(t||"")})).fail((function(){e("")}))})):"function"!=typeof fetch?Promise.resolve(""):fetch("/_layout/tokenhtml?_="+Date.now(),{credentials:"same-origin"}).then((function(e){return e.ok?e.text():""})).then((function(e){var t=/name=["']__RequestVerificationToken["'][^>]*value=["']([^"']+)["']/i.exec(e)||/value=["']([^"']+)["'][^>]*name=["']__RequestVerificationToken["']/i.exec(e);return t?t[1]:""}),(function(){return""}))}function _RunPreflightChecks(e,t){for(var r=_PreflightCloudFlowCheck(e,(t=t||{}).probePayload),n={},o=0;o<r.checks.length;o++)n[r.checks[o].id]=r.checks[o];function i(e,t,o,i){var a={id:e,label:t,status:o,detail:i||""};return n[e]=a,r.checks.push(a),a}var a=t.failure?Promise.resolve(i("antiForgeryToken","Anti-forgery token can be obtained","skip","not fetched again for a failed call")):_GetAntiForgeryToken().then((function(e){i("antiForgeryToken","Anti-forgery token can be obtained",e?"pass":"fail",e?"":"shell.getTokenDeferred / _layout/tokenhtml returned no token")})),s=t.probeUrl||GTDDiagnostics.probeFlowUrl,l=(t.failure?Promise.resolve({status:t.failure.status,responseText:t.failure.responseText||"",source:"failed call"}):!1!==t.probe&&s&&r.hasShellAjaxSafePost?new Promise((function(e){var r=setTimeout((function(){e({status:null,responseText:"",source:"probe timed out"})}),t.timeoutMs||15e3);shell.ajaxSafePost({type:"POST",url:s,data:{eventData:JSON.stringify({ActionType:"Preflight"})}}).done((function(t,n,o){clearTimeout(r),e({status:o&&o.status?o.status:200,responseText:"",source:"probe"})})).fail((function(t){clearTimeout(r),e({status:t&&"number"==typeof t.status?t.status:null,responseText:t&&t.responseText?t.responseText:"",source:"probe"})}))})):Promise.resolve(null)).then((function(e){var t=[{id:"integrationEnabled",label:"Cloud flow integration is enabled for the site",category:"integration-disabled",probed:!0},{id:"flowBinding",label:"Trigger ID is bound to this site/environment",category:"not-bound"},{id:"permission",label:"Current user may run the flow",category:"no-permission",probed:!0},{id:"triggerSchema",label:"Trigger accepts the eventData payload",category:"schema-mismatch"}];if(e){var o=_ClassifyFlowFailure(e.status,e.responseText),a=_ParsePowerPagesErrorMetadata(e.responseText);r.classification=o,r.probeStatus=e.status,r.correlationId=a.correlationId;for(var l=0;l<t.length;l++){var u=t[l];"failed call"===e.source||u.probed?"ok"===o?i(u.id,u.label,"pass",e.source+" answered "+e.status):o===u.category?i(u.id,u.label,"fail",e.source+" answered "+(e.status||"no response")):i(u.id,u.label,"skip","not determined ("+o+")"):i(u.id,u.label,"skip","not determined by the probe flow")}"ok"!==o&&n.contact&&"fail"===n.contact.status&&"fail"!==n.permission.status&&(n.permission.status="fail",n.permission.detail="no signed in contact")}else{r.classification="";for(var c=0;c<t.length;c++)i(t[c].id,t[c].label,"skip",s?"trigger was not probed":"no probe flow configured (GTDDiagnostics.probeFlowUrl)")}}));return Promise.all([a,l]).then((function(){var e=r.checks.filter((function(e){return"fail"===e.status}));return e.length?FlowLog.error("_RunPreflightChecks: "+e.length+" check(s) failed",{classification:r.classification,checks:r.checks}):FlowLog.info("_RunPreflightChecks: all checks passed",r.checks),GTDDiagnostics.notify(),r}))}function _GenericFlowHandler(e,t,r){var n=Date.now();FlowLog.debug("_GenericFlowHandler: ver","DocManVer"),FlowLog.debug("_GenericFlowHandler: flowUrl",e),FlowLog.debug("_GenericFlowHandler: payload (raw)",t),FlowLog.debug("_GenericFlowHandler: payload typeof",typeof t);var o="";try{o=JSON.stringify(t),FlowLog.debug("_GenericFlowHandler: payload stringify success",o)}catch(e){FlowLog.error("_GenericFlowHandler: payload stringify failed",e)}var i={type:"POST",url:e,data:{eventData:JSON.stringify(t)}};FlowLog.debug("_GenericFlowHandler: requestConfig",{type:i.type,contentType:i.contentType,url:i.url,processData:i.processData,global:i.global,dataPreview:i.data});var a=shell.ajaxSafePost(i);return a.done((function(e,t,r){FlowLog.debug("_GenericFlowHandler: DONE",{durationMs:Date.now()-n,textStatus:t,status:r&&"number"==typeof r.status?r.status:null,responseData:e})})),a.fail((function(o,i,a){var s=o&&o.responseText?o.responseText:"",l=s?s.substring(0,700):"",u=_ParsePowerPagesErrorMetadata(s),c=u.hasPowerAutomateErrorView;FlowLog.error("_GenericFlowHandler: FAIL",{durationMs:Date.now()-n,textStatus:i,errorThrown:a?String(a):"",status:o&&"number"==typeof o.status?o.status:null,statusText:o&&o.statusText?o.statusText:"",responseText:s,isPowerAutomateErrorView:c,correlationId:u.correlationId,errorId:u.errorId,flowTrackingId:u.flowTrackingId}),FlowLog.error("_GenericFlowHandler: FAIL response snippet",l),c&&FlowLog.error("_GenericFlowHandler: The cloud flow trigger endpoint exists but failed server-side in Power Pages. Check site settings for Power Automate integration, flow binding/permissions, and whether the trigger ID belongs to the current site/environment."),r&&!1===r.runDiagnostics||(FlowLog.error("_GenericFlowHandler: Running preflight diagnostics due to flow failure"),_RunPreflightChecks(e,{probePayload:t,failure:{status:o&&"number"==typeof o.status?o.status:null,responseText:s}}))})),FlowLog.debug("_GenericFlowHandler: request sent"),a}class ShellAjaxTransport{constructor(){this.canAbort=!1}send(e){return new Promise((function(t){var r;try{r=_GenericFlowHandler(e.url,e.payload,{runDiagnostics:!1})}catch(e){return void t({ok:!1,status:null,statusText:e&&e.message?e.message:String(e),data:null,responseText:"",getHeader:function(){return null}})}function n(){r.abort()}function o(){e.signal&&e.signal.removeEventListener("abort",n)}e.signal&&"function"==typeof r.abort&&e.signal.addEventListener("abort",n,{once:!0}),r.done((function(e,r,n){o(),t({ok:!0,status:n&&"number"==typeof n.status?n.status:200,statusText:r||"",data:e,responseText:n&&"string"==typeof n.responseText?n.responseText:"",getHeader:function(e){return n&&"function"==typeof n.getResponseHeader?n.getResponseHeader(e):null}})})),r.fail((function(e,r,n){o();var i=e&&"string"==typeof e.responseText?e.responseText:"";t({ok:!1,status:e&&"number"==typeof e.status&&e.status?e.status:null,statusText:n?String(n):r||"",data:i,responseText:i,getHeader:function(t){return e&&"function"==typeof e.getResponseHeader?e.getResponseHeader(t):null}})}))}))}}class FetchTransport{constructor(e){e=e||{},this.baseUrl=e.baseUrl||"",this.getToken="function"==typeof e.getToken?e.getToken:_GetAntiForgeryToken,this.fetchImpl=e.fetch||("function"==typeof fetch?fetch.bind("undefined"!=typeof window?window:null):null),this.tokenPromise=null,this.canAbort=!0}send(e){var t=this;return this.fetchImpl?(this.tokenPromise||(this.tokenPromise=this.getToken()),this.tokenPromise.then((function(r){var n={"Content-Type":"application/x-www-form-urlencoded; charset=UTF-8","X-Requested-With":"XMLHttpRequest"};return r&&(n.__RequestVerificationToken=r),FlowLog.debug("FetchTransport: POST",e.url,e.payload),t.fetchImpl(t.baseUrl+e.url,{method:"POST",credentials:"same-origin",headers:n,body:"eventData="+encodeURIComponent(JSON.stringify(e.payload)),signal:e.signal||void 0})})).then((function(r){return r.text().then((function(n){return r.ok||(403===r.status&&(t.tokenPromise=null),FlowLog.error("FetchTransport: FAIL",{url:e.url,status:r.status,responseText:n.substring(0,700)})),{ok:r.ok,status:r.status,statusText:r.statusText||"",data:n,responseText:n,getHeader:function(e){return r.headers?r.headers.get(e):null}}}))})).catch((function(e){return{ok:!1,status:null,statusText:e&&e.message?e.message:String(e),data:null,responseText:"",getHeader:function(){return null}}}))):Promise.resolve({ok:!1,status:null,statusText:"fetch is not available",data:null,responseText:"",getHeader:function(){return null}})}}class MockTransport{constructor(e){if(this.canAbort=!0,this.routes=[],this.requests=[],this.fallback={status:404,data:"No mock response for this request"},Array.isArray(e))for(var t=0;t<e.length;t++)this.respond(e[t].match,e[t].response,e[t])}respond(e,t,r){return r=r||{},this.routes.push({match:e,response:t,times:"number"==typeof r.times?r.times:1/0}),this}respondOnce(e,t){return this.respond(e,t,{times:1})}matches(e,t){return null==e.match||("function"==typeof e.match?!!e.match(t):e.match instanceof RegExp?e.match.test(t.url):e.match===t.url)}reset(){return this.routes=[],this.requests=[],this}send(e){for(var t=null,r=0;r<this.routes.length;r++)if(this.matches(this.routes[r],e)){t=this.routes[r];break}this.requests.push({url:e.url,payload:e.payload,time:Date.now()}),t&&(t.times--,t.times<=0&&this.routes.splice(this.routes.indexOf(t),1));var n=t?"function"==typeof t.response?t.response(e):t.response:this.fallback,o="number"==typeof(n=n||{}).status?n.status:200,i=void 0===n.data?null:n.data,a="string"==typeof i?i:null==i?"":JSON.stringify(i),s=n.headers||{},l={ok:o>=200&&o<300,status:o||null,statusText:n.statusText||"",data:i,responseText:a,getHeader:function(e){for(var t=Object.keys(s),r=0;r<t.length;r++)if(t[r].toLowerCase()===String(e).toLowerCase())return s[t[r]];return null}};return new Promise((function(t){if(n.delayMs){var r=setTimeout((function(){t(l)}),n.delayMs);e.signal&&e.signal.addEventListener("abort",(function(){clearTimeout(r),t({ok:!1,status:null,statusText:"aborted",data:null,responseText:"",getHeader:function(){return null}})}))}else t(l)}))}}class FlowClient{constructor(e){e=e||{},this.timeoutMs="number"==typeof e.timeoutMs?e.timeoutMs:3e4,this.retries="number"==typeof e.retries?e.retries:3,this.retryDelayMs="number"==typeof e.retryDelayMs?e.retryDelayMs:500,this.maxRetryDelayMs="number"==typeof e.maxRetryDelayMs?e.maxRetryDelayMs:8e3,this.retryStatuses=Array.isArray(e.retryStatuses)?e.retryStatuses:[408,429,500,502,503,504],this.transport=e.transport||new ShellAjaxTransport,this.runDiagnostics=!1!==e.runDiagnostics}invoke(e,t,r){r=r||{};var n=this,o=Date.now(),i="number"==typeof r.retries?r.retries:this.retries,a=r.idempotent?i+1:1,s="number"==typeof r.timeoutMs?r.timeoutMs:this.timeoutMs,l=r.signal||null,u=0,c="";return function r(){return u++,n.send(e,t,s,l).then((function(t){if(c=t.responseText||"",t.ok||u>=a||!n.isRetryable(t))return n.finalizeResult(t,o,u);var i=n.getRetryDelay(u,t);return FlowLog.warn("FlowClient: retrying",{flowUrl:e,attempt:u,status:t.status,reason:t.error?t.error.reason:"",delayMs:i}),n.wait(i,l).then(r,(function(){return n.finalizeResult(n.createAbortOutcome(),o,u)}))}))}().then((function(o){return n.runDiagnostics&&"undefined"!=typeof window&&o.error&&("http"===o.error.reason||"network"===o.error.reason)&&(FlowLog.error("FlowClient: Running preflight diagnostics due to flow failure",{flowUrl:e,attempts:o.attempts}),_RunPreflightChecks(e,{probePayload:t,failure:{status:o.status,responseText:c}})),GTDDiagnostics.recordCall({flowName:r.flowName||"",flowUrl:e,ok:o.ok,status:o.status,reason:o.error?o.error.reason:"",durationMs:o.durationMs,attempts:o.attempts,correlationId:o.correlationId,flowTrackingId:o.flowTrackingId}),o}))}send(e,t,r,n){var o=this;return n&&n.aborted?Promise.resolve(this.createAbortOutcome()):new Promise((function(i){var a,s=!1,l=null,u="function"==typeof AbortController?new AbortController:null;function c(e){s||(s=!0,l&&clearTimeout(l),n&&n.removeEventListener("abort",f),i(e))}function d(e){c(e),u&&u.abort()}function f(){d(o.createAbortOutcome())}n&&n.addEventListener("abort",f),r>0&&(l=setTimeout((function(){d({ok:!1,status:null,data:null,correlationId:"",flowTrackingId:"",retryAfterMs:0,error:{reason:"timeout",message:"Flow call timed out after "+r+"ms"}})}),r));try{a=o.transport.send({url:e,payload:t,signal:u?u.signal:null})}catch(e){return void c({ok:!1,status:null,data:null,correlationId:"",flowTrackingId:"",retryAfterMs:0,error:{reason:"network",message:e&&e.message?e.message:String(e)}})}a.then((function(e){var t="string"==typeof e.responseText?e.responseText:"",r=_ParsePowerPagesErrorMetadata(t);e.ok?c({ok:!0,status:e.status||200,data:o.parseResponseData(e.data),correlationId:r.correlationId,flowTrackingId:r.flowTrackingId,retryAfterMs:0,error:null}):c({ok:!1,status:e.status||null,data:o.parseResponseData(t),correlationId:r.correlationId,flowTrackingId:r.flowTrackingId,retryAfterMs:o.getRetryAfterMs(e),responseText:t,error:{reason:e.status?"http":"network",message:e.statusText||"Flow call failed"}})}),(function(e){c({ok:!1,status:null,data:null,correlationId:"",flowTrackingId:"",retryAfterMs:0,error:{reason:"network",message:e&&e.message?e.message:String(e)}})}))}))}parseResponseData(e){if("string"!=typeof e)return null==e?null:e;var t=e.trim();if("{"!==t.charAt(0)&&"["!==t.charAt(0))return e;try{return JSON.parse(t)}catch(t){return e}}getRetryAfterMs(e){if(!e||"function"!=typeof e.getHeader)return 0;var t=e.getHeader("Retry-After");if(!t)return 0;var r=Number(t);if(!isNaN(r))return Math.max(0,1e3*r);var n=Date.parse(t);return isNaN(n)?0:Math.max(0,n-Date.now())}isRetryable(e){return!(!e||e.ok||!e.error)&&("timeout"===e.error.reason?!0===this.transport.canAbort:"network"===e.error.reason||"http"===e.error.reason&&-1!==this.retryStatuses.indexOf(e.status))}getRetryDelay(e,t){var r=Math.min(this.maxRetryDelayMs,this.retryDelayMs*Math.pow(2,e-1)),n=Math.round(r/2+Math.random()*r/2);return Math.max(n,t&&t.retryAfterMs?t.retryAfterMs:0)}wait(e,t){return new Promise((function(r,n){if(t&&t.aborted)n(t.reason);else{var o=setTimeout((function(){t&&t.removeEventListener("abort",i),r()}),e);t&&t.addEventListener("abort",i)}function i(){clearTimeout(o),n(t.reason)}}))}createAbortOutcome(){return{ok:!1,status:null,data:null,correlationId:"",flowTrackingId:"",retryAfterMs:0,error:{reason:"aborted",message:"Flow call was cancelled"}}}finalizeResult(e,t,r){return{ok:!!e.ok,status:e.status,data:e.data,correlationId:e.correlationId||"",flowTrackingId:e.flowTrackingId||"",durationMs:Date.now()-t,attempts:r,error:e.error||null}}}const DocManFlowClient=new FlowClient;class FlowRegistry{constructor(e){e=e||{},this.flowClient=e.flowClient||DocManFlowClient,this.environment=e.environment||null,this.flows={},this.enums={},this.pageConfigLoaded=!!e.skipPageConfig}register(e,t){if(!e)throw new Error("Flow registration must include a name");"string"==typeof t&&(t={triggerId:t}),t=t||{};var r=this.flows[e]||{},n=Object.assign({},r,t,{name:e});if(!n.triggerId||!/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(n.triggerId))throw new Error("Flow '"+e+"' must include a triggerId GUID");return this.flows[e]=n,this}registerAll(e){for(var t=Object.keys(e||{}),r=0;r<t.length;r++)this.register(t[r],e[t[r]]);return this}configure(e){if("string"==typeof e&&(e=JSON.parse(e)),!e||"object"!=typeof e)return this;e.environment&&(this.environment=e.environment);var t=e.flows||e.environments||e.environment||e.enums;this.registerAll(t?e.flows:e),this.setEnums(e.enums);var r=e.environments||{},n=this.getEnvironmentName();if(n&&r[n]){var o=r[n];this.registerAll(o.flows||(o.enums?null:o)),this.setEnums(o.enums)}return this}setEnums(e){for(var t=Object.keys(e||{}),r=0;r<t.length;r++)Array.isArray(e[t[r]])&&(this.enums[t[r]]=e[t[r]].slice());return this}getEnvironmentName(){return this.environment?this.environment:"undefined"!=typeof window&&window.location?window.location.hostname:""}configureFromPage(e){if(this.pageConfigLoaded=!0,"undefined"==typeof document)return this;var t=(e=e||document).querySelector?e.querySelector("[data-gtd-environment]"):null;t&&!this.environment&&(this.environment=t.getAttribute("data-gtd-environment"));for(var r=e.querySelectorAll?e.querySelectorAll("[data-gtd-flows]"):[],n=0;n<r.length;n++){var o=r[n],i="SCRIPT"===o.tagName?o.textContent:o.getAttribute("data-gtd-flows");if(i)try{this.configure(i)}catch(e){FlowLog.error("FlowRegistry: invalid data-gtd-flows config",e)}}return this}ensurePageConfig(){this.pageConfigLoaded||this.configureFromPage()}has(e){return this.ensurePageConfig(),!!this.flows[e]}get(e){this.ensurePageConfig();var t=this.flows[e];if(!t)throw new Error("Flow '"+e+"' is not registered");return t}getFlowUrl(e){return"/_api/cloudflow/v1.0/trigger/"+this.get(e).triggerId}buildPayload(e,t){var r=this.get(e),n=Object.assign({},t||{});return r.actionType&&void 0===n.ActionType&&(n.ActionType=r.actionType),n}validatePayload(e,t){return _ValidateSchema(t,this.get(e).payloadSchema,{path:"payload",enums:this.enums})}validateResponse(e,t){return _ValidateSchema(t,this.get(e).responseSchema,{path:"response",enums:this.enums})}invoke(e,t,r){var n;try{n=this.get(e)}catch(e){return Promise.resolve(this.createErrorResult("not-registered",e.message,[]))}var o=this.buildPayload(e,t),i=this.validatePayload(e,o);if(!i.valid)return FlowLog.error("FlowRegistry: payload rejected for "+e,i.errors),GTDDiagnostics.recordCall({flowName:e,flowUrl:this.getFlowUrl(e),ok:!1,status:null,reason:"invalid-payload",durationMs:0,attempts:0,correlationId:"",flowTrackingId:""}),Promise.resolve(this.createErrorResult("invalid-payload","Payload for '"+e+"' failed validation",i.errors));var a=this,s=Object.assign({idempotent:!!n.idempotent,flowName:e},r);return this.flowClient.invoke(this.getFlowUrl(e),o,s).then((function(t){if(!t.ok)return t;var r=a.validateResponse(e,t.data);return r.valid?t:(FlowLog.error("FlowRegistry: unexpected response from "+e,r.errors),Object.assign({},t,{ok:!1,error:{reason:"invalid-response",message:"Response from '"+e+"' did not match the expected shape",errors:r.errors}}))}))}createErrorResult(e,t,r){return{ok:!1,status:null,data:null,correlationId:"",flowTrackingId:"",durationMs:0,attempts:0,error:{reason:e,message:t,errors:r}}}}const DocManFlows=(new FlowRegistry).registerAll({UpdateDocCat:{triggerId:DocManDefaultTriggerId,actionType:"UpdateDocCat",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","DocCategory","DocManRowGuid"],properties:{ActionType:{type:"string",enum:["UpdateDocCat"]},DocCategory:{type:"string",enum:"DocCategory"},AccGUID:{type:"string",format:"guid",allowEmpty:!0},DocManRowGuid:{type:"string",format:"guid"}}}},GetUploadSas:{triggerId:DocManDefaultTriggerId,actionType:"GetUploadSas",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","FileName","FileSize"],properties:{ActionType:{type:"string",enum:["GetUploadSas"]},FileName:{type:"string"},FileSize:{type:"integer",minimum:0},ContentType:{type:"string"},DocCategory:{type:"string",enum:"DocCategory",allowEmpty:!0},AccGUID:{type:"string",format:"guid",allowEmpty:!0},GroupGuid:{type:"string",format:"guid",allowEmpty:!0},BlobUrl:{type:"string"}}}},CreateDocGroup:{triggerId:DocManDefaultTriggerId,actionType:"CreateDocGroup",payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","FileCount"],properties:{ActionType:{type:"string",enum:["CreateDocGroup"]},DocCategory:{type:"string",enum:"DocCategory",allowEmpty:!0},AccGUID:{type:"string",format:"guid",allowEmpty:!0},FileCount:{type:"integer",minimum:1}}},responseSchema:{type:"object",required:["GroupGuid"],properties:{GroupGuid:{type:"string",format:"guid"}}}},CreateDocRow:{triggerId:DocManDefaultTriggerId,actionType:"CreateDocRow",payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","FileName","BlobUrl"],properties:{ActionType:{type:"string",enum:["CreateDocRow"]},FileName:{type:"string"},FileSize:{type:"integer",minimum:0},ContentType:{type:"string"},BlobUrl:{type:"string"},DocCategory:{type:"string",enum:"DocCategory",allowEmpty:!0},AccGUID:{type:"string",format:"guid",allowEmpty:!0},GroupGuid:{type:"string",format:"guid",allowEmpty:!0}}},responseSchema:{type:"object"}},GetDocument:{triggerId:DocManDefaultTriggerId,actionType:"GetDocument",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","DocManRowGuid"],properties:{ActionType:{type:"string",enum:["GetDocument"]},DocManRowGuid:{type:"string",format:"guid"}}},responseSchema:{type:"object"}},RenameDoc:{triggerId:DocManDefaultTriggerId,actionType:"RenameDoc",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","DocManRowGuid","FileName"],properties:{ActionType:{type:"string",enum:["RenameDoc"]},DocManRowGuid:{type:"string",format:"guid"},FileName:{type:"string",maxLength:255}}}},MoveDoc:{triggerId:DocManDefaultTriggerId,actionType:"MoveDoc",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","DocManRowGuid","AccGUID"],properties:{ActionType:{type:"string",enum:["MoveDoc"]},DocManRowGuid:{type:"string",format:"guid"},AccGUID:{type:"string",format:"guid"}}}},SoftDeleteDoc:{triggerId:DocManDefaultTriggerId,actionType:"SoftDeleteDoc",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","DocManRowGuid"],properties:{ActionType:{type:"string",enum:["SoftDeleteDoc"]},DocManRowGuid:{type:"string",format:"guid"}}}},RestoreDoc:{triggerId:DocManDefaultTriggerId,actionType:"RestoreDoc",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","DocManRowGuid"],properties:{ActionType:{type:"string",enum:["RestoreDoc"]},DocManRowGuid:{type:"string",format:"guid"}}}},ListDocsByAccount:{triggerId:DocManDefaultTriggerId,actionType:"ListDocsByAccount",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","AccGUID"],properties:{ActionType:{type:"string",enum:["ListDocsByAccount"]},AccGUID:{type:"string",format:"guid"},DocCategory:{type:"string",enum:"DocCategory",allowEmpty:!0},IncludeDeleted:{type:"boolean"}}}},GetReadSas:{triggerId:DocManDefaultTriggerId,actionType:"GetReadSas",idempotent:!0,payloadSchema:{type:"object",additionalProperties:!1,required:["ActionType","DocManRowGuid"],properties:{ActionType:{type:"string",enum:["GetReadSas"]},DocManRowGuid:{type:"string",format:"guid"},Disposition:{type:"string",enum:["inline","attachment"]}}}}});class FlowOutbox{constructor(e){e=e||{},this.flows=e.flows||DocManFlows,this.dbName=e.dbName||"gtdFlowOutbox",this.storeName=e.storeName||"outbox",this.storage=void 0!==e.storage?e.storage:"undefined"!=typeof localStorage?localStorage:null,this.retryDelayMs="number"==typeof e.retryDelayMs?e.retryDelayMs:5e3,this.maxRetryDelayMs="number"==typeof e.maxRetryDelayMs?e.maxRetryDelayMs:3e5,this.retryCount=0,this.retryTimer=null,this.dbPromise=null,this.memoryItems=null,this.memorySequence=0,this.items=[],this.listeners=[],this.isReplaying=!1,this.started=!1,this.onOnline=this.onBackOnline.bind(this),!1!==e.autoStart&&this.start()}start(){if(this.started||"undefined"==typeof window||"function"!=typeof window.addEventListener)return this;this.started=!0;var e=this;return window.addEventListener("online",this.onOnline),this.hasStoredItems()?(this.refresh().then((function(){e.items.length&&e.isOnline()&&e.replay()})),this):this}onBackOnline(){(this.dbPromise||this.hasStoredItems())&&(this.retryCount=0,this.replay())}hasStoredItems(){if(!this.storage)return!0;try{return"1"===this.storage.getItem(this.dbName+":pending")}catch(e){return!0}}setStoredItemsMarker(e){if(this.storage)try{e?this.storage.setItem(this.dbName+":pending","1"):this.storage.removeItem(this.dbName+":pending")}catch(e){FlowLog.debug("FlowOutbox: could not update the pending marker",e)}}scheduleRetry(){if(!this.retryTimer){var e=this,t=Math.min(this.maxRetryDelayMs,this.retryDelayMs*Math.pow(2,this.retryCount));this.retryCount++,FlowLog.info("FlowOutbox: retrying pending actions",{delayMs:t,attempt:this.retryCount}),this.retryTimer=setTimeout((function(){e.retryTimer=null,e.replay()}),t)}}cancelRetry(){this.retryTimer&&(clearTimeout(this.retryTimer),this.retryTimer=null)}isOnline(){return"undefined"==typeof navigator||!1!==navigator.onLine}isQueueable(e){return!(!e||e.ok||!e.error)&&("network"===e.error.reason||"timeout"===e.error.reason||!this.isOnline())}openDb(){if(this.dbPromise)return this.dbPromise;var e=this;return"undefined"==typeof indexedDB?(FlowLog.warn("FlowOutbox: IndexedDB not available, pending actions are kept in memory only"),this.memoryItems=[],this.dbPromise=Promise.resolve(null),this.dbPromise):(this.dbPromise=new Promise((function(t){var r;try{r=indexedDB.open(e.dbName,1)}catch(r){return FlowLog.error("FlowOutbox: could not open IndexedDB, using memory",r),e.memoryItems=[],void t(null)}r.onupgradeneeded=function(){r.result.createObjectStore(e.storeName,{keyPath:"id",autoIncrement:!0})},r.onsuccess=function(){t(r.result)},r.onerror=function(){FlowLog.error("FlowOutbox: could not open IndexedDB, using memory",r.error),e.memoryItems=[],t(null)}})),this.dbPromise)}withStore(e,t){var r=this;return this.openDb().then((function(n){return n?new Promise((function(o,i){var a=n.transaction(r.storeName,e),s=t(a.objectStore(r.storeName));a.oncomplete=function(){o(s&&s.readyState?s.result:s)},a.onerror=function(){i(a.error)}})):t(null)}))}readAll(){var e=this;return this.withStore("readonly",(function(t){return t?t.getAll():e.memoryItems.slice()})).then((function(e){return(e||[]).sort((function(e,t){return e.id-t.id}))}))}put(e){var t=this;return this.withStore("readwrite",(function(r){if(!r){if(e.id)for(var n=0;n<t.memoryItems.length;n++)t.memoryItems[n].id===e.id&&(t.memoryItems[n]=e);else e.id=++t.memorySequence,t.memoryItems.push(e);return e.id}return e.id||delete e.id,r.put(e)}))}remove(e){var t=this;return this.withStore("readwrite",(function(r){r?r.delete(e):t.memoryItems=t.memoryItems.filter((function(t){return t.id!==e}))}))}settle(e,t){var r=this;return this.withStore("readwrite",(function(n){if(n){var o=n.get(e.id);o.onsuccess=function(){o.result&&o.result.version===e.version&&(t?n.delete(e.id):n.put(e))}}else{for(var i=null,a=0;a<r.memoryItems.length;a++)r.memoryItems[a].id===e.id&&(i=r.memoryItems[a]);if(!i||i.version!==e.version)return;t?r.memoryItems=r.memoryItems.filter((function(t){return t.id!==e.id})):r.memoryItems[r.memoryItems.indexOf(i)]=e}}))}enqueue(e,t,r){var n=this,o=(r=r||{}).dedupeKey||"";return this.readAll().then((function(r){var i=null;if(o)for(var a=0;a<r.length;a++)if(r[a].name===e&&r[a].dedupeKey===o){i=r[a];break}return i?(i.payload=t,i.version=(i.version||0)+1,i.updatedAt=(new Date).toISOString(),i.status="pending",i.lastError=null):i={name:e,payload:t,dedupeKey:o,status:"pending",version:1,attempts:0,lastError:null,createdAt:(new Date).toISOString(),updatedAt:(new Date).toISOString()},n.put(i).then((function(t){return i.id=t,FlowLog.info("FlowOutbox: queued",{name:e,dedupeKey:o,id:t}),n.refresh()})).then((function(){return i}))}))}replay(){if(this.isReplaying)return Promise.resolve(this.getState());var e=this,t=0,r=0,n=!1;return this.cancelRetry(),this.isReplaying=!0,this.notify(),this.readAll().then((function(o){var i=o.filter((function(e){return"pending"===e.status}));return function o(){if(!i.length||!e.isOnline())return Promise.resolve();var a=i.shift();return a.attempts++,e.flows.invoke(a.name,a.payload).then((function(i){return i.ok?(t++,e.retryCount=0,e.settle(a,!0).then(o)):(a.lastError=i.error,e.isQueueable(i)?(n=!0,e.settle(a,!1)):(r++,a.status="failed",FlowLog.error("FlowOutbox: replay rejected by flow",{name:a.name,id:a.id,error:i.error}),e.settle(a,!1).then(o)))}))}()})).then((function(){return e.isReplaying=!1,e.refresh()}),(function(t){return e.isReplaying=!1,n=!0,FlowLog.error("FlowOutbox: replay failed",t),e.refresh()})).then((function(o){if((t||r)&&FlowLog.info("FlowOutbox: replay finished",{sent:t,failed:r,pending:o.pending}),o.pending&&e.isOnline())if(n)e.scheduleRetry();else if(t)return e.replay().then((function(e){return{sent:t+e.sent,failed:r+e.failed,pending:e.pending}}));return{sent:t,failed:r,pending:o.pending}}))}discard(e){var t=this;return this.remove(e).then((function(){return t.refresh()}))}refresh(){var e=this;return this.readAll().then((function(t){return e.items=t,e.setStoredItemsMarker(t.length>0),e.notify(),e.getState()}))}getState(){for(var e=0,t=0,r=0;r<this.items.length;r++)"failed"===this.items[r].status?t++:e++;return{pending:e,failed:t,replaying:this.isReplaying,online:this.isOnline(),items:this.items.slice()}}subscribe(e){var t=this;return this.listeners.push(e),e(this.getState()),function(){t.listeners=t.listeners.filter((function(t){return t!==e}))}}notify(){for(var e=this.getState(),t=0;t<this.listeners.length;t++)try{this.listeners[t](e)}catch(e){FlowLog.error("FlowOutbox: listener failed",e)}}}const DocManOutbox=new FlowOutbox;class DocManBlobUploader{constructor(e){e=e||{},this.flows=e.flows||DocManFlows,this.blockSize=e.blockSize||4194304,this.concurrency=e.concurrency||4,this.blockRetries="number"==typeof e.blockRetries?e.blockRetries:3,this.retryDelayMs="number"==typeof e.retryDelayMs?e.retryDelayMs:1e3,this.maxBlocks=5e4,this.storage=void 0!==e.storage?e.storage:"undefined"!=typeof localStorage?localStorage:null,this.storagePrefix=e.storagePrefix||"gtdDocManUpload:",this.onProgress="function"==typeof e.onProgress?e.onProgress:null}upload(e,t){var r=this,n=(t=t||{}).signal||null,o="function"==typeof t.onProgress?t.onProgress:this.onProgress,i=t.fileName||(e&&e.name?e.name:"document"),a=e?e.size:0,s=null,l=!1,u="sas";function c(t){o&&o({file:e,fileName:i,phase:u,loadedBytes:t,totalBytes:a,percent:a?Math.min(100,Math.round(t/a*100)):"done"===u?100:0})}function d(e,t){return DocManLog.error("DocManBlobUploader: upload failed",{fileName:i,phase:u,reason:e,message:t}),{ok:!1,fileName:i,blobUrl:s?s.blobUrl:"",docManRowGuid:"",resumed:l,error:{phase:u,reason:e,message:t}}}if(!e||"function"!=typeof e.slice)return Promise.resolve(d("invalid-file","upload expects a File or Blob"));var f=this.loadResumeState(e);return c(0),this.requestUploadSas(e,t,f?f.blobUrl:"").then((function(t){if(!t.ok)return t;var n=r.getBlobUrl(t.sasUrl);return f&&f.blobUrl===n?(s=Object.assign({},f,{sasUrl:t.sasUrl}),l=!0):(f&&DocManLog.warn("DocManBlobUploader: flow issued a SAS for a different blob, starting over",{fileName:i}),s={sasUrl:t.sasUrl,blobUrl:n,fingerprint:r.getFileFingerprint(e),blockSize:r.getBlockSize(a),uploadedBlocks:[],startedAt:(new Date).toISOString()}),r.saveResumeState(e,s),s})).then((function(o){return o&&!1===o.ok?d(o.reason,o.message):(u="uploading",l&&DocManLog.info("DocManBlobUploader: resuming upload",{fileName:i,uploadedBlocks:s.uploadedBlocks.length}),r.uploadBlocks(e,s,n,c).then((function(){return u="committing",c(a),r.commitBlockList(e,s,n)})).then((function(){return u="creating",c(a),r.createDocManRow(e,s,t)})).then((function(t){return t.ok?(r.clearResumeState(e),u="done",c(a),DocManLog.info("DocManBlobUploader: upload complete",{fileName:i,docManRowGuid:t.docManRowGuid}),{ok:!0,fileName:i,blobUrl:s.blobUrl,docManRowGuid:t.docManRowGuid,resumed:l,error:null}):d(t.error?t.error.reason:"flow",t.error?t.error.message:"DocMan row was not created")}),(function(e){return d(e&&e.reason?e.reason:"network",e&&e.message?e.message:String(e))})))}))}requestUploadSas(e,t,r){var n={FileName:t.fileName||e.name||"document",FileSize:e.size,ContentType:e.type||"application/octet-stream",DocCategory:t.category||"",AccGUID:t.accountGuid||"",GroupGuid:t.groupGuid||""};return r&&(n.BlobUrl=r),this.flows.invoke("GetUploadSas",n,{signal:t.signal}).then((function(e){if(!e.ok)return{ok:!1,reason:e.error?e.error.reason:"flow",message:e.error?e.error.message:"SAS request failed"};var t=_BuildBlobSasUrl(e.data);return t?{ok:!0,sasUrl:t}:{ok:!1,reason:"no-sas",message:"Flow response did not contain a SAS url"}}))}getBlockSize(e){for(var t=this.blockSize;Math.ceil(e/t)>this.maxBlocks;)t*=2;return t}getBlockId(e){return btoa("block-"+String(e).padStart(6,"0"))}uploadBlocks(e,t,r,n){var o=this,i=Math.max(1,Math.ceil(e.size/t.blockSize)),a=[],s={},l=0,u=null,c=new AbortController;function d(){c.abort()}r&&(r.aborted?c.abort():r.addEventListener("abort",d,{once:!0}));for(var f=0;f<i;f++)-1===t.uploadedBlocks.indexOf(f)?a.push(f):l+=Math.min(t.blockSize,e.size-f*t.blockSize);function p(){for(var e=l,t=Object.keys(s),r=0;r<t.length;r++)e+=s[t[r]];n(e)}function g(){if(u||!a.length)return Promise.resolve();var r=a.shift(),n=r*t.blockSize,i=e.slice(n,Math.min(n+t.blockSize,e.size));return s[r]=0,o.putBlockWithRetry(t.sasUrl,o.getBlockId(r),i,c.signal,(function(e){s[r]=e,p()})).then((function(){return delete s[r],l+=i.size,t.uploadedBlocks.push(r),o.saveResumeState(e,t),p(),g()}),(function(e){delete s[r],u||(u=e,c.abort())}))}for(var h=[],m=Math.min(this.concurrency,a.length),b=0;b<m;b++)h.push(g());return Promise.all(h).then((function(){if(r&&r.removeEventListener("abort",d),u)throw u}))}putBlockWithRetry(e,t,r,n,o){var i=this,a=0;return function s(){a++;var l=i.appendQuery(e,"comp=block&blockid="+encodeURIComponent(t));return i.sendBlobRequest("PUT",l,r,{},n,o).catch((function(e){if("aborted"===e.reason||a>i.blockRetries||e.status&&e.status<500&&408!==e.status&&429!==e.status)throw e;return DocManLog.warn("DocManBlobUploader: retrying block",{blockId:t,attempt:a,status:e.status}),o(0),new Promise((function(e){setTimeout(e,i.retryDelayMs*Math.pow(2,a-1))})).then(s)}))}()}commitBlockList(e,t,r){for(var n=Math.max(1,Math.ceil(e.size/t.blockSize)),o='<?xml version="1.0" encoding="utf-8"?><BlockList>',i=0;i<n;i++)o+="<Latest>"+this.getBlockId(i)+"</Latest>";return o+="</BlockList>",this.sendBlobRequest("PUT",this.appendQuery(t.sasUrl,"comp=blocklist"),o,{"Content-Type":"application/xml","x-ms-blob-content-type":e.type||"application/octet-stream"},r,null)}createDocManRow(e,t,r){var n={FileName:r.fileName||e.name||"document",FileSize:e.size,ContentType:e.type||"application/octet-stream",BlobUrl:t.blobUrl,DocCategory:r.category||"",AccGUID:r.accountGuid||"",GroupGuid:r.groupGuid||""};return this.flows.invoke("CreateDocRow",n,{signal:r.signal}).then((function(e){var t=e.data&&"object"==typeof e.data?e.data:{},r=t.DocManRowGuid||t.docManRowGuid||t.guid||t.id||"";return Object.assign({},e,{docManRowGuid:String(r)})}))}sendBlobRequest(e,t,r,n,o,i){return new Promise((function(a,s){if(o&&o.aborted)s({reason:"aborted",status:null,message:"Upload was cancelled"});else{var l=new XMLHttpRequest;l.open(e,t,!0);for(var u=Object.keys(n||{}),c=0;c<u.length;c++)l.setRequestHeader(u[c],n[u[c]]);i&&l.upload&&(l.upload.onprogress=function(e){e.lengthComputable&&i(e.loaded)}),l.onload=function(){f(),l.status>=200&&l.status<300?a(l.status):s({reason:"http",status:l.status,message:"Blob storage responded "+l.status+" "+(l.statusText||"")})},l.onerror=function(){f(),s({reason:"network",status:null,message:"Network error talking to blob storage"})},l.onabort=function(){f(),s({reason:"aborted",status:null,message:"Upload was cancelled"})},o&&o.addEventListener("abort",d),l.send(r)}function d(){l.abort()}function f(){o&&o.removeEventListener("abort",d)}}))}appendQuery(e,t){return e+(-1===e.indexOf("?")?"?":"&")+t}getBlobUrl(e){return String(e||"").split("?")[0]}getFileFingerprint(e){return[e.name||"",e.size,e.lastModified||0,e.type||""].join(":")}getResumeKey(e){return this.storagePrefix+[e.name||"",e.size,e.lastModified||0].join(":")}loadResumeState(e){if(!this.storage)return null;var t=null;try{t=this.storage.getItem(this.getResumeKey(e))}catch(e){return null}if(!t)return null;var r=null;try{r=JSON.parse(t)}catch(e){r=null}var n=r?Date.parse(r.startedAt):NaN;return!r||r.sasUrl||!r.blobUrl||r.fingerprint!==this.getFileFingerprint(e)||!Array.isArray(r.uploadedBlocks)||isNaN(n)||Date.now()-n>5184e5?(this.clearResumeState(e),null):r}saveResumeState(e,t){if(this.storage)try{this.storage.setItem(this.getResumeKey(e),JSON.stringify({blobUrl:t.blobUrl,fingerprint:t.fingerprint,blockSize:t.blockSize,uploadedBlocks:t.uploadedBlocks,startedAt:t.startedAt}))}catch(e){DocManLog.warn("DocManBlobUploader: could not persist resume state",e)}}clearResumeState(e){if(this.storage)try{this.storage.removeItem(this.getResumeKey(e))}catch(e){DocManLog.warn("DocManBlobUploader: could not clear resume state",e)}}}class DocManFilePolicy{constructor(e){e=e||{},this.allowedTypes=Array.isArray(e.allowedTypes)?e.allowedTypes:["pdf","png","jpg","gif","tiff","docx","xlsx","doc","xls","txt","csv"],this.maxFileSize="number"==typeof e.maxFileSize?e.maxFileSize:52428800,this.maxFilesPerGroup="number"==typeof e.maxFilesPerGroup?e.maxFilesPerGroup:50,this.sanitizeFileNames=!1!==e.sanitizeFileNames,this.detectDuplicates=!1!==e.detectDuplicates,this.knownHashes=Array.isArray(e.knownHashes)?e.knownHashes.slice():[],this.fileTypes={pdf:{extensions:["pdf"],mimeTypes:["application/pdf"],signatures:[{bytes:[37,80,68,70]}]},png:{extensions:["png"],mimeTypes:["image/png"],signatures:[{bytes:[137,80,78,71,13,10,26,10]}]},jpg:{extensions:["jpg","jpeg"],mimeTypes:["image/jpeg"],signatures:[{bytes:[255,216,255]}]},gif:{extensions:["gif"],mimeTypes:["image/gif"],signatures:[{bytes:[71,73,70,56]}]},tiff:{extensions:["tif","tiff"],mimeTypes:["image/tiff"],signatures:[{bytes:[73,73,42,0]},{bytes:[77,77,0,42]}]},docx:{extensions:["docx"],mimeTypes:["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],signatures:[{bytes:[80,75,3,4]}]},xlsx:{extensions:["xlsx"],mimeTypes:["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],signatures:[{bytes:[80,75,3,4]}]},doc:{extensions:["doc"],mimeTypes:["application/msword"],signatures:[{bytes:[208,207,17,224,161,177,26,225]}]},xls:{extensions:["xls"],mimeTypes:["application/vnd.ms-excel"],signatures:[{bytes:[208,207,17,224,161,177,26,225]}]},txt:{extensions:["txt"],mimeTypes:["text/plain"],text:!0},csv:{extensions:["csv"],mimeTypes:["text/csv","application/vnd.ms-excel","text/plain"],text:!0}},this.blockedSignatures=[{name:"executable",bytes:[77,90]},{name:"video",offset:4,bytes:[102,116,121,112]},{name:"video",bytes:[26,69,223,163]}],e.fileTypes&&Object.assign(this.fileTypes,e.fileTypes)}getExtension(e){var t=/\.([^.]+)$/.exec(String(e||""));return t?t[1].toLowerCase():""}sanitizeFileName(e){var t=String(e||"").split(/[\\/]/).pop();t=(t=t.replace(/[\u0000-\u001f\u007f<>:"|?*]/g,"_").replace(/\s+/g," ").trim()).replace(/^[.\s]+/,"").replace(/[.\s]+$/,"");var r=this.getExtension(t),n=r?t.slice(0,-(r.length+1)):t;/^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i.test(n)&&(n="_"+n),n||(n="document");var o=255-(r?r.length+1:0);return n.slice(0,o)+(r?"."+r:"")}readHeader(e,t){var r=e.slice(0,t);return"function"==typeof r.arrayBuffer?r.arrayBuffer().then((function(e){return new Uint8Array(e)})):new Promise((function(e,t){var n=new FileReader;n.onload=function(){e(new Uint8Array(n.result))},n.onerror=function(){t(n.error)},n.readAsArrayBuffer(r)}))}matchesSignature(e,t){var r=t.offset||0;if(e.length<r+t.bytes.length)return!1;for(var n=0;n<t.bytes.length;n++)if(e[r+n]!==t.bytes[n])return!1;return!0}looksLikeText(e){for(var t=0;t<e.length;t++)if(0===e[t])return!1;return!0}sniffType(e,t){for(var r=[],n=0;n<this.allowedTypes.length;n++){var o=this.allowedTypes[n],i=this.fileTypes[o];if(i)(i.text?this.looksLikeText(e):(i.signatures||[]).some((function(t){return this.matchesSignature(e,t)}),this))&&r.push(o)}for(var a=0;a<r.length;a++)if(-1!==this.fileTypes[r[a]].extensions.indexOf(t))return r[a];return r.length&&!this.fileTypes[r[0]].text?r[0]:""}describeBlocked(e){for(var t=0;t<this.blockedSignatures.length;t++)if(this.matchesSignature(e,this.blockedSignatures[t]))return this.blockedSignatures[t].name;return""}hashFile(e){return"undefined"!=typeof crypto&&crypto.subtle?("function"==typeof e.arrayBuffer?e.arrayBuffer():new Promise((function(t,r){var n=new FileReader;n.onload=function(){t(n.result)},n.onerror=function(){r(n.error)},n.readAsArrayBuffer(e)}))).then((function(e){return crypto.subtle.digest("SHA-256",e)})).then((function(e){return Array.prototype.map.call(new Uint8Array(e),(function(e){return("0"+e.toString(16)).slice(-2)})).join("")})):Promise.reject(new Error("Web Crypto is not available"))}checkFile(e){var t=this,r=[],n=this.sanitizeFileNames?this.sanitizeFileName(e.name):String(e.name||""),o=this.getExtension(n),i={file:e,fileName:n,ok:!1,detectedType:"",hash:"",errors:r};return e.size?(e.size>this.maxFileSize&&r.push({code:"too-large",message:"File is "+Math.ceil(e.size/1048576)+" MB, the limit is "+Math.floor(this.maxFileSize/1048576)+" MB"}),this.allowedTypes.some((function(e){return t.fileTypes[e]&&-1!==t.fileTypes[e].extensions.indexOf(o)}))||r.push({code:"type-not-allowed",message:"."+(o||"(none)")+" files are not allowed"}),r.length?Promise.resolve(i):this.readHeader(e,512).then((function(a){var s=t.sniffType(a,o);if(i.detectedType=s,s)-1===t.fileTypes[s].extensions.indexOf(o)?r.push({code:"type-mismatch",message:"Content is "+s+" but the file is named ."+o}):e.type&&-1===t.fileTypes[s].mimeTypes.indexOf(e.type)&&r.push({code:"type-mismatch",message:"Browser reports "+e.type+" for a ."+o+" file"});else{var l=t.describeBlocked(a);r.push({code:"type-mismatch",message:"Content does not match ."+o+(l?" (looks like "+l+")":"")})}return r.length||!t.detectDuplicates?i:t.hashFile(e).then((function(e){return i.hash=e,i}),(function(e){return DocManLog.warn("DocManFilePolicy: duplicate detection skipped, could not hash file",{fileName:n,error:e&&e.message?e.message:String(e)}),i}))}),(function(e){return r.push({code:"unreadable",message:"Could not read file: "+(e&&e.message?e.message:e)}),i}))):(r.push({code:"empty",message:"File is empty"}),Promise.resolve(i))}validate(e){var t=this,r=e?Array.prototype.slice.call(e):[],n=[],o=Promise.resolve();return r.forEach((function(e){o=o.then((function(){return t.checkFile(e).then((function(e){n.push(e)}))}))})),o.then((function(){for(var e={},r=0;r<t.knownHashes.length;r++)e[t.knownHashes[r]]="an existing document";for(var o=0,i=0;i<n.length;i++){var a=n[i];a.hash&&(e[a.hash]?a.errors.push({code:"duplicate",message:"Same content as "+e[a.hash]}):e[a.hash]=a.fileName),a.errors.length||++o>t.maxFilesPerGroup&&a.errors.push({code:"too-many-files",message:"Only "+t.maxFilesPerGroup+" files can be uploaded at once"}),a.ok=0===a.errors.length}var s={ok:n.every((function(e){return e.ok})),files:n,accepted:n.filter((function(e){return e.ok})),rejected:n.filter((function(e){return!e.ok}))};return s.rejected.length&&DocManLog.warn("DocManFilePolicy: files rejected",s.rejected.map((function(e){return{fileName:e.fileName,errors:e.errors}}))),s}))}}class DocManError extends Error{constructor(e,t){var r=t&&t.error?t.error:{};super(e+": "+(r.message||"DocMan action failed")),this.name="DocManError",this.action=e,this.code=r.reason||"unknown",this.status=t?t.status:null,this.correlationId=t&&t.correlationId||"",this.flowTrackingId=t&&t.flowTrackingId||"",this.errors=Array.isArray(r.errors)?r.errors:[],this.result=t||null}}class DocMan{constructor(e){e=e||{},this.flows=e.flows||DocManFlows,this.outbox=void 0!==e.outbox?e.outbox:DocManOutbox,this.uploader=e.uploader||new DocManBlobUploader({flows:this.flows}),this.fileConcurrency=e.fileConcurrency||3,this.policy=void 0!==e.policy?e.policy:new DocManFilePolicy}static uploadGroup(e,t){return new DocMan(t).uploadGroup(e,t)}uploadGroup(e,t){t=t||{};var r=this,n=e?Array.prototype.slice.call(e):[],o=void 0!==t.policy?t.policy:this.policy;return(o?o.validate(n):Promise.resolve(null)).then((function(e){for(var o=[],i=0;i<n.length;i++){var a=e?e.files[i]:null,s="pending",l=null;if(a&&!a.ok){var u=1===a.errors.length&&"duplicate"===a.errors[0].code;s=u?"skipped":"rejected",l={reason:u?"duplicate":"policy",message:a.errors[0].message,errors:a.errors}}o.push({file:n[i],fileName:a?a.fileName:n[i].name,hash:a?a.hash:"",status:s,docManRowGuid:"",error:l})}return r.uploadResults(o,t)}))}uploadResults(e,t){for(var r=this,n="function"==typeof t.onProgress?t.onProgress:null,o=[],i=0,a="",s=0;s<e.length;s++)o.push(0),"pending"===e[s].status&&(i+=e[s].file.size);function l(t){if(n){for(var r={success:0,failed:0,skipped:0,rejected:0,pending:0,uploading:0},s=0,l=0;l<e.length;l++)r[e[l].status]++,s+=o[l];n({groupGuid:a,fileIndex:t,fileName:null!=t?e[t].fileName:"",fileStatus:null!=t?e[t].status:"",fileLoadedBytes:null!=t?o[t]:0,fileTotalBytes:null!=t?e[t].file.size:0,totalFiles:e.length,completedFiles:r.success,failedFiles:r.failed,skippedFiles:r.skipped,rejectedFiles:r.rejected,loadedBytes:s,totalBytes:i,percent:i?Math.min(100,Math.round(s/i*100)):100})}}function u(t){var r=e.filter((function(e){return"failed"===e.status||"rejected"===e.status})).length,n=!t&&0===r;return DocManLog.info("DocMan.uploadGroup: finished",{groupGuid:a,files:e.length,failed:r,ok:n}),{ok:n,groupGuid:a,results:e,error:t||null}}for(var c=[],d=0;d<e.length;d++)"pending"===e[d].status&&c.push(d);return c.length?this.createGroup(t,c.length).then((function(n){if(!n.ok){for(var i=n.error&&"aborted"===n.error.reason||t.signal&&t.signal.aborted,s=i?{reason:"aborted",message:"Upload was cancelled"}:{reason:"group",message:"DocMan group could not be created"},d=0;d<c.length;d++)e[c[d]].status="failed",e[c[d]].error=s;return l(null),u(i?s:n.error||s)}function f(){if(!c.length)return Promise.resolve();var n=c.shift(),i=e[n];return i.status="uploading",l(n),r.uploader.upload(i.file,{fileName:i.fileName,category:t.category,accountGuid:t.accountGuid,groupGuid:a,signal:"function"==typeof t.signalForFile&&t.signalForFile(n,i.file)||t.signal,onProgress:function(e){o[n]=e.loadedBytes,l(n)}}).then((function(e){return i.status=e.ok?"success":"failed",i.docManRowGuid=e.docManRowGuid||"",i.error=e.error,e.ok&&(o[n]=i.file.size),l(n),f()}))}a=n.groupGuid,l(null);for(var p=[],g=Math.min(r.fileConcurrency,c.length),h=0;h<g;h++)p.push(f());return Promise.all(p).then((function(){return u(null)}))})):(l(null),Promise.resolve(u(null)))}createGroup(e,t){var r={DocCategory:e.category||"",AccGUID:e.accountGuid||"",FileCount:t};return this.flows.invoke("CreateDocGroup",r,{signal:e.signal}).then((function(e){var t=(e.data&&"object"==typeof e.data?e.data:{}).GroupGuid||"";return e.ok&&!t?Object.assign({},e,{ok:!1,groupGuid:"",error:{reason:"no-group",message:"Flow response did not contain a GroupGuid"}}):Object.assign({},e,{groupGuid:String(t)})}))}call(e,t,r){return this.flows.invoke(e,t,r).then((function(t){if(!t.ok)throw new DocManError(e,t);return t}))}toDocument(e){function t(){for(var t=0;t<arguments.length;t++){var r=e[arguments[t]];if(null!=r&&""!==r)return r}return null}function r(e){if(!e)return null;var t=new Date(e);return isNaN(t.getTime())?null:t}e=e&&"object"==typeof e?e:{};var n=t("FileSize","fileSize","size"),o=t("IsDeleted","isDeleted");return{guid:String(t("DocManRowGuid","docManRowGuid","guid","id")||"").toLowerCase(),fileName:String(t("FileName","fileName","name")||""),category:String(t("DocCategory","docCategory","category")||""),accountGuid:String(t("AccGUID","accountGuid")||"").toLowerCase(),groupGuid:String(t("GroupGuid","groupGuid")||"").toLowerCase(),contentType:String(t("ContentType","contentType")||""),size:null===n||isNaN(Number(n))?null:Number(n),blobUrl:String(t("BlobUrl","blobUrl")||""),createdOn:r(t("CreatedOn","createdOn","createdon")),modifiedOn:r(t("ModifiedOn","modifiedOn","modifiedon")),isDeleted:!0===o||"true"===o||1===o}}getDocument(e,t){var r=this;return this.call("GetDocument",{DocManRowGuid:e},t).then((function(t){var n=r.toDocument(t.data);return n.guid||(n.guid=String(e).toLowerCase()),n}))}updateCategory(e,t,r){var n=this,o={DocCategory:t,AccGUID:"",DocManRowGuid:e};function i(r){return n.outbox.enqueue("UpdateDocCat",o,{dedupeKey:e}).then((function(){return{guid:e,category:t,queued:!0,result:r}}),(function(t){throw DocManLog.warn("DocMan: could not queue the category update",{guid:e,error:t}),new DocManError("UpdateDocCat",r)}))}return this.outbox&&!this.outbox.isOnline()?i({ok:!1,status:null,data:null,correlationId:"",flowTrackingId:"",durationMs:0,attempts:0,error:{reason:"offline",message:"Browser is offline"}}):this.flows.invoke("UpdateDocCat",o,r).then((function(r){if(r.ok)return{guid:e,category:t,queued:!1,result:r};if(n.outbox&&n.outbox.isQueueable(r))return i(r);throw new DocManError("UpdateDocCat",r)}))}rename(e,t,r){return this.call("RenameDoc",{DocManRowGuid:e,FileName:String(t||"").trim()},r).then((function(){return{guid:e,fileName:String(t||"").trim()}}))}moveToAccount(e,t,r){return this.call("MoveDoc",{DocManRowGuid:e,AccGUID:t},r).then((function(){return{guid:e,accountGuid:t}}))}softDelete(e,t){return this.call("SoftDeleteDoc",{DocManRowGuid:e},t).then((function(){return{guid:e,isDeleted:!0}}))}restore(e,t){return this.call("RestoreDoc",{DocManRowGuid:e},t).then((function(){return{guid:e,isDeleted:!1}}))}listByAccount(e,t){var r=this,n={AccGUID:e,DocCategory:(t=t||{}).category||"",IncludeDeleted:!!t.includeDeleted};return this.call("ListDocsByAccount",n,{signal:t.signal}).then((function(e){var t=e.data;return(Array.isArray(t)?t:t&&(t.documents||t.Documents||t.value)||[]).map((function(e){return r.toDocument(e)}))}))}getReadLink(e,t){var r={DocManRowGuid:e,Disposition:(t=t||{}).disposition||"inline"};return this.call("GetReadSas",r,{signal:t.signal}).then((function(e){var r=_BuildBlobSasUrl(e.data);if(!r)throw new DocManError("GetReadSas",Object.assign({},e,{ok:!1,error:{reason:"no-sas",message:"Flow response did not contain a SAS url"}}));var n=e.data&&"object"==typeof e.data?e.data:{};return{url:r,expiresAt:_GetSasExpiry(r),fileName:String(n.FileName||n.fileName||t.fileName||""),contentType:String(n.ContentType||n.contentType||"")}}))}}class DocManViewer{constructor(e){e=e||{},this.docMan=e.docMan||new DocMan,this.refreshMarginMs="number"==typeof e.refreshMarginMs?e.refreshMarginMs:6e4,this.links={},this.modal=null,this.current=null,this.refreshTimer=null,this.returnFocusTo=null,this.onKeyDown=this.handleKeyDown.bind(this),this.ensureStylesInjected()}ensureStylesInjected(){var e="gtd-docman-viewer-styles";if(!document.getElementById(e)){var t=document.createElement("style");t.id=e,t.textContent=".gtd-viewer-backdrop { position: fixed; inset: 0; z-index: 10050; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.6); }.gtd-viewer { display: flex; flex-direction: column; width: min(1100px, 94vw); height: 90vh; background: #fff; border-radius: 6px; overflow: hidden; }.gtd-viewer-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #ddd; }.gtd-viewer-header h2 { flex: 1; margin: 0; font-size: 16px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }.gtd-viewer-body { flex: 1; display: flex; align-items: center; justify-content: center; background: #f3f3f3; overflow: auto; }.gtd-viewer-body iframe { width: 100%; height: 100%; border: 0; background: #fff; }.gtd-viewer-body img { max-width: 100%; max-height: 100%; object-fit: contain; }",document.head.appendChild(t)}}isPreviewable(e,t){var r=String(e||"").toLowerCase(),n=String(t||"").toLowerCase();return"application/pdf"===r||/\.pdf$/.test(n)?"pdf":0===r.indexOf("image/")||/\.(png|jpe?g|gif|bmp|webp|svg)$/.test(n)?"image":""}getLink(e,t){var r=this,n=(t=t||{}).disposition||"inline",o=String(e).toLowerCase()+"|"+n,i=this.links[o];return!t.force&&i&&(!i.expiresAt||i.expiresAt-Date.now()>this.refreshMarginMs)?Promise.resolve(i):this.docMan.getReadLink(e,{disposition:n,fileName:t.fileName}).then((function(e){return r.links[o]=e,e}))}preview(e,t){var r=this,n=(t=t||{}).returnFocusTo||document.activeElement;return this.getLink(e,{fileName:t.fileName}).then((function(o){var i=t.fileName||o.fileName||"document",a=r.isPreviewable(t.contentType||o.contentType,o.fileName||i);if(!a)return DocManLog.info("DocManViewer: no inline preview for this type, downloading",{fileName:i}),r.download(e,{fileName:i});r.current={guid:e,fileName:i,kind:a,link:o},r.openModal(n),r.scheduleRefresh()}))}download(e,t){return t=t||{},this.getLink(e,{disposition:"attachment",fileName:t.fileName}).then((function(e){var r=document.createElement("a");r.href=e.url,r.download=t.fileName||e.fileName||"",r.rel="noopener",r.style.display="none",document.body.appendChild(r),r.click(),document.body.removeChild(r)}))}scheduleRefresh(){var e=this;if(this.refreshTimer&&clearTimeout(this.refreshTimer),this.refreshTimer=null,this.current&&this.current.link.expiresAt){var t=Math.max(5e3,this.current.link.expiresAt-Date.now()-this.refreshMarginMs);this.refreshTimer=setTimeout((function(){e.refreshCurrent()}),t)}}refreshCurrent(){var e=this;if(!this.current)return Promise.resolve();var t=this.current;return this.getLink(t.guid,{fileName:t.fileName,force:!0}).then((function(r){if(e.current===t){if(t.link=r,"image"===t.kind&&e.modal){var n=e.modal.querySelector("img");n&&(n.src=r.url)}e.scheduleRefresh()}}),(function(e){DocManLog.warn("DocManViewer: could not refresh read link",e)}))}handleKeyDown(e){if("Escape"===e.key)return e.preventDefault(),e.stopPropagation(),void this.close();if("Tab"===e.key&&this.modal){var t=this.modal.querySelectorAll("button:not([disabled]), [href], iframe, [tabindex]:not([tabindex='-1'])");if(t.length){var r=t[0],n=t[t.length-1],o=this.modal.contains(document.activeElement);!e.shiftKey||o&&document.activeElement!==r?e.shiftKey||o&&document.activeElement!==n||(e.preventDefault(),r.focus()):(e.preventDefault(),n.focus())}}}openModal(e){var t=this;this.removeModal(),this.returnFocusTo=e||document.activeElement;var r=document.createElement("div");r.className="gtd-viewer-backdrop",r.addEventListener("click",(function(e){e.target===r&&t.close()}));var n=document.createElement("div");n.className="gtd-viewer",n.setAttribute("role","dialog"),n.setAttribute("aria-modal","true"),n.setAttribute("aria-label",this.current.fileName);var o=document.createElement("div");o.className="gtd-viewer-header";var i=document.createElement("h2");i.textContent=this.current.fileName,o.appendChild(i);var a=document.createElement("button");a.type="button",a.className="btn btn-default btn-sm",a.textContent="Download",a.addEventListener("click",(function(){t.download(t.current.guid,{fileName:t.current.fileName})})),o.appendChild(a);var s=document.createElement("button");s.type="button",s.className="btn btn-default btn-sm",s.textContent="Close",s.addEventListener("click",(function(){t.close()})),o.appendChild(s);var l=document.createElement("div");if(l.className="gtd-viewer-body","pdf"===this.current.kind){var u=document.createElement("iframe");u.title=this.current.fileName,u.src=this.current.link.url,l.appendChild(u)}else{var c=document.createElement("img");c.alt=this.current.fileName,c.src=this.current.link.url,c.addEventListener("error",(function(){c.getAttribute("data-refreshed")||(c.setAttribute("data-refreshed","true"),t.refreshCurrent())})),l.appendChild(c)}n.appendChild(o),n.appendChild(l),r.appendChild(n),document.body.appendChild(r),document.addEventListener("keydown",this.onKeyDown,!0),this.modal=r,s.focus()}removeModal(){this.refreshTimer&&clearTimeout(this.refreshTimer),this.refreshTimer=null,document.removeEventListener("keydown",this.onKeyDown,!0),this.modal&&this.modal.parentNode&&this.modal.parentNode.removeChild(this.modal),this.modal=null}close(){var e=this.returnFocusTo;this.removeModal(),this.returnFocusTo=null,e&&e.isConnected&&"function"==typeof e.focus&&e.focus()}createPreviewAction(e){var t=this;return{id:(e=e||{}).id||"docman-preview",label:e.label||"Preview",icon:e.icon||null,onClick:function(e){e&&e.guid?t.docMan.getDocument(e.guid).then((function(r){return t.preview(e.guid,{fileName:r.fileName,contentType:r.contentType,returnFocusTo:e.trigger||e.sourceElement})})).catch((function(e){DocManLog.error("DocManViewer: preview failed",e)})):DocManLog.warn("DocManViewer: preview clicked without a row GUID")}}}}class DocManUploadWidget{constructor(e){e=e||{},this.logPrefix=e.logPrefix||"[DocManUploadWidget]",this.container="string"==typeof e.container?document.querySelector(e.container):e.container||null,this.docMan=e.docMan||new DocMan,this.categories=Array.isArray(e.categories)?e.categories:[],this.defaultCategory=e.defaultCategory||"",this.accountGuid=e.accountGuid||"",this.accept=e.accept||"",this.onComplete="function"==typeof e.onComplete?e.onComplete:null,this.labels=Object.assign({dropHint:"Drag files here or",browse:"choose files",category:"Document category",chooseCategory:"Select a category",upload:"Upload",cancel:"Cancel",cancelAll:"Cancel all",retry:"Retry",remove:"Remove"},e.labels||{}),this.items=[],this.groupGuid="",this.isUploading=!1,this.batchController=null,this.root=null,this.ensureStylesInjected()}ensureStylesInjected(){var e="gtd-upload-widget-styles";if(!document.getElementById(e)){var t=document.createElement("style");t.id=e,t.textContent=".gtd-upload { display: flex; flex-direction: column; gap: 12px; }.gtd-upload-drop { padding: 24px; border: 2px dashed #8a8886; border-radius: 6px; text-align: center; cursor: pointer; }.gtd-upload-drop.is-dragover, .gtd-upload-drop:focus-visible { border-color: #0078d4; background: rgba(0, 120, 212, 0.06); }.gtd-upload-link { padding: 0; border: 0; background: none; color: #0078d4; text-decoration: underline; cursor: pointer; }.gtd-upload-controls { display: flex; align-items: center; gap: 8px; flex-wrap: wrap; }.gtd-upload-files { list-style: none; margin: 0; padding: 0; }.gtd-upload-file { display: grid; grid-template-columns: minmax(0, 1fr) 160px auto; align-items: center; gap: 8px; padding: 4px 0; border-bottom: 1px solid #edebe9; }.gtd-upload-file-name { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }.gtd-upload-file-status { grid-column: 1 / -1; font-size: 12px; color: #605e5c; }.gtd-upload-file.is-success .gtd-upload-file-status { color: #107c10; }.gtd-upload-file.is-failed .gtd-upload-file-status, .gtd-upload-file.is-rejected .gtd-upload-file-status { color: #a80000; }.gtd-upload-file progress { width: 100%; }.gtd-upload-summary:empty { display: none; }",document.head.appendChild(t)}}createButton(e,t,r){var n=document.createElement("button");return n.type="button",n.className=t,n.textContent=e,n.addEventListener("click",r),n}render(){var e=this,t=document.createElement("div");t.className="gtd-upload";var r=document.createElement("div");r.className="gtd-upload-drop",r.setAttribute("tabindex","0"),r.setAttribute("role","button"),r.setAttribute("aria-label",this.labels.dropHint+" "+this.labels.browse);var n=document.createElement("input");n.type="file",n.multiple=!0,n.hidden=!0,this.accept&&(n.accept=this.accept),n.addEventListener("change",(function(){e.addFiles(n.files),n.value=""}));var o=document.createElement("span");o.textContent=this.labels.dropHint+" ",r.appendChild(o),r.appendChild(this.createButton(this.labels.browse,"gtd-upload-link",(function(e){e.stopPropagation(),n.click()}))),r.appendChild(n),r.addEventListener("click",(function(){n.click()})),r.addEventListener("keydown",(function(e){"Enter"!==e.key&&" "!==e.key||(e.preventDefault(),n.click())})),r.addEventListener("dragover",(function(e){e.preventDefault(),r.classList.add("is-dragover")})),r.addEventListener("dragleave",(function(){r.classList.remove("is-dragover")})),r.addEventListener("drop",(function(t){t.preventDefault(),r.classList.remove("is-dragover"),t.dataTransfer&&t.dataTransfer.files&&e.addFiles(t.dataTransfer.files)}));var i=document.createElement("div");i.className="gtd-upload-controls";var a="gtd-upload-category-"+Math.random().toString(36).slice(2,8),s=document.createElement("label");s.setAttribute("for",a),s.textContent=this.labels.category;var l=document.createElement("select");l.id=a,l.className="form-control form-select";var u=document.createElement("option");u.value="",u.textContent=this.labels.chooseCategory,l.appendChild(u);for(var c=0;c<this.categories.length;c++){var d=this.categories[c],f=document.createElement("option");f.value="object"==typeof d?d.value:d,f.textContent="object"==typeof d?d.label||d.value:d,l.appendChild(f)}l.value=this.defaultCategory,l.addEventListener("change",(function(){e.updateControls()}));var p=this.createButton(this.labels.upload,"btn btn-primary",(function(){e.upload()})),g=this.createButton(this.labels.cancelAll,"btn btn-default",(function(){e.cancelAll()}));i.appendChild(s),i.appendChild(l),i.appendChild(p),i.appendChild(g);var h=document.createElement("ul");h.className="gtd-upload-files";var m=document.createElement("div");return m.className="gtd-upload-summary",m.setAttribute("role","status"),m.setAttribute("aria-live","polite"),t.appendChild(r),t.appendChild(i),t.appendChild(h),t.appendChild(m),this.root=t,this.elements={drop:r,input:n,select:l,uploadButton:p,cancelAllButton:g,list:h,summary:m},t}addFiles(e){if(!this.isUploading){this.groupGuid&&(this.items=[],this.groupGuid="");for(var t=Array.prototype.slice.call(e||[]),r=0;r<t.length;r++)this.items.push({file:t[r],fileName:t[r].name,status:"queued",percent:0,message:"",controller:null,element:null});this.elements.summary.textContent="",this.renderItems()}}removeItem(e){this.items=this.items.filter((function(t){return t!==e})),this.renderItems()}statusText(e){switch(e.status){case"queued":return"Ready to upload";case"uploading":return"Uploading "+e.percent+"%";case"success":return"Uploaded";case"skipped":return"Skipped: "+e.message;case"rejected":return"Not allowed: "+e.message;case"cancelled":return"Cancelled";case"failed":return"Failed: "+e.message;default:return e.status}}renderItems(){var e=this,t=this.elements.list;t.innerHTML="",this.items.forEach((function(r){var n=document.createElement("li");n.className="gtd-upload-file is-"+r.status;var o=document.createElement("span");o.className="gtd-upload-file-name",o.textContent=r.fileName,o.title=r.fileName;var i=document.createElement("progress");i.max=100,i.value=r.percent,i.setAttribute("aria-label",r.fileName);var a=document.createElement("span");"queued"===r.status?a.appendChild(e.createButton(e.labels.remove,"btn btn-link btn-sm",(function(){e.removeItem(r)}))):"uploading"===r.status?a.appendChild(e.createButton(e.labels.cancel,"btn btn-link btn-sm",(function(){r.controller&&r.controller.abort()}))):"failed"!==r.status&&"cancelled"!==r.status||e.isUploading||a.appendChild(e.createButton(e.labels.retry,"btn btn-link btn-sm",(function(){e.retry(r)})));var s=document.createElement("span");s.className="gtd-upload-file-status",s.textContent=e.statusText(r),n.appendChild(o),n.appendChild(i),n.appendChild(a),n.appendChild(s),r.element=n,t.appendChild(n)})),this.updateControls()}updateItem(e){e.element&&(e.element.className="gtd-upload-file is-"+e.status,e.element.querySelector("progress").value=e.percent,e.element.querySelector(".gtd-upload-file-status").textContent=this.statusText(e))}updateControls(){if(this.elements){var e=this.items.some((function(e){return"queued"===e.status}));this.elements.uploadButton.disabled=this.isUploading||!e||!this.elements.select.value,this.elements.cancelAllButton.disabled=!this.isUploading,this.elements.select.disabled=this.isUploading}}applyResult(e,t){var r=t.error&&"aborted"===t.error.reason||this.batchController&&this.batchController.signal.aborted||e.controller&&e.controller.signal.aborted;e.status="failed"===t.status&&r?"cancelled":t.status,e.message=t.error?t.error.message:"",e.fileName=t.fileName||e.fileName,"success"===e.status&&(e.percent=100)}upload(){var e=this,t=this.items.filter((function(e){return"queued"===e.status})),r=this.elements.select.value;return!this.isUploading&&t.length&&r?(this.isUploading=!0,this.batchController="function"==typeof AbortController?new AbortController:null,t.forEach((function(e){e.controller="function"==typeof AbortController?new AbortController:null})),this.renderItems(),this.docMan.uploadGroup(t.map((function(e){return e.file})),{category:r,accountGuid:this.accountGuid,signal:this.batchController?this.batchController.signal:void 0,signalForFile:function(e){return t[e].controller?t[e].controller.signal:null},onProgress:function(r){if(null!=r.fileIndex){var n=t[r.fileIndex];"uploading"===r.fileStatus&&(n.status="uploading",n.percent=r.fileTotalBytes?Math.min(99,Math.round(r.fileLoadedBytes/r.fileTotalBytes*100)):0,n.element&&-1!==n.element.className.indexOf("is-uploading")?e.updateItem(n):e.renderItems())}}}).then((function(r){e.groupGuid=r.groupGuid;for(var n=0;n<r.results.length;n++)e.applyResult(t[n],r.results[n]);return e.finishBatch(r),r}))):Promise.resolve(null)}retry(e){var t=this;return this.isUploading?Promise.resolve(null):this.groupGuid?(this.isUploading=!0,e.status="uploading",e.percent=0,e.controller="function"==typeof AbortController?new AbortController:null,this.renderItems(),this.docMan.uploader.upload(e.file,{fileName:e.fileName,category:this.elements.select.value,accountGuid:this.accountGuid,groupGuid:this.groupGuid,signal:e.controller?e.controller.signal:void 0,onProgress:function(r){e.percent=Math.min(99,r.percent),t.updateItem(e)}}).then((function(r){t.applyResult(e,{status:r.ok?"success":"failed",fileName:e.fileName,error:r.error});var n=t.getSummary();return t.finishBatch({ok:0===n.failed,groupGuid:t.groupGuid,results:n.results,error:null}),r}))):(this.items.forEach((function(e){"failed"!==e.status&&"cancelled"!==e.status||(e.status="queued",e.percent=0)})),this.upload())}cancelAll(){this.batchController&&this.batchController.abort(),this.items.forEach((function(e){e.controller&&e.controller.abort()}))}getSummary(){var e={success:0,skipped:0,rejected:0,failed:0},t=[];return this.items.forEach((function(r){var n="cancelled"===r.status?"failed":r.status;void 0!==e[n]&&e[n]++,t.push({file:r.file,fileName:r.fileName,status:r.status,error:r.message?{message:r.message}:null})})),e.results=t,e}finishBatch(e){this.isUploading=!1,this.batchController=null;var t=this.getSummary(),r=[t.success+" uploaded"];if(t.skipped&&r.push(t.skipped+" skipped (duplicate)"),t.rejected&&r.push(t.rejected+" not allowed"),t.failed&&r.push(t.failed+" failed"),this.elements.summary.textContent=r.join(", "),this.renderItems(),DocManLog.info(this.logPrefix,"upload finished",{groupGuid:this.groupGuid,uploaded:t.success,failed:t.failed}),this.onComplete)try{this.onComplete(e,this)}catch(e){DocManLog.error(this.logPrefix,"onComplete failed",e)}}init(){if(!this.container)throw new Error("DocManUploadWidget needs a container element or selector");return this.root||(this.container.appendChild(this.render()),this.updateControls()),this}}class FlowDiagnosticsPanel{constructor(e){e=e||{},this.queryParam=e.queryParam||"gtdDiagnostics",this.shortcutKey=(e.shortcutKey||"d").toLowerCase(),this.panel=null,this.unsubscribe=null,this.onKeyDown=this.handleKeyDown.bind(this)}ensureStylesInjected(){var e="gtd-diagnostics-styles";if(!document.getElementById(e)){var t=document.createElement("style");t.id=e,t.textContent=".gtd-diagnostics { position: fixed; right: 16px; bottom: 16px; z-index: 10000; width: 640px; max-width: calc(100vw - 32px); max-height: 70vh; overflow: auto; background: #fff; color: #222; border: 1px solid #999; border-radius: 6px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25); font: 12px/1.4 Consolas, monospace; }.gtd-diagnostics-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: #f3f3f3; border-bottom: 1px solid #ddd; position: sticky; top: 0; }.gtd-diagnostics-header h2 { flex: 1; margin: 0; font-size: 13px; }.gtd-diagnostics section { padding: 8px 12px; }.gtd-diagnostics h3 { margin: 0 0 6px; font-size: 12px; }.gtd-diagnostics table { width: 100%; border-collapse: collapse; }.gtd-diagnostics th, .gtd-diagnostics td { text-align: left; padding: 2px 4px; border-bottom: 1px solid #eee; vertical-align: top; }.gtd-diagnostics .gtd-ok { color: #107c10; }.gtd-diagnostics .gtd-fail { color: #a80000; }.gtd-diagnostics .gtd-skip { color: #777; }",document.head.appendChild(t)}}handleKeyDown(e){e.ctrlKey&&e.altKey&&String(e.key).toLowerCase()===this.shortcutKey&&(e.preventDefault(),this.toggle())}isOpen(){return!!this.panel}toggle(){return this.isOpen()?this.close():this.open(),this}open(){return this.panel||(this.ensureStylesInjected(),this.panel=document.createElement("div"),this.panel.className="gtd-diagnostics",this.panel.setAttribute("role","dialog"),this.panel.setAttribute("aria-label","Cloud flow diagnostics"),document.body.appendChild(this.panel),this.unsubscribe=GTDDiagnostics.subscribe(this.render.bind(this)),this.render()),this}close(){return this.unsubscribe&&this.unsubscribe(),this.unsubscribe=null,this.panel&&this.panel.parentNode&&this.panel.parentNode.removeChild(this.panel),this.panel=null,this}createButton(e,t){var r=document.createElement("button");return r.type="button",r.className="btn btn-sm btn-default",r.textContent=e,r.addEventListener("click",t),r}createTable(e,t){for(var r=document.createElement("table"),n=r.createTHead().insertRow(),o=0;o<e.length;o++){var i=document.createElement("th");i.textContent=e[o],n.appendChild(i)}for(var a=r.createTBody(),s=0;s<t.length;s++)for(var l=a.insertRow(),u=0;u<t[s].length;u++){var c=t[s][u],d=l.insertCell();d.textContent=c&&"object"==typeof c?c.text:String(null==c?"":c),c&&"object"==typeof c&&c.className&&(d.className=c.className)}return r}statusCell(e){return"pass"===e||!0===e?{text:"pass",className:"gtd-ok"}:"skip"===e?{text:"skip",className:"gtd-skip"}:{text:"fail",className:"gtd-fail"}}copySupportBundle(e){var t=JSON.stringify(GTDDiagnostics.getSupportBundle(),null,2);function r(t){e.textContent=t,setTimeout((function(){e.textContent="Copy support bundle"}),2e3)}if(navigator.clipboard&&"function"==typeof navigator.clipboard.writeText)navigator.clipboard.writeText(t).then((function(){r("Copied")}),(function(){r("Copy failed")}));else{var n=document.createElement("textarea");n.value=t,document.body.appendChild(n),n.select();try{r(document.execCommand("copy")?"Copied":"Copy failed")}catch(e){r("Copy failed")}document.body.removeChild(n)}}render(){if(this.panel){var e=this,t=GTDDiagnostics.getSupportBundle();this.panel.innerHTML="";var r=document.createElement("div");r.className="gtd-diagnostics-header";var n=document.createElement("h2");n.textContent="Cloud flow diagnostics (v15.00)",r.appendChild(n);var o=this.createButton("Copy support bundle",(function(){e.copySupportBundle(o)}));r.appendChild(o),r.appendChild(this.createButton("Clear",(function(){GTDDiagnostics.clear()}))),r.appendChild(this.createButton("Close",(function(){e.close()}))),this.panel.appendChild(r);var i=document.createElement("section"),a=document.createElement("h3");a.textContent="Recent flow calls ("+t.calls.length+")",i.appendChild(a),i.appendChild(this.createTable(["Time","Flow","Status","ms","Tries","Correlation ID","Tracking ID"],t.calls.slice().reverse().map((function(e){return[e.time.substring(11,19),e.flowName||e.flowUrl,{text:e.ok?String(e.status||"ok"):e.status||e.reason||"fail",className:e.ok?"gtd-ok":"gtd-fail"},e.durationMs,e.attempts,e.correlationId,e.flowTrackingId]})))),this.panel.appendChild(i);var s=t.preflights[t.preflights.length-1],l=document.createElement("section"),u=document.createElement("h3");u.textContent=s?"Preflight "+s.timestamp+(s.classification?" - "+s.classification:""):"Preflight: not run yet",l.appendChild(u);var c=t.calls.length?GTDDiagnostics.calls[GTDDiagnostics.calls.length-1]:null,d=s?GTDDiagnostics.preflights[GTDDiagnostics.preflights.length-1].flowUrl:c?c.flowUrl:"";d&&l.appendChild(this.createButton("Run preflight",(function(){_RunPreflightChecks(d)}))),s&&Array.isArray(s.checks)&&l.appendChild(this.createTable(["Check","Result","Detail"],s.checks.map((function(t){return[t.label,e.statusCell(t.status),t.detail||""]})))),this.panel.appendChild(l)}}init(){document.addEventListener("keydown",this.onKeyDown);var e=this,t=window.location&&window.location.search?window.location.search:"";return new RegExp("[?&]"+this.queryParam+"=(1|true)(&|$)","i").test(t)&&(document.body?this.open():document.addEventListener("DOMContentLoaded",(function(){e.open()}))),this}}const GTDListActions={handlers:{},instances:[],singleRowHandlers:["navigate","openModalForm"],register:function(e,t){if(!e||"function"!=typeof t)throw new Error("GTDListActions.register expects a name and a factory(params)");return this.handlers[e]=t,this},create:function(e,t){var r=this.handlers[e];if(!r)throw new Error("Unknown list action handler: "+e);return r(t||{})},toSafeUrl:function(e){var t;try{t=new URL(String(e),window.location.href)}catch(t){throw new Error("Invalid url: "+e)}if("http:"!==t.protocol&&"https:"!==t.protocol||t.origin!==window.location.origin)throw new Error("Only same-origin http(s) urls are allowed: "+e);return t.href},resolvePath:function(e,t){for(var r=String(t).split("."),n=e;r.length;){if(null==n||"object"!=typeof n)return;for(var o=!1,i=r.length;i>0;i--){var a=r.slice(0,i).join(".").trim();if(Object.prototype.hasOwnProperty.call(n,a)){n=n[a],r=r.slice(i),o=!0;break}}if(!o)return}return n},templateValueToString:function(e){return null==e?"":e instanceof Date?e.toISOString():"object"==typeof e&&void 0!==e.name?String(e.name):"object"==typeof e?JSON.stringify(e):String(e)},fillTemplate:function(e,t,r,n,o){if("string"!=typeof e)return e;var i=this,a=Object.assign({},t||{},n||{});return e.replace(/\{([^{}]+)\}/g,(function(e,t){var n=i.resolvePath(a,t);if(void 0===n){if(o)throw new Error("The placeholder "+e+" could not be filled from the row");ListMenuLog.warn("[GTDListActions] The placeholder "+e+" could not be filled from the row")}var s=i.templateValueToString(n);return r?encodeURIComponent(s):s}))},fillPayload:function(e,t){var r=this;if(Array.isArray(e))return e.map((function(e){return r.fillPayload(e,t)}));if(e&&"object"==typeof e){var n={};return Object.keys(e).forEach((function(o){n[o]=r.fillPayload(e[o],t)})),n}var o="string"==typeof e?e.match(/^\{([^{}]+)\}$/):null;if(o){var i=this.resolvePath(t||{},o[1]);if("number"==typeof i||"boolean"==typeof i)return i}return this.fillTemplate(e,t,!1,null,!0)},compileCondition:function(e){var t=this;if(Array.isArray(e)){var r=e.map((function(e){return t.compileCondition(e)}));return function(e){return r.every((function(t){return t(e)}))}}if(!e||!e.column)throw new Error("A list action condition needs a column");function n(e){return e&&"object"==typeof e&&void 0!==e.name&&(e=e.name),e instanceof Date&&(e=e.toISOString()),String(null==e?"":e).replace(/\s+/g," ").trim().toLowerCase()}return function(t){var r=n((t&&t.values?t.values:{})[e.column]);return(void 0===e.empty||""===r==!!e.empty)&&((void 0===e.equals||r===n(e.equals))&&((void 0===e.notEquals||r!==n(e.notEquals))&&((!Array.isArray(e.in)||-1!==e.in.map(n).indexOf(r))&&(!Array.isArray(e.notIn)||-1===e.notIn.map(n).indexOf(r)))))}},ensureStylesInjected:function(){var e="gtd-list-actions-styles";if(!document.getElementById(e)){var t=document.createElement("style");t.id=e,t.textContent=".gtd-form-backdrop { position: fixed; inset: 0; z-index: 10050; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.5); }.gtd-form-modal { display: flex; flex-direction: column; width: min(900px, 94vw); height: 85vh; background: #fff; border-radius: 6px; overflow: hidden; }.gtd-form-modal-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #edebe9; }.gtd-form-modal-header h2 { flex: 1; margin: 0; font-size: 16px; }.gtd-form-modal iframe { flex: 1; width: 100%; border: 0; }.gtd-confirm { width: min(440px, 92vw); padding: 20px; background: #fff; border-radius: 6px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25); }.gtd-confirm h2 { margin: 0 0 8px; font-size: 18px; }.gtd-confirm-buttons { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }.gtd-toasts { position: fixed; right: 16px; bottom: 16px; z-index: 10060; display: flex; flex-direction: column; gap: 8px; max-width: min(380px, 92vw); }.gtd-toast { display: flex; align-items: flex-start; gap: 8px; padding: 10px 12px; border-radius: 4px; color: #fff; background: #107c10; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2); }.gtd-toast.is-error { background: #a80000; }.gtd-toast span { flex: 1; }.gtd-toast button { border: 0; background: none; color: inherit; cursor: pointer; }.is-loading { cursor: progress !important; }.gtd-action-spinner { display: inline-block; width: 12px; height: 12px; margin-left: auto; border: 2px solid currentColor; border-right-color: transparent; border-radius: 50%; animation: gtd-spin 0.8s linear infinite; }@keyframes gtd-spin { to { transform: rotate(360deg); } }",document.head.appendChild(t)}},openFormModal:function(e,t,r){var n=this.toSafeUrl(e),o={closeOnSubmit:!1!==(r=r||{}).closeOnSubmit,successSelector:r.successSelector||".alert-success",successUrl:r.successUrl||""};return this.ensureStylesInjected(),new Promise((function(e){var r=document.activeElement,i=document.createElement("div");i.className="gtd-form-backdrop";var a=document.createElement("div");a.className="gtd-form-modal",a.setAttribute("role","dialog"),a.setAttribute("aria-modal","true"),a.setAttribute("aria-label",t);var s=document.createElement("div");s.className="gtd-form-modal-header";var l=document.createElement("h2");l.textContent=t;var u=document.createElement("button");u.type="button",u.className="btn btn-default btn-sm",u.textContent="Close",s.appendChild(l),s.appendChild(u);var c=document.createElement("iframe");c.title=t;var d=0,f=!1;function p(){f=!0,o.closeOnSubmit&&h()}function g(e){e.source===c.contentWindow&&e.origin===window.location.origin&&e.data&&"gtd:form-submitted"===e.data.type&&p()}function h(){document.removeEventListener("keydown",m),window.removeEventListener("message",g),i.parentNode&&i.parentNode.removeChild(i),r&&"function"==typeof r.focus&&r.focus(),e({closed:!0,submitted:f,frame:c})}function m(e){"Escape"===e.key&&(e.preventDefault(),h())}c.addEventListener("load",(function(){if(!(++d<2)){var e="",t=null;try{e=c.contentWindow.location.href,t=c.contentDocument}catch(e){return}var r=o.successUrl&&-1!==e.indexOf(o.successUrl),n=o.successSelector&&t&&t.querySelector(o.successSelector);(r||n)&&p()}})),c.src=n,u.addEventListener("click",h),i.addEventListener("click",(function(e){e.target===i&&h()})),document.addEventListener("keydown",m),window.addEventListener("message",g),a.appendChild(s),a.appendChild(c),i.appendChild(a),document.body.appendChild(i),u.focus()}))},confirm:function(e){this.ensureStylesInjected();var t="string"==typeof e?{message:e}:e||{};return new Promise((function(e){var r=document.activeElement,n=document.createElement("div");n.className="gtd-form-backdrop";var o=document.createElement("div");o.className="gtd-confirm",o.setAttribute("role","alertdialog"),o.setAttribute("aria-modal","true");var i=document.createElement("h2");i.id="gtd-confirm-title-"+Date.now(),i.textContent=t.title||"Please confirm";var a=document.createElement("p");a.id=i.id+"-message",a.textContent=t.message||"Are you sure?",o.setAttribute("aria-labelledby",i.id),o.setAttribute("aria-describedby",a.id);var s=document.createElement("div");s.className="gtd-confirm-buttons";var l=document.createElement("button");l.type="button",l.className="btn btn-default",l.textContent=t.cancelLabel||"Cancel";var u=document.createElement("button");function c(t){document.removeEventListener("keydown",d,!0),n.parentNode&&n.parentNode.removeChild(n),r&&"function"==typeof r.focus&&r.isConnected&&r.focus(),e(t)}function d(e){"Escape"===e.key?(e.preventDefault(),e.stopPropagation(),c(!1)):"Tab"===e.key&&(e.preventDefault(),(document.activeElement===u?l:u).focus())}u.type="button",u.className="btn btn-primary",u.textContent=t.confirmLabel||"OK",s.appendChild(l),s.appendChild(u),l.addEventListener("click",(function(){c(!1)})),u.addEventListener("click",(function(){c(!0)})),n.addEventListener("click",(function(e){e.target===n&&c(!1)})),document.addEventListener("keydown",d,!0),o.appendChild(i),o.appendChild(a),o.appendChild(s),n.appendChild(o),document.body.appendChild(n),u.focus()}))},toast:function(e,t,r){if(!e)return null;this.ensureStylesInjected();var n=document.getElementById("gtd-toasts");n||((n=document.createElement("div")).id="gtd-toasts",n.className="gtd-toasts",document.body.appendChild(n));var o="error"===t,i=document.createElement("div");i.className="gtd-toast"+(o?" is-error":""),i.setAttribute("role",o?"alert":"status");var a=document.createElement("span");a.textContent=String(e);var s=document.createElement("button");function l(){clearTimeout(u),i.parentNode&&i.parentNode.removeChild(i)}s.type="button",s.setAttribute("aria-label","Dismiss"),s.textContent="×",i.appendChild(a),i.appendChild(s);var u=setTimeout(l,r||(o?8e3:5e3));return s.addEventListener("click",l),n.appendChild(i),i},setLoading:function(e,t){if(e){if(t){e.setAttribute("data-gtd-was-disabled",e.getAttribute("aria-disabled")||""),e.setAttribute("aria-busy","true"),e.setAttribute("aria-disabled","true"),e.classList.add("is-loading");var r=document.createElement("span");return r.className="gtd-action-spinner",r.setAttribute("aria-hidden","true"),void e.appendChild(r)}var n=e.getAttribute("data-gtd-was-disabled");e.removeAttribute("data-gtd-was-disabled"),e.removeAttribute("aria-busy"),n?e.setAttribute("aria-disabled",n):e.removeAttribute("aria-disabled"),e.classList.remove("is-loading");for(var o=e.querySelectorAll(".gtd-action-spinner"),i=0;i<o.length;i++)o[i].parentNode.removeChild(o[i])}},refreshList:function(e,t){if("function"==typeof t)return t(e);var r=e&&e.listRoot?e.listRoot:null,n=r||document,o=new CustomEvent("gtd:list-refresh",{bubbles:!0,cancelable:!0,detail:{context:e}});if(n.dispatchEvent(o)){var i=r&&"function"==typeof r.closest?r.closest(".entity-grid")||r.querySelector(".entity-grid"):document.querySelector(".entity-grid");if(i&&"function"==typeof window.jQuery)window.jQuery(i).trigger("refresh");else{var a=r&&"function"==typeof r.closest?r.closest("pages-grid")||r.querySelector("pages-grid"):document.querySelector("pages-grid");a&&"function"==typeof a.refresh?a.refresh():"reload"!==t?ListMenuLog.warn('[GTDListActions] The list could not be refreshed in place; handle gtd:list-refresh or set refresh: "reload"'):window.location.reload()}}},wrapHandler:function(e,t,r){var n=this,o=Object.assign({successMessage:"",errorMessage:"{error}",refresh:!1},r||{},t||{}),i=function(t){var r=t?t.sourceElement:null;return(o.confirm?n.confirm("string"==typeof o.confirm?{message:n.fillTemplate(o.confirm,t,!1)}:{title:n.fillTemplate(o.confirm.title,t,!1),message:n.fillTemplate(o.confirm.message,t,!1),confirmLabel:o.confirm.confirmLabel,cancelLabel:o.confirm.cancelLabel}):Promise.resolve(!0)).then((function(i){return i?(n.setLoading(r,!0),Promise.resolve().then((function(){return e(t)})).then((function(e){return n.setLoading(r,!1),e&&e.skipped||(n.toast(n.fillTemplate(o.successMessage,t,!1),"success"),o.refresh&&n.refreshList(t,o.refresh)),e}),(function(e){n.setLoading(r,!1);var i=e&&e.message?e.message:String(e);throw n.toast(n.fillTemplate(o.errorMessage,t,!1,{error:i}),"error"),e}))):{cancelled:!0}}))};return i.keepMenuOpen=!0,i},callFlow:function(e){var t=this,r=(e=e||{}).payload||{RowGuid:"{guid}"},n=-1!==JSON.stringify(r).indexOf("{guid}");return this.wrapHandler((function(o){if(n&&(!o||!o.guid))throw new Error("The row GUID could not be read, so the flow was not called");var i=t.fillPayload(r,o),a=e.registry||DocManFlows;if(e.flow&&a.has(e.flow))return a.invoke(e.flow,i).then((function(t){if(!t.ok)throw new Error(t.error&&t.error.message?t.error.message:"Flow "+e.flow+" failed");return t}));var s=e.url||(e.triggerId?"/_api/cloudflow/v1.0/trigger/"+e.triggerId:"");if(!s)throw new Error("callFlow needs a registered flow, url or triggerId");return new Promise((function(e,t){_GenericFlowHandler(s,i).then(e,(function(e){t(new Error("Flow request failed"+(e&&e.status?" ("+e.status+")":"")))}))}))}),e,{successMessage:"Done",refresh:!0})},navigate:function(e){var t=this;if(!(e=e||{}).url)throw new Error("navigate needs a url");return this.wrapHandler((function(r){var n=t.toSafeUrl(t.fillTemplate(e.url,r,!0,null,!0));e.newTab?window.open(n,"_blank","noopener"):window.location.assign(n)}),e,{errorMessage:"Could not open the page: {error}"})},openModalForm:function(e){var t=this;if(!(e=e||{}).url)throw new Error("openModalForm needs a url");return this.wrapHandler((function(r){var n=t.toSafeUrl(t.fillTemplate(e.url,r,!0,null,!0)),o=t.fillTemplate(e.title||r&&r.label||"Form",r,!1);return t.openFormModal(n,o,{closeOnSubmit:!1!==e.closeOnSubmit,successSelector:e.successSelector,successUrl:e.successUrl}).then((function(e){return e.submitted?e:Object.assign({skipped:!0},e)}))}),e,{successMessage:"Saved",refresh:!0})},toActionConfig:function(e,t){var r=this,n={id:e.id,label:e.label,ariaLabel:e.ariaLabel,icon:e.icon?t.createIcon(e.icon):null,group:e.group,order:e.order,position:e.position,placements:e.placements,separatorBefore:e.separatorBefore,separatorAfter:e.separatorAfter,requiresRow:e.requiresRow,disabledReason:e.disabledReason,visible:e.visibleWhen?this.compileCondition(e.visibleWhen):null,enabled:e.enabledWhen?this.compileCondition(e.enabledWhen):null};return Array.isArray(e.children)?n.children=e.children.map((function(e){return r.toActionConfig(e,t)})):n.onClick=this.create(e.handler,e.params),n},createEnhancer:function(e,t){var r=this;(e.bulkActions||[]).forEach((function(e){if(-1!==r.singleRowHandlers.indexOf(e.handler))throw new Error("The "+e.handler+" handler opens one row and cannot be a bulk action ("+e.id+")")}));var n=e.nativeActionsConfig||(e.labelsToHide?{labelsToHide:e.labelsToHide}:{}),o=new PowerPagesListMenuEnhancer({listKey:e.listKey,listSelector:e.listSelector,guidSelector:e.guidSelector,nativeActionsConfig:n,columnTypes:e.columnTypes,locale:e.locale,bulk:e.bulk||!(!Array.isArray(e.bulkActions)||!e.bulkActions.length)||void 0,debug:e.debug,logPrefix:e.logPrefix||"[PowerPagesListMenuEnhancer:"+(e.listKey||t)+"]"});return o.addActions((e.actions||[]).map((function(e){return r.toActionConfig(e,o)}))),o.addBulkActions((e.bulkActions||[]).map((function(e){var t=e.params||{};return{id:e.id,label:e.label,icon:e.icon?o.createIcon(e.icon):null,onRow:r.create(e.handler,Object.assign({},t,{confirm:null,successMessage:"",errorMessage:"",refresh:!1})),onComplete:function(e){e.succeeded&&!1!==t.refresh&&r.refreshList({listRoot:e.results[0].context.listRoot},t.refresh)}}}))),o.init()},readAttributeEntry:function(e){var t=e.getAttribute("data-gtd-list-key")||e.getAttribute("list-id");if(!t){var r=e.querySelector("pages-grid[list-id]");t=r?r.getAttribute("list-id"):null}var n=e.getAttribute("data-gtd-hide-native"),o=e.getAttribute("data-gtd-bulk-actions");return{listKey:t,labelsToHide:n?n.split(",").map((function(e){return e.trim()})).filter(Boolean):[],actions:JSON.parse(e.getAttribute("data-gtd-actions")||"[]"),bulkActions:o?JSON.parse(o):[]}},bootstrap:function(e){var t=this,r=e||document,n=[];function o(e,r){try{var o=t.createEnhancer(e,r);n.push(o),t.instances.push(o)}catch(e){ListMenuLog.error("[GTDListActions] Could not set up list actions from",r,e)}}var i=r.querySelectorAll("script[type='application/json'][data-gtd-list-actions]");Array.prototype.forEach.call(i,(function(e){if("true"!==e.getAttribute("data-gtd-bootstrapped")){var t;e.setAttribute("data-gtd-bootstrapped","true");try{t=JSON.parse(e.textContent||"null")}catch(e){return void ListMenuLog.error("[GTDListActions] Invalid JSON in data-gtd-list-actions block",e)}(Array.isArray(t)?t:[t]).forEach((function(e){e&&o(e,"script block")}))}}));var a=r.querySelectorAll("[data-gtd-actions]");return Array.prototype.forEach.call(a,(function(e){if("true"!==e.getAttribute("data-gtd-bootstrapped")){var r;e.setAttribute("data-gtd-bootstrapped","true");try{r=t.readAttributeEntry(e)}catch(e){return void ListMenuLog.error("[GTDListActions] Invalid data-gtd-* attributes on list container",e)}o(r,"data-gtd-actions")}})),n.length&&ListMenuLog.info("[GTDListActions] Bootstrapped",n.length,"list enhancer(s)."),n}};GTDListActions.register("callFlow",(function(e){return GTDListActions.callFlow(e)})).register("navigate",(function(e){return GTDListActions.navigate(e)})).register("openModalForm",(function(e){return GTDListActions.openModalForm(e)}));const ListMenuHub={instances:[],observer:null,attach:function(e){-1===this.instances.indexOf(e)&&(this.instances.push(e),1===this.instances.length&&(document.addEventListener("click",this.onClick,!0),ListMenuLog.info("[ListMenuHub] Click dispatcher started.")),this.updateObserver())},detach:function(e){var t=this.instances.indexOf(e);-1!==t&&(this.instances.splice(t,1),this.instances.length||(document.removeEventListener("click",this.onClick,!0),ListMenuLog.info("[ListMenuHub] Click dispatcher stopped.")),this.updateObserver())},updateObserver:function(){var e=this.instances.some((function(e){return e.hasListDecorations()}));e&&!this.observer?(this.observer=new MutationObserver(this.onMutations),this.observer.observe(document.body,{childList:!0,subtree:!0}),ListMenuLog.info("[ListMenuHub] List observer started.")):!e&&this.observer&&(this.observer.disconnect(),this.observer=null,ListMenuLog.info("[ListMenuHub] List observer stopped."))},onClick:function(e){ListMenuHub.instances.slice().forEach((function(t){t.handleDocumentClick(e)}))},onMutations:function(e){ListMenuHub.instances.slice().forEach((function(t){t.handleMutations(e)}))}};class PowerPagesListMenuEnhancer{constructor(e){e=e||{},this.logPrefix=e.logPrefix||"[PowerPagesListMenuEnhancer]",this.triggerSelector=e.triggerSelector||"[data-automation-key='ppNativeListContextualMenu']",this.listKey=e.listKey||null,this.listSelector=e.listSelector||(this.listKey?"pages-grid[list-id='"+this.escapeCssAttrValue(this.listKey)+"']":null),this.guidSelector=e.guidSelector||null,this.instanceKey=String(e.instanceKey||this.logPrefix+(this.listSelector||"")).replace(/[^a-zA-Z0-9_-]/g,"_"),this.pendingRowContext=null,this.menuWatcher=null,this.menuWaitTimer=null,this.menuWaitTimeoutMs=e.menuWaitTimeoutMs||2e3,this.isInitialized=!1,this.actions=[],this.isAwaitingMenuForClick=!1,this.isClosingMenu=!1,this.debug=!!e.debug,this.nativeActionsConfig=e.nativeActionsConfig||{},this.nativeActionLabelsToHide=Array.isArray(this.nativeActionsConfig.labelsToHide)?this.nativeActionsConfig.labelsToHide:[],this.columnTypes=e.columnTypes||{},this.locale=e.locale||null,this.parseColumnValues=!1!==e.parseColumnValues,this.bulkOptions=Object.assign({concurrency:3,itemName:"item",itemNamePlural:"items"},e.bulk&&"object"==typeof e.bulk?e.bulk:{});var t=Math.floor(Number(this.bulkOptions.concurrency));t>=1||(ListMenuLog.warn(this.logPrefix,"bulk.concurrency must be a number of 1 or more, using 3:",this.bulkOptions.concurrency),t=3),this.bulkOptions.concurrency=t,this.bulkEnabled=!!e.bulk,this.bulkActions=[],this.bulkSelection={},this.bulkToolbars=[],this.listToolbars=[],this.listDecorateTimer=null,this.closeMenuOnAction=!1!==e.closeMenuOnAction,this.typeAheadBuffer="",this.typeAheadTimer=null,this.isBulkRunning=!1,this.bulkLastSummary=null,this.icons={gear:'<path d="M8 4.754a3.246 3.246 0 1 0 0 6.492 3.246 3.246 0 0 0 0-6.492zM5.754 8a2.246 2.246 0 1 1 4.492 0 2.246 2.246 0 0 1-4.492 0z"/><path d="M9.796 1.343c-.527-1.79-3.065-1.79-3.592 0l-.094.319a1.873 1.873 0 0 1-2.292 1.226l-.314-.093c-1.79-.527-3.065 1.748-1.933 3.165l.2.25a1.873 1.873 0 0 1 0 2.58l-.2.25c-1.132 1.417.143 3.692 1.933 3.165l.314-.093a1.873 1.873 0 0 1 2.292 1.226l.094.319c.527 1.79 3.065 1.79 3.592 0l.094-.319a1.873 1.873 0 0 1 2.292-1.226l.314.093c1.79.527 3.065-1.748 1.933-3.165l-.2-.25a1.873 1.873 0 0 1 0-2.58l.2-.25c1.132-1.417-.143-3.692-1.933-3.165l-.314.093a1.873 1.873 0 0 1-2.292-1.226l-.094-.319z"/>',pencil:'<path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708L5.207 14.5H2v-3.207z"/><path fill-rule="evenodd" d="M1 13.5V16h2.5l8.793-8.793-2.5-2.5z"/>',eye:'<path d="M16 8s-3-5.5-8-5.5S0 8 0 8s3 5.5 8 5.5S16 8 16 8zM1.173 8a13.133 13.133 0 0 1 1.66-2.043C4.12 4.668 5.88 3.5 8 3.5c2.12 0 3.879 1.168 5.168 2.457A13.133 13.133 0 0 1 14.828 8c-.058.087-.122.183-.195.288-.335.48-.83 1.12-1.465 1.755C11.879 11.332 10.119 12.5 8 12.5c-2.12 0-3.879-1.168-5.168-2.457A13.134 13.134 0 0 1 1.172 8z"/><path d="M8 5.5a2.5 2.5 0 1 0 0 5 2.5 2.5 0 0 0 0-5zM4.5 8a3.5 3.5 0 1 1 7 0 3.5 3.5 0 0 1-7 0z"/>'},this.ensureStylesInjected()}log(){var e=Array.prototype.slice.call(arguments);e.unshift(this.logPrefix),ListMenuLog.info.apply(null,e)}debugLog(){if(this.debug){var e=Array.prototype.slice.call(arguments);e.unshift(this.logPrefix),GTDLog.write("debug",ListMenuLog.namespace,e,!0)}}normalizeText(e){return String(e||"").replace(/\s+/g," ").trim().toLowerCase()}decodeUriSafe(e){if(null==e)return"";var t=String(e);try{return decodeURIComponent(t)}catch(e){return t}}formatCompactGuid(e){var t=String(e||"").replace(/[^0-9a-fA-F]/g,"");return 32!==t.length?null:(t.slice(0,8)+"-"+t.slice(8,12)+"-"+t.slice(12,16)+"-"+t.slice(16,20)+"-"+t.slice(20)).toLowerCase()}extractGuid(e){for(var t=String(e||""),r=[t,this.decodeUriSafe(t)],n=0;n<r.length;n++){var o=r[n];if(o){var i=o.match(/[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/);if(i)return i[0].toLowerCase();var a=o.match(/\b[0-9a-fA-F]{32}\b/);if(a)return this.formatCompactGuid(a[0])}}return null}extractGuidFromElement(e){if(!e)return null;for(var t=["data-guid","data-id","data-record-id","data-entityid","data-row-id","value","id","href","onclick","aria-label","name"],r=0;r<t.length;r++){var n=e.getAttribute(t[r]),o=this.extractGuid(n);if(o)return o}if(e.attributes&&e.attributes.length)for(var i=0;i<e.attributes.length;i++){var a=e.attributes[i];if(a){var s=this.extractGuid(a.value);if(s)return s}}if("string"==typeof e.value){var l=this.extractGuid(e.value);if(l)return l}var u=this.extractGuid(e.textContent);return u||this.extractGuid(e.innerHTML)}getGuidFromRow(e){if(!e)return null;var t=null;if(this.guidSelector){var r=null;if(r="function"==typeof e.matches&&e.matches(this.guidSelector)?e:e.querySelector(this.guidSelector),t=this.extractGuidFromElement(r))return t}if(t=this.extractGuidFromElement(e))return t;for(var n=e.querySelectorAll("input[type='hidden']"),o=0;o<n.length;o++)if(t=this.extractGuidFromElement(n[o]))return t;for(var i=e.querySelectorAll("[role='gridcell'], td"),a=0;a<i.length;a++)if(t=this.extractGuidFromElement(i[a]))return t;return null}getGuidFromTrigger(e){if(!e)return null;for(var t=e;t&&t!==document.body;){var r=this.extractGuidFromElement(t);if(r)return r;t=t.parentElement}var n=this.extractGuid(e.outerHTML);return n||null}getGuidFromMenuRoot(e){if(!e)return null;var t=e.querySelectorAll("*"),r=this.extractGuidFromElement(e);if(r)return r;for(var n=0;n<t.length;n++){var o=t[n],i=this.extractGuidFromElement(o);if(i)return i;var a=this.extractGuid(o.getAttribute("href"));if(a)return a;var s=this.extractGuid(o.getAttribute("onclick"));if(s)return s}return this.extractGuid(e.outerHTML)}resolveContextGuid(e,t){var r=e||{};if(r.guid)return r;var n=null,o=null;return r.row&&(n=this.getGuidFromRow(r.row))&&(o="row"),!n&&r.trigger&&(n=this.getGuidFromTrigger(r.trigger))&&(o="trigger"),n||(n=this.getGuidFromMenuRoot(t))&&(o="native-menu"),n?(this.log("Resolved GUID from",o+":",n),Object.assign({},r,{guid:n,guidSource:o})):r}escapeCssAttrValue(e){return String(e).replace(/\\/g,"\\\\").replace(/'/g,"\\'")}ensureStylesInjected(){var e="pp-custom-actions-styles";if(!document.getElementById(e)){var t=document.createElement("style");t.id=e,t.textContent=".custom-menu-action { justify-content: flex-start; }.custom-menu-action:hover, .custom-menu-action:focus-visible { background-color: var(--bs-dropdown-link-hover-bg, rgba(0, 0, 0, 0.05)); color: var(--bs-dropdown-link-hover-color, inherit);}.custom-menu-action[aria-disabled='true'] { opacity: 0.5; }.custom-menu-action[aria-disabled='true']:hover { background-color: transparent; }.custom-menu-separator { margin: 4px 0; border-top: 1px solid var(--bs-dropdown-divider-bg, rgba(0, 0, 0, 0.15)); }.custom-menu-submenu { position: relative; }.custom-menu-submenu-chevron { margin-left: auto; padding-left: 12px; }.custom-menu-submenu-list { position: absolute; top: 0; left: 100%; min-width: 180px; z-index: 1070; }.custom-menu-submenu-list:not([hidden]) { display: block; }.custom-menu-submenu.is-flipped > .custom-menu-submenu-list { left: auto; right: 100%; }.gtd-sr-only { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }.gtd-inline-actions { white-space: nowrap; }.gtd-inline-action { display: inline-flex; align-items: center; gap: 4px; padding: 2px 6px; border: 0; background: none; color: inherit; cursor: pointer; }.gtd-inline-action:hover, .gtd-inline-action:focus-visible { background-color: rgba(0, 0, 0, 0.05); }.gtd-list-toolbar { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }.gtd-list-toolbar[hidden] { display: none; }.gtd-list-toolbar-action { display: inline-flex; align-items: center; gap: 6px; padding: 4px 10px; border: 1px solid #c8c6c4; border-radius: 4px; background: #fff; cursor: pointer; }.gtd-inline-action[aria-disabled='true'], .gtd-list-toolbar-action[aria-disabled='true'] { opacity: 0.5; cursor: not-allowed; }.gtd-current-row { outline: 2px solid rgba(0, 120, 212, 0.4); outline-offset: -2px; }.gtd-bulk-select { margin-right: 8px; vertical-align: middle; cursor: pointer; }.gtd-bulk-toolbar { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 8px 12px; margin-bottom: 8px; border: 1px solid #c8c6c4; border-radius: 4px; background: #f3f2f1; }.gtd-bulk-toolbar[hidden] { display: none; }.gtd-bulk-count { font-weight: 600; margin-right: 8px; }.gtd-bulk-toolbar progress { flex: 1 1 160px; }.gtd-bulk-summary { flex-basis: 100%; font-size: 13px; }.gtd-bulk-summary ul { margin: 4px 0 0; padding-left: 18px; color: #a80000; }",document.head.appendChild(t)}}createSvgIcon(e,t){var r=document.createElementNS("http://www.w3.org/2000/svg","svg");return r.setAttribute("xmlns","http://www.w3.org/2000/svg"),r.setAttribute("width","16"),r.setAttribute("height","16"),r.setAttribute("fill","currentColor"),r.setAttribute("viewBox","0 0 16 16"),r.setAttribute("aria-hidden","true"),r.innerHTML=e,t&&(r.style.color=t),r}createIcon(e,t){var r=this.icons[e];return r?this.createSvgIcon(r,t):null}collectMatchesDeep(e,t){var r=[];if(!e||!t)return r;return function e(n){if(n){1===n.nodeType&&"function"==typeof n.matches&&n.matches(t)&&r.push(n);for(var o=n.children||[],i=0;i<o.length;i++)e(o[i]);n.shadowRoot&&e(n.shadowRoot)}}(e),r}findFirstDeep(e,t){var r=this.collectMatchesDeep(e,t);return r.length?r[0]:null}findScopedHostFromTrigger(e){if(!e)return null;if(this.listSelector){var t=e.closest(this.listSelector);if(t)return t}if(this.listKey)for(var r="pages-grid[list-id='"+this.escapeCssAttrValue(this.listKey)+"']",n=document.querySelectorAll("pages-native-container"),o=0;o<n.length;o++){var i=n[o];if(i.querySelector(r)&&i.contains(e))return i}return null}getRowCellTexts(e){var t=[];if(!e)return t;for(var r=e.querySelectorAll("[role='gridcell']:not(.gtd-inline-actions), td:not(.gtd-inline-actions)"),n=0;n<r.length;n++)t.push(String(r[n].innerText||r[n].textContent||"").replace(/\s+/g," ").trim());return t}getColumnLogicalName(e){if(!e)return"";for(var t=["data-logical-name","data-attribute","data-item-key","data-sort-name","data-column-name","data-automation-key"],r=0;r<t.length;r++){var n=e.getAttribute(t[r]);if(n&&"ppNativeListContextualMenu"!==n)return n}var o=e.querySelector?e.querySelector("[data-sort-name]"):null;return o&&o.getAttribute("data-sort-name")||""}getColumnHeaders(e,t){var r=t||(e?e.closest("pages-grid, [role='grid'], table"):null);if(!r)return[];for(var n=this.collectMatchesDeep(r,"[role='columnheader']:not(.gtd-inline-actions), th:not(.gtd-inline-actions)"),o=[],i=0;i<n.length;i++){var a=n[i],s=a.querySelector("[class*='cellName']")||a,l=String(s.innerText||s.textContent||a.getAttribute("aria-label")||"").replace(/\s+/g," ").trim();o.push({index:o.length,colIndex:a.getAttribute("aria-colindex"),displayName:l,logicalName:this.getColumnLogicalName(a)})}return o}getPortalLocale(){if(this.locale)return this.locale;var e="undefined"!=typeof document&&document.documentElement?document.documentElement.getAttribute("lang"):"";try{this.locale=e&&Intl.DateTimeFormat.supportedLocalesOf([e]).length?e:"en-US"}catch(e){this.locale="en-US"}return this.locale}getLocaleNumberSeparators(){if(this.numberSeparators)return this.numberSeparators;var e=".";try{e=1.1.toLocaleString(this.getPortalLocale()).charAt(1)||"."}catch(t){e="."}return this.numberSeparators={decimal:e,group:","===e?".":","},this.numberSeparators}parseCellNumber(e){var t=String(e||"").replace(/[\s\u00a0\u202f]/g,"").match(/^(\(?)([^\w\-+(]{0,3})([-+]?)([\d.,]+)(%?)([^\w)]{0,3})(\)?)$/);if(!t||t[1]&&!t[7])return null;var r=this.getLocaleNumberSeparators(),n=t[4],o="\\"+r.group,i="\\"+r.decimal;if(!new RegExp("^(\\d{1,3}("+o+"\\d{3})+|\\d+)("+i+"\\d+)?$").test(n))return null;var a=parseFloat(n.split(r.group).join("").replace(r.decimal,"."));return t[5]&&(a/=100),t[1]||"-"===t[3]?-a:a}getLocaleDateOrder(){if(this.dateOrder)return this.dateOrder;var e="mdy";try{e=new Intl.DateTimeFormat(this.getPortalLocale()).formatToParts(new Date(2001,10,22)).filter((function(e){return"day"===e.type||"month"===e.type||"year"===e.type})).map((function(e){return e.type.charAt(0)})).join("")}catch(t){e="mdy"}return this.dateOrder=e,e}parseCellDate(e){var t=String(e||"").trim();if(!t)return null;if(/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(t)){var r=new Date(10===t.length?t+"T00:00:00":t.replace(" ","T"));return isNaN(r.getTime())?null:r}var n=t.match(/^(\d{1,4})[\/.\-](\d{1,2})[\/.\-](\d{1,4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/);if(!n)return null;var o,i,a,s=this.getLocaleDateOrder(),l=parseInt(n[1],10),u=parseInt(n[2],10),c=parseInt(n[3],10);4===n[1].length?(o=l,i=u,a=c):s.indexOf("d")<s.indexOf("m")?(a=l,i=u,o=c):(i=l,a=u,o=c),o<100&&(o+=2e3);var d=n[4]?parseInt(n[4],10):0,f=n[5]?parseInt(n[5],10):0,p=n[6]?parseInt(n[6],10):0;if(n[7]){var g="pm"===n[7].toLowerCase();g&&d<12&&(d+=12),g||12!==d||(d=0)}var h=new Date(o,i-1,a,d,f,p);return isNaN(h.getTime())||h.getMonth()!==i-1||h.getDate()!==a?null:h}getCellLookup(e){for(var t=e.querySelectorAll("a[href], [data-entity-reference]"),r=0;r<t.length;r++){var n=t[r],o=this.extractGuidFromElement(n);if(o){var i=(n.getAttribute("href")||"").match(/[?&](?:logicalname|entity|etn)=([^&#]+)/i);return{id:o,name:String(n.innerText||n.textContent||"").replace(/\s+/g," ").trim(),entityName:i?this.decodeUriSafe(i[1]):n.getAttribute("data-entity-name")||null}}}return null}parseCellValue(e,t){var r=String(e.innerText||e.textContent||"").replace(/\s+/g," ").trim(),n=String(e.getAttribute("data-type")||""),o=e.getAttribute("data-value"),i=t||"";if(i||(/EntityReference/i.test(n)?i="lookup":/DateTime/i.test(n)?i="date":/Int|Decimal|Double|Money/i.test(n)?i="number":/Boolean/i.test(n)&&(i="boolean")),"lookup"===i||!i&&null==o){var a=null;if(o&&/EntityReference/i.test(n))try{var s=JSON.parse(o);a={id:this.extractGuid(s.Id||s.id),name:s.Name||s.name||r,entityName:s.LogicalName||s.logicalName||null}}catch(e){a=null}if(a=a||this.getCellLookup(e))return{type:"lookup",text:r,value:a};if("lookup"===i)return{type:"lookup",text:r,value:r?{id:null,name:r,entityName:null}:null}}var l=null!=o&&""!==o?o:r;if(!l)return{type:i||"text",text:r,value:null};if(!i){var u=e.querySelector("time[datetime]");u&&(l=u.getAttribute("datetime"),i="date")}if("date"===i)return{type:"date",text:r,value:this.parseCellDate(l)};if("number"===i)return{type:"number",text:r,value:this.parseCellNumber(l)};if("boolean"===i){var c=this.normalizeText(l);return{type:"boolean",text:r,value:"true"===c||"yes"===c||"1"===c}}return{type:"text",text:r,value:r}}getRowValues(e,t){var r={values:{},columns:[]};if(!e||!this.parseColumnValues)return r;for(var n=this.getColumnHeaders(e,t),o=e.querySelectorAll("[role='gridcell']:not(.gtd-inline-actions), [role='rowheader'], td:not(.gtd-inline-actions)"),i={},a=0;a<n.length;a++)n[a].colIndex&&(i[n[a].colIndex]=n[a]);for(var s=0;s<o.length;s++){var l=o[s];if(!l.querySelector(this.triggerSelector)&&!l.querySelector("input[type='checkbox']:not(.gtd-bulk-select)")){var u=l.getAttribute("aria-colindex"),c=u&&i[u]||(u||n.length!==o.length?null:n[s]),d=c?c.displayName:"",f=this.getColumnLogicalName(l)||(c?c.logicalName:"");if(d||f){var p=this.columnTypes[d]||this.columnTypes[f]||null,g=this.parseCellValue(l,p),h={index:s,displayName:d||f,logicalName:f||null,type:g.type,text:g.text,value:g.value,cell:l};r.columns.push(h),d&&(r.values[d]=g.value),f&&!(f in r.values)&&(r.values[f]=g.value)}}}return r}getRowContextFromTrigger(e){var t=e.closest("[role='row'], tr");if(!t)return null;var r=t.querySelector("[role='gridcell'], td"),n=r?(r.innerText||"").trim():"Row",o=this.findScopedHostFromTrigger(e),i=this.getGuidFromRow(t),a=this.getRowValues(t,o);return{row:t,label:n,guid:i,cells:this.getRowCellTexts(t),values:a.values,columns:a.columns,trigger:e,listRoot:o,listKey:this.listKey||null}}getRowContextFromRow(e,t){if(!e)return null;var r=e.querySelector("[role='gridcell'], td"),n=r?(r.innerText||"").trim():"Row",o=this.getGuidFromRow(e),i=this.getRowValues(e,t);return{row:e,label:n,guid:o,cells:this.getRowCellTexts(e),values:i.values,columns:i.columns,listRoot:t||null,listKey:this.listKey||null}}isTriggerInScope(e){return!this.listSelector&&!this.listKey||!!this.findScopedHostFromTrigger(e)}isMenuVisible(e){if(!e||!e.isConnected||e.hidden||e.closest("[hidden]"))return!1;var t=window.getComputedStyle(e);return"none"!==t.display&&"hidden"!==t.visibility}getVisibleMenus(){var e=this;return Array.prototype.filter.call(document.querySelectorAll("[role='menu']"),(function(t){return!(t.parentElement&&t.parentElement.closest("[role='menu']"))&&e.isMenuVisible(t)}))}getMenuFromElement(e){if(!e)return null;var t=e.matches("[role='menu']")?e:e.querySelector("[role='menu']");return this.isMenuVisible(t)?t:null}findAnchoredMenu(e,t){var r=e.getBoundingClientRect(),n=null,o=1/0;return this.getVisibleMenus().forEach((function(e){if(!t||-1===t.indexOf(e)){var i=e.getBoundingClientRect(),a=Math.max(0,i.left-r.right,r.left-i.right),s=Math.max(0,i.top-r.bottom,r.top-i.bottom),l=Math.sqrt(a*a+s*s);l<o&&(n=e,o=l)}})),n}findMenuForTrigger(e,t,r){if(!e||!e.isConnected)return null;for(var n="function"==typeof e.getRootNode?e.getRootNode():document,o=n&&"function"==typeof n.getElementById?n:document,i=[e.getAttribute("aria-controls"),e.getAttribute("aria-owns")].join(" ").split(/\s+/),a=0;a<i.length;a++)if(i[a]){var s=this.getMenuFromElement(o.getElementById(i[a])||document.getElementById(i[a]));if(s)return s}if(e.id){var l=this.getVisibleMenus().filter((function(t){return-1!==(" "+(t.getAttribute("aria-labelledby")||"")+" ").indexOf(" "+e.id+" ")}));if(l.length)return l[0]}var u=e.closest(".dropdown, .btn-group, .dropup, .dropstart, .dropend");if(u){var c=this.getMenuFromElement(u.querySelector("[role='menu']"));if(c)return c}return r?this.findAnchoredMenu(e,t):null}mutationsTouchMenu(e){for(var t=0;t<e.length;t++){var r=e[t],n=r.target;if(1===n.nodeType&&n.closest("[role='menu']"))return!0;if(1===n.nodeType&&"attributes"===r.type&&n.querySelector("[role='menu']"))return!0;for(var o=r.addedNodes||[],i=0;i<o.length;i++){var a=o[i];if(1===a.nodeType&&(a.matches("[role='menu']")||a.querySelector("[role='menu']")))return!0}}return!1}getScopedListRoots(){if(this.listSelector)return this.collectMatchesDeep(document,this.listSelector);if(this.listKey){var e="pages-grid[list-id='"+this.escapeCssAttrValue(this.listKey)+"']";return this.collectMatchesDeep(document,e)}return this.collectMatchesDeep(document,"pages-grid")}listHasNativeActions(e){return!!e&&!!this.findFirstDeep(e,this.triggerSelector)}normalizeAction(e,t){var r=!!(e&&Array.isArray(e.children)&&e.children.length);if(!e||!e.id||!e.label||!r&&"function"!=typeof e.onClick)throw new Error("Action must include: id, label, onClick(context) (or children for a submenu)");if(null!=e.visible&&"function"!=typeof e.visible)throw new Error("Action visible must be a function(context)");if(null!=e.enabled&&"function"!=typeof e.enabled)throw new Error("Action enabled must be a function(context)");for(var n=null==e.placements?["menu"]:Array.isArray(e.placements)?e.placements:[e.placements],o=0;o<n.length;o++)if("menu"!==n[o]&&"inline"!==n[o]&&"toolbar"!==n[o])throw new Error('Action placements must be "menu", "inline" and/or "toolbar"');if(null!=e.position&&"string"!=typeof e.position&&"object"!=typeof e.position)throw new Error('Action position must be "start", "end", { before: label } or { after: label }');var i=this;return{id:e.id,label:e.label,ariaLabel:e.ariaLabel||e.label,icon:e.icon||null,onClick:"function"==typeof e.onClick?e.onClick:null,visible:e.visible||null,enabled:e.enabled||null,disabledReason:e.disabledReason||null,group:null!=e.group?String(e.group):"",order:"number"==typeof e.order?e.order:0,index:t,position:e.position||"end",separatorBefore:!!e.separatorBefore,separatorAfter:!!e.separatorAfter,placements:n,requiresRow:!1!==e.requiresRow,source:e,children:r?e.children.map((function(e,t){return i.normalizeAction(e,t)})):null}}addAction(e){var t=this.actions.length?this.actions[this.actions.length-1].index+1:0;return this.actions.push(this.normalizeAction(e,t)),this.refresh(),this}removeAction(e){var t=this.actions.length;return this.actions=this.actions.filter((function(t){return t.id!==e})),this.actions.length!==t&&this.refresh(),this}updateAction(e,t){for(var r=0;r<this.actions.length;r++)if(this.actions[r].id===e)return this.actions[r]=this.normalizeAction(Object.assign({},this.actions[r].source,t||{},{id:e}),this.actions[r].index),this.refresh(),this;throw new Error("Unknown action: "+e)}addActions(e){if(!Array.isArray(e))throw new Error("addActions expects an array of action configs");for(var t=0;t<e.length;t++)this.addAction(e[t]);return this}getActionState(e,t){var r={visible:!0,enabled:!0,reason:""},n=t||{};if(e.visible)try{r.visible=!!e.visible(n)}catch(t){ListMenuLog.warn(this.logPrefix,"visible() failed for action",e.id,t),r.visible=!1}if(!r.visible)return r;if(e.enabled)try{r.enabled=!!e.enabled(n)}catch(t){ListMenuLog.warn(this.logPrefix,"enabled() failed for action",e.id,t),r.enabled=!1}if(!r.enabled&&e.disabledReason)try{r.reason="function"==typeof e.disabledReason?String(e.disabledReason(n)||""):String(e.disabledReason)}catch(e){r.reason=""}return r}addBulkAction(e){if(!e||!e.id||!e.label||"function"!=typeof e.onRow&&"function"!=typeof e.onClick)throw new Error("Bulk action must include: id, label, onRow(context) or onClick(contexts, report)");return this.bulkActions.push({id:e.id,label:e.label,icon:e.icon||null,onRow:"function"==typeof e.onRow?e.onRow:null,onClick:"function"==typeof e.onClick?e.onClick:null,onComplete:"function"==typeof e.onComplete?e.onComplete:null}),this.bulkEnabled=!0,this.refresh(),this}addBulkActions(e){if(!Array.isArray(e))throw new Error("addBulkActions expects an array of bulk action configs");for(var t=0;t<e.length;t++)this.addBulkAction(e[t]);return this}createMenuItem(e,t,r,n){var o=!(!r||r.enabled),i=document.createElement("button");i.type="button",i.setAttribute("role","menuitem"),i.className="dropdown-item custom-menu-action custom-menu-action-"+e.id,i.setAttribute("data-custom-action-id",n||this.instanceKey+"__"+e.id),i.setAttribute("aria-label",e.ariaLabel),i.setAttribute("tabindex","-1"),i.setAttribute("data-is-focusable","true"),i.style.display="flex",i.style.alignItems="center",i.style.gap="8px",i.style.width="100%",i.style.textAlign="left",i.style.padding="8px 12px",i.style.cursor=o?"not-allowed":"pointer",o&&(i.setAttribute("aria-disabled","true"),r.reason&&(i.title=r.reason)),e.icon&&i.appendChild(e.icon.cloneNode(!0));var a=document.createElement("span");a.textContent=e.label,i.appendChild(a);var s=this;return i.addEventListener("click",(function(r){r.preventDefault(),r.stopPropagation(),"true"!==i.getAttribute("aria-disabled")&&e.onClick&&s.runMenuAction(e,t||{},i)})),i}executeAction(e,t){var r,n=this;try{r=e.onClick(t)}catch(t){return ListMenuLog.error(this.logPrefix,"Action failed:",e.id,t),this.announce(e.label+" failed"+(t&&t.message?": "+t.message:"")),r}return r&&"function"==typeof r.then?r.then((function(t){t&&(t.cancelled||t.skipped)||n.announce(e.label+" completed")}),(function(t){ListMenuLog.error(n.logPrefix,"Action failed:",e.id,t),n.announce(e.label+" failed"+(t&&t.message?": "+t.message:""))})):r&&(r.cancelled||r.skipped)||this.announce(e.label+" completed"),r}runMenuAction(e,t,r){for(var n=r?r.closest("[role='menu']"):null;n&&n.parentElement&&n.parentElement.closest("[role='menu']");)n=n.parentElement.closest("[role='menu']");var o=this,i=this.executeAction(e,Object.assign({},t,{sourceElement:r}));if(!this.closeMenuOnAction)return i;if(e.onClick.keepMenuOpen&&i&&"function"==typeof i.then){var a=function(){o.closeMenu(n,t.trigger)};i.then(a,a)}else this.closeMenu(n,t.trigger);return i}closeMenu(e,t){if(e&&e.isConnected){this.isClosingMenu=!0;try{e.dispatchEvent(new KeyboardEvent("keydown",{key:"Escape",code:"Escape",keyCode:27,which:27,bubbles:!0,cancelable:!0}))}finally{this.isClosingMenu=!1}}this.restoreFocus(t)}restoreFocus(e){e&&setTimeout((function(){e.isConnected&&"function"==typeof e.focus&&e.focus()}),0)}announce(e){if(e){var t="gtd-listmenu-announcer",r=document.getElementById(t);r||((r=document.createElement("div")).id=t,r.className="gtd-sr-only",r.setAttribute("role","status"),r.setAttribute("aria-live","polite"),r.setAttribute("aria-atomic","true"),document.body.appendChild(r)),r.textContent="",setTimeout((function(){r.textContent=String(e)}),50)}}isMenuItemNavigable(e){return"true"!==e.getAttribute("aria-hidden")&&"none"!==e.style.display&&!e.closest("[hidden]")}getMenuLevelItems(e){var t=this;return Array.prototype.filter.call(e.querySelectorAll("[role='menuitem']"),(function(r){return r.closest("[role='menu']")===e&&t.isMenuItemNavigable(r)}))}focusMenuItem(e,t){e.length&&e[(t+e.length)%e.length].focus()}enableMenuKeyboard(e,t){if(e&&"true"!==e.getAttribute("data-gtd-keyboard")){e.setAttribute("data-gtd-keyboard","true");var r=this,n=t?t.trigger:null;e.addEventListener("keydown",(function(t){if(!(t.ctrlKey||t.altKey||t.metaKey)){var n=t.target.closest?t.target.closest("[role='menu']"):null;if(n&&e.contains(n)){var o=r.getMenuLevelItems(n),i=o.indexOf(t.target.closest("[role='menuitem']"));if("ArrowDown"===t.key||"ArrowUp"===t.key||"Home"===t.key||"End"===t.key)return t.preventDefault(),t.stopPropagation(),"ArrowDown"===t.key&&r.focusMenuItem(o,i+1),"ArrowUp"===t.key&&r.focusMenuItem(o,i<0?-1:i-1),"Home"===t.key&&r.focusMenuItem(o,0),void("End"===t.key&&r.focusMenuItem(o,-1));if(t.key&&1===t.key.length&&/\S/.test(t.key)){clearTimeout(r.typeAheadTimer),r.typeAheadBuffer+=t.key.toLowerCase(),r.typeAheadTimer=setTimeout((function(){r.typeAheadBuffer=""}),500);var a=r.typeAheadBuffer,s=a.length>1&&a.split("").every((function(e){return e===a[0]}));s&&(a=a[0]);for(var l=s||1===a.length?i+1:Math.max(i,0),u=0;u<o.length;u++){var c=o[(l+u)%o.length];if(0===r.normalizeText(c.textContent).indexOf(a)){t.preventDefault(),t.stopPropagation(),c.focus();break}}}}}}),!0),e.addEventListener("keydown",(function(e){"Escape"!==e.key&&"Tab"!==e.key||e.defaultPrevented||r.isClosingMenu||r.restoreFocus("Escape"===e.key?n:null)}))}}createSeparator(e){var t=document.createElement("div");return t.setAttribute("role","separator"),t.className="dropdown-divider custom-menu-separator",t.setAttribute("data-custom-action-id",e),t}sortActions(e){var t={};return e.forEach((function(e){var r=t[e.group];(void 0===r||e.order<r.order||e.order===r.order&&e.index<r.index)&&(t[e.group]={order:e.order,index:e.index})})),e.slice().sort((function(e,r){if(e.group!==r.group){var n=t[e.group],o=t[r.group];return n.order-o.order||n.index-o.index}return e.order-r.order||e.index-r.index}))}buildActionNodes(e,t,r){var n=this,o=[],i=null,a=0;for(this.sortActions(e).forEach((function(e){var s=n.getActionState(e,t);if(s.visible){var l=r+e.id,u=e.children?n.createSubmenuItem(e,t,s,l):n.createMenuItem(e,t,s,l);if(u){var c=o.length&&"separator"===o[o.length-1].getAttribute("role");!o.length||c||!e.separatorBefore&&e.group===i||o.push(n.createSeparator(r+"separator-"+a++)),o.push(u),e.separatorAfter&&o.push(n.createSeparator(r+"separator-"+a++)),i=e.group}}else n.debugLog("Action hidden for row:",e.id)}));o.length&&"separator"===o[o.length-1].getAttribute("role");)o.pop();return o}createSubmenuItem(e,t,r,n){var o=this.buildActionNodes(e.children,t,n+"__");if(!o.length)return null;var i=document.createElement("div");i.className="custom-menu-submenu",i.setAttribute("role","none");var a=this.createMenuItem(e,t,r,n);a.setAttribute("aria-haspopup","menu"),a.setAttribute("aria-expanded","false");var s=document.createElement("span");s.className="custom-menu-submenu-chevron",s.setAttribute("aria-hidden","true"),s.textContent="▸",a.appendChild(s);var l=document.createElement("div");l.setAttribute("role","menu"),l.setAttribute("aria-label",e.label),l.className="dropdown-menu custom-menu-submenu-list",l.hidden=!0,o.forEach((function(e){l.appendChild(e)})),i.appendChild(a),i.appendChild(l);var u=null,c="true"===a.getAttribute("aria-disabled");function d(e){if(!c&&(clearTimeout(u),l.hidden=!1,l.classList.add("show"),a.setAttribute("aria-expanded","true"),i.classList.remove("is-flipped"),l.getBoundingClientRect().right>(window.innerWidth||document.documentElement.clientWidth)&&i.classList.add("is-flipped"),e)){var t=l.querySelector("[role='menuitem']");t&&t.focus()}}function f(e){clearTimeout(u),l.hidden=!0,l.classList.remove("show"),a.setAttribute("aria-expanded","false"),e&&a.focus()}return a.addEventListener("click",(function(){l.hidden?d(!0):f(!1)})),a.addEventListener("keydown",(function(e){"ArrowRight"!==e.key&&"Enter"!==e.key&&" "!==e.key||(e.preventDefault(),e.stopPropagation(),d(!0))})),l.addEventListener("keydown",(function(e){"ArrowLeft"!==e.key&&"Escape"!==e.key||(e.preventDefault(),e.stopPropagation(),f(!0))})),i.addEventListener("mouseenter",(function(){d(!1)})),i.addEventListener("mouseleave",(function(){u=setTimeout((function(){f(!1)}),200)})),i}findPositionAnchor(e,t){var r="end",n="";if("start"===t?r="start":t&&"object"==typeof t&&(t.before?(r="before",n=t.before):t.after&&(r="after",n=t.after)),"before"===r||"after"===r){for(var o=0;o<e.length;o++)if(this.matchesNativeActionLabel(e[o],[n]))return{node:e[o],before:"before"===r};this.debugLog("Native item not found for position, appending instead:",n),r="end"}if(!e.length)return null;if("start"===r)return{node:e[0],before:!0};for(var i=e.length-1;i>=0;i--)if("none"!==e[i].style.display)return{node:e[i],before:!1};return{node:e[e.length-1],before:!1}}getPositionKey(e){return e&&"object"==typeof e?e.before?"before:"+this.normalizeText(e.before):"after:"+this.normalizeText(e.after):"start"===e?"start":"end"}injectIntoMenu(e,t){if(!e||!this.actions.length)return!1;if(e.querySelector("[data-custom-action-id^='"+this.instanceKey+"__']"))return this.debugLog("Custom actions already present in this menu."),!0;var r=this,n=Object.assign(this.resolveContextGuid(t,e),{placement:"menu"});this.applyNativeActionVisibility(e);var o=Array.prototype.filter.call(e.querySelectorAll("[role='menuitem']"),(function(e){return!e.hasAttribute("data-custom-action-id")})),i={},a=[];this.actions.forEach((function(e){if(-1!==e.placements.indexOf("menu")){var t=r.getPositionKey(e.position);i[t]||(i[t]={position:e.position,actions:[]},a.push(t)),i[t].actions.push(e)}}));var s=0;return a.forEach((function(t){var a=i[t],l=r.buildActionNodes(a.actions,n,r.instanceKey+"__");if(l.length){var u=r.findPositionAnchor(o,a.position),c=document.createDocumentFragment();if(l.forEach((function(e){c.appendChild(e),"separator"!==e.getAttribute("role")&&s++})),u)(u.node.parentNode||e).insertBefore(c,u.before?u.node:u.node.nextSibling);else e.appendChild(c)}})),s>0&&this.log("Injected",s,"custom action(s) into dropdown menu."),this.enableMenuKeyboard(e,n),!0}isCustomMenuItem(e){return!!e&&0===(e.getAttribute("data-custom-action-id")||"").indexOf(this.instanceKey+"__")}matchesNativeActionLabel(e,t){if(t=t||this.nativeActionLabelsToHide,!e||!t.length)return!1;for(var r=[this.normalizeText(e.textContent),this.normalizeText(e.getAttribute("aria-label")),this.normalizeText(e.getAttribute("title")),this.normalizeText(e.getAttribute("data-original-title"))],n=!1,o=0;o<r.length;o++)if(r[o]){n=!0;break}if(!n)return!1;for(var i=0;i<t.length;i++){var a=t[i];if(a&&"string"==typeof a)for(var s=this.normalizeText(a),l=0;l<r.length;l++){var u=r[l];if(u&&(u===s||0===u.indexOf(s)))return!0}}return!1}shouldHideNativeAction(e){return this.matchesNativeActionLabel(e)}applyNativeActionVisibility(e){if(e&&this.nativeActionLabelsToHide.length){var t=e.querySelectorAll("[role='menuitem']"),r=0;this.debugLog("Scanning menu items:",t.length);for(var n=0;n<t.length;n++){var o=t[n];if(!this.isCustomMenuItem(o)){var i=this.shouldHideNativeAction(o);this.debugLog("Native menu item",n,{text:this.normalizeText(o.textContent),ariaLabel:this.normalizeText(o.getAttribute("aria-label")),title:this.normalizeText(o.getAttribute("title")),matched:i}),i&&(o.style.display="none",o.setAttribute("aria-hidden","true"),r++)}}r>0?this.log("Native action(s) hidden:",r):this.debugLog("No native actions matched hide rules.")}}awaitMenuForTrigger(e){var t=this,r=this.getVisibleMenus();function n(n){if(!t.isAwaitingMenuForClick)return!0;var o=!n||t.mutationsTouchMenu(n),i=t.findMenuForTrigger(e,r,o);return!(!i||!t.injectIntoMenu(i,t.pendingRowContext))&&(t.stopAwaitingMenu(),!0)}this.stopAwaitingMenu(),this.isAwaitingMenuForClick=!0,this.menuWatcher=new MutationObserver(n);var o={childList:!0,subtree:!0,attributes:!0,attributeFilter:["class","style","hidden","aria-hidden","aria-expanded"]};this.menuWatcher.observe(document.body,o);var i="function"==typeof e.getRootNode?e.getRootNode():null;i&&i!==document&&11===i.nodeType&&this.menuWatcher.observe(i,o),this.menuWaitTimer=setTimeout((function(){n(null)||(t.stopAwaitingMenu(),t.log("No menu detected for the clicked trigger."))}),this.menuWaitTimeoutMs),setTimeout((function(){n(null)}),0)}stopAwaitingMenu(){this.menuWatcher&&(this.menuWatcher.disconnect(),this.menuWatcher=null),clearTimeout(this.menuWaitTimer),this.menuWaitTimer=null,this.isAwaitingMenuForClick=!1}getDataRows(e){return this.collectMatchesDeep(e,"[role='row'], tr").filter((function(e){return!!e.querySelector("[role='gridcell'], td")}))}getSelectedContexts(){var e=this.bulkSelection;return Object.keys(e).map((function(t){return e[t]}))}getBulkItemsText(e){return e+" "+(1===e?this.bulkOptions.itemName:this.bulkOptions.itemNamePlural)}getBulkActionLabel(e,t){return"function"==typeof e.label?String(e.label(t.length,t)):String(e.label).replace(/\{count\}/g,String(t.length)).replace(/\{items\}/g,this.getBulkItemsText(t.length))}setRowSelected(e,t){e&&e.guid&&(t?this.bulkSelection[e.guid]=e:delete this.bulkSelection[e.guid])}createRowCheckbox(e,t){var r=this,n=this.getRowContextFromRow(e,t),o=document.createElement("input");return o.type="checkbox",o.className="gtd-bulk-select",o.setAttribute("data-gtd-instance",this.instanceKey),o.setAttribute("aria-label","Select "+(n&&n.label?n.label:"row")),n&&n.guid?(o.setAttribute("data-gtd-bulk-guid",n.guid),o.checked=!!this.bulkSelection[n.guid],o.addEventListener("click",(function(e){e.stopPropagation()})),o.addEventListener("change",(function(){r.setRowSelected(r.getRowContextFromRow(e,t)||n,o.checked),r.syncBulkCheckboxes(),r.renderBulkToolbars()})),o):(o.disabled=!0,o.title="No record id found for this row",o)}createSelectAllCheckbox(e){var t=this,r=document.createElement("input");return r.type="checkbox",r.className="gtd-bulk-select gtd-bulk-select-all",r.setAttribute("data-gtd-instance",this.instanceKey),r.setAttribute("aria-label","Select all rows on this page"),r.addEventListener("click",(function(e){e.stopPropagation()})),r.addEventListener("change",(function(){for(var n=t.getDataRows(e),o=0;o<n.length;o++){var i=t.getRowContextFromRow(n[o],e);t.setRowSelected(i,r.checked)}t.syncBulkCheckboxes(),t.renderBulkToolbars()})),r}decorateBulkRows(){if(this.bulkEnabled){for(var e=this.getScopedListRoots(),t=0;t<e.length;t++){var r=e[t],n=this.findFirstDeep(r,"[role='columnheader'], th");n&&!n.querySelector(this.instanceSelector(".gtd-bulk-select-all"))&&n.insertBefore(this.createSelectAllCheckbox(r),n.firstChild);for(var o=this.getDataRows(r),i=0;i<o.length;i++){var a=o[i].querySelector("[role='gridcell'], td");a&&!a.querySelector(this.instanceSelector(".gtd-bulk-select"))&&a.insertBefore(this.createRowCheckbox(o[i],r),a.firstChild)}this.ensureBulkToolbar(r)}this.syncBulkCheckboxes(),this.renderBulkToolbars()}}syncBulkCheckboxes(){for(var e=this.getScopedListRoots(),t=0;t<e.length;t++){for(var r=this.collectMatchesDeep(e[t],this.instanceSelector("input.gtd-bulk-select[data-gtd-bulk-guid]")),n=0,o=0;o<r.length;o++)r[o].checked=!!this.bulkSelection[r[o].getAttribute("data-gtd-bulk-guid")],r[o].checked&&n++;var i=this.findFirstDeep(e[t],this.instanceSelector(".gtd-bulk-select-all"));i&&(i.checked=r.length>0&&n===r.length,i.indeterminate=n>0&&n<r.length)}}ensureBulkToolbar(e){for(var t=0;t<this.bulkToolbars.length;t++)if(this.bulkToolbars[t].listRoot===e&&this.bulkToolbars[t].root.isConnected)return this.bulkToolbars[t];if(!e.parentNode)return null;var r=document.createElement("div");r.className="gtd-bulk-toolbar",r.setAttribute("data-gtd-instance",this.instanceKey),r.setAttribute("role","toolbar"),r.setAttribute("aria-label","Bulk actions"),r.hidden=!0;var n={listRoot:e,root:r,count:document.createElement("span"),actions:document.createElement("span"),progress:document.createElement("progress"),summary:document.createElement("div")};return n.count.className="gtd-bulk-count",n.progress.max=100,n.progress.hidden=!0,n.summary.className="gtd-bulk-summary",n.summary.setAttribute("role","status"),n.summary.setAttribute("aria-live","polite"),r.appendChild(n.count),r.appendChild(n.actions),r.appendChild(n.progress),r.appendChild(n.summary),e.parentNode.insertBefore(r,e),this.bulkToolbars.push(n),n}renderBulkToolbars(){var e=this,t=this.getSelectedContexts();this.bulkToolbars=this.bulkToolbars.filter((function(e){return e.root.isConnected})),this.bulkToolbars.forEach((function(r){if(r.root.hidden=!t.length&&!e.isBulkRunning&&!e.bulkLastSummary,r.count.textContent=t.length?e.getBulkItemsText(t.length)+" selected":"",r.actions.innerHTML="",t.length){e.bulkActions.forEach((function(n){var o=document.createElement("button");o.type="button",o.className="btn btn-primary btn-sm gtd-bulk-action-"+n.id,o.disabled=e.isBulkRunning,n.icon&&o.appendChild(n.icon.cloneNode(!0)),o.appendChild(document.createTextNode(e.getBulkActionLabel(n,t))),o.addEventListener("click",(function(){e.runBulkAction(n.id)})),r.actions.appendChild(o)}));var n=document.createElement("button");n.type="button",n.className="btn btn-link btn-sm",n.textContent="Clear selection",n.disabled=e.isBulkRunning,n.addEventListener("click",(function(){e.clearSelection()})),r.actions.appendChild(n)}}))}renderBulkProgress(e,t){this.bulkToolbars.forEach((function(r){r.progress.hidden=!1,r.progress.value=t?Math.round(e/t*100):100,r.summary.textContent="Processing "+e+" of "+t+"…"}))}renderBulkSummary(e){var t=this;this.bulkToolbars.forEach((function(r){if(r.progress.hidden=!0,r.summary.innerHTML="",e){var n=document.createElement("span");if(n.textContent=e.label+": "+e.succeeded+" succeeded"+(e.failed?", "+e.failed+" failed":"")+".",r.summary.appendChild(n),e.failed){var o=document.createElement("ul");e.results.forEach((function(e){if(!e.ok){var t=document.createElement("li");t.textContent=(e.context.label||e.context.guid)+": "+(e.message||"Failed"),o.appendChild(t)}})),r.summary.appendChild(o)}var i=document.createElement("button");i.type="button",i.className="btn btn-link btn-sm",i.textContent="Dismiss",i.addEventListener("click",(function(){t.bulkLastSummary=null,t.renderBulkSummary(null),t.renderBulkToolbars()})),r.summary.appendChild(i)}}))}normalizeBulkResult(e,t){if(t&&"object"==typeof t&&"ok"in t){var r=t.message||t.error&&t.error.message||"";return{guid:e.guid,context:e,ok:!!t.ok,message:r,result:t}}return{guid:e.guid,context:e,ok:!1!==t,message:"",result:t}}clearSelection(){return this.bulkSelection={},this.syncBulkCheckboxes(),this.renderBulkToolbars(),this}runBulkAction(e){for(var t=this,r=null,n=0;n<this.bulkActions.length;n++)this.bulkActions[n].id===e&&(r=this.bulkActions[n]);var o=this.getSelectedContexts();if(!r||!o.length||this.isBulkRunning)return Promise.resolve({action:e,label:"",total:0,succeeded:0,failed:0,results:[]});var i,a=this.getBulkActionLabel(r,o),s={},l=0;function u(e,r){e&&e.guid&&!s[e.guid]&&(s[e.guid]=t.normalizeBulkResult(e,r),l++,t.renderBulkProgress(l,o.length))}if(this.isBulkRunning=!0,this.bulkLastSummary=null,this.renderBulkToolbars(),this.renderBulkProgress(0,o.length),this.log("Running bulk action",r.id,"for",o.length,"row(s)."),r.onRow){for(var c=o.slice(),d=[],f=Math.max(1,Math.min(this.bulkOptions.concurrency,c.length)),p=function(){var e=c.shift();return e?Promise.resolve().then((function(){return r.onRow(e)})).then((function(t){u(e,t)}),(function(t){u(e,{ok:!1,message:t&&t.message?t.message:String(t)})})).then(p):Promise.resolve()},g=0;g<f;g++)d.push(p());i=Promise.all(d)}else i=Promise.resolve().then((function(){return r.onClick(o,u)})).then((function(e){Array.isArray(e)&&o.forEach((function(t,r){void 0!==e[r]&&u(t,e[r])}))}));return i.catch((function(e){ListMenuLog.error(t.logPrefix,"Bulk action failed:",r.id,e),o.forEach((function(t){u(t,{ok:!1,message:e&&e.message?e.message:String(e)})}))})).then((function(){o.forEach((function(e){u(e,{ok:!1,message:"No result was reported for this row"})}));var e=o.map((function(e){return s[e.guid]})),n={action:r.id,label:a,total:e.length,succeeded:e.filter((function(e){return e.ok})).length,failed:e.filter((function(e){return!e.ok})).length,results:e};if(e.forEach((function(e){e.ok&&t.setRowSelected(e.context,!1)})),t.isBulkRunning=!1,t.bulkLastSummary=n,t.syncBulkCheckboxes(),t.renderBulkToolbars(),t.renderBulkSummary(n),t.log("Bulk action",r.id,"finished:",n.succeeded,"succeeded,",n.failed,"failed."),r.onComplete)try{r.onComplete(n)}catch(e){ListMenuLog.error(t.logPrefix,"Bulk onComplete failed:",r.id,e)}return n}))}hasPlacement(e){return this.actions.some((function(t){return-1!==t.placements.indexOf(e)&&!t.children}))}getPlacementActions(e){return this.sortActions(this.actions.filter((function(t){return-1!==t.placements.indexOf(e)&&!t.children})))}createActionButton(e,t,r,n){var o=this,i=!r.enabled,a=document.createElement("button");if(a.type="button",a.className=n+" "+n+"-"+e.id,a.setAttribute("data-gtd-action-id",this.instanceKey+"__"+e.id),a.setAttribute("aria-label",e.ariaLabel),a.title=i&&r.reason?r.reason:e.label,i&&a.setAttribute("aria-disabled","true"),e.icon&&a.appendChild(e.icon.cloneNode(!0)),!e.icon||"gtd-list-toolbar-action"===n){var s=document.createElement("span");s.textContent=e.label,a.appendChild(s)}return a.addEventListener("click",(function(r){r.preventDefault(),r.stopPropagation(),"true"!==a.getAttribute("aria-disabled")&&o.executeAction(e,Object.assign(t(),{sourceElement:a}))})),a}decorateInlineActions(e){var t=this,r=this.getPlacementActions("inline");if(r.length){var n=this.findFirstDeep(e,"[role='columnheader'], th"),o=n?n.closest("[role='row'], tr"):null;if(o&&!o.querySelector(this.instanceSelector(".gtd-inline-actions"))){var i=o.querySelector("[role='columnheader'], th"),a=document.createElement(i&&"TH"===i.tagName?"th":"div");a.className=(i&&i.className?i.className+" ":"")+"gtd-inline-actions",a.setAttribute("role","columnheader"),a.setAttribute("data-gtd-instance",this.instanceKey);var s=document.createElement("span");s.className="gtd-sr-only",s.textContent="Actions",a.appendChild(s);var l=o.querySelector("[role='columnheader']:last-child, th:last-child");l&&!(l.textContent||"").trim()&&this.findFirstDeep(e,this.triggerSelector)?o.insertBefore(a,l):o.appendChild(a)}this.getDataRows(e).forEach((function(n){if(!n.querySelector(t.instanceSelector(".gtd-inline-actions"))){var o=n.querySelector("[role='gridcell'], td"),i=document.createElement(o&&"TD"===o.tagName?"td":"div");i.className=(o&&o.className?o.className+" ":"")+"gtd-inline-actions",i.setAttribute("role","gridcell"),i.setAttribute("data-gtd-instance",t.instanceKey);var a=function(){return Object.assign(t.getRowContextFromRow(n,e)||{},{placement:"inline"})},s=a();r.forEach((function(e){var r=t.getActionState(e,s);r.visible&&i.appendChild(t.createActionButton(e,a,r,"gtd-inline-action"))}));var l=null,u=n.querySelector(t.triggerSelector);u&&(l=u.closest("[role='gridcell'], td")),l&&l.parentNode===n?n.insertBefore(i,l):n.appendChild(i)}}))}}getListToolbar(e){for(var t=0;t<this.listToolbars.length;t++)if(this.listToolbars[t].listRoot===e&&this.listToolbars[t].root.isConnected)return this.listToolbars[t];return null}getToolbarContext(e){var t=e.currentRow&&e.currentRow.isConnected?this.getRowContextFromRow(e.currentRow,e.listRoot):{row:null,label:"",guid:null,cells:[],values:{},columns:[],listRoot:e.listRoot,listKey:this.listKey||null};return Object.assign(t,{placement:"toolbar",selection:this.getSelectedContexts()})}trackCurrentRow(e){var t=this,r=e.listRoot;function n(r){var n="function"==typeof r.composedPath&&r.composedPath().length?r.composedPath()[0]:r.target,o=n&&n.closest?n.closest("[role='row'], tr"):null;o&&o.querySelector("[role='gridcell'], td")&&o!==e.currentRow&&(e.currentRow&&e.currentRow.classList.remove("gtd-current-row"),e.currentRow=o,o.classList.add("gtd-current-row"),t.renderListToolbar(e))}r.addEventListener("click",n),r.addEventListener("focusin",n),e.onRowEvent=n}renderListToolbar(e){var t=this,r=this.getToolbarContext(e);e.root.innerHTML="",this.getPlacementActions("toolbar").forEach((function(n){var o=t.getActionState(n,r);o.visible&&(n.requiresRow&&!r.guid&&(o={visible:!0,enabled:!1,reason:"Select a row first"}),e.root.appendChild(t.createActionButton(n,(function(){return t.getToolbarContext(e)}),o,"gtd-list-toolbar-action")))})),e.root.hidden=!e.root.children.length}decorateListToolbar(e){if(this.hasPlacement("toolbar")&&e.parentNode){var t=this.getListToolbar(e);if(!t){var r=document.createElement("div");r.className="gtd-list-toolbar",r.setAttribute("data-gtd-instance",this.instanceKey),r.setAttribute("role","toolbar"),r.setAttribute("aria-label","List actions"),e.parentNode.insertBefore(r,e),t={listRoot:e,root:r,currentRow:null},this.listToolbars.push(t),this.trackCurrentRow(t)}this.renderListToolbar(t)}}decorateLists(){var e=this.hasPlacement("inline"),t=this.hasPlacement("toolbar");if(e||t)for(var r=this.getScopedListRoots(),n=0;n<r.length;n++)e&&this.decorateInlineActions(r[n]),t&&this.decorateListToolbar(r[n]);this.bulkEnabled&&this.decorateBulkRows()}hasListDecorations(){return this.bulkEnabled||this.hasPlacement("inline")||this.hasPlacement("toolbar")}instanceSelector(e){return e+"[data-gtd-instance='"+this.instanceKey+"']"}removeListDecorations(){this.listToolbars.forEach((function(e){e.listRoot.removeEventListener("click",e.onRowEvent),e.listRoot.removeEventListener("focusin",e.onRowEvent),e.currentRow&&e.currentRow.classList.remove("gtd-current-row")})),this.listToolbars=[],this.bulkToolbars=[];for(var e=this.collectMatchesDeep(document,"[data-gtd-instance='"+this.instanceKey+"']"),t=0;t<e.length;t++)e[t].parentNode&&e[t].parentNode.removeChild(e[t])}refresh(){return this.isInitialized?(ListMenuHub.updateObserver(),this.removeListDecorations(),this.decorateLists(),this):this}handleDocumentClick(e){for(var t="function"==typeof e.composedPath?e.composedPath():[e.target],r=null,n=0;n<t.length&&!r;n++)t[n]&&1===t[n].nodeType&&t[n].matches(this.triggerSelector)&&(r=t[n]);r&&this.isTriggerInScope(r)&&(this.pendingRowContext=this.getRowContextFromTrigger(r),this.log("Context menu trigger clicked for row:",this.pendingRowContext?this.pendingRowContext.label:"(unknown)"),this.awaitMenuForTrigger(r))}handleMutations(e){if(this.hasListDecorations()&&e.some((function(e){return!e.target.closest||!e.target.closest(".gtd-bulk-toolbar, .gtd-list-toolbar, .gtd-inline-actions")}))){var t=this;clearTimeout(this.listDecorateTimer),this.listDecorateTimer=setTimeout((function(){t.decorateLists()}),50)}}init(){return this.isInitialized||(this.isInitialized=!0,ListMenuHub.attach(this),this.hasListDecorations()&&this.decorateLists()),this}destroy(){if(!this.isInitialized)return this;this.isInitialized=!1,ListMenuHub.detach(this),this.stopAwaitingMenu(),clearTimeout(this.listDecorateTimer),clearTimeout(this.typeAheadTimer),this.listDecorateTimer=null,this.pendingRowContext=null,this.bulkSelection={},this.bulkLastSummary=null,this.removeListDecorations();for(var e=this.collectMatchesDeep(document,"[data-custom-action-id^='"+this.instanceKey+"__']"),t=0;t<e.length;t++){var r=e[t].closest(".custom-menu-submenu")||e[t];r.parentNode&&r.parentNode.removeChild(r)}return this.log("Destroyed."),this}}const GTDDiagnosticsPanel="undefined"!=typeof document&&document.documentElement&&("on"===document.documentElement.getAttribute("data-gtd-diagnostics")||/[?&]gtdDiagnostics=(1|true)(&|$)/i.test("undefined"!=typeof window&&window.location&&window.location.search||""))?(new FlowDiagnosticsPanel).init():null;"undefined"!=typeof document&&document.documentElement&&"off"!==document.documentElement.getAttribute("data-gtd-list-actions")&&("loading"===document.readyState?document.addEventListener("DOMContentLoaded",(function(){GTDListActions.bootstrap()})):GTDListActions.bootstrap()),"undefined"!=typeof module&&module.exports&&(module.exports={GTDCTRLVer:"13.00",DocManVer:"15.00",DocManDefaultTriggerId:DocManDefaultTriggerId,GTDLog:GTDLog,GTDRedaction:GTDRedaction,GTDDiagnostics:GTDDiagnostics,_UpdateDocCategory:_UpdateDocCategory,extractSasToken:extractSasToken,_BuildBlobSasUrl:_BuildBlobSasUrl,_GetSasExpiry:_GetSasExpiry,_ParsePowerPagesErrorMetadata:_ParsePowerPagesErrorMetadata,_ValidateSchema:_ValidateSchema,_PreflightCloudFlowCheck:_PreflightCloudFlowCheck,_ClassifyFlowFailure:_ClassifyFlowFailure,_GetAntiForgeryToken:_GetAntiForgeryToken,_RunPreflightChecks:_RunPreflightChecks,_GenericFlowHandler:_GenericFlowHandler,_RedactForDiagnostics:_RedactForDiagnostics,_CreateConsoleSink:_CreateConsoleSink,_CreateRingBufferSink:_CreateRingBufferSink,_CreateFlowSink:_CreateFlowSink,ShellAjaxTransport:ShellAjaxTransport,FetchTransport:FetchTransport,MockTransport:MockTransport,FlowClient:FlowClient,DocManFlowClient:DocManFlowClient,FlowRegistry:FlowRegistry,DocManFlows:DocManFlows,FlowOutbox:FlowOutbox,DocManOutbox:DocManOutbox,DocManBlobUploader:DocManBlobUploader,DocManFilePolicy:DocManFilePolicy,DocManError:DocManError,DocMan:DocMan,DocManViewer:DocManViewer,DocManUploadWidget:DocManUploadWidget,FlowDiagnosticsPanel:FlowDiagnosticsPanel,GTDListActions:GTDListActions,ListMenuHub:ListMenuHub,PowerPagesListMenuEnhancer:PowerPagesListMenuEnhancer});
\ No newline at end of file
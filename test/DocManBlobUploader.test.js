@@ -0,0 +1,64 @@
+//DocManBlobUploader.uploadBlocks: a failed block stops the blocks still in flight before the upload settles
+//run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { DocManBlobUploader, GTDLog } = require("../gtdContols.js");
+
+GTDLog.setLevel("silent");
+
+function createStorage() {
+  const items = {};
+  return {
+    writes: 0,
+    getItem: function (key) { return items[key] === undefined ? null : items[key]; },
+    setItem: function (key, value) { this.writes++; items[key] = value; },
+    removeItem: function (key) { delete items[key]; }
+  };
+}
+
+test("a failed block aborts the other blocks in flight and rejects once they have stopped", async () => {
+  const storage = createStorage();
+  const uploader = new DocManBlobUploader({ storage: storage, concurrency: 3, blockRetries: 0 });
+  const failingBlockId = uploader.getBlockId(1);
+  let inFlight = 0;
+  let aborted = 0;
+
+  uploader.sendBlobRequest = function (method, url, body, headers, signal) {
+    inFlight++;
+    return new Promise(function (resolve, reject) {
+      const failing = url.indexOf(encodeURIComponent(failingBlockId)) !== -1;
+      let settled = false;
+      function settle(callback, value) {
+        if (settled) return;
+        settled = true;
+        inFlight--;
+        callback(value);
+      }
+      const timer = setTimeout(function () {
+        if (failing) settle(reject, { reason: "http", status: 403, message: "Blob storage responded 403" });
+        else settle(resolve, 201);
+      }, failing ? 5 : 100);
+      signal.addEventListener("abort", function () {
+        if (settled) return;
+        clearTimeout(timer);
+        aborted++;
+        settle(reject, { reason: "aborted", status: null, message: "Upload was cancelled" });
+      });
+    });
+  };
+
+  const file = new Blob([new Uint8Array(40)]);
+  const state = { sasUrl: "https://account.blob.core.windows.net/docs/a.pdf?sig=x", blobUrl: "", fingerprint: "", blockSize: 8, uploadedBlocks: [], startedAt: "" };
+
+  await assert.rejects(uploader.uploadBlocks(file, state, null, function () {}), function (error) {
+    assert.strictEqual(error.status, 403);
+    return true;
+  });
+  const writesWhenSettled = storage.writes;
+  await new Promise(function (resolve) { setTimeout(resolve, 150); });
+
+  assert.strictEqual(inFlight, 0);
+  assert.strictEqual(aborted, 2);
+  assert.deepStrictEqual(state.uploadedBlocks, []);
+  assert.strictEqual(storage.writes, writesWhenSettled);
+});
@@ -0,0 +1,68 @@
+//DocManViewer: file name from the DocMan record, focus kept inside the dialog and given back on close
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom } = require("./helpers/dom.js");
+
+const rowGuid = "0b6f7c1e-2d3a-4f5b-8c9d-0e1f2a3b4c5d";
+
+function createViewer(gtd) {
+  const requested = [];
+  const docMan = {
+    getDocument: function (guid) {
+      return Promise.resolve({ guid: guid, fileName: "site-photo.png", contentType: "image/png" });
+    },
+    getReadLink: function (guid, options) {
+      requested.push(options);
+      return Promise.resolve({ url: "https://account.blob.core.windows.net/docs/site-photo.png?sig=x", expiresAt: null, fileName: "site-photo.png", contentType: "image/png" });
+    }
+  };
+  return { viewer: new gtd.DocManViewer({ docMan: docMan }), requested: requested };
+}
+
+function press(gtd, key, shiftKey) {
+  const target = gtd.document.activeElement || gtd.document.body;
+  target.dispatchEvent(new gtd.window.KeyboardEvent("keydown", { key: key, shiftKey: !!shiftKey, bubbles: true, cancelable: true }));
+}
+
+function settle() {
+  return new Promise(function (resolve) { setTimeout(resolve, 0); });
+}
+
+describe("DocManViewer", { skip: skip }, function () {
+  it("names the preview after the DocMan record, not the row label", async function () {
+    const gtd = loadDom('<button id="trigger">Actions</button>');
+    const { viewer, requested } = createViewer(gtd);
+
+    viewer.createPreviewAction().onClick({ guid: rowGuid, label: "Kitchen inspection", trigger: gtd.document.getElementById("trigger") });
+    await settle();
+
+    const dialog = gtd.document.querySelector(".gtd-viewer");
+    assert.strictEqual(dialog.getAttribute("aria-label"), "site-photo.png");
+    assert.strictEqual(dialog.querySelector("img").alt, "site-photo.png");
+    assert.strictEqual(requested[0].fileName, "site-photo.png");
+  });
+
+  it("keeps Tab inside the dialog and returns focus to the opener on Escape", async function () {
+    const gtd = loadDom('<button id="trigger">Actions</button><a href="#after">After</a>');
+    const { viewer } = createViewer(gtd);
+    const trigger = gtd.document.getElementById("trigger");
+
+    viewer.createPreviewAction().onClick({ guid: rowGuid, label: "Kitchen inspection", trigger: trigger });
+    await settle();
+
+    const buttons = gtd.document.querySelectorAll(".gtd-viewer button");
+    const downloadButton = buttons[0];
+    const closeButton = buttons[1];
+    assert.strictEqual(gtd.document.activeElement, closeButton);
+
+    press(gtd, "Tab");
+    assert.strictEqual(gtd.document.activeElement, downloadButton);
+    press(gtd, "Tab", true);
+    assert.strictEqual(gtd.document.activeElement, closeButton);
+
+    press(gtd, "Escape");
+    assert.strictEqual(gtd.document.querySelector(".gtd-viewer"), null);
+    assert.strictEqual(gtd.document.activeElement, trigger);
+  });
+});
@@ -0,0 +1,98 @@
+//FlowClient against MockTransport: retry, timeout and abort
+//run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { FlowClient, MockTransport, GTDLog } = require("../gtdContols.js");
+
+GTDLog.setLevel("silent");
+
+const flowUrl = "/_api/cloudflow/v1.0/trigger/4c999c4e-3495-f011-b41b-002248c5d639";
+
+test("retries an idempotent call on a retryable status and returns the later success", async () => {
+  const transport = new MockTransport()
+    .respond(flowUrl, { status: 503 }, { times: 2 })
+    .respond(flowUrl, { status: 200, data: { ok: 1 } });
+  const client = new FlowClient({ transport: transport, retryDelayMs: 1 });
+
+  const result = await client.invoke(flowUrl, { ActionType: "Test" }, { idempotent: true });
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.attempts, 3);
+  assert.deepStrictEqual(result.data, { ok: 1 });
+  assert.strictEqual(transport.requests.length, 3);
+});
+
+test("does not retry a call that is not idempotent", async () => {
+  const transport = new MockTransport().respond(flowUrl, { status: 503 });
+  const client = new FlowClient({ transport: transport, retryDelayMs: 1 });
+
+  const result = await client.invoke(flowUrl, {});
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error.reason, "http");
+  assert.strictEqual(transport.requests.length, 1);
+});
+
+test("gives up with reason timeout when the transport does not answer in time", async () => {
+  const transport = new MockTransport().respond(flowUrl, { status: 200, delayMs: 200 });
+  const client = new FlowClient({ transport: transport, timeoutMs: 20, retries: 0 });
+
+  const result = await client.invoke(flowUrl, {}, { idempotent: true });
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error.reason, "timeout");
+});
+
+test("resolves with reason aborted when the signal is aborted mid call", async () => {
+  const transport = new MockTransport().respond(flowUrl, { status: 200, delayMs: 200 });
+  const client = new FlowClient({ transport: transport });
+  const controller = new AbortController();
+
+  const pending = client.invoke(flowUrl, {}, { signal: controller.signal });
+  setTimeout(function () { controller.abort(); }, 10);
+  const result = await pending;
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error.reason, "aborted");
+});
+
+test("retries a timed out idempotent call only when the transport can abort it", async () => {
+  const abortable = new MockTransport()
+    .respond(flowUrl, { status: 200, delayMs: 200 }, { times: 1 })
+    .respond(flowUrl, { status: 200, data: { ok: 1 } });
+  const retried = await new FlowClient({ transport: abortable, timeoutMs: 20, retryDelayMs: 1 }).invoke(flowUrl, {}, { idempotent: true });
+
+  assert.strictEqual(retried.ok, true);
+  assert.strictEqual(abortable.requests.length, 2);
+
+  const fireAndForget = new MockTransport().respond(flowUrl, { status: 200, delayMs: 200 });
+  fireAndForget.canAbort = false;
+  const abandoned = await new FlowClient({ transport: fireAndForget, timeoutMs: 20, retryDelayMs: 1 }).invoke(flowUrl, {}, { idempotent: true });
+
+  assert.strictEqual(abandoned.ok, false);
+  assert.strictEqual(abandoned.error.reason, "timeout");
+  assert.strictEqual(fireAndForget.requests.length, 1);
+});
+
+test("ShellAjaxTransport removes its abort listener once the request settles", async () => {
+  const { ShellAjaxTransport } = require("../gtdContols.js");
+  const listeners = [];
+  const signal = {
+    addEventListener: function (type, listener) { listeners.push(listener); },
+    removeEventListener: function (type, listener) { listeners.splice(listeners.indexOf(listener), 1); }
+  };
+  const deferred = {
+    abort: function () {},
+    done: function (callback) { setTimeout(function () { callback({ ok: 1 }, "success", { status: 200, responseText: "" }); }, 0); return deferred; },
+    fail: function () { return deferred; }
+  };
+  global.shell = { ajaxSafePost: function () { return deferred; } };
+
+  try {
+    const response = await new ShellAjaxTransport().send({ url: flowUrl, payload: {}, signal: signal });
+    assert.strictEqual(response.ok, true);
+    assert.strictEqual(listeners.length, 0);
+  } finally {
+    delete global.shell;
+  }
+});
@@ -0,0 +1,153 @@
+//GTDListActions handlers: strict templates, typed payloads, the callFlow GUID guard, bulk handler checks and refreshList
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { GTDListActions, GTDLog } = require("../gtdContols.js");
+const { skip, loadDom, wait } = require("./helpers/dom.js");
+
+const triggerId = "4c999c4e-3495-f011-b41b-002248c5d639";
+const flowUrl = "/_api/cloudflow/v1.0/trigger/" + triggerId;
+const rowGuid = "11111111-1111-4111-8111-111111111111";
+const context = { guid: rowGuid, label: "Contract", values: { Name: "Contract & Co", Count: 3, Archived: false, Owner: { id: "7", name: "Finance" } } };
+
+GTDLog.setLevel("silent");
+
+function captureWarnings(gtd) {
+  const warnings = [];
+  gtd.GTDLog.setLevel("warn");
+  gtd.GTDLog.addSink({ write: function (entry) { if (entry.level === "warn") warnings.push(entry.message); } });
+  return warnings;
+}
+
+function toasts(gtd) {
+  return Array.from(gtd.document.querySelectorAll(".gtd-toast"), function (toast) { return toast.querySelector("span").textContent; });
+}
+
+describe("GTDListActions.fillTemplate", function () {
+  it("fills placeholders from the row and URI encodes them on request", function () {
+    assert.strictEqual(GTDListActions.fillTemplate("/doc/?id={guid}&name={values.Name}", context, true, null, true), "/doc/?id=" + rowGuid + "&name=Contract%20%26%20Co");
+    assert.strictEqual(GTDListActions.fillTemplate("{values.Owner} failed: {error}", context, false, { error: "timeout" }), "Finance failed: timeout");
+  });
+
+  it("throws on a placeholder that does not resolve in strict mode", function () {
+    assert.throws(function () {
+      GTDListActions.fillTemplate("/doc/?id={values.Id}", context, true, null, true);
+    }, /The placeholder \{values\.Id\} could not be filled from the row/);
+    assert.throws(function () {
+      GTDListActions.fillPayload({ RowGuid: "{guid}", Nested: ["{values.Nmae}"] }, context);
+    }, /\{values\.Nmae\}/);
+  });
+
+  it("keeps single-placeholder numbers and booleans typed in payloads", function () {
+    assert.deepStrictEqual(GTDListActions.fillPayload({ RowGuid: "{guid}", Count: "{values.Count}", Archived: "{values.Archived}", Note: "{values.Count} pages" }, context), {
+      RowGuid: rowGuid,
+      Count: 3,
+      Archived: false,
+      Note: "3 pages"
+    });
+  });
+});
+
+describe("GTDListActions.fillTemplate outside strict mode", { skip: skip }, function () {
+  it("logs a warning and leaves the placeholder empty", function () {
+    const gtd = loadDom();
+    const warnings = captureWarnings(gtd);
+
+    assert.strictEqual(gtd.GTDListActions.fillTemplate("Saved {values.Titel}.", context, false), "Saved .");
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /\{values\.Titel\}/);
+  });
+});
+
+describe("GTDListActions handlers", { skip: skip }, function () {
+  function createRegistry(gtd, transport) {
+    const client = new gtd.FlowClient({ transport: transport, runDiagnostics: false });
+    return new gtd.FlowRegistry({ flowClient: client, skipPageConfig: true }).register("ApproveDoc", triggerId);
+  }
+
+  it("callFlow sends the filled payload through the registry", async function () {
+    const gtd = loadDom();
+    const transport = new gtd.MockTransport().respond(flowUrl, { status: 200, data: { Status: "Approved" } });
+    const onClick = gtd.GTDListActions.callFlow({
+      flow: "ApproveDoc",
+      registry: createRegistry(gtd, transport),
+      payload: { DocManRowGuid: "{guid}", Count: "{values.Count}" },
+      successMessage: "{label} approved",
+      refresh: false
+    });
+
+    const result = await onClick(context);
+
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(Object.assign({}, transport.requests[0].payload), { DocManRowGuid: rowGuid, Count: 3 });
+    assert.deepStrictEqual(toasts(gtd), ["Contract approved"]);
+  });
+
+  it("callFlow refuses to call the flow without a row GUID", async function () {
+    const gtd = loadDom();
+    const transport = new gtd.MockTransport().respond(flowUrl, { status: 200 });
+    const onClick = gtd.GTDListActions.callFlow({ flow: "ApproveDoc", registry: createRegistry(gtd, transport), refresh: false });
+
+    await assert.rejects(onClick(Object.assign({}, context, { guid: null })), /row GUID could not be read/);
+
+    assert.strictEqual(transport.requests.length, 0);
+    assert.deepStrictEqual(toasts(gtd), ["The row GUID could not be read, so the flow was not called"]);
+  });
+
+  it("navigate refuses a url with an unresolved placeholder", async function () {
+    const gtd = loadDom();
+
+    await assert.rejects(gtd.GTDListActions.navigate({ url: "/doc/?id={values.DocId}" })(context), /\{values\.DocId\}/);
+    assert.strictEqual(gtd.window.location.href, "https://portal.example/list/");
+  });
+
+  it("createEnhancer refuses single-row handlers as bulk actions", function () {
+    const gtd = loadDom();
+
+    ["navigate", "openModalForm"].forEach(function (handler) {
+      assert.throws(function () {
+        gtd.GTDListActions.createEnhancer({ listSelector: "table.docs", bulkActions: [{ id: "bulk-" + handler, label: "Bulk", handler: handler, params: { url: "/" } }] }, "test");
+      }, /cannot be a bulk action \(bulk-/);
+    });
+    assert.strictEqual(gtd.ListMenuHub.instances.length, 0);
+  });
+
+  it("refreshList leaves the page alone unless refresh is \"reload\"", function () {
+    const gtd = loadDom('<!doctype html><html><body><pages-grid list-id="docs"><table class="docs"></table></pages-grid><table class="plain"></table></body></html>');
+    const warnings = captureWarnings(gtd);
+    const grid = gtd.document.querySelector("pages-grid");
+    let gridRefreshes = 0;
+    grid.refresh = function () { gridRefreshes++; };
+
+    gtd.GTDListActions.refreshList({ listRoot: grid.querySelector("table") }, true);
+    assert.strictEqual(gridRefreshes, 1);
+
+    const plain = gtd.document.querySelector("table.plain");
+    gtd.GTDListActions.refreshList({ listRoot: plain }, true);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /could not be refreshed in place/);
+
+    plain.addEventListener("gtd:list-refresh", function (e) { e.preventDefault(); });
+    gtd.GTDListActions.refreshList({ listRoot: plain }, "reload");
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(gridRefreshes, 1);
+  });
+});
+
+describe("GTDListActions.openFormModal", { skip: skip }, function () {
+  it("resolves submitted only once the form signals success", async function () {
+    const gtd = loadDom();
+    const opened = gtd.GTDListActions.openFormModal("/edit/?id=1", "Edit");
+    const frame = gtd.document.querySelector(".gtd-form-modal iframe");
+
+    gtd.window.dispatchEvent(new gtd.window.MessageEvent("message", { data: { type: "gtd:form-submitted" }, origin: "https://evil.example", source: frame.contentWindow }));
+    await wait(10);
+    assert.ok(gtd.document.querySelector(".gtd-form-modal"));
+
+    gtd.window.dispatchEvent(new gtd.window.MessageEvent("message", { data: { type: "gtd:form-submitted" }, origin: "https://portal.example", source: frame.contentWindow }));
+    const result = await opened;
+
+    assert.strictEqual(result.submitted, true);
+    assert.strictEqual(gtd.document.querySelector(".gtd-form-modal"), null);
+  });
+});
@@ -0,0 +1,113 @@
+//GTDListActions: toSafeUrl, declarative conditions, custom handlers and the bootstrap from JSON blocks and data-gtd-* attributes
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom, listMarkup } = require("./helpers/dom.js");
+
+const rows = [
+  { guid: "11111111-1111-4111-8111-111111111111", name: "Contract", status: "Open" },
+  { guid: "22222222-2222-4222-8222-222222222222", name: "Invoice", status: "Closed" }
+];
+
+function page(body, htmlAttributes) {
+  return "<!doctype html><html" + (htmlAttributes || "") + "><body>" + body + "</body></html>";
+}
+
+//jsdom finishes parsing after the library ran, so its own bootstrap waits for DOMContentLoaded
+function domReady(gtd) {
+  if (gtd.document.readyState !== "loading") return Promise.resolve(gtd);
+  return new Promise(function (resolve) {
+    gtd.document.addEventListener("DOMContentLoaded", function () { resolve(gtd); });
+  });
+}
+
+function inlineLabels(gtd, rowIndex) {
+  const row = gtd.document.querySelectorAll("tbody tr")[rowIndex];
+  return Array.from(row.querySelectorAll(".gtd-inline-action"), function (button) { return button.textContent.trim(); });
+}
+
+describe("GTDListActions.toSafeUrl", { skip: skip }, function () {
+  it("resolves relative and same-origin urls", function () {
+    const gtd = loadDom();
+
+    assert.strictEqual(gtd.GTDListActions.toSafeUrl("/document/?id=1"), "https://portal.example/document/?id=1");
+    assert.strictEqual(gtd.GTDListActions.toSafeUrl("edit/"), "https://portal.example/list/edit/");
+    assert.strictEqual(gtd.GTDListActions.toSafeUrl("https://portal.example/a"), "https://portal.example/a");
+  });
+
+  it("refuses script, data and cross-origin urls", function () {
+    const gtd = loadDom();
+
+    ["javascript:alert(1)", " JavaScript:alert(1)", "data:text/html,<b>x</b>", "https://evil.example/", "//evil.example/x", "http://portal.example/"].forEach(function (url) {
+      assert.throws(function () { gtd.GTDListActions.toSafeUrl(url); }, /Only same-origin http\(s\) urls are allowed/, url);
+    });
+  });
+});
+
+describe("GTDListActions.compileCondition", { skip: skip }, function () {
+  it("compares a column ignoring case and whitespace, by lookup name, and requires every condition of an array", function () {
+    const gtd = loadDom();
+    const context = { values: { Status: "  In  Review ", Owner: { id: "1", name: "Finance" }, Notes: "" } };
+    const check = function (condition) { return gtd.GTDListActions.compileCondition(condition)(context); };
+
+    assert.strictEqual(check({ column: "Status", equals: "in review" }), true);
+    assert.strictEqual(check({ column: "Status", notEquals: "In Review" }), false);
+    assert.strictEqual(check({ column: "Owner", in: ["HR", "finance"] }), true);
+    assert.strictEqual(check({ column: "Owner", notIn: ["Finance"] }), false);
+    assert.strictEqual(check({ column: "Notes", empty: true }), true);
+    assert.strictEqual(check({ column: "Missing", empty: false }), false);
+    assert.strictEqual(check([{ column: "Status", equals: "In Review" }, { column: "Notes", empty: false }]), false);
+    assert.throws(function () { gtd.GTDListActions.compileCondition({ equals: "Open" }); }, /needs a column/);
+  });
+});
+
+describe("GTDListActions.bootstrap", { skip: skip }, function () {
+  it("sets up a list from a JSON block once, with conditions applied to its actions", async function () {
+    const block = '<script type="application/json" data-gtd-list-actions>' + JSON.stringify({
+      listSelector: "table.docs",
+      actions: [
+        { id: "open", label: "Open", placements: ["inline"], handler: "navigate", params: { url: "/document/?id={guid}" } },
+        { id: "close", label: "Close", placements: ["inline"], handler: "navigate", params: { url: "/close/?id={guid}" }, visibleWhen: { column: "Status", equals: "open" } }
+      ]
+    }) + "</script>";
+    const gtd = await domReady(loadDom(page(block + listMarkup(rows))));
+
+    assert.strictEqual(gtd.GTDListActions.instances.length, 1);
+    assert.deepStrictEqual(inlineLabels(gtd, 0), ["Open", "Close"]);
+    assert.deepStrictEqual(inlineLabels(gtd, 1), ["Open"]);
+    assert.strictEqual(gtd.GTDListActions.bootstrap().length, 0);
+    assert.strictEqual(gtd.document.querySelectorAll(".gtd-inline-action").length, 3);
+  });
+
+  it("sets up a pages-grid container from data-gtd-* attributes with a registered handler", async function () {
+    const container = "<div data-gtd-list-key=\"docs-list\" data-gtd-actions='" + JSON.stringify([
+      { id: "archive", label: "Archive", placements: ["inline"], handler: "archive", params: { folder: "Old" } }
+    ]) + "'><pages-grid list-id=\"docs-list\">" + listMarkup(rows) + "</pages-grid></div>";
+    const gtd = await domReady(loadDom(page(container, ' data-gtd-list-actions="off"')));
+    const calls = [];
+
+    assert.strictEqual(gtd.GTDListActions.instances.length, 0);
+    gtd.GTDListActions.register("archive", function (params) {
+      return function (context) { calls.push([params.folder, context.guid]); };
+    });
+    const created = gtd.GTDListActions.bootstrap();
+
+    assert.strictEqual(created.length, 1);
+    assert.strictEqual(created[0].listSelector, "pages-grid[list-id='docs-list']");
+    gtd.document.querySelectorAll("tbody tr")[1].querySelector(".gtd-inline-action-archive").click();
+    assert.deepStrictEqual(calls, [["Old", rows[1].guid]]);
+    assert.throws(function () { gtd.GTDListActions.register("broken"); }, /expects a name and a factory/);
+  });
+
+  it("skips an entry with an unknown handler and still sets up the others", async function () {
+    const block = '<script type="application/json" data-gtd-list-actions>' + JSON.stringify([
+      { listSelector: "table.docs", actions: [{ id: "typo", label: "Typo", handler: "navigte", params: { url: "/" } }] },
+      { listSelector: "table.docs", logPrefix: "[second]", actions: [{ id: "open", label: "Open", placements: ["inline"], handler: "navigate", params: { url: "/" } }] }
+    ]) + "</script>";
+    const gtd = await domReady(loadDom(page(block + listMarkup(rows))));
+
+    assert.strictEqual(gtd.GTDListActions.instances.length, 1);
+    assert.strictEqual(gtd.GTDListActions.instances[0].logPrefix, "[second]");
+    assert.deepStrictEqual(inlineLabels(gtd, 0), ["Open"]);
+  });
+});
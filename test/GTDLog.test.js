@@ -0,0 +1,23 @@
+//GTDLog: the list enhancer's per-instance debug option leaves the shared levels alone
+//run with: node --test test/ (the DOM tests need jsdom)
+const test = require("node:test");
+const { describe, it } = test;
+const assert = require("node:assert");
+const { skip, loadDom } = require("./helpers/dom.js");
+
+describe("PowerPagesListMenuEnhancer debug option", { skip: skip }, function () {
+  it("writes the instance's debug output without changing the shared listmenu level", function () {
+    const gtd = loadDom();
+    const entries = [];
+    gtd.GTDLog.addSink({ write: function (entry) { entries.push(entry); } });
+
+    const debugging = new gtd.PowerPagesListMenuEnhancer({ listKey: "documents", debug: true });
+    const quiet = new gtd.PowerPagesListMenuEnhancer({ listKey: "contacts" });
+    debugging.debugLog("from the debug instance");
+    quiet.debugLog("from the quiet instance");
+
+    assert.strictEqual(gtd.GTDLog.namespaceLevels.listmenu, undefined);
+    assert.strictEqual(gtd.GTDLog.isEnabled("debug", "listmenu"), false);
+    assert.deepStrictEqual(entries.map(function (entry) { return entry.args[0]; }), ["from the debug instance"]);
+  });
+});
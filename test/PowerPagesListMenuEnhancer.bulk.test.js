@@ -0,0 +1,103 @@
+//PowerPagesListMenuEnhancer bulk mode: selection across re-renders, unreported rows and bulk.concurrency
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom, listMarkup, rowsMarkup, wait } = require("./helpers/dom.js");
+
+const rows = [
+  { guid: "11111111-1111-4111-8111-111111111111", name: "Contract", status: "Open" },
+  { guid: "22222222-2222-4222-8222-222222222222", name: "Invoice", status: "Open" },
+  { guid: "33333333-3333-4333-8333-333333333333", name: "Photo", status: "Closed" }
+];
+
+function createBulkList(bulkAction, bulkOptions, listRows) {
+  const gtd = loadDom(listMarkup(listRows || rows));
+  const enhancer = new gtd.PowerPagesListMenuEnhancer({ listSelector: "table.docs", bulk: bulkOptions || true });
+  enhancer.addBulkAction(Object.assign({ id: "approve", label: "Approve {count}" }, bulkAction));
+  enhancer.init();
+  return { gtd: gtd, enhancer: enhancer };
+}
+
+function rowCheckbox(gtd, guid) {
+  return gtd.document.querySelector("input.gtd-bulk-select[data-gtd-bulk-guid='" + guid + "']");
+}
+
+function toggle(gtd, checkbox, checked) {
+  checkbox.checked = checked;
+  checkbox.dispatchEvent(new gtd.window.Event("change", { bubbles: true }));
+}
+
+describe("PowerPagesListMenuEnhancer bulk mode", { skip: skip }, function () {
+  it("keeps a row selected when the grid re-renders its rows", async function () {
+    const { gtd, enhancer } = createBulkList({ onRow: function () { return true; } });
+
+    toggle(gtd, rowCheckbox(gtd, rows[1].guid), true);
+    gtd.document.querySelector("table.docs tbody").innerHTML = rowsMarkup(rows.slice().reverse());
+    await wait(100);
+
+    assert.strictEqual(rowCheckbox(gtd, rows[1].guid).checked, true);
+    assert.strictEqual(rowCheckbox(gtd, rows[0].guid).checked, false);
+    assert.deepStrictEqual(Array.from(enhancer.getSelectedContexts(), function (context) { return context.guid; }), [rows[1].guid]);
+    enhancer.destroy();
+  });
+
+  it("counts rows an onClick handler never reported as failed", async function () {
+    const { gtd, enhancer } = createBulkList({
+      onClick: function (contexts, report) {
+        report(contexts[0], true);
+      }
+    });
+    toggle(gtd, gtd.document.querySelector(".gtd-bulk-select-all"), true);
+
+    const summary = await enhancer.runBulkAction("approve");
+
+    assert.strictEqual(summary.total, 3);
+    assert.strictEqual(summary.succeeded, 1);
+    assert.strictEqual(summary.failed, 2);
+    assert.strictEqual(summary.results[1].message, "No result was reported for this row");
+    enhancer.destroy();
+  });
+
+  it("treats an undefined entry in onClick's result array as unreported", async function () {
+    const { gtd, enhancer } = createBulkList({
+      onClick: function () {
+        return [true, undefined, { ok: false, message: "Locked" }];
+      }
+    });
+    toggle(gtd, gtd.document.querySelector(".gtd-bulk-select-all"), true);
+
+    const summary = await enhancer.runBulkAction("approve");
+
+    assert.deepStrictEqual(Array.from(summary.results, function (result) { return result.ok; }), [true, false, false]);
+    assert.strictEqual(summary.results[1].message, "No result was reported for this row");
+    assert.strictEqual(summary.results[2].message, "Locked");
+    enhancer.destroy();
+  });
+
+  it("reads bulk.concurrency as a number and falls back to 3 for invalid values", async function () {
+    let running = 0;
+    let mostAtOnce = 0;
+    const manyRows = rows.concat([
+      { guid: "44444444-4444-4444-8444-444444444444", name: "Plan", status: "Open" },
+      { guid: "55555555-5555-4555-8555-555555555555", name: "Report", status: "Open" }
+    ]);
+    const { gtd, enhancer } = createBulkList({
+      onRow: function () {
+        running++;
+        mostAtOnce = Math.max(mostAtOnce, running);
+        return wait(5).then(function () { running--; return true; });
+      }
+    }, { concurrency: "2" }, manyRows);
+    toggle(gtd, gtd.document.querySelector(".gtd-bulk-select-all"), true);
+
+    const summary = await enhancer.runBulkAction("approve");
+
+    assert.strictEqual(enhancer.bulkOptions.concurrency, 2);
+    assert.strictEqual(summary.succeeded, 5);
+    assert.strictEqual(mostAtOnce, 2);
+    enhancer.destroy();
+
+    const invalid = new gtd.PowerPagesListMenuEnhancer({ listSelector: "table.docs", bulk: { concurrency: "many" } });
+    assert.strictEqual(invalid.bulkOptions.concurrency, 3);
+  });
+});
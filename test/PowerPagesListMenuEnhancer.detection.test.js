@@ -0,0 +1,78 @@
+//PowerPagesListMenuEnhancer menu detection: waiting for the clicked trigger's menu, list scoping and the wait timeout
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom, listMarkup, wait } = require("./helpers/dom.js");
+
+const rows = [
+  { guid: "11111111-1111-4111-8111-111111111111", name: "Contract", status: "Open" },
+  { guid: "22222222-2222-4222-8222-222222222222", name: "Invoice", status: "Closed" }
+];
+
+function createList(html, options) {
+  const gtd = loadDom(html || listMarkup(rows, { menu: true }));
+  const clicked = [];
+  const enhancer = new gtd.PowerPagesListMenuEnhancer(Object.assign({ listSelector: "table.docs" }, options));
+  enhancer.addAction({ id: "preview", label: "Preview", onClick: function (context) { clicked.push(context.guid); } });
+  enhancer.init();
+  return { gtd: gtd, enhancer: enhancer, clicked: clicked };
+}
+
+function clickTrigger(gtd, row) {
+  const trigger = row.querySelector("[data-automation-key='ppNativeListContextualMenu']");
+  trigger.dispatchEvent(new gtd.window.MouseEvent("click", { bubbles: true, cancelable: true }));
+  return row.querySelector("[role='menu']");
+}
+
+describe("PowerPagesListMenuEnhancer menu detection", { skip: skip }, function () {
+  it("injects into the clicked row's menu once it shows and then stops watching", async function () {
+    const { gtd, enhancer, clicked } = createList();
+    const row = gtd.document.querySelectorAll("table.docs tbody tr")[1];
+
+    const menu = clickTrigger(gtd, row);
+    await wait(20);
+    assert.ok(enhancer.menuWatcher);
+    assert.strictEqual(menu.querySelector(".custom-menu-action-preview"), null);
+
+    menu.hidden = false;
+    await wait(20);
+
+    assert.strictEqual(enhancer.menuWatcher, null);
+    assert.strictEqual(enhancer.menuWaitTimer, null);
+    assert.strictEqual(gtd.document.querySelectorAll(".custom-menu-action-preview").length, 1);
+    menu.querySelector(".custom-menu-action-preview").click();
+    assert.deepStrictEqual(clicked, [rows[1].guid]);
+    enhancer.destroy();
+  });
+
+  it("ignores triggers outside the configured list", async function () {
+    const html = listMarkup(rows, { menu: true }) + listMarkup(rows, { menu: true }).replace('class="docs"', 'class="other"');
+    const { gtd, enhancer } = createList(html);
+
+    const menu = clickTrigger(gtd, gtd.document.querySelector("table.other tbody tr"));
+    assert.strictEqual(enhancer.menuWatcher, null);
+    assert.strictEqual(enhancer.pendingRowContext, null);
+    menu.hidden = false;
+    await wait(20);
+
+    assert.strictEqual(gtd.document.querySelectorAll("[data-custom-action-id]").length, 0);
+    enhancer.destroy();
+  });
+
+  it("gives up after menuWaitTimeoutMs when no menu shows", async function () {
+    const { gtd, enhancer } = createList(null, { menuWaitTimeoutMs: 40 });
+    const row = gtd.document.querySelectorAll("table.docs tbody tr")[0];
+
+    const menu = clickTrigger(gtd, row);
+    await wait(10);
+    assert.ok(enhancer.menuWatcher);
+    await wait(60);
+
+    assert.strictEqual(enhancer.menuWatcher, null);
+    assert.strictEqual(enhancer.isAwaitingMenuForClick, false);
+    menu.hidden = false;
+    await wait(20);
+    assert.strictEqual(menu.querySelectorAll("[data-custom-action-id]").length, 0);
+    enhancer.destroy();
+  });
+});
@@ -0,0 +1,93 @@
+//PowerPagesListMenuEnhancer keyboard support: arrow keys, type-ahead, announcements and focus restore
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom, listMarkup, openRowMenu, wait } = require("./helpers/dom.js");
+
+const rows = [{ guid: "11111111-1111-4111-8111-111111111111", name: "Contract", status: "Open" }];
+
+function createMenu(actions, options) {
+  const gtd = loadDom(listMarkup(rows, { menu: true }));
+  const enhancer = new gtd.PowerPagesListMenuEnhancer(Object.assign({ listSelector: "table.docs" }, options));
+  enhancer.addActions(actions);
+  enhancer.init();
+  return openRowMenu(gtd, 0).then(function (menu) {
+    return { gtd: gtd, enhancer: enhancer, menu: menu, trigger: gtd.document.querySelector("[data-automation-key='ppNativeListContextualMenu']") };
+  });
+}
+
+function press(gtd, key) {
+  gtd.document.activeElement.dispatchEvent(new gtd.window.KeyboardEvent("keydown", { key: key, bubbles: true, cancelable: true }));
+  return gtd.document.activeElement.textContent.trim();
+}
+
+describe("PowerPagesListMenuEnhancer keyboard navigation", { skip: skip }, function () {
+  it("moves through native and custom items with the arrow keys, Home and End, wrapping at the ends", async function () {
+    const { gtd, enhancer, menu } = await createMenu([
+      { id: "approve", label: "Approve", onClick: function () {} },
+      { id: "archive", label: "Archive", onClick: function () {} }
+    ]);
+    menu.querySelector("[role='menuitem']").focus();
+
+    assert.strictEqual(press(gtd, "ArrowDown"), "Delete");
+    assert.strictEqual(press(gtd, "End"), "Archive");
+    assert.strictEqual(press(gtd, "ArrowDown"), "Edit");
+    assert.strictEqual(press(gtd, "ArrowUp"), "Archive");
+    assert.strictEqual(press(gtd, "Home"), "Edit");
+    enhancer.destroy();
+  });
+
+  it("jumps to items by typing, cycles on a repeated letter and skips hidden native items", async function () {
+    const { gtd, enhancer, menu } = await createMenu([
+      { id: "approve", label: "Approve", onClick: function () {} },
+      { id: "archive", label: "Archive", onClick: function () {} },
+      { id: "download", label: "Download", onClick: function () {} }
+    ], { nativeActionsConfig: { labelsToHide: ["Delete"] } });
+    menu.querySelector("[role='menuitem']").focus();
+
+    assert.strictEqual(press(gtd, "a"), "Approve");
+    assert.strictEqual(press(gtd, "a"), "Archive");
+    await wait(600);
+    assert.strictEqual(press(gtd, "d"), "Download");
+    enhancer.destroy();
+  });
+});
+
+describe("PowerPagesListMenuEnhancer action feedback", { skip: skip }, function () {
+  it("announces a synchronous action and gives focus back to the trigger once", async function () {
+    const ran = [];
+    const { gtd, enhancer, menu, trigger } = await createMenu([
+      { id: "copy", label: "Copy link", onClick: function (context) { ran.push(context.guid); } }
+    ]);
+    let triggerFocusCalls = 0;
+    const focus = trigger.focus;
+    trigger.focus = function () {
+      triggerFocusCalls++;
+      return focus.apply(this, arguments);
+    };
+
+    const item = menu.querySelector(".custom-menu-action-copy");
+    item.focus();
+    item.click();
+    await wait(80);
+
+    assert.deepStrictEqual(ran, [rows[0].guid]);
+    assert.strictEqual(gtd.document.getElementById("gtd-listmenu-announcer").textContent, "Copy link completed");
+    assert.strictEqual(triggerFocusCalls, 1);
+    assert.strictEqual(gtd.document.activeElement, trigger);
+    enhancer.destroy();
+  });
+
+  it("returns focus to the trigger when the menu is dismissed with Escape", async function () {
+    const { gtd, enhancer, menu, trigger } = await createMenu([
+      { id: "copy", label: "Copy link", onClick: function () {} }
+    ]);
+    menu.querySelector(".custom-menu-action-copy").focus();
+
+    press(gtd, "Escape");
+    await wait(10);
+
+    assert.strictEqual(gtd.document.activeElement, trigger);
+    enhancer.destroy();
+  });
+});
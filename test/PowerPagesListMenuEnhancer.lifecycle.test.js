@@ -0,0 +1,107 @@
+//PowerPagesListMenuEnhancer lifecycle: init/destroy idempotency, instance keys and two enhancers on one list
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom, listMarkup, openRowMenu } = require("./helpers/dom.js");
+
+const rows = [
+  { guid: "11111111-1111-4111-8111-111111111111", name: "Contract", status: "Open" },
+  { guid: "22222222-2222-4222-8222-222222222222", name: "Invoice", status: "Closed" }
+];
+
+function createEnhancer(gtd, options) {
+  const enhancer = new gtd.PowerPagesListMenuEnhancer(Object.assign({ listSelector: "table.docs", bulk: true }, options));
+  enhancer.addActions([
+    { id: "preview", label: "Preview", placements: ["menu", "inline", "toolbar"], onClick: function () {} }
+  ]);
+  enhancer.addBulkAction({ id: "approve", label: "Approve {count}", onRow: function () { return true; } });
+  return enhancer;
+}
+
+function count(gtd, selector) {
+  return gtd.document.querySelectorAll(selector).length;
+}
+
+describe("PowerPagesListMenuEnhancer lifecycle", { skip: skip }, function () {
+  it("decorates the list once however often init() runs, and again after destroy()", function () {
+    const gtd = loadDom(listMarkup(rows, { menu: true }));
+    const enhancer = createEnhancer(gtd);
+    const expected = { toolbars: 1, bulkToolbars: 1, checkboxes: 3, inline: 2 };
+    const decorations = function () {
+      return {
+        toolbars: count(gtd, ".gtd-list-toolbar"),
+        bulkToolbars: count(gtd, ".gtd-bulk-toolbar"),
+        checkboxes: count(gtd, "input.gtd-bulk-select"),
+        inline: count(gtd, ".gtd-inline-action")
+      };
+    };
+
+    enhancer.init();
+    enhancer.init();
+    assert.deepStrictEqual(decorations(), expected);
+    assert.strictEqual(gtd.ListMenuHub.instances.length, 1);
+
+    enhancer.destroy();
+    enhancer.destroy();
+    assert.deepStrictEqual(decorations(), { toolbars: 0, bulkToolbars: 0, checkboxes: 0, inline: 0 });
+    assert.strictEqual(count(gtd, "[data-gtd-instance]"), 0);
+    assert.strictEqual(gtd.ListMenuHub.instances.length, 0);
+    assert.strictEqual(gtd.ListMenuHub.observer, null);
+
+    enhancer.init();
+    assert.deepStrictEqual(decorations(), expected);
+    assert.strictEqual(gtd.ListMenuHub.instances.length, 1);
+    enhancer.destroy();
+  });
+
+  it("removes its injected menu items and clears the selection on destroy()", async function () {
+    const gtd = loadDom(listMarkup(rows, { menu: true }));
+    const enhancer = createEnhancer(gtd).init();
+
+    const checkbox = gtd.document.querySelector("input.gtd-bulk-select[data-gtd-bulk-guid='" + rows[0].guid + "']");
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new gtd.window.Event("change", { bubbles: true }));
+    const menu = await openRowMenu(gtd, 0);
+    assert.strictEqual(menu.querySelectorAll(".custom-menu-action-preview").length, 1);
+    assert.strictEqual(enhancer.getSelectedContexts().length, 1);
+
+    enhancer.destroy();
+
+    assert.strictEqual(menu.querySelectorAll("[data-custom-action-id]").length, 0);
+    assert.strictEqual(menu.querySelectorAll("a[role='menuitem']").length, 2);
+    assert.strictEqual(enhancer.getSelectedContexts().length, 0);
+  });
+
+  it("sanitises a configured instanceKey", function () {
+    const gtd = loadDom(listMarkup(rows));
+    const enhancer = createEnhancer(gtd, { instanceKey: "a b'c]" }).init();
+
+    assert.strictEqual(enhancer.instanceKey, "a_b_c_");
+    assert.strictEqual(gtd.document.querySelector(".gtd-list-toolbar").getAttribute("data-gtd-instance"), "a_b_c_");
+    enhancer.destroy();
+    assert.strictEqual(count(gtd, "[data-gtd-instance]"), 0);
+  });
+
+  it("keeps two enhancers on the same list apart", async function () {
+    const gtd = loadDom(listMarkup(rows, { menu: true }));
+    const first = createEnhancer(gtd, { instanceKey: "first" }).init();
+    const second = new gtd.PowerPagesListMenuEnhancer({ listSelector: "table.docs", instanceKey: "second" });
+    second.addAction({ id: "archive", label: "Archive", placements: ["menu", "inline"], onClick: function () {} });
+    second.init();
+
+    assert.strictEqual(count(gtd, "td.gtd-inline-actions[data-gtd-instance='first']"), 2);
+    assert.strictEqual(count(gtd, "td.gtd-inline-actions[data-gtd-instance='second']"), 2);
+    let menu = await openRowMenu(gtd, 1);
+    assert.strictEqual(menu.querySelectorAll("[data-custom-action-id^='first__']").length, 1);
+    assert.strictEqual(menu.querySelectorAll("[data-custom-action-id^='second__']").length, 1);
+
+    first.destroy();
+
+    assert.strictEqual(count(gtd, "[data-gtd-instance='first']"), 0);
+    assert.strictEqual(count(gtd, "td.gtd-inline-actions[data-gtd-instance='second'] .gtd-inline-action"), 2);
+    assert.strictEqual(menu.querySelectorAll("[data-custom-action-id^='first__']").length, 0);
+    assert.strictEqual(menu.querySelectorAll("[data-custom-action-id^='second__']").length, 1);
+    assert.strictEqual(gtd.ListMenuHub.instances.length, 1);
+    second.destroy();
+  });
+});
@@ -0,0 +1,93 @@
+//PowerPagesListMenuEnhancer menu layout: ordering, groups and separators, positions and submenus
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom, listMarkup, openRowMenu } = require("./helpers/dom.js");
+
+const rows = [{ guid: "11111111-1111-4111-8111-111111111111", name: "Contract", status: "Open" }];
+
+function noop() {}
+
+function createEnhancer(actions) {
+  const gtd = loadDom(listMarkup(rows, { menu: true }));
+  const enhancer = new gtd.PowerPagesListMenuEnhancer({ listSelector: "table.docs" });
+  enhancer.addActions(actions);
+  enhancer.init();
+  return { gtd: gtd, enhancer: enhancer };
+}
+
+//labels of the menu's direct items in document order, "---" for separators
+function menuLayout(menu) {
+  return Array.from(menu.querySelectorAll("[role='menuitem'], [role='separator']"))
+    .filter(function (node) { return !node.closest(".custom-menu-submenu-list"); })
+    .map(function (node) { return node.getAttribute("role") === "separator" ? "---" : node.textContent.replace("▸", "").trim(); });
+}
+
+describe("PowerPagesListMenuEnhancer.sortActions", { skip: skip }, function () {
+  it("orders groups by their first member and actions by order, then registration", function () {
+    const { enhancer } = createEnhancer([
+      { id: "rename", label: "Rename", group: "edit", order: 2, onClick: noop },
+      { id: "share", label: "Share", group: "share", order: 1, onClick: noop },
+      { id: "move", label: "Move", group: "edit", order: 0, onClick: noop },
+      { id: "history", label: "History", order: 5, onClick: noop },
+      { id: "copy", label: "Copy link", group: "share", order: 1, onClick: noop }
+    ]);
+
+    const sorted = Array.from(enhancer.sortActions(enhancer.actions), function (action) { return action.id; });
+
+    assert.deepStrictEqual(sorted, ["move", "rename", "share", "copy", "history"]);
+    enhancer.destroy();
+  });
+});
+
+describe("PowerPagesListMenuEnhancer menu layout", { skip: skip }, function () {
+  it("draws one separator between groups, none at the end of a placement, and honours positions", async function () {
+    const { gtd, enhancer } = createEnhancer([
+      { id: "approve", label: "Approve", group: "review", position: "start", onClick: noop },
+      { id: "reject", label: "Reject", group: "review", position: "start", separatorAfter: true, onClick: noop },
+      { id: "notes", label: "Notes", group: "notes", position: "start", onClick: noop },
+      { id: "archive", label: "Archive", position: { before: "Delete" }, onClick: noop },
+      { id: "history", label: "History", group: "info", onClick: noop },
+      { id: "audit", label: "Audit", group: "info", separatorAfter: true, onClick: noop }
+    ]);
+
+    const menu = await openRowMenu(gtd, 0);
+
+    assert.deepStrictEqual(menuLayout(menu), ["Approve", "Reject", "---", "Notes", "Edit", "Archive", "Delete", "History", "Audit"]);
+    enhancer.destroy();
+  });
+
+  it("renders children as a submenu that opens on click and closes back to its trigger", async function () {
+    const clicked = [];
+    const { gtd, enhancer } = createEnhancer([
+      {
+        id: "status",
+        label: "Set status",
+        children: [
+          { id: "open", label: "Open", onClick: function (context) { clicked.push(["open", context.guid]); } },
+          { id: "closed", label: "Closed", onClick: function (context) { clicked.push(["closed", context.guid]); } }
+        ]
+      }
+    ]);
+
+    const menu = await openRowMenu(gtd, 0);
+    const parent = menu.querySelector(".custom-menu-action-status");
+    const submenu = menu.querySelector(".custom-menu-submenu-list");
+
+    assert.strictEqual(parent.getAttribute("aria-haspopup"), "menu");
+    assert.strictEqual(submenu.hidden, true);
+
+    parent.click();
+    assert.strictEqual(submenu.hidden, false);
+    assert.strictEqual(parent.getAttribute("aria-expanded"), "true");
+    assert.strictEqual(gtd.document.activeElement, submenu.querySelector(".custom-menu-action-open"));
+
+    gtd.document.activeElement.dispatchEvent(new gtd.window.KeyboardEvent("keydown", { key: "ArrowLeft", bubbles: true, cancelable: true }));
+    assert.strictEqual(submenu.hidden, true);
+    assert.strictEqual(gtd.document.activeElement, parent);
+
+    submenu.querySelector(".custom-menu-action-closed").click();
+    assert.deepStrictEqual(clicked, [["closed", rows[0].guid]]);
+    enhancer.destroy();
+  });
+});
@@ -0,0 +1,84 @@
+//PowerPagesListMenuEnhancer placements: inline row buttons and the list toolbar
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom, listMarkup, rowsMarkup, openRowMenu, wait } = require("./helpers/dom.js");
+
+const rows = [
+  { guid: "11111111-1111-4111-8111-111111111111", name: "Contract", status: "Open" },
+  { guid: "22222222-2222-4222-8222-222222222222", name: "Invoice", status: "Closed" }
+];
+
+function createList(actions) {
+  const gtd = loadDom(listMarkup(rows, { menu: true }));
+  const enhancer = new gtd.PowerPagesListMenuEnhancer({ listSelector: "table.docs" });
+  enhancer.addActions(actions);
+  enhancer.init();
+  return { gtd: gtd, enhancer: enhancer };
+}
+
+function tableRows(gtd) {
+  return gtd.document.querySelectorAll("table.docs tbody tr");
+}
+
+describe("PowerPagesListMenuEnhancer inline placement", { skip: skip }, function () {
+  it("renders a button per visible row action before the native menu column and runs it for that row", async function () {
+    const clicked = [];
+    const { gtd, enhancer } = createList([
+      { id: "preview", label: "Preview", placements: ["inline", "menu"], onClick: function (context) { clicked.push([context.guid, context.placement]); } },
+      { id: "close", label: "Close", placements: ["inline"], visible: function (context) { return context.values.Status === "Open"; }, onClick: function () {} }
+    ]);
+
+    const firstRowCells = tableRows(gtd)[0].children;
+    assert.ok(firstRowCells[2].classList.contains("gtd-inline-actions"));
+    assert.ok(firstRowCells[3].querySelector("[data-automation-key='ppNativeListContextualMenu']"));
+    assert.strictEqual(gtd.document.querySelectorAll("thead th.gtd-inline-actions").length, 1);
+    assert.strictEqual(tableRows(gtd)[0].querySelectorAll(".gtd-inline-action").length, 2);
+    assert.strictEqual(tableRows(gtd)[1].querySelectorAll(".gtd-inline-action").length, 1);
+
+    tableRows(gtd)[1].querySelector(".gtd-inline-action-preview").click();
+    const menu = await openRowMenu(gtd, 0);
+
+    assert.deepStrictEqual(clicked, [[rows[1].guid, "inline"]]);
+    assert.ok(menu.querySelector(".custom-menu-action-preview"));
+    assert.strictEqual(menu.querySelector(".custom-menu-action-close"), null);
+    enhancer.destroy();
+  });
+
+  it("decorates rows the grid renders later", async function () {
+    const { gtd, enhancer } = createList([{ id: "preview", label: "Preview", placements: ["inline"], onClick: function () {} }]);
+
+    gtd.document.querySelector("table.docs tbody").insertAdjacentHTML("beforeend", rowsMarkup([{ guid: "33333333-3333-4333-8333-333333333333", name: "Photo", status: "Open" }], { menu: true }));
+    await wait(100);
+
+    assert.strictEqual(tableRows(gtd)[2].querySelectorAll(".gtd-inline-action").length, 1);
+    assert.strictEqual(gtd.document.querySelectorAll(".gtd-inline-action").length, 3);
+    enhancer.destroy();
+  });
+});
+
+describe("PowerPagesListMenuEnhancer toolbar placement", { skip: skip }, function () {
+  it("waits for a current row before enabling row actions and then acts on that row", function () {
+    const clicked = [];
+    const { gtd, enhancer } = createList([
+      { id: "approve", label: "Approve", placements: ["toolbar"], onClick: function (context) { clicked.push(context.guid); } },
+      { id: "upload", label: "Upload", placements: ["toolbar"], requiresRow: false, onClick: function (context) { clicked.push(context.guid); } }
+    ]);
+    const toolbar = gtd.document.querySelector(".gtd-list-toolbar");
+    const button = function (id) { return toolbar.querySelector(".gtd-list-toolbar-action-" + id); };
+
+    assert.strictEqual(toolbar.nextElementSibling, gtd.document.querySelector("table.docs"));
+    assert.strictEqual(button("approve").getAttribute("aria-disabled"), "true");
+    assert.strictEqual(button("approve").title, "Select a row first");
+    assert.strictEqual(button("upload").hasAttribute("aria-disabled"), false);
+    button("approve").click();
+    button("upload").click();
+
+    tableRows(gtd)[1].children[0].click();
+    assert.ok(tableRows(gtd)[1].classList.contains("gtd-current-row"));
+    button("approve").click();
+
+    assert.deepStrictEqual(clicked, [null, rows[1].guid]);
+    enhancer.destroy();
+  });
+});
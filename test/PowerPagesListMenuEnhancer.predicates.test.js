@@ -0,0 +1,68 @@
+//PowerPagesListMenuEnhancer row-level visible / enabled predicates
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom, listMarkup, openRowMenu } = require("./helpers/dom.js");
+
+const rows = [
+  { guid: "11111111-1111-4111-8111-111111111111", name: "Contract", status: "Open" },
+  { guid: "22222222-2222-4222-8222-222222222222", name: "Invoice", status: "Closed" }
+];
+
+describe("PowerPagesListMenuEnhancer.getActionState", { skip: skip }, function () {
+  function stateOf(config, context) {
+    const gtd = loadDom();
+    const enhancer = new gtd.PowerPagesListMenuEnhancer({ listSelector: "table.docs" });
+    enhancer.addAction(Object.assign({ id: "approve", label: "Approve", onClick: function () {} }, config));
+    return Object.assign({}, enhancer.getActionState(enhancer.actions[0], context));
+  }
+
+  it("is visible and enabled without predicates", function () {
+    assert.deepStrictEqual(stateOf({}, {}), { visible: true, enabled: true, reason: "" });
+  });
+
+  it("passes the row context to the predicates and resolves disabledReason for a disabled action", function () {
+    const config = {
+      visible: function (context) { return context.values.Status !== "Archived"; },
+      enabled: function (context) { return context.values.Status === "Open"; },
+      disabledReason: function (context) { return "Already " + context.values.Status.toLowerCase(); }
+    };
+
+    assert.deepStrictEqual(stateOf(config, { values: { Status: "Open" } }), { visible: true, enabled: true, reason: "" });
+    assert.deepStrictEqual(stateOf(config, { values: { Status: "Closed" } }), { visible: true, enabled: false, reason: "Already closed" });
+    assert.strictEqual(stateOf(config, { values: { Status: "Archived" } }).visible, false);
+  });
+
+  it("hides or disables the action when a predicate throws", function () {
+    const broken = function () { throw new Error("no such column"); };
+
+    assert.strictEqual(stateOf({ visible: broken }, {}).visible, false);
+    assert.deepStrictEqual(stateOf({ enabled: broken, disabledReason: "Unavailable" }, {}), { visible: true, enabled: false, reason: "Unavailable" });
+  });
+});
+
+describe("PowerPagesListMenuEnhancer row predicates in the menu", { skip: skip }, function () {
+  it("leaves a hidden action out of the row's menu and renders a disabled one with its reason", async function () {
+    const gtd = loadDom(listMarkup(rows, { menu: true }));
+    const clicked = [];
+    const enhancer = new gtd.PowerPagesListMenuEnhancer({ listSelector: "table.docs" });
+    enhancer.addActions([
+      { id: "close", label: "Close", visible: function (context) { return context.values.Status === "Open"; }, onClick: function (context) { clicked.push(context.guid); } },
+      { id: "reopen", label: "Reopen", enabled: function (context) { return context.values.Status === "Closed"; }, disabledReason: "Only closed documents can be reopened", onClick: function (context) { clicked.push(context.guid); } }
+    ]);
+    enhancer.init();
+
+    const openMenu = await openRowMenu(gtd, 0);
+    const reopen = openMenu.querySelector(".custom-menu-action-reopen");
+    assert.ok(openMenu.querySelector(".custom-menu-action-close"));
+    assert.strictEqual(reopen.getAttribute("aria-disabled"), "true");
+    assert.strictEqual(reopen.title, "Only closed documents can be reopened");
+    reopen.click();
+    assert.deepStrictEqual(clicked, []);
+
+    const closedMenu = await openRowMenu(gtd, 1);
+    assert.strictEqual(closedMenu.querySelector(".custom-menu-action-close"), null);
+    assert.strictEqual(closedMenu.querySelector(".custom-menu-action-reopen").hasAttribute("aria-disabled"), false);
+    enhancer.destroy();
+  });
+});
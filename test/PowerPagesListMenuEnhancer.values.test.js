@@ -0,0 +1,62 @@
+//PowerPagesListMenuEnhancer row context values: typed by header name, parsed in the portal language
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom } = require("./helpers/dom.js");
+
+const accountGuid = "aaaaaaaa-1111-4111-8111-111111111111";
+
+function rowContext(lang, cells, options) {
+  const html = '<html lang="' + lang + '"><body><table class="docs"><thead><tr><th>Code</th><th>Amount</th><th>Due</th><th>Account</th><th>Active</th><th>Created</th></tr></thead>' +
+    '<tbody><tr data-id="11111111-1111-4111-8111-111111111111">' + cells + "</tr></tbody></table></body></html>";
+  const gtd = loadDom(html);
+  const enhancer = new gtd.PowerPagesListMenuEnhancer(Object.assign({ listSelector: "table.docs" }, options));
+  const table = gtd.document.querySelector("table.docs");
+  return enhancer.getRowContextFromRow(table.querySelector("tbody tr"), table);
+}
+
+const cells =
+  "<td>01234</td>" +
+  "<td>1.234,5</td>" +
+  "<td>03.04.2024</td>" +
+  '<td><a href="/account/?id=' + accountGuid + '&logicalname=account">Contoso</a></td>' +
+  '<td data-type="System.Boolean" data-value="true">Yes</td>' +
+  '<td><time datetime="2024-01-15T10:30:00Z">15 Jan</time></td>';
+
+describe("PowerPagesListMenuEnhancer row values", { skip: skip }, function () {
+  it("keeps untyped text as text and reads lookups, data-type cells and <time> from the markup", function () {
+    const context = rowContext("de-DE", cells);
+
+    assert.strictEqual(context.values.Code, "01234");
+    assert.strictEqual(context.values.Amount, "1.234,5");
+    assert.strictEqual(context.values.Due, "03.04.2024");
+    assert.deepStrictEqual(Object.assign({}, context.values.Account), { id: accountGuid, name: "Contoso", entityName: "account" });
+    assert.strictEqual(context.values.Active, true);
+    assert.strictEqual(context.values.Created.toISOString(), "2024-01-15T10:30:00.000Z");
+  });
+
+  it("parses columnTypes columns with the separators and date order of <html lang>", function () {
+    const context = rowContext("de-DE", cells, { columnTypes: { Amount: "number", Due: "date" } });
+    const due = context.values.Due;
+
+    assert.strictEqual(context.values.Code, "01234");
+    assert.strictEqual(context.values.Amount, 1234.5);
+    assert.deepStrictEqual([due.getFullYear(), due.getMonth() + 1, due.getDate()], [2024, 4, 3]);
+  });
+
+  it("lets the locale option override the page language", function () {
+    const context = rowContext("de-DE", "<td>A-1</td><td>1,234.5</td><td>03/04/2024</td><td></td><td></td><td></td>", { locale: "en-US", columnTypes: { Amount: "number", Due: "date" } });
+    const due = context.values.Due;
+
+    assert.strictEqual(context.values.Amount, 1234.5);
+    assert.deepStrictEqual([due.getMonth() + 1, due.getDate()], [3, 4]);
+  });
+
+  it("ignores no-break and narrow no-break spaces used as group separators", function () {
+    const context = rowContext("fr-FR", "<td>A-1</td><td>1\u202f234,5</td><td></td><td></td><td></td><td></td>", { columnTypes: { Amount: "number" } });
+    const spaced = rowContext("fr-FR", "<td>A-1</td><td>12\u00a0345</td><td></td><td></td><td></td><td></td>", { columnTypes: { Amount: "number" } });
+
+    assert.strictEqual(context.values.Amount, 1234.5);
+    assert.strictEqual(spaced.values.Amount, 12345);
+  });
+});
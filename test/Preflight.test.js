@@ -0,0 +1,40 @@
+//preflight diagnostics run once per failed FlowClient call, never once per attempt
+//run with: node --test test/ (the DOM tests need jsdom)
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { skip, loadDom } = require("./helpers/dom.js");
+
+const flowUrl = "/_api/cloudflow/v1.0/trigger/4c999c4e-3495-f011-b41b-002248c5d639";
+
+describe("FlowClient preflight", { skip: skip }, function () {
+  it("runs the preflight once after the last retry of a failing call", async function () {
+    const gtd = loadDom();
+    let posts = 0;
+    const transport = new gtd.FetchTransport({
+      getToken: function () { return Promise.resolve("token"); },
+      fetch: function () {
+        posts++;
+        return Promise.resolve({ ok: false, status: 503, statusText: "Service Unavailable", headers: null, text: function () { return Promise.resolve(""); } });
+      }
+    });
+    const client = new gtd.FlowClient({ transport: transport, retries: 2, retryDelayMs: 1 });
+
+    const result = await client.invoke(flowUrl, {}, { idempotent: true });
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(posts, 3);
+    assert.strictEqual(gtd.GTDDiagnostics.preflights.length, 1);
+  });
+
+  it("does not run the preflight for a call that succeeds after a retry, or when runDiagnostics is false", async function () {
+    const gtd = loadDom();
+    const transport = new gtd.MockTransport()
+      .respond(flowUrl, { status: 503 }, { times: 1 })
+      .respond(flowUrl, { status: 200, data: { ok: 1 } });
+
+    await new gtd.FlowClient({ transport: transport, retryDelayMs: 1 }).invoke(flowUrl, {}, { idempotent: true });
+    await new gtd.FlowClient({ transport: new gtd.MockTransport().respond(flowUrl, { status: 500 }), runDiagnostics: false }).invoke(flowUrl, {});
+
+    assert.strictEqual(gtd.GTDDiagnostics.preflights.length, 0);
+  });
+});
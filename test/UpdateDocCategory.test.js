@@ -0,0 +1,85 @@
+//_UpdateDocCategory and DocMan.updateCategory against MockTransport: success, HTTP failure and schema rejection
+//run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { _UpdateDocCategory, DocMan, DocManError, DocManFlowClient, DocManDefaultTriggerId, MockTransport, GTDLog } = require("../gtdContols.js");
+
+GTDLog.setLevel("silent");
+
+const flowUrl = "/_api/cloudflow/v1.0/trigger/" + DocManDefaultTriggerId;
+const rowGuid = "0b6f7c1e-2d3a-4f5b-8c9d-0e1f2a3b4c5d";
+const originalTransport = DocManFlowClient.transport;
+
+function useTransport(transport) {
+  DocManFlowClient.transport = transport;
+  return transport;
+}
+
+test.afterEach(function () {
+  DocManFlowClient.transport = originalTransport;
+});
+
+test("DocMan.updateCategory sends the UpdateDocCat payload and resolves the flow result", async () => {
+  const transport = useTransport(new MockTransport().respond(flowUrl, { status: 200, data: { Status: "Updated" } }));
+
+  const updated = await new DocMan({ outbox: null }).updateCategory(rowGuid, "Invoice");
+
+  assert.strictEqual(updated.queued, false);
+  assert.strictEqual(updated.guid, rowGuid);
+  assert.strictEqual(updated.result.ok, true);
+  assert.deepStrictEqual(updated.result.data, { Status: "Updated" });
+  assert.deepStrictEqual(transport.requests[0].payload, { ActionType: "UpdateDocCat", DocCategory: "Invoice", AccGUID: "", DocManRowGuid: rowGuid });
+});
+
+test("DocMan.updateCategory rejects with DocManError on an HTTP failure", async () => {
+  const transport = useTransport(new MockTransport().respond(flowUrl, { status: 400, statusText: "Bad Request" }));
+
+  await assert.rejects(new DocMan({ outbox: null }).updateCategory(rowGuid, "Invoice"), function (error) {
+    assert.ok(error instanceof DocManError);
+    assert.strictEqual(error.code, "http");
+    assert.strictEqual(error.status, 400);
+    return true;
+  });
+  assert.strictEqual(transport.requests.length, 1);
+});
+
+test("DocMan.updateCategory rejects an invalid row GUID without calling the flow", async () => {
+  const transport = useTransport(new MockTransport().respond(flowUrl, { status: 200 }));
+
+  await assert.rejects(new DocMan({ outbox: null }).updateCategory("not-a-guid", "Invoice"), function (error) {
+    assert.strictEqual(error.code, "invalid-payload");
+    assert.ok(error.errors.length > 0);
+    return true;
+  });
+  assert.strictEqual(transport.requests.length, 0);
+});
+
+test("_UpdateDocCategory resolves the flow result on success", async () => {
+  useTransport(new MockTransport().respond(flowUrl, { status: 200, data: { Status: "Updated" } }));
+
+  const result = await _UpdateDocCategory("Invoice", rowGuid);
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.queued, false);
+  assert.deepStrictEqual(result.data, { Status: "Updated" });
+});
+
+test("_UpdateDocCategory resolves ok:false instead of rejecting on an HTTP failure", async () => {
+  useTransport(new MockTransport().respond(flowUrl, { status: 400, statusText: "Bad Request" }));
+
+  const result = await _UpdateDocCategory("Invoice", rowGuid);
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.status, 400);
+  assert.strictEqual(result.error.reason, "http");
+});
+
+test("_UpdateDocCategory resolves invalid-payload for a schema rejection", async () => {
+  const transport = useTransport(new MockTransport().respond(flowUrl, { status: 200 }));
+
+  const result = await _UpdateDocCategory("Invoice", "not-a-guid");
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error.reason, "invalid-payload");
+  assert.strictEqual(transport.requests.length, 0);
+});
@@ -0,0 +1,79 @@
+//Loads gtdContols.js into a jsdom window for the DOM tests. jsdom is not a dependency of the library,
+//the DOM tests are skipped when it cannot be required (install it next to the tests or put it on NODE_PATH)
+const fs = require("node:fs");
+const path = require("node:path");
+
+let JSDOM = null;
+try {
+  JSDOM = require("jsdom").JSDOM;
+} catch (e) {
+  JSDOM = null;
+}
+
+const libraryPath = path.join(__dirname, "..", "..", "gtdContols.js");
+const source = fs.readFileSync(libraryPath, "utf8");
+const exportedNames = Object.keys(require(libraryPath));
+
+//returns the library's globals from a fresh window, plus window and document; arrays it returns belong to the
+//window, compare them with Array.from(...) in deepStrictEqual
+function loadDom(html, options) {
+  options = options || {};
+  const dom = new JSDOM(html || "<!doctype html><html><body></body></html>", {
+    url: options.url || "https://portal.example/list/",
+    runScripts: "outside-only",
+    pretendToBeVisual: true
+  });
+  dom.window.eval(source + "\n;window.__gtd = {" + exportedNames.map(function (name) { return name + ": " + name; }).join(", ") + "};");
+  const api = dom.window.__gtd;
+  delete dom.window.__gtd;
+  api.GTDLog.setLevel(options.logLevel || "silent");
+  return Object.assign({ window: dom.window, document: dom.window.document }, api);
+}
+
+//a plain <table class="docs"> list; rows are { guid, name, status } and the GUID sits on the row's data-id.
+//options.menu adds a column with a Bootstrap style contextual menu (trigger + hidden role=menu) on every row
+function listMarkup(rows, options) {
+  options = options || {};
+  return '<table class="docs"><thead><tr><th>Name</th><th>Status</th>' + (options.menu ? "<th></th>" : "") + "</tr></thead><tbody>" +
+    rowsMarkup(rows, options) + "</tbody></table>";
+}
+
+function rowsMarkup(rows, options) {
+  options = options || {};
+  return rows.map(function (row) {
+    return '<tr data-id="' + row.guid + '"><td>' + row.name + "</td><td>" + (row.status || "") + "</td>" + (options.menu ? menuCellMarkup() : "") + "</tr>";
+  }).join("");
+}
+
+function menuCellMarkup() {
+  return '<td><div class="dropdown"><button type="button" data-automation-key="ppNativeListContextualMenu" aria-haspopup="true">Actions</button>' +
+    '<ul class="dropdown-menu" role="menu" hidden><li role="none"><a role="menuitem" href="#edit">Edit</a></li>' +
+    '<li role="none"><a role="menuitem" href="#delete">Delete</a></li></ul></div></td>';
+}
+
+//clicks the row's trigger the way a user would and shows its menu like the native handler does;
+//resolves with the menu once the enhancer had its turn
+function openRowMenu(gtd, rowIndex) {
+  const row = gtd.document.querySelectorAll("table.docs tbody tr")[rowIndex];
+  const trigger = row.querySelector("[data-automation-key='ppNativeListContextualMenu']");
+  const menu = row.querySelector("[role='menu']");
+  trigger.focus();
+  trigger.dispatchEvent(new gtd.window.MouseEvent("click", { bubbles: true, cancelable: true }));
+  menu.hidden = false;
+  return wait(10).then(function () {
+    return menu;
+  });
+}
+
+function wait(ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms || 0); });
+}
+
+module.exports = {
+  skip: JSDOM ? false : "jsdom is not installed",
+  loadDom: loadDom,
+  listMarkup: listMarkup,
+  rowsMarkup: rowsMarkup,
+  openRowMenu: openRowMenu,
+  wait: wait
+};